@@ -4,9 +4,12 @@ const fs = require('fs');
 const path = require('path');
 const express = require('express');
 const cors = require('cors');
+const { Readable } = require('stream');
 const ExcelJS = require('exceljs');
+const multer = require('multer');
+const PDFDocument = require('pdfkit');
 const Database = require('better-sqlite3');
-const { randomUUID } = require('crypto');
+const { randomUUID, randomBytes, scryptSync, createHash, createHmac, timingSafeEqual } = require('crypto');
 
 // ---- Config ----
 const PORT = process.env.PORT || 4000;
@@ -14,6 +17,9 @@ const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*'; // set to your fronten
 const DB_DIR = process.env.DB_DIR || path.join(__dirname, 'data');
 fs.mkdirSync(DB_DIR, { recursive: true });
 const DB_FILE = process.env.DB_FILE || path.join(DB_DIR, 'uid_ops_testenv.sqlite');
+const AUTH_DISABLED = /^(1|true|yes)$/i.test(String(process.env.AUTH_DISABLED || '')); // local dev only
+const ADMIN_TOKEN = String(process.env.ADMIN_TOKEN || '').trim(); // break-glass admin token
+const AUTH_SESSION_HOURS = Number(process.env.AUTH_SESSION_HOURS || 12) || 12;
 
 // ---- App ----
 const app = express();
@@ -35,7 +41,8 @@ const corsOptions = {
     return cb(new Error('Not allowed by CORS: ' + origin));
   },
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['X-Mapping-Template', 'X-Packing-List-Ready-At']
 };
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
@@ -67,7 +74,8 @@ function _summaryKey(q) {
   const from = String(q.from || q.weekStart || '').trim();
   const to = String(q.to || q.weekEnd || '').trim();
   const status = String(q.status || 'complete').trim();
-  return `${from}|${to}|${status}`;
+  const facility = String(q.facility || '').trim();
+  return `${from}|${to}|${status}|${facility}`;
 }
 
 
@@ -115,90 +123,637 @@ function toISODate(v) {
 // --- DB setup ---
 const db = new Database(DB_FILE);
 db.pragma('journal_mode = WAL');
-db.exec(`
-CREATE TABLE IF NOT EXISTS records (
-  id TEXT PRIMARY KEY,
-  date_local TEXT,
-  mobile_bin TEXT,
-  sscc_label TEXT,
-  po_number TEXT,
-  sku_code TEXT,
-  uid TEXT,
-  status TEXT DEFAULT 'draft',
-  completed_at TEXT,
-  sync_state TEXT DEFAULT 'unknown'
-);
-CREATE INDEX IF NOT EXISTS idx_records_date ON records(date_local);
-CREATE INDEX IF NOT EXISTS idx_records_status ON records(status);
-CREATE INDEX IF NOT EXISTS idx_records_completed_at ON records(completed_at);
-CREATE INDEX IF NOT EXISTS idx_records_status_completed_at ON records(status, completed_at);
-CREATE INDEX IF NOT EXISTS idx_records_po ON records(po_number);
-CREATE INDEX IF NOT EXISTS idx_records_po_status ON records(po_number, status);
-CREATE INDEX IF NOT EXISTS idx_records_po_mobile_bin ON records(po_number, mobile_bin);
-CREATE INDEX IF NOT EXISTS idx_records_sku ON records(sku_code);
-CREATE INDEX IF NOT EXISTS idx_records_uid ON records(uid);
-CREATE UNIQUE INDEX IF NOT EXISTS uniq_po_sku_uid ON records(po_number, sku_code, uid);
-
-CREATE TABLE IF NOT EXISTS plans (
-  week_start TEXT PRIMARY KEY,
-  data TEXT NOT NULL,
-  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
-);
-`);
-db.exec(`
-CREATE TABLE IF NOT EXISTS receiving(
-  week_start TEXT NOT NULL,
-  po_number TEXT NOT NULL,
-  supplier_name TEXT,
-  facility_name TEXT,
-  received_at_utc TEXT,
-  received_at_local TEXT,
-  received_tz TEXT,
-  cartons_received INTEGER DEFAULT 0,
-  cartons_damaged INTEGER DEFAULT 0,
-  cartons_noncompliant INTEGER DEFAULT 0,
-  cartons_replaced INTEGER DEFAULT 0,
-  updated_at TEXT,
-  PRIMARY KEY(week_start, po_number)
-);
-CREATE INDEX IF NOT EXISTS idx_receiving_week ON receiving(week_start);
-CREATE INDEX IF NOT EXISTS idx_receiving_supplier ON receiving(week_start, supplier_name);
-`);
 
-// ---- Flow week persistence (facility-scoped) ----
-db.exec(`
-CREATE TABLE IF NOT EXISTS flow_week (
-  facility   TEXT NOT NULL,
-  week_start TEXT NOT NULL,
-  data       TEXT NOT NULL,
-  updated_at TEXT NOT NULL DEFAULT (datetime('now')),
-  PRIMARY KEY (facility, week_start)
-);
-CREATE INDEX IF NOT EXISTS idx_flow_week_ws ON flow_week(week_start);
-CREATE INDEX IF NOT EXISTS idx_flow_week_fac ON flow_week(facility);
-`);
+// ---- Schema migrations ----
+// Append-only list: never edit a shipped migration, add a new one with the next version.
+// Each runs in its own transaction and is recorded in schema_version. Startup refuses to
+// continue if one fails, or if the DB is newer than this build.
+//   node server.js --migrate-dry-run   apply pending migrations, report, roll back, exit
+//   node server.js --migrate-only      apply pending migrations and exit
+function addColumnIfMissing(dbh, table, column, ddl) {
+  const cols = dbh.prepare(`PRAGMA table_info(${table})`).all();
+  if (!cols.some(c => c.name === column)) dbh.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${ddl}`);
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline: records, plans, receiving, flow_week, bins',
+    // IF NOT EXISTS so databases created before migrations adopt this as-is.
+    up: (dbh) => dbh.exec(`
+      CREATE TABLE IF NOT EXISTS records (
+        id TEXT PRIMARY KEY,
+        date_local TEXT,
+        mobile_bin TEXT,
+        sscc_label TEXT,
+        po_number TEXT,
+        sku_code TEXT,
+        uid TEXT,
+        status TEXT DEFAULT 'draft',
+        completed_at TEXT,
+        sync_state TEXT DEFAULT 'unknown'
+      );
+      CREATE INDEX IF NOT EXISTS idx_records_date ON records(date_local);
+      CREATE INDEX IF NOT EXISTS idx_records_status ON records(status);
+      CREATE INDEX IF NOT EXISTS idx_records_completed_at ON records(completed_at);
+      CREATE INDEX IF NOT EXISTS idx_records_status_completed_at ON records(status, completed_at);
+      CREATE INDEX IF NOT EXISTS idx_records_po ON records(po_number);
+      CREATE INDEX IF NOT EXISTS idx_records_po_status ON records(po_number, status);
+      CREATE INDEX IF NOT EXISTS idx_records_po_mobile_bin ON records(po_number, mobile_bin);
+      CREATE INDEX IF NOT EXISTS idx_records_sku ON records(sku_code);
+      CREATE INDEX IF NOT EXISTS idx_records_uid ON records(uid);
+      CREATE UNIQUE INDEX IF NOT EXISTS uniq_po_sku_uid ON records(po_number, sku_code, uid);
+
+      CREATE TABLE IF NOT EXISTS plans (
+        week_start TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+
+      CREATE TABLE IF NOT EXISTS receiving(
+        week_start TEXT NOT NULL,
+        po_number TEXT NOT NULL,
+        supplier_name TEXT,
+        facility_name TEXT,
+        received_at_utc TEXT,
+        received_at_local TEXT,
+        received_tz TEXT,
+        cartons_received INTEGER DEFAULT 0,
+        cartons_damaged INTEGER DEFAULT 0,
+        cartons_noncompliant INTEGER DEFAULT 0,
+        cartons_replaced INTEGER DEFAULT 0,
+        updated_at TEXT,
+        PRIMARY KEY(week_start, po_number)
+      );
+      CREATE INDEX IF NOT EXISTS idx_receiving_week ON receiving(week_start);
+      CREATE INDEX IF NOT EXISTS idx_receiving_supplier ON receiving(week_start, supplier_name);
+
+      CREATE TABLE IF NOT EXISTS flow_week (
+        facility   TEXT NOT NULL,
+        week_start TEXT NOT NULL,
+        data       TEXT NOT NULL,
+        updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+        PRIMARY KEY (facility, week_start)
+      );
+      CREATE INDEX IF NOT EXISTS idx_flow_week_ws ON flow_week(week_start);
+      CREATE INDEX IF NOT EXISTS idx_flow_week_fac ON flow_week(facility);
+
+      CREATE TABLE IF NOT EXISTS bins (
+        week_start  TEXT NOT NULL,
+        mobile_bin  TEXT NOT NULL,
+        total_units INTEGER,
+        weight_kg   REAL,
+        date_local  TEXT,
+        PRIMARY KEY (week_start, mobile_bin)
+      );
+      CREATE INDEX IF NOT EXISTS idx_bins_week ON bins(week_start);
+    `),
+  },
+  {
+    version: 2,
+    name: 'auth users + tokens',
+    up: (dbh) => dbh.exec(`
+      CREATE TABLE IF NOT EXISTS auth_users (
+        username      TEXT PRIMARY KEY,
+        password_hash TEXT NOT NULL,
+        role          TEXT NOT NULL,
+        disabled      INTEGER NOT NULL DEFAULT 0,
+        created_at    TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+      CREATE TABLE IF NOT EXISTS auth_tokens (
+        id           TEXT PRIMARY KEY,
+        token_hash   TEXT NOT NULL UNIQUE,
+        kind         TEXT NOT NULL,            -- 'api' | 'session'
+        name         TEXT NOT NULL,            -- token label or username
+        role         TEXT NOT NULL,
+        created_at   TEXT NOT NULL,
+        expires_at   TEXT,
+        last_used_at TEXT,
+        revoked_at   TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_auth_tokens_kind ON auth_tokens(kind);
+    `),
+  },
+  {
+    version: 3,
+    name: 'append-only audit_log',
+    up: (dbh) => dbh.exec(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        ts          TEXT NOT NULL,
+        actor       TEXT NOT NULL,
+        actor_role  TEXT,
+        source      TEXT NOT NULL,           -- e.g. "PATCH /records/:id"
+        action      TEXT NOT NULL,           -- create | update | delete | replace | void | restore | seal | unseal | load | ship | allocate
+        entity_type TEXT NOT NULL,           -- record | plan | plan_line | bin | receiving | flow_week | validation_rule | uid_conflict | webhook | mapping_template | sscc | sku_value
+        entity_id   TEXT,
+        uid         TEXT,
+        po_number   TEXT,
+        mobile_bin  TEXT,
+        week_start  TEXT,
+        before_json TEXT,
+        after_json  TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_audit_ts ON audit_log(ts);
+      CREATE INDEX IF NOT EXISTS idx_audit_entity ON audit_log(entity_type, entity_id);
+      CREATE INDEX IF NOT EXISTS idx_audit_uid ON audit_log(uid);
+      CREATE INDEX IF NOT EXISTS idx_audit_po ON audit_log(po_number);
+      CREATE INDEX IF NOT EXISTS idx_audit_bin ON audit_log(mobile_bin);
+      CREATE INDEX IF NOT EXISTS idx_audit_week ON audit_log(week_start);
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    `),
+  },
+  {
+    version: 4,
+    name: 'records soft delete columns',
+    up: (dbh) => {
+      addColumnIfMissing(dbh, 'records', 'voided_at', 'TEXT');
+      addColumnIfMissing(dbh, 'records', 'voided_by', 'TEXT');
+      addColumnIfMissing(dbh, 'records', 'void_reason', 'TEXT');
+      dbh.exec(`CREATE INDEX IF NOT EXISTS idx_records_voided_at ON records(voided_at);`);
+    },
+  },
+  {
+    version: 5,
+    name: 'plan_lines (normalized weekly plans) + copy of existing plan blobs',
+    up: (dbh) => {
+      dbh.exec(`
+        CREATE TABLE IF NOT EXISTS plan_lines (
+          week_start     TEXT NOT NULL,
+          po_number      TEXT NOT NULL,
+          sku_code       TEXT NOT NULL,
+          line_no        INTEGER NOT NULL DEFAULT 0,   -- upload order within the week
+          start_date     TEXT,
+          due_date       TEXT,
+          target_qty     NUMERIC NOT NULL DEFAULT 0,
+          supplier_name  TEXT,
+          facility_name  TEXT,
+          freight_type   TEXT,
+          zendesk_ticket TEXT,
+          priority       TEXT,
+          notes          TEXT,
+          updated_at     TEXT NOT NULL DEFAULT (datetime('now')),
+          PRIMARY KEY (week_start, po_number, sku_code)
+        );
+        CREATE INDEX IF NOT EXISTS idx_plan_lines_po ON plan_lines(po_number);
+        CREATE INDEX IF NOT EXISTS idx_plan_lines_sku ON plan_lines(sku_code);
+        CREATE INDEX IF NOT EXISTS idx_plan_lines_supplier ON plan_lines(supplier_name);
+      `);
+      // Repeated PO/SKU lines inside one week collapse into one line with the summed target.
+      const ins = dbh.prepare(`
+        INSERT INTO plan_lines(week_start, po_number, sku_code, line_no, start_date, due_date, target_qty,
+          supplier_name, facility_name, freight_type, zendesk_ticket, priority, notes)
+        VALUES (@week_start, @po_number, @sku_code, @line_no, @start_date, @due_date, @target_qty,
+          @supplier_name, @facility_name, @freight_type, @zendesk_ticket, @priority, @notes)
+        ON CONFLICT(week_start, po_number, sku_code) DO UPDATE SET
+          target_qty = plan_lines.target_qty + excluded.target_qty
+      `);
+      const opt = (v) => (v == null || String(v).trim() === '' ? null : String(v).trim());
+      for (const p of dbh.prepare('SELECT week_start, data FROM plans').all()) {
+        let arr;
+        try { arr = JSON.parse(p.data); } catch { arr = []; }
+        if (!Array.isArray(arr)) arr = Array.isArray(arr?.rows) ? arr.rows : [];
+        arr.forEach((r, i) => {
+          const po = String(r?.po_number ?? '').trim();
+          const sku = String(r?.sku_code ?? '').trim();
+          if (!po || !sku) return;
+          ins.run({
+            week_start: p.week_start, po_number: po, sku_code: sku, line_no: i,
+            start_date: opt(r.start_date), due_date: opt(r.due_date), target_qty: Number(r.target_qty ?? 0) || 0,
+            supplier_name: opt(r.supplier_name), facility_name: opt(r.facility_name), freight_type: opt(r.freight_type),
+            zendesk_ticket: opt(r.zendesk_ticket ?? r.zendesk_ticket_number ?? r.zendesk),
+            priority: opt(r.priority), notes: opt(r.notes),
+          });
+        });
+      }
+    },
+  },
+  {
+    version: 6,
+    name: 'plan_versions (saved snapshot per plan write) + seed from plan_lines',
+    up: (dbh) => {
+      dbh.exec(`
+        CREATE TABLE IF NOT EXISTS plan_versions (
+          id           INTEGER PRIMARY KEY AUTOINCREMENT,
+          week_start   TEXT NOT NULL,
+          version_no   INTEGER NOT NULL,
+          created_at   TEXT NOT NULL,
+          created_by   TEXT,
+          created_role TEXT,
+          source       TEXT,               -- route that produced it, e.g. "PUT /plan/weeks/:mondayISO"
+          note         TEXT,
+          line_count   INTEGER NOT NULL DEFAULT 0,
+          total_target NUMERIC NOT NULL DEFAULT 0,
+          lines_json   TEXT NOT NULL,
+          UNIQUE (week_start, version_no)
+        );
+      `);
+      // Whatever is in plan_lines today becomes version 1 of each week.
+      const ins = dbh.prepare(`
+        INSERT INTO plan_versions(week_start, version_no, created_at, created_by, source, note, line_count, total_target, lines_json)
+        VALUES (?, 1, ?, 'migration', 'migration 6', 'state before version history', ?, ?, ?)
+      `);
+      const now = new Date().toISOString();
+      for (const { week_start } of dbh.prepare('SELECT week_start FROM plans').all()) {
+        const rows = dbh.prepare('SELECT * FROM plan_lines WHERE week_start = ? ORDER BY line_no, po_number, sku_code').all(week_start);
+        const lines = rows.map(({ week_start: _ws, line_no: _n, updated_at: _u, ...r }) =>
+          Object.fromEntries(Object.entries(r).filter(([, v]) => v != null && v !== '')));
+        const total = rows.reduce((a, r) => a + (Number(r.target_qty) || 0), 0);
+        ins.run(week_start, now, rows.length, total, JSON.stringify(lines));
+      }
+    },
+  },
+  {
+    version: 7,
+    name: 'records.facility',
+    up: (dbh) => {
+      addColumnIfMissing(dbh, 'records', 'facility', 'TEXT'); // NULL = scanned before facilities were tracked
+      dbh.exec(`CREATE INDEX IF NOT EXISTS idx_records_facility_date ON records(facility, date_local);`);
+    },
+  },
+  {
+    version: 8,
+    name: 'validation_rules (UID / SSCC) + default GS1 check in warn mode',
+    up: (dbh) => {
+      dbh.exec(`
+        CREATE TABLE IF NOT EXISTS validation_rules (
+          id          INTEGER PRIMARY KEY AUTOINCREMENT,
+          field       TEXT NOT NULL CHECK (field IN ('uid', 'sscc_label')),
+          scope       TEXT NOT NULL DEFAULT 'global' CHECK (scope IN ('global', 'sku', 'supplier')),
+          scope_value TEXT,                 -- SKU code or supplier name; NULL for global
+          kind        TEXT NOT NULL CHECK (kind IN ('regex', 'length', 'gs1_sscc')),
+          pattern     TEXT,                 -- regex rules
+          min_len     INTEGER,              -- length rules
+          max_len     INTEGER,
+          mode        TEXT NOT NULL DEFAULT 'reject' CHECK (mode IN ('warn', 'reject')),
+          enabled     INTEGER NOT NULL DEFAULT 1,
+          description TEXT,
+          created_at  TEXT NOT NULL,
+          updated_at  TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_validation_rules_scope ON validation_rules(scope, scope_value);
+      `);
+      const now = new Date().toISOString();
+      dbh.prepare(`
+        INSERT INTO validation_rules(field, scope, kind, mode, description, created_at, updated_at)
+        VALUES ('sscc_label', 'global', 'gs1_sscc', 'warn', 'SSCC-18 with a valid GS1 check digit', ?, ?)
+      `).run(now, now);
+    },
+  },
+  {
+    version: 9,
+    name: 'uid_conflicts (same UID applied under more than one PO/SKU)',
+    up: (dbh) => {
+      dbh.exec(`
+        CREATE TABLE IF NOT EXISTS uid_conflicts (
+          id          INTEGER PRIMARY KEY AUTOINCREMENT,
+          uid         TEXT NOT NULL,
+          record_a    TEXT NOT NULL,        -- the row that was there first
+          record_b    TEXT NOT NULL,        -- the row whose write found it
+          detected_at TEXT NOT NULL,
+          detected_by TEXT,
+          source      TEXT,
+          status      TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+          resolution  TEXT,                 -- keep_a | keep_b | void_both | superseded
+          resolved_at TEXT,
+          resolved_by TEXT,
+          note        TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_uid_conflicts_status ON uid_conflicts(status, detected_at);
+        CREATE INDEX IF NOT EXISTS idx_uid_conflicts_uid ON uid_conflicts(uid);
+        CREATE INDEX IF NOT EXISTS idx_uid_conflicts_a ON uid_conflicts(record_a);
+        CREATE INDEX IF NOT EXISTS idx_uid_conflicts_b ON uid_conflicts(record_b);
+      `);
+    },
+  },
+  {
+    version: 10,
+    name: 'webhook_subscriptions + webhook_deliveries (outbox)',
+    up: (dbh) => {
+      dbh.exec(`
+        CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+          id          INTEGER PRIMARY KEY AUTOINCREMENT,
+          url         TEXT NOT NULL,
+          secret      TEXT NOT NULL,           -- HMAC-SHA256 key; shown once on create
+          event_types TEXT NOT NULL,           -- JSON array of event types
+          facility    TEXT,                    -- NULL = every facility
+          enabled     INTEGER NOT NULL DEFAULT 1,
+          description TEXT,
+          created_at  TEXT NOT NULL,
+          created_by  TEXT,
+          updated_at  TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+          id              INTEGER PRIMARY KEY AUTOINCREMENT,
+          subscription_id INTEGER NOT NULL,
+          event_id        INTEGER,             -- SSE event id (per server process; informational)
+          event_type      TEXT NOT NULL,
+          payload         TEXT NOT NULL,       -- exact JSON body sent (and signed)
+          status          TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'dead')),
+          attempts        INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TEXT,
+          last_attempt_at TEXT,
+          last_status     INTEGER,             -- HTTP status of the last attempt
+          last_error      TEXT,
+          created_at      TEXT NOT NULL,
+          delivered_at    TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+        CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_sub ON webhook_deliveries(subscription_id, created_at);
+      `);
+    },
+  },
+  {
+    version: 11,
+    name: 'import_jobs + import_job_rejects (async UID imports)',
+    up: (dbh) => {
+      dbh.exec(`
+        CREATE TABLE IF NOT EXISTS import_jobs (
+          id           TEXT PRIMARY KEY,
+          status       TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'done', 'failed')),
+          facility     TEXT,                 -- ?facility= default for rows without one
+          created_at   TEXT NOT NULL,
+          created_by   TEXT,
+          created_role TEXT,
+          started_at   TEXT,
+          finished_at  TEXT,
+          total        INTEGER NOT NULL,
+          processed    INTEGER NOT NULL DEFAULT 0, -- rows screened + committed; resume point after a restart
+          inserted     INTEGER NOT NULL DEFAULT 0,
+          updated      INTEGER NOT NULL DEFAULT 0,
+          rejected     INTEGER NOT NULL DEFAULT 0,
+          warnings     INTEGER NOT NULL DEFAULT 0,
+          conflicts    INTEGER NOT NULL DEFAULT 0,
+          error        TEXT,
+          rows_json    TEXT                  -- uploaded rows; cleared when the job finishes
+        );
+        CREATE INDEX IF NOT EXISTS idx_import_jobs_created ON import_jobs(created_at);
+        CREATE TABLE IF NOT EXISTS import_job_rejects (
+          job_id    TEXT NOT NULL,
+          row_index INTEGER NOT NULL,        -- 0-based position in the upload
+          reason    TEXT NOT NULL,
+          rule_id   INTEGER,
+          raw_json  TEXT                     -- the row as uploaded, for the CSV download
+        );
+        CREATE INDEX IF NOT EXISTS idx_import_job_rejects_job ON import_job_rejects(job_id, row_index);
+      `);
+    },
+  },
+  {
+    version: 12,
+    name: 'mapping_templates (supplier upload column mappings)',
+    up: (dbh) => {
+      dbh.exec(`
+        CREATE TABLE IF NOT EXISTS mapping_templates (
+          id              INTEGER PRIMARY KEY AUTOINCREMENT,
+          name            TEXT NOT NULL UNIQUE,
+          kind            TEXT NOT NULL CHECK (kind IN ('records', 'plan', 'bins', 'receiving')),
+          columns_json    TEXT NOT NULL,      -- { "<source header>": "<field>" }
+          transforms_json TEXT,               -- { "<field>": { trim, strip_prefix, case, date_format, ... } }
+          auto_detect     INTEGER NOT NULL DEFAULT 1,
+          description     TEXT,
+          created_by      TEXT,
+          created_at      TEXT NOT NULL,
+          updated_at      TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_mapping_templates_kind ON mapping_templates(kind);
+      `);
+    },
+  },
+  {
+    version: 13,
+    name: 'bins.state (open -> sealed -> loaded -> shipped) + bin_state_events',
+    up: (dbh) => {
+      addColumnIfMissing(dbh, 'bins', 'state', `TEXT NOT NULL DEFAULT 'open'`);
+      addColumnIfMissing(dbh, 'bins', 'state_changed_at', 'TEXT');
+      addColumnIfMissing(dbh, 'bins', 'state_changed_by', 'TEXT');
+      dbh.exec(`
+        CREATE TABLE IF NOT EXISTS bin_state_events (
+          id          INTEGER PRIMARY KEY AUTOINCREMENT,
+          week_start  TEXT NOT NULL,
+          mobile_bin  TEXT NOT NULL,
+          from_state  TEXT NOT NULL,
+          to_state    TEXT NOT NULL,
+          units       INTEGER NOT NULL,     -- UIDs scanned into the bin at the change
+          weight_kg   REAL,
+          note        TEXT,
+          actor       TEXT,
+          at          TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_bin_state_events_bin ON bin_state_events(week_start, mobile_bin);
+      `);
+    },
+  },
+  {
+    version: 14,
+    name: 'sscc_allocations (SSCC-18 numbers issued per mobile bin)',
+    up: (dbh) => {
+      dbh.exec(`
+        CREATE TABLE IF NOT EXISTS sscc_allocations (
+          sscc            TEXT PRIMARY KEY,
+          company_prefix  TEXT NOT NULL,
+          extension_digit INTEGER NOT NULL,
+          serial          INTEGER NOT NULL,
+          week_start      TEXT NOT NULL,
+          mobile_bin      TEXT NOT NULL,
+          allocated_at    TEXT NOT NULL,
+          allocated_by    TEXT,
+          replaced_at     TEXT,             -- the bin got a newer SSCC; this one is never reissued
+          UNIQUE (company_prefix, extension_digit, serial)
+        );
+        CREATE INDEX IF NOT EXISTS idx_sscc_allocations_bin ON sscc_allocations(week_start, mobile_bin);
+      `);
+    },
+  },
+  {
+    version: 15,
+    name: 'sku_values (declared unit values for commercial invoices)',
+    up: (dbh) => {
+      dbh.exec(`
+        CREATE TABLE IF NOT EXISTS sku_values (
+          sku_code          TEXT PRIMARY KEY,
+          unit_value        REAL NOT NULL,
+          currency          TEXT NOT NULL DEFAULT 'USD',
+          description       TEXT,
+          hs_code           TEXT,
+          country_of_origin TEXT,
+          updated_at        TEXT NOT NULL,
+          updated_by        TEXT
+        );
+      `);
+    },
+  },
+  {
+    version: 16,
+    name: 'asn_exports (ASN log; id is the X12 interchange control number)',
+    up: (dbh) => {
+      dbh.exec(`
+        CREATE TABLE IF NOT EXISTS asn_exports (
+          id          INTEGER PRIMARY KEY AUTOINCREMENT,   -- X12 control number; the ASN number is ASN<week><id>
+          week_start  TEXT NOT NULL,
+          facility    TEXT NOT NULL,
+          scope       TEXT NOT NULL,       -- container:<container_uid> | lane:<lane key>
+          format      TEXT NOT NULL,       -- x12 | json
+          bins        INTEGER NOT NULL,
+          units       INTEGER NOT NULL,
+          created_at  TEXT NOT NULL,
+          created_by  TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_asn_exports_week ON asn_exports(week_start, facility);
+      `);
+    },
+  },
+  // audit_log.entity_type is free text; receiving carton writes are logged as 'receiving_carton'
+  // (the column comment in migration 3 is left as shipped).
+  {
+    version: 17,
+    name: 'receiving_cartons (carton-by-carton receiving lines with condition + reason code)',
+    up: (dbh) => {
+      dbh.exec(`
+        CREATE TABLE IF NOT EXISTS receiving_cartons (
+          id          INTEGER PRIMARY KEY AUTOINCREMENT,
+          week_start  TEXT NOT NULL,
+          po_number   TEXT NOT NULL,
+          carton_id   TEXT NOT NULL,
+          condition   TEXT NOT NULL DEFAULT 'ok' CHECK (condition IN ('ok', 'damaged', 'noncompliant', 'replaced')),
+          reason_code TEXT,                 -- from RECEIVING_REASON_CODES[condition]; null when ok
+          notes       TEXT,
+          received_at TEXT NOT NULL,        -- UTC ISO
+          received_by TEXT,
+          updated_at  TEXT NOT NULL,
+          UNIQUE (week_start, po_number, carton_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_receiving_cartons_po ON receiving_cartons(week_start, po_number);
+      `);
+    },
+  },
+];
+
+function runMigrations(dbh, { dryRun = false, log = console.log } = {}) {
+  MIGRATIONS.forEach((m, i) => {
+    if (m.version !== i + 1) throw new Error(`MIGRATIONS out of order at index ${i} (version ${m.version})`);
+  });
+  const ensureVersionTable = () => dbh.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version    INTEGER PRIMARY KEY,
+      name       TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    );
+  `);
+  const hasVersionTable = dbh.prepare(`SELECT 1 FROM sqlite_master WHERE type='table' AND name='schema_version'`).get();
+  const current = hasVersionTable
+    ? dbh.prepare('SELECT COALESCE(MAX(version), 0) AS v FROM schema_version').get().v
+    : 0;
+  const latest = MIGRATIONS.length;
+  if (current > latest) {
+    throw new Error(`database schema v${current} is newer than this build (v${latest}); refusing to start`);
+  }
+  const pending = MIGRATIONS.filter(m => m.version > current);
+  const applyOne = (m) => {
+    try {
+      m.up(dbh);
+      dbh.prepare('INSERT INTO schema_version(version, name, applied_at) VALUES (?, ?, ?)')
+        .run(m.version, m.name, new Date().toISOString());
+    } catch (e) {
+      throw new Error(`migration ${m.version} (${m.name}) failed: ${e?.message || e}`);
+    }
+  };
+
+  if (dryRun) {
+    // Everything in one transaction so later migrations see earlier ones, then roll back.
+    const ROLLBACK = Symbol('dry-run rollback');
+    try {
+      dbh.transaction(() => {
+        ensureVersionTable();
+        for (const m of pending) { applyOne(m); log(`[migrate] (dry-run) v${m.version} ${m.name}: ok`); }
+        throw ROLLBACK;
+      })();
+    } catch (e) {
+      if (e !== ROLLBACK) throw e;
+    }
+    return { from: current, to: current, pending: pending.map(m => m.version), dryRun: true };
+  }
+
+  ensureVersionTable();
+  for (const m of pending) {
+    dbh.transaction(() => applyOne(m))();
+    log(`[migrate] v${m.version} ${m.name}: applied`);
+  }
+  return { from: current, to: latest, pending: [], dryRun: false };
+}
+
+{
+  const dryRun = process.argv.includes('--migrate-dry-run');
+  const migrateOnly = process.argv.includes('--migrate-only');
+  try {
+    const r = runMigrations(db, { dryRun });
+    if (dryRun) {
+      console.log(`[migrate] dry-run: schema v${r.from}, ${r.pending.length} pending, nothing written`);
+      process.exit(0);
+    }
+    if (r.from !== r.to) console.log(`[migrate] schema v${r.from} -> v${r.to}`);
+    if (migrateOnly) process.exit(0);
+  } catch (e) {
+    console.error('[migrate] ' + (e?.message || e));
+    process.exit(1);
+  }
+}
+
+// ---- Soft delete (records) ----
+// Deleting a record sets status='voided' plus who/why/when (migration 4); every summary
+// and export already filters on status='complete', and the row can be restored later.
+const VOID_REASONS = (process.env.VOID_REASONS || 'scan_error,duplicate,wrong_po,wrong_sku,wrong_bin,damaged,bulk_cleanup,other')
+  .split(',')
+  .map(s => s.trim())
+  .filter(Boolean);
+const DEFAULT_VOID_REASON = 'unspecified'; // older clients send no reason
+
 
 
 
 
 const selectRecordById = db.prepare('SELECT * FROM records WHERE id = ?');
 const selectByComposite = db.prepare('SELECT id FROM records WHERE po_number = ? AND sku_code = ? AND uid = ?');
-const deleteById = db.prepare('DELETE FROM records WHERE id = ?');
-const deleteBySkuUid = db.prepare('DELETE FROM records WHERE uid = ? AND sku_code = ?');
-const deleteByUid = db.prepare('DELETE FROM records WHERE uid = ?');
+const deleteById = db.prepare('DELETE FROM records WHERE id = ?'); // only for never-saved shells
+const selectBySkuUid = db.prepare(`SELECT * FROM records WHERE uid = ? AND sku_code = ? AND status <> 'voided'`);
+const selectByUid = db.prepare(`SELECT * FROM records WHERE uid = ? AND status <> 'voided'`);
+const voidById = db.prepare(`
+  UPDATE records SET status='voided', voided_at=@voided_at, voided_by=@voided_by, void_reason=@void_reason
+  WHERE id=@id AND status <> 'voided'
+`);
+const restoreById = db.prepare(`
+  UPDATE records SET status=@status, voided_at=NULL, voided_by=NULL, void_reason=NULL
+  WHERE id=@id AND status = 'voided'
+`);
 
 const upsertByComposite = db.prepare(`
-INSERT INTO records (id, date_local, mobile_bin, sscc_label, po_number, sku_code, uid, status, completed_at, sync_state)
-VALUES (@id, @date_local, @mobile_bin, @sscc_label, @po_number, @sku_code, @uid, @status, @completed_at, @sync_state)
+INSERT INTO records (id, date_local, mobile_bin, sscc_label, po_number, sku_code, uid, status, completed_at, sync_state, facility)
+VALUES (@id, @date_local, @mobile_bin, @sscc_label, @po_number, @sku_code, @uid, @status, @completed_at, @sync_state, @facility)
 ON CONFLICT(po_number, sku_code, uid) DO UPDATE SET
   date_local   = COALESCE(excluded.date_local, records.date_local),
+  facility     = COALESCE(excluded.facility, records.facility),
   mobile_bin   = COALESCE(excluded.mobile_bin, records.mobile_bin),
   sscc_label   = COALESCE(excluded.sscc_label, records.sscc_label),
   status       = CASE WHEN excluded.status='complete' THEN 'complete' ELSE records.status END,
   completed_at = COALESCE(records.completed_at, excluded.completed_at),
-  sync_state   = 'synced'
+  sync_state   = 'synced',
+  voided_at    = CASE WHEN excluded.status='complete' THEN NULL ELSE records.voided_at END,
+  voided_by    = CASE WHEN excluded.status='complete' THEN NULL ELSE records.voided_by END,
+  void_reason  = CASE WHEN excluded.status='complete' THEN NULL ELSE records.void_reason END
 `);
 
+// ?facility=LKWF on record/summary routes; empty = every site.
+// Rows scanned before facilities were tracked (facility NULL) only show up unfiltered.
+function facilityFilter(req, col = 'facility') {
+  const facility = normFacility(req.query.facility);
+  return facility
+    ? { facility, sql: ` AND ${col} = ?`, params: [facility] }
+    : { facility: '', sql: '', params: [] };
+}
+
 // --- Completion rule (SSCC optional) ---
 function isComplete(row) {
   return Boolean(
@@ -210,35 +765,775 @@ function isComplete(row) {
   );
 }
 
-// --- SSE hub for ops pulse ---
-const clients = new Set();
-function emitScan(ts = new Date()) {
-  const payload = JSON.stringify({ ts: ts.toISOString() });
-  for (const res of clients) {
-    try { res.write(`data: ${payload}\n\n`); } catch {}
+// ---- Auth (API tokens + user logins, role-scoped) ----
+// Credentials arrive as "Authorization: Bearer <token>", or ?access_token=<token> for
+// EventSource and direct download links (neither can set headers). The query form only
+// counts on those GET routes (QUERY_TOKEN_ROUTES): a token in a URL ends up in access logs,
+// history and Referer headers, so every other route needs the header.
+// Admin passes every role check; everything else is an explicit allow-list per route.
+const ROLES = Object.freeze({
+  SCANNER: 'scanner',
+  SUPERVISOR: 'supervisor',
+  PLANNER: 'planner',
+  EXEC: 'exec',
+  ADMIN: 'admin',
+});
+const ROLE_SET = new Set(Object.values(ROLES));
+const ANY_ROLE = Object.values(ROLES);
+
+const authUserGet = db.prepare('SELECT * FROM auth_users WHERE username = ?');
+const authUserUpsert = db.prepare(`
+  INSERT INTO auth_users(username, password_hash, role, disabled)
+  VALUES (@username, @password_hash, @role, 0)
+  ON CONFLICT(username) DO UPDATE SET
+    password_hash = excluded.password_hash,
+    role = excluded.role,
+    disabled = 0
+`);
+const authTokenByHash = db.prepare('SELECT * FROM auth_tokens WHERE token_hash = ?');
+const authTokenInsert = db.prepare(`
+  INSERT INTO auth_tokens(id, token_hash, kind, name, role, created_at, expires_at)
+  VALUES (@id, @token_hash, @kind, @name, @role, @created_at, @expires_at)
+`);
+const authTokenTouch = db.prepare('UPDATE auth_tokens SET last_used_at = ? WHERE id = ?');
+const authTokenRevoke = db.prepare('UPDATE auth_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL');
+
+function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const hash = scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [algo, salt, hash] = String(stored || '').split('$');
+  if (algo !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = scryptSync(String(password), salt, expected.length);
+  return timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+function safeEqualStr(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && timingSafeEqual(ba, bb);
+}
+
+// Creates a token row and returns the plaintext token (only ever shown once).
+function issueToken({ kind, name, role, expiresAt = null }) {
+  const token = 'vz_' + randomBytes(24).toString('hex');
+  const row = {
+    id: randomUUID(),
+    token_hash: hashToken(token),
+    kind,
+    name,
+    role,
+    created_at: new Date().toISOString(),
+    expires_at: expiresAt,
+  };
+  authTokenInsert.run(row);
+  return { token, id: row.id, expires_at: row.expires_at };
+}
+
+const QUERY_TOKEN_ROUTES = [
+  /^\/events(\/scan)?$/,
+  /^\/export\//,
+  /^\/bins\/weeks\/[^/]+\/reconciliation$/,
+  /^\/bins\/weeks\/[^/]+\/[^/]+\/label$/,
+  /^\/records\/import\/jobs\/[^/]+\/rejected\.csv$/,
+];
+
+function bearerFrom(req) {
+  const h = String(req.headers.authorization || '');
+  const m = h.match(/^Bearer\s+(.+)$/i);
+  if (m) return m[1].trim();
+  const path = `${req.baseUrl || ''}${req.path}`;
+  if (req.method !== 'GET' || !QUERY_TOKEN_ROUTES.some(re => re.test(path))) return '';
+  return String(req.query.access_token || '').trim();
+}
+
+function authenticate(req) {
+  const token = bearerFrom(req);
+  if (!token) return null;
+  if (ADMIN_TOKEN && safeEqualStr(token, ADMIN_TOKEN)) {
+    return { kind: 'env', name: 'admin-token', role: ROLES.ADMIN, token_id: null };
+  }
+  const row = authTokenByHash.get(hashToken(token));
+  if (!row || row.revoked_at) return null;
+  const nowISO = new Date().toISOString();
+  if (row.expires_at && row.expires_at <= nowISO) return null;
+  if (row.kind === 'session') {
+    const user = authUserGet.get(row.name);
+    if (!user || user.disabled) return null;
+  }
+  authTokenTouch.run(nowISO, row.id);
+  return { kind: row.kind, name: row.name, role: row.role, token_id: row.id };
+}
+
+// requireRole(ROLES.SUPERVISOR, ROLES.PLANNER) or requireRole(ANY_ROLE)
+function requireRole(...roles) {
+  const allowed = new Set(roles.flat());
+  return (req, res, next) => {
+    if (AUTH_DISABLED) {
+      req.auth = { kind: 'disabled', name: 'anonymous', role: ROLES.ADMIN, token_id: null };
+      return next();
+    }
+    const auth = authenticate(req);
+    if (!auth) return res.status(401).json({ error: 'authentication required' });
+    if (auth.role !== ROLES.ADMIN && !allowed.has(auth.role)) {
+      return res.status(403).json({ error: `role '${auth.role}' is not permitted here` });
+    }
+    req.auth = auth;
+    return next();
+  };
+}
+
+// Bootstrap the first admin login from env (no-op once the user exists).
+(function bootstrapAdminUser() {
+  const username = String(process.env.AUTH_ADMIN_USER || '').trim();
+  const password = String(process.env.AUTH_ADMIN_PASSWORD || '');
+  if (!username || !password || authUserGet.get(username)) return;
+  authUserUpsert.run({ username, password_hash: hashPassword(password), role: ROLES.ADMIN });
+  console.log(`[auth] bootstrapped admin user '${username}'`);
+})();
+
+// ---- Audit trail (append-only) ----
+// One row per mutation with before/after snapshots. The triggers make the table
+// append-only at the SQLite level, not just by convention (migration 3).
+const auditInsert = db.prepare(`
+  INSERT INTO audit_log(
+    ts, actor, actor_role, source, action, entity_type, entity_id,
+    uid, po_number, mobile_bin, week_start, before_json, after_json
+  ) VALUES (
+    @ts, @actor, @actor_role, @source, @action, @entity_type, @entity_id,
+    @uid, @po_number, @mobile_bin, @week_start, @before_json, @after_json
+  )
+`);
+
+function auditSource(req) {
+  return `${req.method} ${req.baseUrl || ''}${req.route?.path || req.path}`;
+}
+
+// audit(req, { action, entity_type, entity_id?, uid?, po_number?, mobile_bin?, week_start?, before?, after? })
+function audit(req, e) {
+  const str = (v) => (v == null || String(v).trim() === '' ? null : String(v).trim());
+  auditInsert.run({
+    ts: new Date().toISOString(),
+    actor: req.auth?.name || 'anonymous',
+    actor_role: req.auth?.role || null,
+    source: auditSource(req),
+    action: e.action,
+    entity_type: e.entity_type,
+    entity_id: str(e.entity_id),
+    uid: e.uid == null ? null : String(e.uid), // UIDs are verbatim
+    po_number: str(e.po_number),
+    mobile_bin: str(e.mobile_bin),
+    week_start: str(e.week_start),
+    before_json: e.before === undefined || e.before === null ? null : JSON.stringify(e.before),
+    after_json: e.after === undefined || e.after === null ? null : JSON.stringify(e.after),
+  });
+}
+
+// Record rows carry their own keys; pull them from whichever snapshot exists.
+function auditRecord(req, action, before, after) {
+  const r = after || before || {};
+  audit(req, {
+    action,
+    entity_type: 'record',
+    entity_id: r.id,
+    uid: r.uid,
+    po_number: r.po_number,
+    mobile_bin: r.mobile_bin,
+    week_start: r.date_local ? mondayOfLoose(r.date_local) : null,
+    before,
+    after,
+  });
+}
+
+// --- SSE event bus (typed events, replay via Last-Event-ID) ---
+// Every write publishes one named event carrying the changed entity:
+//   id: <epoch>-<n>    n is monotonic for this server process; epoch changes on every start
+//   event: <type>      one of EVENT_TYPES
+//   data: { id, type, ts, actor, ...payload }
+// The last SSE_REPLAY_BUFFER events are kept in memory. A client that reconnects with
+// Last-Event-ID (header, or ?last_event_id= for hand-rolled reconnects) gets what it
+// missed; if that id is outside the buffer (too old, or from another epoch, i.e. before a
+// restart) it gets a single `reset` event, carrying the current id, and should reload from
+// the REST endpoints.
+const EVENT_TYPES = [
+  'record.created', 'record.updated', 'record.deleted',
+  'plan.updated', 'bins.updated', 'receiving.updated', 'flow_week.updated',
+  // milestones (mostly for webhooks): a UID became complete, a week's receiving was
+  // signed off, an intl lane got its departed date
+  'uid.applied', 'receiving.completed', 'lane.departed',
+  'import_job.updated',
+  'bins.state_changed',
+];
+const EVENT_REPLAY_MAX = Math.max(10, Number(process.env.SSE_REPLAY_BUFFER || 1000));
+// Bulk writes (imports) above this send counts only; clients reload instead of patching.
+const EVENT_RECORDS_MAX = 500;
+// Comment frames keep idle streams open through proxies (Render drops them after ~60s).
+const EVENT_HEARTBEAT_MS = Math.max(1000, Number(process.env.SSE_HEARTBEAT_MS || 20000));
+
+// Connected streams, by connection id; GET /events/clients lists them.
+const clients = new Map();
+let _clientSeq = 0;
+const _eventBuffer = []; // { evt, frame, scope, records? }
+let _eventSeq = 0;
+// Sequence numbers restart with the process, so stream ids carry a per-boot epoch
+const EVENT_EPOCH = Date.now().toString(36);
+const sseEventId = (n) => `${EVENT_EPOCH}-${n}`;
+
+function _sseFrame(evt) {
+  return `id: ${sseEventId(evt.id)}\nevent: ${evt.type}\ndata: ${JSON.stringify(evt)}\n\n`;
+}
+
+// Which facilities / weeks an event touches. Empty = not tied to one, so every filter gets it
+// (bins and receiving carry no facility; records scanned before migration 7 neither).
+function eventScope(payload, records) {
+  const facilities = new Set();
+  const weeks = new Set();
+  if (payload.facility) facilities.add(normFacility(payload.facility));
+  if (payload.week_start) weeks.add(payload.week_start);
+  for (const l of payload.lines || []) if (l.facility_name) facilities.add(normFacility(l.facility_name));
+  for (const r of records || []) {
+    if (r.facility) facilities.add(normFacility(r.facility));
+    if (r.date_local) weeks.add(mondayOfLoose(r.date_local));
+  }
+  return { facilities, weeks };
+}
+
+function clientWants(c, type, scope) {
+  if (c.topics && !c.topics.some(t => t === type || t === type.split('.')[0])) return false;
+  if (c.facility && scope.facilities.size && !scope.facilities.has(c.facility)) return false;
+  if (c.week && scope.weeks.size && !scope.weeks.has(c.week)) return false;
+  return true;
+}
+
+function _sendToClient(c, entry) {
+  try {
+    c.res.write(entry.frame);
+    c.last_event_id = sseEventId(entry.evt.id);
+    c.events_sent++;
+  } catch {}
+}
+
+function publishEvent(req, type, payload = {}, records = null) {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`unknown event type: ${type}`);
+  const evt = {
+    id: ++_eventSeq,
+    type,
+    ts: new Date().toISOString(),
+    actor: req?.auth?.name || null,
+    ...payload,
+  };
+  const entry = { evt, frame: _sseFrame(evt), scope: eventScope(payload, records || payload.records) };
+  _eventBuffer.push(entry);
+  if (_eventBuffer.length > EVENT_REPLAY_MAX) _eventBuffer.shift();
+  for (const c of clients.values()) {
+    if (clientWants(c, type, entry.scope)) _sendToClient(c, entry);
   }
+  // webhooks get the full record list even when the SSE payload was cut down to a count
+  enqueueWebhooks(evt.truncated && records ? { ...entry, records } : entry);
+  return evt;
 }
 
-app.get('/events/scan', (req, res) => {
+// record.* payload: { records: [...] } or, for big batches, { count, truncated: true }
+function publishRecords(req, type, records) {
+  const list = records.filter(Boolean);
+  if (!list.length) return null;
+  return publishEvent(req, type, list.length > EVENT_RECORDS_MAX
+    ? { count: list.length, truncated: true }
+    : { count: list.length, records: list }, list);
+}
+
+// uid.applied: the write took a row from not-complete (or nothing) to complete
+function isNewlyApplied(before, after) {
+  return after?.status === 'complete' && before?.status !== 'complete';
+}
+
+setInterval(() => {
+  const frame = `: heartbeat ${new Date().toISOString()}\n\n`;
+  for (const c of clients.values()) {
+    try { c.res.write(frame); c.last_heartbeat_at = new Date().toISOString(); } catch {}
+  }
+}, EVENT_HEARTBEAT_MS).unref();
+
+// Topics are event types ('plan.updated') or their prefix ('record' = record.*).
+const EVENT_TOPICS = [...new Set(EVENT_TYPES.map(t => t.split('.')[0])), ...EVENT_TYPES];
+
+// GET /events/scan?facility=LKWF&week=2025-06-02&topics=record,plan.updated&station=Dock-3
+function sseStream(req, res) {
+  const topics = String(req.query.topics || '').split(',').map(t => t.trim()).filter(Boolean);
+  const badTopic = topics.find(t => !EVENT_TOPICS.includes(t));
+  if (badTopic) return res.status(400).json({ error: `unknown topic '${badTopic}' (allowed: ${EVENT_TOPICS.join(', ')})` });
+  const weekRaw = String(req.query.week || '').trim();
+  const week = weekRaw ? mondayOfLoose(weekRaw) : null;
+  if (weekRaw && !week) return res.status(400).json({ error: 'invalid week' });
+
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
     'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
     'Access-Control-Allow-Origin': allowList.includes('*') ? '*' : (req.headers.origin || allowList[0] || '*')
   });
-  res.write('\n');
-  clients.add(res);
-  req.on('close', () => { clients.delete(res); });
+  res.write('retry: 3000\n\n');
+
+  const now = new Date().toISOString();
+  const c = {
+    id: ++_clientSeq,
+    res,
+    station: String(req.query.station || req.headers['x-station'] || '').trim() || null,
+    user: req.auth?.name || null,
+    role: req.auth?.role || null,
+    facility: normFacility(req.query.facility) || null,
+    week,
+    topics: topics.length ? topics : null,
+    ip: req.ip || null,
+    user_agent: req.headers['user-agent'] || null,
+    connected_at: now,
+    last_heartbeat_at: null,
+    last_event_id: null,
+    events_sent: 0,
+  };
+
+  const lastRaw = req.headers['last-event-id'] ?? req.query.last_event_id;
+  if (lastRaw != null && String(lastRaw).trim() !== '') {
+    const m = String(lastRaw).trim().match(/^([0-9a-z]+)-(\d+)$/);
+    const lastId = m && m[1] === EVENT_EPOCH ? Number(m[2]) : NaN;
+    const oldest = _eventBuffer.length ? _eventBuffer[0].evt.id : _eventSeq + 1;
+    if (Number.isInteger(lastId) && lastId >= oldest - 1 && lastId <= _eventSeq) {
+      for (const e of _eventBuffer) {
+        if (e.evt.id > lastId && clientWants(c, e.evt.type, e.scope)) _sendToClient(c, e);
+      }
+    } else {
+      // the current id, so the client's next reconnect replays from here instead of resetting again
+      const id = sseEventId(_eventSeq);
+      res.write(`id: ${id}\nevent: reset\ndata: ${JSON.stringify({ type: 'reset', last_event_id: id, reason: 'last_event_id outside replay buffer' })}\n\n`);
+    }
+  }
+
+  clients.set(c.id, c);
+  req.on('close', () => { clients.delete(c.id); });
+}
+
+app.get('/events/scan', requireRole(ANY_ROLE), sseStream);
+app.get('/events', requireRole(ANY_ROLE), sseStream);
+
+// Who is listening right now (scanning stations, dashboards), newest first.
+app.get('/events/clients', requireRole(ROLES.SUPERVISOR), (req, res) => {
+  const list = [...clients.values()].reverse().map(({ res: _res, ...c }) => c);
+  return res.json({ count: list.length, heartbeat_ms: EVENT_HEARTBEAT_MS, last_event_id: sseEventId(_eventSeq), clients: list });
+});
+
+// --- Outbound webhooks (durable outbox) ---
+// Subscriptions pick event types (EVENT_TYPES) and optionally one facility; unlike SSE,
+// a facility filter only matches events that name that facility. Each matching event
+// becomes a webhook_deliveries row when it is published (so it survives a restart), and
+// a worker POSTs it:
+//   X-Webhook-Id: <delivery id>   X-Webhook-Event: <type>   X-Webhook-Timestamp: <unix s>
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256(secret, `${timestamp}.${body}`)>
+// Any 2xx is delivered. Otherwise retry with exponential backoff
+// (WEBHOOK_BACKOFF_MS * 2^(attempt-1), capped at 6h); after WEBHOOK_MAX_ATTEMPTS the row
+// is 'dead' until someone replays it.
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8));
+const WEBHOOK_BACKOFF_MS = Math.max(100, Number(process.env.WEBHOOK_BACKOFF_MS || 30000));
+const WEBHOOK_BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = Math.max(1000, Number(process.env.WEBHOOK_TIMEOUT_MS || 10000));
+const WEBHOOK_POLL_MS = Math.max(500, Number(process.env.WEBHOOK_POLL_MS || 5000));
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+let _webhookSubs = null; // enabled subscriptions; reset by every subscription write
+function webhookSubscriptions() {
+  if (!_webhookSubs) {
+    _webhookSubs = db.prepare(`SELECT * FROM webhook_subscriptions WHERE enabled = 1`).all()
+      .map(s => ({ ...s, types: new Set(safeJsonParse(s.event_types, [])) }));
+  }
+  return _webhookSubs;
+}
+
+const webhookSubGet = db.prepare(`SELECT * FROM webhook_subscriptions WHERE id = ?`);
+const webhookDeliveryGet = db.prepare(`SELECT * FROM webhook_deliveries WHERE id = ?`);
+const webhookDeliveryInsert = db.prepare(`
+  INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload, status, attempts, next_attempt_at, created_at)
+  VALUES (?, ?, ?, ?, 'pending', 0, ?, ?)
+`);
+const webhookDeliveriesDue = db.prepare(`
+  SELECT * FROM webhook_deliveries
+  WHERE status = 'pending' AND next_attempt_at <= ?
+  ORDER BY next_attempt_at, id
+  LIMIT 20
+`);
+
+function webhookSubOut(s, { withSecret = false } = {}) {
+  const { secret, event_types, ...rest } = s;
+  return { ...rest, event_types: safeJsonParse(event_types, []), enabled: Boolean(s.enabled), ...(withSecret ? { secret } : {}) };
+}
+
+function webhookDeliveryOut(d, { withPayload = false } = {}) {
+  const { payload, ...rest } = d;
+  return withPayload ? { ...rest, payload: safeJsonParse(payload, null) } : rest;
+}
+
+function webhookSign(secret, timestamp, body) {
+  return 'sha256=' + createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// A truncated record.* / uid.applied event goes out as several deliveries of at most
+// EVENT_RECORDS_MAX records each: { ...event, records, part, parts } (count stays the total).
+function webhookBodies(entry) {
+  const { truncated, ...evt } = entry.evt;
+  if (!truncated || !entry.records) return [JSON.stringify(entry.evt)];
+  const parts = Math.ceil(entry.records.length / EVENT_RECORDS_MAX);
+  const bodies = [];
+  for (let i = 0; i < parts; i++) {
+    const records = entry.records.slice(i * EVENT_RECORDS_MAX, (i + 1) * EVENT_RECORDS_MAX);
+    bodies.push(JSON.stringify({ ...evt, records, part: i + 1, parts }));
+  }
+  return bodies;
+}
+
+function enqueueWebhooks(entry) {
+  const subs = webhookSubscriptions().filter(s =>
+    s.types.has(entry.evt.type) && (!s.facility || entry.scope.facilities.has(s.facility)));
+  if (!subs.length) return;
+  const now = new Date().toISOString();
+  const bodies = webhookBodies(entry);
+  for (const s of subs) {
+    for (const body of bodies) webhookDeliveryInsert.run(s.id, entry.evt.id, entry.evt.type, body, now, now);
+  }
+  setImmediate(runWebhookDeliveries);
+}
+
+async function attemptWebhookDelivery(d) {
+  const sub = webhookSubGet.get(d.subscription_id);
+  const now = new Date();
+  const attempts = d.attempts + 1;
+  let httpStatus = null;
+  let error = null;
+  if (!sub) {
+    error = 'subscription deleted';
+  } else {
+    const ts = Math.floor(now.getTime() / 1000);
+    try {
+      const r = await fetch(sub.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'uid-ops-webhooks/1',
+          'X-Webhook-Id': String(d.id),
+          'X-Webhook-Event': d.event_type,
+          'X-Webhook-Timestamp': String(ts),
+          'X-Webhook-Signature': webhookSign(sub.secret, ts, d.payload),
+        },
+        body: d.payload,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      httpStatus = r.status;
+      if (!r.ok) error = `HTTP ${r.status}`;
+    } catch (e) {
+      error = String(e?.cause?.code || e?.message || e);
+    }
+  }
+
+  if (!error) {
+    db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = 'delivered', attempts = ?, last_attempt_at = ?, last_status = ?, last_error = NULL,
+          next_attempt_at = NULL, delivered_at = ?
+      WHERE id = ?
+    `).run(attempts, now.toISOString(), httpStatus, now.toISOString(), d.id);
+    return;
+  }
+  const dead = !sub || attempts >= WEBHOOK_MAX_ATTEMPTS;
+  const wait = Math.min(WEBHOOK_BACKOFF_MAX_MS, WEBHOOK_BACKOFF_MS * 2 ** (attempts - 1));
+  db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = ?, last_attempt_at = ?, last_status = ?, last_error = ?, next_attempt_at = ?
+    WHERE id = ?
+  `).run(dead ? 'dead' : 'pending', attempts, now.toISOString(), httpStatus, error,
+    dead ? null : new Date(now.getTime() + wait).toISOString(), d.id);
+}
+
+let _webhooksRunning = false;
+async function runWebhookDeliveries() {
+  if (_webhooksRunning) return;
+  _webhooksRunning = true;
+  try {
+    for (;;) {
+      const due = webhookDeliveriesDue.all(new Date().toISOString());
+      if (!due.length) break;
+      for (const d of due) await attemptWebhookDelivery(d);
+    }
+  } catch (e) {
+    console.error('[webhooks] delivery run failed:', e);
+  } finally {
+    _webhooksRunning = false;
+  }
+}
+setInterval(runWebhookDeliveries, WEBHOOK_POLL_MS).unref();
+
+function parseWebhookSubscription(body, prev = null) {
+  const b = (body && typeof body === 'object') ? body : {};
+  const out = {};
+  if ('url' in b || !prev) {
+    let u = null;
+    try { u = new URL(String(b.url || '')); } catch {}
+    if (!u || !/^https?:$/.test(u.protocol)) return { error: 'url must be an http(s) URL' };
+    out.url = u.toString();
+  }
+  if ('event_types' in b || !prev) {
+    const types = Array.isArray(b.event_types) ? b.event_types.map(t => String(t).trim()) : [];
+    if (!types.length) return { error: `event_types required (any of: ${EVENT_TYPES.join(', ')})` };
+    const bad = types.find(t => !EVENT_TYPES.includes(t));
+    if (bad) return { error: `unknown event type '${bad}' (allowed: ${EVENT_TYPES.join(', ')})` };
+    out.event_types = JSON.stringify([...new Set(types)]);
+  }
+  if ('facility' in b) out.facility = normFacility(b.facility) || null;
+  if ('enabled' in b) out.enabled = b.enabled ? 1 : 0;
+  if ('description' in b) out.description = b.description ? String(b.description).trim() : null;
+  if ('secret' in b) {
+    const secret = String(b.secret || '');
+    if (secret.length < 16) return { error: 'secret must be at least 16 characters' };
+    out.secret = secret;
+  }
+  return { sub: out };
+}
+
+app.get('/webhooks', requireRole(ROLES.ADMIN), (req, res) => {
+  const subs = db.prepare(`SELECT * FROM webhook_subscriptions ORDER BY id`).all();
+  const counts = db.prepare(`
+    SELECT subscription_id, status, COUNT(*) AS n FROM webhook_deliveries GROUP BY subscription_id, status
+  `).all();
+  return res.json({
+    event_types: EVENT_TYPES,
+    subscriptions: subs.map(s => {
+      const mine = counts.filter(c => c.subscription_id === s.id);
+      return {
+        ...webhookSubOut(s),
+        deliveries: Object.fromEntries(WEBHOOK_DELIVERY_STATUSES.map(st => [st, mine.find(c => c.status === st)?.n || 0])),
+      };
+    }),
+  });
+});
+
+// POST /webhooks   body: { url, event_types: [...], facility?, secret?, description? }
+// -> the subscription with its secret (generated if not given); the secret is not shown again.
+app.post('/webhooks', requireRole(ROLES.ADMIN), (req, res) => {
+  const { sub, error } = parseWebhookSubscription(req.body);
+  if (error) return res.status(400).json({ error });
+  const now = new Date().toISOString();
+  const row = {
+    facility: null, enabled: 1, description: null, secret: randomBytes(24).toString('hex'),
+    ...sub, created_at: now, created_by: req.auth?.name || null, updated_at: now,
+  };
+  const after = db.transaction(() => {
+    const id = db.prepare(`
+      INSERT INTO webhook_subscriptions (url, secret, event_types, facility, enabled, description, created_at, created_by, updated_at)
+      VALUES (@url, @secret, @event_types, @facility, @enabled, @description, @created_at, @created_by, @updated_at)
+    `).run(row).lastInsertRowid;
+    const saved = webhookSubGet.get(id);
+    audit(req, { action: 'create', entity_type: 'webhook', entity_id: id, before: null, after: webhookSubOut(saved) });
+    return saved;
+  })();
+  _webhookSubs = null;
+  return res.json({ ok: true, subscription: webhookSubOut(after, { withSecret: true }) });
+});
+
+// PATCH /webhooks/:id   body: any of url, event_types, facility, enabled, description, secret
+app.patch('/webhooks/:id', requireRole(ROLES.ADMIN), (req, res) => {
+  const before = webhookSubGet.get(Number(req.params.id));
+  if (!before) return res.status(404).json({ error: 'webhook not found' });
+  const { sub, error } = parseWebhookSubscription(req.body, before);
+  if (error) return res.status(400).json({ error });
+  if (!Object.keys(sub).length) return res.status(400).json({ error: 'nothing to update' });
+
+  const after = db.transaction(() => {
+    const sets = Object.keys(sub).map(k => `${k} = @${k}`).join(', ');
+    db.prepare(`UPDATE webhook_subscriptions SET ${sets}, updated_at = @updated_at WHERE id = @id`)
+      .run({ ...sub, updated_at: new Date().toISOString(), id: before.id });
+    const saved = webhookSubGet.get(before.id);
+    audit(req, { action: 'update', entity_type: 'webhook', entity_id: before.id, before: webhookSubOut(before), after: webhookSubOut(saved) });
+    return saved;
+  })();
+  _webhookSubs = null;
+  return res.json({ ok: true, subscription: webhookSubOut(after, { withSecret: 'secret' in sub }) });
+});
+
+// DELETE /webhooks/:id  -> pending deliveries for it go dead on their next attempt
+app.delete('/webhooks/:id', requireRole(ROLES.ADMIN), (req, res) => {
+  const before = webhookSubGet.get(Number(req.params.id));
+  if (!before) return res.status(404).json({ error: 'webhook not found' });
+  db.transaction(() => {
+    db.prepare(`DELETE FROM webhook_subscriptions WHERE id = ?`).run(before.id);
+    audit(req, { action: 'delete', entity_type: 'webhook', entity_id: before.id, before: webhookSubOut(before), after: null });
+  })();
+  _webhookSubs = null;
+  return res.json({ ok: true, id: before.id });
+});
+
+// POST /webhooks/:id/test  -> queues a signed `ping` so receivers can check their verification
+app.post('/webhooks/:id/test', requireRole(ROLES.ADMIN), (req, res) => {
+  const sub = webhookSubGet.get(Number(req.params.id));
+  if (!sub) return res.status(404).json({ error: 'webhook not found' });
+  const now = new Date().toISOString();
+  const body = JSON.stringify({ id: null, type: 'ping', ts: now, actor: req.auth?.name || null, subscription_id: sub.id });
+  const id = webhookDeliveryInsert.run(sub.id, null, 'ping', body, now, now).lastInsertRowid;
+  setImmediate(runWebhookDeliveries);
+  return res.json({ ok: true, delivery: webhookDeliveryOut(webhookDeliveryGet.get(id)) });
+});
+
+// GET /webhooks/deliveries?status=pending|delivered|dead&subscription_id=&event_type=&limit=
+// status=dead is the dead-letter list.
+app.get('/webhooks/deliveries', requireRole(ROLES.ADMIN), (req, res) => {
+  const where = [];
+  const params = [];
+  const status = String(req.query.status || '').trim();
+  if (status) {
+    if (!WEBHOOK_DELIVERY_STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}` });
+    where.push('status = ?'); params.push(status);
+  }
+  if (req.query.subscription_id) { where.push('subscription_id = ?'); params.push(Number(req.query.subscription_id)); }
+  if (req.query.event_type) { where.push('event_type = ?'); params.push(String(req.query.event_type)); }
+  const limit = Math.min(1000, Math.max(1, Number(req.query.limit) || 100));
+  const rows = db.prepare(`
+    SELECT * FROM webhook_deliveries
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY id DESC
+    LIMIT ${limit}
+  `).all(...params);
+  return res.json({ deliveries: rows.map(d => webhookDeliveryOut(d)) });
+});
+
+app.get('/webhooks/deliveries/:id', requireRole(ROLES.ADMIN), (req, res) => {
+  const d = webhookDeliveryGet.get(Number(req.params.id));
+  if (!d) return res.status(404).json({ error: 'delivery not found' });
+  return res.json(webhookDeliveryOut(d, { withPayload: true }));
+});
+
+// POST /webhooks/deliveries/replay   body: { ids: [..] } | { status: 'dead', subscription_id? }
+// Puts dead deliveries back in the queue with a fresh attempt budget (same payload, new
+// signature). Listed ids that are pending or already delivered are left alone.
+app.post('/webhooks/deliveries/replay', requireRole(ROLES.ADMIN), (req, res) => {
+  const b = (req.body && typeof req.body === 'object') ? req.body : {};
+  const now = new Date().toISOString();
+  let info;
+  if (Array.isArray(b.ids) && b.ids.length) {
+    const ids = b.ids.map(Number).filter(Number.isInteger);
+    if (!ids.length) return res.status(400).json({ error: 'ids must be delivery ids (integers)' });
+    info = db.prepare(`
+      UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?
+      WHERE status = 'dead' AND id IN (${ids.map(() => '?').join(',')})
+    `).run(now, ...ids);
+  } else if (b.status === 'dead') {
+    const sid = b.subscription_id != null ? Number(b.subscription_id) : null;
+    info = db.prepare(`
+      UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?
+      WHERE status = 'dead' AND (? IS NULL OR subscription_id = ?)
+    `).run(now, sid, sid);
+  } else {
+    return res.status(400).json({ error: "body must be { ids: [...] } or { status: 'dead' }" });
+  }
+  setImmediate(runWebhookDeliveries);
+  return res.json({ ok: true, requeued: info.changes });
 });
 
 // --- Health ---
-app.get('/health', (req, res) => res.json({ ok: true, now: new Date().toISOString() }));
+app.get('/health', (req, res) => res.json({
+  ok: true,
+  now: new Date().toISOString(),
+  schema_version: db.prepare('SELECT COALESCE(MAX(version), 0) AS v FROM schema_version').get().v,
+}));
+
+// ===== Auth API =====
+
+// POST /auth/login   body: { username, password }  -> session token
+app.post('/auth/login', (req, res) => {
+  const username = String(req.body?.username || '').trim();
+  const password = String(req.body?.password || '');
+  if (!username || !password) return res.status(400).json({ error: 'username and password required' });
+
+  const user = authUserGet.get(username);
+  if (!user || user.disabled || !verifyPassword(password, user.password_hash)) {
+    return res.status(401).json({ error: 'invalid credentials' });
+  }
+  const expiresAt = new Date(Date.now() + AUTH_SESSION_HOURS * 3600e3).toISOString();
+  const { token, expires_at } = issueToken({ kind: 'session', name: user.username, role: user.role, expiresAt });
+  return res.json({ ok: true, token, username: user.username, role: user.role, expires_at });
+});
+
+app.post('/auth/logout', requireRole(ANY_ROLE), (req, res) => {
+  if (req.auth.kind === 'session') authTokenRevoke.run(new Date().toISOString(), req.auth.token_id);
+  return res.json({ ok: true });
+});
+
+app.get('/auth/me', requireRole(ANY_ROLE), (req, res) => {
+  return res.json({ name: req.auth.name, role: req.auth.role, kind: req.auth.kind });
+});
+
+app.get('/auth/users', requireRole(ROLES.ADMIN), (req, res) => {
+  const rows = db.prepare(`SELECT username, role, disabled, created_at FROM auth_users ORDER BY username`).all();
+  return res.json(rows.map(r => ({ ...r, disabled: Boolean(r.disabled) })));
+});
+
+// POST /auth/users   body: { username, password, role }  (create or reset)
+app.post('/auth/users', requireRole(ROLES.ADMIN), (req, res) => {
+  const username = String(req.body?.username || '').trim();
+  const password = String(req.body?.password || '');
+  const role = String(req.body?.role || '').trim();
+  if (!username || !password) return res.status(400).json({ error: 'username and password required' });
+  if (!ROLE_SET.has(role)) return res.status(400).json({ error: `role must be one of: ${ANY_ROLE.join(', ')}` });
+
+  authUserUpsert.run({ username, password_hash: hashPassword(password), role });
+  return res.json({ ok: true, username, role });
+});
+
+// DELETE /auth/users/:username  -> disables the login and revokes its sessions
+app.delete('/auth/users/:username', requireRole(ROLES.ADMIN), (req, res) => {
+  const username = String(req.params.username || '').trim();
+  const info = db.prepare(`UPDATE auth_users SET disabled = 1 WHERE username = ?`).run(username);
+  if (!info.changes) return res.status(404).json({ error: 'user not found' });
+  db.prepare(`UPDATE auth_tokens SET revoked_at = ? WHERE kind = 'session' AND name = ? AND revoked_at IS NULL`)
+    .run(new Date().toISOString(), username);
+  return res.json({ ok: true, username });
+});
+
+app.get('/auth/tokens', requireRole(ROLES.ADMIN), (req, res) => {
+  const rows = db.prepare(`
+    SELECT id, name, role, created_at, expires_at, last_used_at, revoked_at
+    FROM auth_tokens
+    WHERE kind = 'api'
+    ORDER BY created_at DESC
+  `).all();
+  return res.json(rows);
+});
+
+// POST /auth/tokens   body: { name, role }  -> { token } (plaintext returned once)
+app.post('/auth/tokens', requireRole(ROLES.ADMIN), (req, res) => {
+  const name = String(req.body?.name || '').trim();
+  const role = String(req.body?.role || '').trim();
+  if (!name) return res.status(400).json({ error: 'name required' });
+  if (!ROLE_SET.has(role)) return res.status(400).json({ error: `role must be one of: ${ANY_ROLE.join(', ')}` });
+
+  const { token, id } = issueToken({ kind: 'api', name, role });
+  return res.json({ ok: true, id, name, role, token });
+});
+
+app.delete('/auth/tokens/:id', requireRole(ROLES.ADMIN), (req, res) => {
+  const info = authTokenRevoke.run(new Date().toISOString(), String(req.params.id));
+  if (!info.changes) return res.status(404).json({ error: 'token not found or already revoked' });
+  return res.json({ ok: true, id: req.params.id });
+});
 
 
 // ===== Flow Week API (facility-scoped, week-scoped) =====
 
 // GET /flow/week/:weekStart?facility=LKWF
-app.get('/flow/week/:weekStart', (req, res) => {
+app.get('/flow/week/:weekStart', requireRole(ANY_ROLE), (req, res) => {
   const wsIn = String(req.params.weekStart || '').trim();
   const facility = normFacility(req.query.facility);
   if (!facility) return res.status(400).json({ error: 'facility required' });
@@ -258,7 +1553,7 @@ app.get('/flow/week/:weekStart', (req, res) => {
 });
 
 // GET /flow/week/:weekStart/all   (full view across facilities)
-app.get('/flow/week/:weekStart/all', (req, res) => {
+app.get('/flow/week/:weekStart/all', requireRole(ANY_ROLE), (req, res) => {
   const wsIn = String(req.params.weekStart || '').trim();
   const monday = mondayOfLoose(wsIn);
   if (!monday) return res.status(400).json({ error: 'invalid weekStart' });
@@ -274,18 +1569,8 @@ app.get('/flow/week/:weekStart/all', (req, res) => {
   return res.json({ week_start: monday, facilities });
 });
 
-// POST /flow/week/:weekStart?facility=LKWF   body: { ...patch }
-app.post('/flow/week/:weekStart', (req, res) => {
-  const wsIn = String(req.params.weekStart || '').trim();
-  const facility = normFacility(req.query.facility);
-  if (!facility) return res.status(400).json({ error: 'facility required' });
-
-  const monday = mondayOfLoose(wsIn);
-  if (!monday) return res.status(400).json({ error: 'invalid weekStart' });
-
-  const patch = (req.body && typeof req.body === 'object') ? req.body : null;
-  if (!patch) return res.status(400).json({ error: 'patch object required' });
-
+// Merges `patch` into the stored week (intl_lanes merge per lane key), audits and publishes it.
+function writeFlowWeek(req, facility, monday, patch) {
   const existingRow = flowWeekGet.get(facility, monday);
   const existing = existingRow ? (safeJsonParse(existingRow.data, {}) || {}) : {};
   const merged = (function mergeFlowWeek(existingObj, patchObj) {
@@ -303,67 +1588,363 @@ app.post('/flow/week/:weekStart', (req, res) => {
     return out;
   })(existing, patch);
 
-  flowWeekUpsert.run(facility, monday, JSON.stringify(merged));
+  db.transaction(() => {
+    flowWeekUpsert.run(facility, monday, JSON.stringify(merged));
+    audit(req, {
+      action: existingRow ? 'update' : 'create', entity_type: 'flow_week', entity_id: `${facility}|${monday}`,
+      week_start: monday, before: existingRow ? existing : null, after: merged,
+    });
+  })();
+  publishEvent(req, 'flow_week.updated', { facility, week_start: monday, data: merged });
+  return { existing, merged };
+}
 
-  return res.json({ ok: true, facility, week_start: monday, data: merged });
-});
+// POST /flow/week/:weekStart?facility=LKWF   body: { ...patch }
+app.post('/flow/week/:weekStart', requireRole(ROLES.SUPERVISOR, ROLES.PLANNER), (req, res) => {
+  const wsIn = String(req.params.weekStart || '').trim();
+  const facility = normFacility(req.query.facility);
+  if (!facility) return res.status(400).json({ error: 'facility required' });
 
+  const monday = mondayOfLoose(wsIn);
+  if (!monday) return res.status(400).json({ error: 'invalid weekStart' });
 
+  const patch = (req.body && typeof req.body === 'object') ? req.body : null;
+  if (!patch) return res.status(400).json({ error: 'patch object required' });
 
-// --- Inline cell patch from Intake table ---
-app.patch('/records/:id', (req, res) => {
-  const id = String(req.params.id);
-  const { field, value } = req.body || {};
-  if (!id || !field) return res.status(400).json({ error: 'id and field required' });
+  const { existing, merged } = writeFlowWeek(req, facility, monday, patch);
+  if (merged.receivingComplete && !existing.receivingComplete) {
+    publishEvent(req, 'receiving.completed', {
+      facility, week_start: monday, receiving_at: merged.receivingAt || null,
+      rows: db.prepare(`SELECT * FROM receiving WHERE week_start = ? ORDER BY supplier_name, po_number`).all(monday),
+    });
+  }
+  // lanes are saved by the Flow page as intl_lanes[laneKey] = { departed, arrived, ... }
+  for (const [lane, v] of Object.entries(merged.intl_lanes || {})) {
+    const was = existing.intl_lanes?.[lane] || {};
+    const departed = v?.departed || v?.departed_at;
+    if (departed && !(was.departed || was.departed_at)) {
+      publishEvent(req, 'lane.departed', { facility, week_start: monday, lane, departed_at: departed, data: v });
+    }
+  }
 
-  const allowed = new Set(['date_local','mobile_bin','sscc_label','po_number','sku_code','uid']);
-  if (!allowed.has(field)) return res.status(400).json({ error: `Invalid field: ${field}` });
+  return res.json({ ok: true, facility, week_start: monday, data: merged });
+});
 
-  let row = selectRecordById.get(id);
-  let createdNow = false;
-  if (!row) {
-    db.prepare(`INSERT INTO records(id, date_local, status, sync_state) VALUES(?, ?, 'draft', 'pending')`)
-      .run(id, todayChicagoISO());
-    row = selectRecordById.get(id);
-    createdNow = true;
+
+
+// ---- Validation rules (UID / SSCC) ----
+// Rules live in validation_rules (migration 8) and apply to non-empty values only.
+// scope: global | sku (scope_value = sku_code) | supplier (scope_value = supplier_name,
+// resolved from the PO's most recent plan line). mode 'reject' blocks the write,
+// 'warn' saves it and reports the problem back.
+const VALIDATION_FIELDS = ['uid', 'sscc_label'];
+const VALIDATION_SCOPES = ['global', 'sku', 'supplier'];
+const VALIDATION_KINDS = ['regex', 'length', 'gs1_sscc'];
+const VALIDATION_MODES = ['warn', 'reject'];
+
+let _validationRules = null; // cache; reset by every rule write
+function validationRules() {
+  if (!_validationRules) {
+    _validationRules = db.prepare(`SELECT * FROM validation_rules WHERE enabled = 1 ORDER BY id`).all()
+      .map(r => {
+        let re = null;
+        if (r.kind === 'regex') { try { re = new RegExp(r.pattern); } catch { re = null; } }
+        return { ...r, re };
+      });
   }
+  return _validationRules;
+}
 
-  const next = { ...row, [field]: String(value ?? '') };
-  const completed = isComplete(next);
+const supplierForPOStmt = db.prepare(`
+  SELECT supplier_name FROM plan_lines
+  WHERE po_number = ? AND supplier_name IS NOT NULL
+  ORDER BY week_start DESC
+  LIMIT 1
+`);
 
-  db.prepare(`
-    UPDATE records SET
-      date_local=?, mobile_bin=?, sscc_label=?, po_number=?, sku_code=?, uid=?,
-      status=?, completed_at=?, sync_state=? WHERE id=?
-  `).run(
-    next.date_local || row.date_local || todayChicagoISO(),
-    next.mobile_bin ?? row.mobile_bin ?? '',
-    next.sscc_label ?? row.sscc_label ?? '',
-    next.po_number  ?? row.po_number  ?? '',
-    next.sku_code   ?? row.sku_code   ?? '',
-    next.uid        ?? row.uid        ?? '',
-    completed ? 'complete' : 'draft',
-    completed ? new Date().toISOString() : row.completed_at,
-    completed ? 'synced' : 'pending',
-    id
-  );
+// SSCC-18: 17 data digits + mod-10 check digit (GS1 weights 3,1,3,... from the left).
+// Accepts the "(00)" / "00" application identifier prefix scanners often include.
+function gs1CheckDigit(data17) {
+  let sum = 0;
+  for (let i = 0; i < 17; i++) sum += Number(data17[i]) * (i % 2 === 0 ? 3 : 1);
+  return (10 - (sum % 10)) % 10;
+}
 
-  const after = selectRecordById.get(id);
+function gs1SsccCheck(raw) {
+  let v = String(raw).replace(/[\s()]/g, '');
+  if (v.length === 20 && v.startsWith('00')) v = v.slice(2);
+  if (!/^\d{18}$/.test(v)) return 'must be 18 digits (SSCC-18)';
+  const expected = gs1CheckDigit(v);
+  return Number(v[17]) === expected ? null : `GS1 check digit is ${v[17]}, expected ${expected}`;
+}
+
+function ruleProblem(rule, value) {
+  if (rule.kind === 'gs1_sscc') return gs1SsccCheck(value);
+  if (rule.kind === 'length') {
+    const n = value.length;
+    if (rule.min_len != null && n < rule.min_len) return `length ${n} is below ${rule.min_len}`;
+    if (rule.max_len != null && n > rule.max_len) return `length ${n} is above ${rule.max_len}`;
+    return null;
+  }
+  if (rule.kind === 'regex') {
+    if (!rule.re) return null; // invalid patterns are refused on write; ignore legacy ones
+    return rule.re.test(value) ? null : `does not match /${rule.pattern}/`;
+  }
+  return null;
+}
 
-  // if just completed, pulse
-  if (completed && row.status !== 'complete') emitScan(new Date(after.completed_at));
+// validateRecordFields({ uid, sscc_label, sku_code, po_number }) -> { errors: [], warnings: [] }
+// Each issue: { field, rule_id, mode, message }.
+function validateRecordFields(rec) {
+  const out = { errors: [], warnings: [] };
+  const rules = validationRules();
+  if (!rules.length) return out;
+
+  let supplier;
+  const supplierOf = () => {
+    if (supplier === undefined) {
+      const po = String(rec.po_number || '').trim();
+      supplier = po ? (supplierForPOStmt.get(po)?.supplier_name || '') : '';
+    }
+    return supplier;
+  };
 
-  // if we created a new shell but it duplicates an existing composite, drop the shell
-  if (createdNow && after.po_number && after.sku_code && after.uid) {
-    const ex = selectByComposite.get(after.po_number, after.sku_code, after.uid);
-    if (ex && ex.id && ex.id !== id) { try { deleteById.run(id); } catch {} }
+  for (const rule of rules) {
+    const value = String(rec[rule.field] ?? '');
+    if (!value.trim()) continue;
+    if (rule.scope === 'sku' && String(rec.sku_code || '').trim() !== rule.scope_value) continue;
+    if (rule.scope === 'supplier' && supplierOf() !== rule.scope_value) continue;
+    const problem = ruleProblem(rule, value);
+    if (!problem) continue;
+    const issue = {
+      field: rule.field,
+      rule_id: rule.id,
+      mode: rule.mode,
+      message: `${rule.field} ${problem}${rule.description ? ` — ${rule.description}` : ''}`,
+    };
+    (rule.mode === 'reject' ? out.errors : out.warnings).push(issue);
   }
+  return out;
+}
 
-  return res.json({ ok: true, record: after });
-});
+// Same entry shape /records/import has always returned in `errors`.
+function validationEntries(index, rec, issues) {
+  return issues.map(i => ({
+    index,
+    po_number: rec.po_number,
+    sku_code:  rec.sku_code,
+    uid:       rec.uid,
+    reason:    i.message,
+    rule_id:   i.rule_id,
+  }));
+}
 
-// --- Create record (used by UI once a row is complete) ---
-app.post('/records', (req, res) => {
+// Validates a create/patch body against the rule schema; `base` is the stored rule on PATCH.
+function parseValidationRule(body, base = {}) {
+  const b = { ...base, ...(body && typeof body === 'object' ? body : {}) };
+  const str = (v) => (v == null || String(v).trim() === '' ? null : String(v).trim());
+  const int = (v) => (v == null || v === '' ? null : Number(v));
+
+  const rule = {
+    field: str(b.field),
+    scope: str(b.scope) || 'global',
+    scope_value: str(b.scope_value),
+    kind: str(b.kind),
+    pattern: b.pattern == null ? null : String(b.pattern),
+    min_len: int(b.min_len),
+    max_len: int(b.max_len),
+    mode: str(b.mode) || 'reject',
+    enabled: b.enabled === false || b.enabled === 0 || b.enabled === '0' ? 0 : 1,
+    description: str(b.description),
+  };
+
+  if (!VALIDATION_FIELDS.includes(rule.field)) return { error: `field must be one of: ${VALIDATION_FIELDS.join(', ')}` };
+  if (!VALIDATION_SCOPES.includes(rule.scope)) return { error: `scope must be one of: ${VALIDATION_SCOPES.join(', ')}` };
+  if (!VALIDATION_KINDS.includes(rule.kind)) return { error: `kind must be one of: ${VALIDATION_KINDS.join(', ')}` };
+  if (!VALIDATION_MODES.includes(rule.mode)) return { error: `mode must be one of: ${VALIDATION_MODES.join(', ')}` };
+  if (rule.scope === 'global') rule.scope_value = null;
+  else if (!rule.scope_value) return { error: `scope_value required for scope '${rule.scope}'` };
+
+  if (rule.kind === 'regex') {
+    if (!rule.pattern) return { error: 'pattern required for regex rules' };
+    try { new RegExp(rule.pattern); } catch (e) { return { error: `invalid pattern: ${e.message}` }; }
+  } else {
+    rule.pattern = null;
+  }
+  if (rule.kind === 'length') {
+    for (const k of ['min_len', 'max_len']) {
+      if (rule[k] != null && (!Number.isInteger(rule[k]) || rule[k] < 0)) return { error: `${k} must be a non-negative integer` };
+    }
+    if (rule.min_len == null && rule.max_len == null) return { error: 'min_len or max_len required for length rules' };
+    if (rule.min_len != null && rule.max_len != null && rule.min_len > rule.max_len) return { error: 'min_len is above max_len' };
+  } else {
+    rule.min_len = null;
+    rule.max_len = null;
+  }
+  if (rule.kind === 'gs1_sscc' && rule.field !== 'sscc_label') return { error: 'gs1_sscc rules apply to sscc_label only' };
+
+  return { rule };
+}
+
+const validationRuleGet = db.prepare('SELECT * FROM validation_rules WHERE id = ?');
+
+app.get('/validation/rules', requireRole(ANY_ROLE), (req, res) => {
+  const rules = db.prepare('SELECT * FROM validation_rules ORDER BY field, scope, scope_value, id').all();
+  return res.json({ rules, fields: VALIDATION_FIELDS, scopes: VALIDATION_SCOPES, kinds: VALIDATION_KINDS, modes: VALIDATION_MODES });
+});
+
+app.post('/validation/rules', requireRole(ROLES.SUPERVISOR), (req, res) => {
+  const { rule, error } = parseValidationRule(req.body);
+  if (error) return res.status(400).json({ error });
+
+  const now = new Date().toISOString();
+  let saved;
+  db.transaction(() => {
+    const info = db.prepare(`
+      INSERT INTO validation_rules(field, scope, scope_value, kind, pattern, min_len, max_len, mode, enabled, description, created_at, updated_at)
+      VALUES (@field, @scope, @scope_value, @kind, @pattern, @min_len, @max_len, @mode, @enabled, @description, @created_at, @updated_at)
+    `).run({ ...rule, created_at: now, updated_at: now });
+    saved = validationRuleGet.get(info.lastInsertRowid);
+    audit(req, { action: 'create', entity_type: 'validation_rule', entity_id: saved.id, before: null, after: saved });
+  })();
+  _validationRules = null;
+  return res.json({ ok: true, rule: saved });
+});
+
+app.patch('/validation/rules/:id', requireRole(ROLES.SUPERVISOR), (req, res) => {
+  const before = validationRuleGet.get(Number(req.params.id));
+  if (!before) return res.status(404).json({ error: 'rule not found' });
+  const { rule, error } = parseValidationRule(req.body, before);
+  if (error) return res.status(400).json({ error });
+
+  let saved;
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE validation_rules SET
+        field=@field, scope=@scope, scope_value=@scope_value, kind=@kind, pattern=@pattern,
+        min_len=@min_len, max_len=@max_len, mode=@mode, enabled=@enabled, description=@description,
+        updated_at=@updated_at
+      WHERE id=@id
+    `).run({ ...rule, id: before.id, updated_at: new Date().toISOString() });
+    saved = validationRuleGet.get(before.id);
+    audit(req, { action: 'update', entity_type: 'validation_rule', entity_id: before.id, before, after: saved });
+  })();
+  _validationRules = null;
+  return res.json({ ok: true, rule: saved });
+});
+
+app.delete('/validation/rules/:id', requireRole(ROLES.SUPERVISOR), (req, res) => {
+  const before = validationRuleGet.get(Number(req.params.id));
+  if (!before) return res.status(404).json({ error: 'rule not found' });
+  db.transaction(() => {
+    db.prepare('DELETE FROM validation_rules WHERE id = ?').run(before.id);
+    audit(req, { action: 'delete', entity_type: 'validation_rule', entity_id: before.id, before, after: null });
+  })();
+  _validationRules = null;
+  return res.json({ ok: true, deleted: 1 });
+});
+
+// POST /validation/check   body: { uid?, sscc_label?, sku_code?, po_number? }  — nothing is saved
+app.post('/validation/check', requireRole(ANY_ROLE), (req, res) => {
+  const b = req.body || {};
+  const rec = {
+    uid: String(b.uid ?? ''),
+    sscc_label: String(b.sscc_label ?? ''),
+    sku_code: String(b.sku_code ?? '').trim(),
+    po_number: String(b.po_number ?? '').trim(),
+  };
+  const v = validateRecordFields(rec);
+  return res.json({ ok: v.errors.length === 0, ...v });
+});
+
+// --- Inline cell patch from Intake table ---
+app.patch('/records/:id', requireRole(ROLES.SCANNER, ROLES.SUPERVISOR), (req, res) => {
+  const id = String(req.params.id);
+  const { field, value } = req.body || {};
+  if (!id || !field) return res.status(400).json({ error: 'id and field required' });
+
+  const allowed = new Set(['date_local','mobile_bin','sscc_label','po_number','sku_code','uid','facility']);
+  if (!allowed.has(field)) return res.status(400).json({ error: `Invalid field: ${field}` });
+
+  let row = selectRecordById.get(id);
+  if (row && row.status === 'voided') return res.status(409).json({ error: 'record is voided; restore it first' });
+  // An unknown id starts as a draft shell; it is only inserted once the checks below pass.
+  const createdNow = !row;
+  if (!row) {
+    row = {
+      id, date_local: todayChicagoISO(), mobile_bin: null, sscc_label: null, po_number: null, sku_code: null,
+      uid: null, status: 'draft', completed_at: null, sync_state: 'pending', facility: null,
+    };
+  }
+
+  const next = { ...row, [field]: field === 'facility' ? normFacility(value) : String(value ?? '') };
+  // field=facility sets it directly; otherwise a `facility` key in the body sets it
+  // ('' clears) and an absent key leaves the stored value alone.
+  const facility = field === 'facility' ? (next.facility || null)
+    : ('facility' in (req.body || {}) ? (normFacility(req.body.facility) || null) : (row.facility || null));
+
+  // Rule scope depends on sku_code / po_number too, so re-check whenever any of them change.
+  let warnings = [];
+  if (['uid', 'sscc_label', 'sku_code', 'po_number'].includes(field)) {
+    const v = validateRecordFields(next);
+    if (v.errors.length) {
+      return res.status(422).json({ error: 'validation failed', errors: validationEntries(0, next, v.errors) });
+    }
+    warnings = validationEntries(0, next, v.warnings);
+  }
+  const binCheck = checkBinWrite(createdNow ? null : row, next);
+  if (binCheck.error) return res.status(409).json({ error: binCheck.error, bin: binCheck.bin });
+  warnings.push(...binCheck.warnings);
+  const completed = isComplete(next);
+
+  // Write, audit row and conflict rows commit together (or not at all); events go out after.
+  const { after, dropped, conflicts } = db.transaction(() => {
+    if (createdNow) {
+      db.prepare(`INSERT INTO records(id, date_local, status, sync_state) VALUES(?, ?, 'draft', 'pending')`)
+        .run(id, row.date_local);
+    }
+    db.prepare(`
+      UPDATE records SET
+        date_local=?, mobile_bin=?, sscc_label=?, po_number=?, sku_code=?, uid=?,
+        status=?, completed_at=?, sync_state=?, facility=? WHERE id=?
+    `).run(
+      next.date_local || row.date_local || todayChicagoISO(),
+      next.mobile_bin ?? row.mobile_bin ?? '',
+      next.sscc_label ?? row.sscc_label ?? '',
+      next.po_number  ?? row.po_number  ?? '',
+      next.sku_code   ?? row.sku_code   ?? '',
+      next.uid        ?? row.uid        ?? '',
+      completed ? 'complete' : 'draft',
+      completed ? new Date().toISOString() : row.completed_at,
+      completed ? 'synced' : 'pending',
+      facility,
+      id
+    );
+
+    const after = selectRecordById.get(id);
+    auditRecord(req, createdNow ? 'create' : 'update', createdNow ? null : row, after);
+
+    // if we created a new shell but it duplicates an existing composite, drop the shell
+    if (createdNow && after.po_number && after.sku_code && after.uid) {
+      const ex = selectByComposite.get(after.po_number, after.sku_code, after.uid);
+      if (ex && ex.id && ex.id !== id) {
+        deleteById.run(id);
+        auditRecord(req, 'delete', after, null);
+        return { after, dropped: true, conflicts: [] };
+      }
+    }
+    return { after, dropped: false, conflicts: detectUidConflicts(req, after) };
+  })();
+
+  if (!dropped) {
+    publishRecords(req, createdNow ? 'record.created' : 'record.updated', [after]);
+    if (isNewlyApplied(createdNow ? null : row, after)) publishRecords(req, 'uid.applied', [after]);
+  }
+  return res.json({ ok: true, record: after, warnings, conflicts });
+});
+
+// --- Create record (used by UI once a row is complete) ---
+app.post('/records', requireRole(ROLES.SCANNER, ROLES.SUPERVISOR), (req, res) => {
   const b = req.body || {};
   const rec = {
     id: b.id || randomUUID(),
@@ -375,105 +1956,641 @@ app.post('/records', (req, res) => {
     uid:        String(b.uid        ?? ''),
     status:     'complete',
     completed_at: new Date().toISOString(),
-    sync_state: 'synced'
+    sync_state: 'synced',
+    facility:   normFacility(b.facility ?? req.query.facility) || null,
   };
 
   if (!rec.date_local || !rec.mobile_bin || !rec.po_number || !rec.sku_code || !rec.uid) {
     return res.status(400).json({ error: 'date_local, mobile_bin, po_number, sku_code, uid are required' });
   }
 
+  const v = validateRecordFields(rec);
+  if (v.errors.length) {
+    return res.status(422).json({ error: 'validation failed', errors: validationEntries(0, rec, v.errors) });
+  }
+
   try {
-    upsertByComposite.run(rec);
-    emitScan(new Date(rec.completed_at));
-    const row = selectByComposite.get(rec.po_number, rec.sku_code, rec.uid);
-    const saved = row ? selectRecordById.get(row.id) : selectRecordById.get(rec.id);
-    return res.json({ ok: true, record: saved });
+    const prevRef = selectByComposite.get(rec.po_number, rec.sku_code, rec.uid);
+    const before = prevRef ? selectRecordById.get(prevRef.id) : null;
+    const binCheck = checkBinWrite(before, rec);
+    if (binCheck.error) return res.status(409).json({ error: binCheck.error, bin: binCheck.bin });
+    const { saved, conflicts } = db.transaction(() => {
+      upsertByComposite.run(rec);
+      const row = selectByComposite.get(rec.po_number, rec.sku_code, rec.uid);
+      const saved = row ? selectRecordById.get(row.id) : selectRecordById.get(rec.id);
+      auditRecord(req, before ? 'update' : 'create', before, saved);
+      return { saved, conflicts: detectUidConflicts(req, saved) };
+    })();
+    publishRecords(req, before ? 'record.updated' : 'record.created', [saved]);
+    if (isNewlyApplied(before, saved)) publishRecords(req, 'uid.applied', [saved]);
+    const warnings = [...validationEntries(0, rec, v.warnings), ...binCheck.warnings];
+    return res.json({ ok: true, record: saved, warnings, conflicts });
   } catch (e) {
     return res.status(500).json({ error: String(e?.message || e) });
   }
 });
 
 // --- Import (kept for compatibility; UI can still call it if desired) ---
-function normalizeUploadRow(row) {
+// ---- Upload columns (JSON rows and server-parsed files alike) ----
+// Headers compare canonicalized ("PO Number", "po-number" and "po_number" are one column);
+// the first non-blank alias wins. Every upload normalizer runs rows through aliasRow, so
+// each client and each file format gets the same header handling.
+function canonicalHeader(h) {
+  return String(h ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+const UPLOAD_ALIASES = {
+  records: {
+    date_local: ['date_local', 'date', 'date_applied'],
+    mobile_bin: ['mobile_bin', 'mobile_bin_(box)', 'bin'],
+    sscc_label: ['sscc_label', 'sscc_label_(box)', 'sscc'],
+    po_number:  ['po_number', 'po', 'po#', 'po_no'],
+    sku_code:   ['sku_code', 'sku'],
+    uid:        ['uid', 'u_id'],
+    facility:   ['facility', 'facility_name', 'site'],
+  },
+  plan: {
+    po_number:      ['po_number', 'po', 'po#'],
+    sku_code:       ['sku_code', 'sku'],
+    start_date:     ['start_date', 'start'],
+    due_date:       ['due_date', 'due'],
+    target_qty:     ['target_qty', 'planned', 'qty'],
+    supplier_name:  ['supplier_name', 'supplier'],
+    facility_name:  ['facility_name', 'facility'],
+    freight_type:   ['freight_type', 'freight'],
+    zendesk_ticket: ['zendesk_ticket', 'zendesk_ticket_number', 'zendesk'],
+    priority:       ['priority'],
+    notes:          ['notes'],
+  },
+  bins: {
+    mobile_bin:  ['mobile_bin', 'bin_id', 'bin', 'bin_no', 'bin_number'],
+    total_units: ['total_units', 'units', 'qty', 'quantity'],
+    weight_kg:   ['weight_kg', 'weight', 'kg'],
+    date_local:  ['date_local', 'date', 'created_at'],
+  },
+  receiving: {
+    po_number:            ['po_number', 'po'],
+    supplier_name:        ['supplier_name', 'supplier'],
+    facility_name:        ['facility_name', 'facility'],
+    received_at_utc:      ['received_at_utc'],
+    received_at_local:    ['received_at_local', 'received_at', 'last_received_local'],
+    received_tz:          ['received_tz'],
+    cartons_received:     ['cartons_received', 'cartons_in', 'cartons'],
+    cartons_damaged:      ['cartons_damaged', 'damaged'],
+    cartons_noncompliant: ['cartons_noncompliant', 'noncompliant', 'non_compliant'],
+    cartons_replaced:     ['cartons_replaced', 'replaced'],
+  },
+  sku_values: {
+    sku_code:          ['sku_code', 'sku'],
+    unit_value:        ['unit_value', 'value', 'unit_price', 'price'],
+    currency:          ['currency', 'ccy'],
+    description:       ['description', 'product_description', 'product_name'],
+    hs_code:           ['hs_code', 'hts_code', 'hts', 'hs'],
+    country_of_origin: ['country_of_origin', 'origin', 'coo'],
+  },
+};
+
+// -> { field: value } for the fields the row has a column for ('' when that column is blank)
+function aliasRow(row, kind) {
   const norm = {};
-  for (const k in row) norm[String(k).toLowerCase().trim()] = row[k];
-  const pick = (...names) => {
+  for (const k in (row || {})) norm[canonicalHeader(k)] = row[k];
+  const out = {};
+  for (const [field, names] of Object.entries(UPLOAD_ALIASES[kind])) {
     for (const n of names) {
-      const v = norm[n.toLowerCase().trim()];
-      if (v != null && String(v).trim() !== '') return String(v);
+      if (!(n in norm)) continue;
+      const v = norm[n];
+      if (v != null && String(v).trim() !== '') { out[field] = v; break; }
+      if (!(field in out)) out[field] = '';
     }
-    return '';
+  }
+  return out;
+}
+
+// ---- Column-mapping templates (mapping_templates, migration 12) ----
+// A template maps one supplier's headers to upload fields ({ "Box #": "mobile_bin" }) with
+// optional per-field value transforms. It runs before aliasRow: mapped columns are renamed to
+// their field, every other column passes through and still gets the built-in aliases.
+// Uploads pick one with ?template=<name|id> (?template=none turns detection off); otherwise a
+// file upload uses the auto_detect template whose source headers all appear in its header row
+// (most mapped columns wins). JSON bodies, which the app's own editors send too, only get an
+// explicit ?template=. The template used comes back in the X-Mapping-Template header.
+const MAPPING_KINDS = Object.keys(UPLOAD_ALIASES);
+const MAPPING_TRANSFORM_KEYS = ['trim', 'strip_prefix', 'strip_suffix', 'case', 'date_format', 'default'];
+const MAPPING_CASES = ['upper', 'lower'];
+
+// date_format tokens: YYYY YY MM M DD D; anything else must match literally ("DD/MM/YYYY", "YYYYMMDD")
+function parseDateWithFormat(v, fmt) {
+  const s = String(v ?? '').trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s; // Excel date cells arrive as ISO already
+  const parts = [];
+  const re = String(fmt).replace(/YYYY|YY|MM|M|DD|D|[.*+?^${}()|[\]\\]/g, (t) => {
+    if (!/^[YMD]+$/.test(t)) return '\\' + t;
+    parts.push(t[0]);
+    return t === 'YYYY' ? '(\\d{4})' : t.length === 2 ? '(\\d{2})' : '(\\d{1,2})';
+  });
+  const m = s.match(new RegExp(`^${re}$`));
+  if (!m) return '';
+  const got = {};
+  parts.forEach((p, i) => { got[p] = m[i + 1]; });
+  const y = got.Y.length === 2 ? `20${got.Y}` : got.Y;
+  const out = `${y}-${got.M.padStart(2, '0')}-${got.D.padStart(2, '0')}`;
+  const d = new Date(`${out}T00:00:00Z`);
+  return !isNaN(d) && d.toISOString().slice(0, 10) === out ? out : '';
+}
+
+function applyFieldTransform(v, t) {
+  if (!t) return v;
+  let s = v == null ? '' : String(v);
+  if (t.trim !== false) s = s.trim();
+  for (const p of [].concat(t.strip_prefix || [])) if (p && s.startsWith(p)) { s = s.slice(p.length); break; }
+  for (const p of [].concat(t.strip_suffix || [])) if (p && s.endsWith(p)) { s = s.slice(0, -p.length); break; }
+  if (t.case === 'upper') s = s.toUpperCase();
+  if (t.case === 'lower') s = s.toLowerCase();
+  // An unparseable date stays as uploaded so the importer's own date handling / rejects see it
+  if (t.date_format && s) s = parseDateWithFormat(s, t.date_format) || s;
+  if (s === '' && t.default != null) s = String(t.default);
+  return s;
+}
+
+function mapTemplateRow(row, tpl) {
+  const cols = new Map(Object.entries(tpl.columns).map(([src, field]) => [canonicalHeader(src), field]));
+  const out = {};
+  const mapped = {};
+  for (const k in (row || {})) {
+    const field = cols.get(canonicalHeader(k));
+    if (field) mapped[field] = row[k];
+    else out[k] = row[k];
+  }
+  for (const [field, v] of Object.entries(mapped)) out[field] = applyFieldTransform(v, tpl.transforms[field]);
+  // Transforms with a default also fill fields whose column the file lacks
+  for (const [field, t] of Object.entries(tpl.transforms)) {
+    if (!(field in mapped) && t.default != null && !(field in out)) out[field] = String(t.default);
+  }
+  return out;
+}
+
+function mappingTemplateOut(t) {
+  return {
+    ...t,
+    columns: safeJsonParse(t.columns_json, {}),
+    transforms: safeJsonParse(t.transforms_json, {}) || {},
+    auto_detect: !!t.auto_detect,
+    columns_json: undefined,
+    transforms_json: undefined,
   };
+}
+
+// Validates a create/patch body; `base` is the stored template (as mappingTemplateOut) on PATCH.
+function parseMappingTemplate(body, base = {}) {
+  const b = { ...base, ...(body && typeof body === 'object' ? body : {}) };
+  const name = String(b.name ?? '').trim();
+  const kind = String(b.kind ?? '').trim();
+  if (!name) return { error: 'name required' };
+  if (!MAPPING_KINDS.includes(kind)) return { error: `kind must be one of: ${MAPPING_KINDS.join(', ')}` };
+  const fields = Object.keys(UPLOAD_ALIASES[kind]);
+
+  const columns = b.columns;
+  if (!columns || typeof columns !== 'object' || Array.isArray(columns) || !Object.keys(columns).length) {
+    return { error: 'columns must be an object of { "<source header>": "<field>" }' };
+  }
+  const seen = new Set();
+  for (const [src, field] of Object.entries(columns)) {
+    if (!canonicalHeader(src)) return { error: 'columns has a blank source header' };
+    if (!fields.includes(field)) return { error: `unknown ${kind} field '${field}' (fields: ${fields.join(', ')})` };
+    if (seen.has(field)) return { error: `more than one column maps to '${field}'` };
+    seen.add(field);
+  }
+
+  const transforms = b.transforms == null ? {} : b.transforms;
+  if (typeof transforms !== 'object' || Array.isArray(transforms)) return { error: 'transforms must be an object of { "<field>": { ... } }' };
+  for (const [field, t] of Object.entries(transforms)) {
+    if (!fields.includes(field)) return { error: `transforms: unknown ${kind} field '${field}'` };
+    if (!t || typeof t !== 'object' || Array.isArray(t)) return { error: `transforms.${field} must be an object` };
+    const bad = Object.keys(t).find(k => !MAPPING_TRANSFORM_KEYS.includes(k));
+    if (bad) return { error: `transforms.${field}: unknown transform '${bad}' (use: ${MAPPING_TRANSFORM_KEYS.join(', ')})` };
+    if (t.case != null && !MAPPING_CASES.includes(t.case)) return { error: `transforms.${field}.case must be one of: ${MAPPING_CASES.join(', ')}` };
+    if (t.date_format != null) {
+      const f = String(t.date_format);
+      if (!/Y/.test(f) || !/M/.test(f) || !/D/.test(f)) return { error: `transforms.${field}.date_format needs year, month and day (e.g. DD/MM/YYYY)` };
+    }
+  }
+
   return {
+    tpl: {
+      name,
+      kind,
+      columns_json: JSON.stringify(columns),
+      transforms_json: JSON.stringify(transforms),
+      auto_detect: b.auto_detect === false || b.auto_detect === 0 || b.auto_detect === '0' ? 0 : 1,
+      description: b.description ? String(b.description).trim() : null,
+    },
+  };
+}
+
+const mappingTemplateGet = db.prepare('SELECT * FROM mapping_templates WHERE id = ?');
+const mappingTemplateByName = db.prepare('SELECT * FROM mapping_templates WHERE name = ?');
+
+function uploadHeaders(rows) {
+  return [...new Set(rows.slice(0, 50).flatMap(r => Object.keys(r || {})))];
+}
+
+// Templates of `kind` whose source headers all appear in `headers`, best match first
+function detectMappingTemplates(kind, headers) {
+  const have = new Set(headers.map(canonicalHeader));
+  return db.prepare(`SELECT * FROM mapping_templates WHERE kind = ? AND auto_detect = 1 ORDER BY updated_at DESC`)
+    .all(kind)
+    .map(mappingTemplateOut)
+    .filter(t => Object.keys(t.columns).every(src => have.has(canonicalHeader(src))))
+    .sort((a, b) => Object.keys(b.columns).length - Object.keys(a.columns).length);
+}
+
+// -> { tpl } (null when none applies) or { error } for a bad ?template=; `rows` null skips detection
+function resolveMappingTemplate(req, kind, rows) {
+  const want = String(req.query.template ?? '').trim();
+  if (want.toLowerCase() === 'none') return { tpl: null };
+  if (want) {
+    const t = /^\d+$/.test(want) ? mappingTemplateGet.get(Number(want)) : mappingTemplateByName.get(want);
+    if (!t) return { error: `mapping template '${want}' not found` };
+    if (t.kind !== kind) return { error: `mapping template '${t.name}' is for ${t.kind} uploads, not ${kind}` };
+    return { tpl: mappingTemplateOut(t) };
+  }
+  if (!rows) return { tpl: null };
+  return { tpl: detectMappingTemplates(kind, uploadHeaders(rows))[0] || null };
+}
+
+// Values out of ExcelJS cells: formulas give their result, rich text / hyperlinks their text,
+// dates YYYY-MM-DD (or a full ISO timestamp when they carry a time of day).
+function cellValue(v) {
+  if (v == null) return '';
+  if (v instanceof Date) {
+    return (v.getUTCHours() || v.getUTCMinutes() || v.getUTCSeconds()) ? v.toISOString() : v.toISOString().slice(0, 10);
+  }
+  if (typeof v === 'object') {
+    if ('result' in v) return cellValue(v.result);
+    if (Array.isArray(v.richText)) return v.richText.map(t => t.text).join('');
+    if ('text' in v) return cellValue(v.text);
+    return '';
+  }
+  return v;
+}
+
+// First worksheet of an .xlsx / .csv buffer -> row objects keyed by the header row.
+// CSV cells stay strings (UIDs like 000123 must not turn into numbers).
+async function parseUploadFile(file) {
+  const wb = new ExcelJS.Workbook();
+  const isCsv = /\.csv$/i.test(file.originalname || '') || /^text\//.test(file.mimetype || '');
+  if (isCsv) {
+    await wb.csv.read(Readable.from([file.buffer.toString('utf8').replace(/^\ufeff/, '')]), { map: (v) => v });
+  } else {
+    await wb.xlsx.load(file.buffer);
+  }
+  const sheet = wb.worksheets[0];
+  if (!sheet) return [];
+
+  let headers = null;
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const values = row.values.slice(1).map(cellValue); // ExcelJS rows are 1-based
+    if (!headers) { headers = values.map(h => String(h ?? '').trim()); return; }
+    if (values.every(v => String(v ?? '').trim() === '')) return;
+    const o = {};
+    headers.forEach((h, i) => { if (h) o[h] = values[i] ?? ''; });
+    rows.push(o);
+  });
+  return rows;
+}
+
+const UPLOAD_MAX_MB = Math.max(1, Number(process.env.UPLOAD_MAX_MB || 50));
+const _uploadSingle = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_MAX_MB * 1024 * 1024, files: 1 },
+}).single('file');
+
+// Applies the upload's mapping template (if any) to `rows`; false once a 400 has been sent.
+function mapUploadRows(req, res, kind, rows, { detect = true } = {}) {
+  const { tpl, error } = resolveMappingTemplate(req, kind, detect ? rows : null);
+  if (error) { res.status(400).json({ error }); return false; }
+  if (!tpl) return rows;
+  res.set('X-Mapping-Template', encodeURIComponent(tpl.name));
+  return rows.map(r => mapTemplateRow(r, tpl));
+}
+
+// Route middleware for the upload routes: a multipart/form-data request with a `file`
+// (.xlsx or .csv) is parsed here and its rows become req.body, so the JSON handler behind
+// it runs unchanged (dryRun included). JSON arrays only get their mapping template applied.
+function acceptUploadFile(kind, prepare = null) {
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) {
+      if (!Array.isArray(req.body)) return next();
+      const rows = mapUploadRows(req, res, kind, req.body, { detect: false });
+      if (!rows) return;
+      req.body = rows;
+      return next();
+    }
+    _uploadSingle(req, res, async (err) => {
+      if (err?.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: `file larger than ${UPLOAD_MAX_MB} MB` });
+      if (err?.code === 'LIMIT_UNEXPECTED_FILE') return res.status(400).json({ error: 'send one file in the multipart field "file"' });
+      if (err) return res.status(400).json({ error: String(err.message || err) });
+      if (!req.file) return res.status(400).json({ error: 'multipart field "file" (.xlsx or .csv) required' });
+      let parsed;
+      try {
+        parsed = await parseUploadFile(req.file);
+      } catch (e) {
+        return res.status(400).json({ error: `could not read ${req.file.originalname || 'file'}: ${e?.message || e}` });
+      }
+      const mapped = mapUploadRows(req, res, kind, parsed);
+      if (!mapped) return;
+      let rows = mapped.map(r => aliasRow(r, kind));
+      if (prepare) rows = prepare(req, rows);
+      req.body = rows;
+      return next();
+    });
+  };
+}
+
+// GET /mapping-templates?kind=
+app.get('/mapping-templates', requireRole(ANY_ROLE), (req, res) => {
+  const kind = String(req.query.kind || '').trim();
+  if (kind && !MAPPING_KINDS.includes(kind)) return res.status(400).json({ error: `kind must be one of: ${MAPPING_KINDS.join(', ')}` });
+  const rows = kind
+    ? db.prepare('SELECT * FROM mapping_templates WHERE kind = ? ORDER BY name').all(kind)
+    : db.prepare('SELECT * FROM mapping_templates ORDER BY kind, name').all();
+  return res.json({
+    templates: rows.map(mappingTemplateOut),
+    kinds: MAPPING_KINDS,
+    fields: Object.fromEntries(MAPPING_KINDS.map(k => [k, Object.keys(UPLOAD_ALIASES[k])])),
+    transforms: MAPPING_TRANSFORM_KEYS,
+  });
+});
+
+// POST /mapping-templates/detect?kind=   body: { headers: [...] } or a multipart `file`
+// -> the template an upload with these headers would use, plus every other match
+app.post('/mapping-templates/detect', requireRole(ANY_ROLE), (req, res) => {
+  const kind = String(req.query.kind || req.body?.kind || '').trim();
+  if (!MAPPING_KINDS.includes(kind)) return res.status(400).json({ error: `kind must be one of: ${MAPPING_KINDS.join(', ')}` });
+  const reply = (headers) => {
+    const matches = detectMappingTemplates(kind, headers);
+    return res.json({ headers, template: matches[0] || null, matches });
+  };
+  if (!req.is('multipart/form-data')) {
+    if (!Array.isArray(req.body?.headers)) return res.status(400).json({ error: 'headers array or multipart "file" required' });
+    return reply(req.body.headers.map(String));
+  }
+  _uploadSingle(req, res, async (err) => {
+    if (err) return res.status(400).json({ error: String(err.message || err) });
+    if (!req.file) return res.status(400).json({ error: 'multipart field "file" (.xlsx or .csv) required' });
+    try {
+      return reply(uploadHeaders(await parseUploadFile(req.file)));
+    } catch (e) {
+      return res.status(400).json({ error: `could not read ${req.file.originalname || 'file'}: ${e?.message || e}` });
+    }
+  });
+});
+
+// POST /mapping-templates   body: { name, kind, columns: { header: field }, transforms?, auto_detect?, description? }
+app.post('/mapping-templates', requireRole(ROLES.SUPERVISOR, ROLES.PLANNER), (req, res) => {
+  const { tpl, error } = parseMappingTemplate(req.body);
+  if (error) return res.status(400).json({ error });
+  if (mappingTemplateByName.get(tpl.name)) return res.status(409).json({ error: `mapping template '${tpl.name}' already exists` });
+  const now = new Date().toISOString();
+  const saved = db.transaction(() => {
+    const id = db.prepare(`
+      INSERT INTO mapping_templates (name, kind, columns_json, transforms_json, auto_detect, description, created_by, created_at, updated_at)
+      VALUES (@name, @kind, @columns_json, @transforms_json, @auto_detect, @description, @created_by, @created_at, @updated_at)
+    `).run({ ...tpl, created_by: req.auth?.name || null, created_at: now, updated_at: now }).lastInsertRowid;
+    const after = mappingTemplateOut(mappingTemplateGet.get(id));
+    audit(req, { action: 'create', entity_type: 'mapping_template', entity_id: id, before: null, after });
+    return after;
+  })();
+  return res.json({ ok: true, template: saved });
+});
+
+app.patch('/mapping-templates/:id', requireRole(ROLES.SUPERVISOR, ROLES.PLANNER), (req, res) => {
+  const row = mappingTemplateGet.get(Number(req.params.id));
+  if (!row) return res.status(404).json({ error: 'mapping template not found' });
+  const before = mappingTemplateOut(row);
+  const { tpl, error } = parseMappingTemplate(req.body, before);
+  if (error) return res.status(400).json({ error });
+  const clash = mappingTemplateByName.get(tpl.name);
+  if (clash && clash.id !== row.id) return res.status(409).json({ error: `mapping template '${tpl.name}' already exists` });
+  const saved = db.transaction(() => {
+    db.prepare(`
+      UPDATE mapping_templates SET
+        name=@name, kind=@kind, columns_json=@columns_json, transforms_json=@transforms_json,
+        auto_detect=@auto_detect, description=@description, updated_at=@updated_at
+      WHERE id=@id
+    `).run({ ...tpl, id: row.id, updated_at: new Date().toISOString() });
+    const after = mappingTemplateOut(mappingTemplateGet.get(row.id));
+    audit(req, { action: 'update', entity_type: 'mapping_template', entity_id: row.id, before, after });
+    return after;
+  })();
+  return res.json({ ok: true, template: saved });
+});
+
+app.delete('/mapping-templates/:id', requireRole(ROLES.SUPERVISOR, ROLES.PLANNER), (req, res) => {
+  const row = mappingTemplateGet.get(Number(req.params.id));
+  if (!row) return res.status(404).json({ error: 'mapping template not found' });
+  db.transaction(() => {
+    db.prepare('DELETE FROM mapping_templates WHERE id = ?').run(row.id);
+    audit(req, { action: 'delete', entity_type: 'mapping_template', entity_id: row.id, before: mappingTemplateOut(row), after: null });
+  })();
+  return res.json({ ok: true, deleted: 1 });
+});
+
+function normalizeUploadRow(row, defaultFacility = '') {
+  const a = aliasRow(row, 'records');
+  const str = (v) => (v == null ? '' : String(v));
+  const rec = {
     id: randomUUID(),
-    date_local: toISODate(pick('date_local', 'date')) || todayChicagoISO(),
-    mobile_bin: String(pick('mobile_bin', 'mobile bin (box)') || ''),
-    sscc_label: String(pick('sscc_label', 'sscc label (box)', 'sscc') || ''),
-    po_number:  String(pick('po_number', 'po_number', 'po', 'po#', 'po number') || ''),
-    sku_code:   String(pick('sku_code', 'sku_code', 'sku', 'sku code') || ''),
-    uid:        String(pick('uid', 'uid', 'u_id', 'u id') || ''), // verbatim
+    date_local: toISODate(a.date_local) || todayChicagoISO(),
+    mobile_bin: str(a.mobile_bin),
+    sscc_label: str(a.sscc_label),
+    po_number:  str(a.po_number),
+    sku_code:   str(a.sku_code),
+    uid:        str(a.uid), // verbatim
     status: 'complete',
     completed_at: new Date().toISOString(),
-    sync_state: 'synced'
+    sync_state: 'synced',
+    facility: normFacility(a.facility) || defaultFacility || null,
+  };
+  // Kept off the row itself so it can go straight to upsertByComposite.
+  return { rec, validation: validateRecordFields(rec) };
+}
+
+// ---- Dry runs (?dryRun=1 on uploads) ----
+// The write runs for real inside a transaction that is then rolled back, so the preview
+// sees exactly what the database would (upsert rules, duplicate rows in one file, ...).
+// Nothing is published or audited. Result shape shared by every upload route:
+//   { dry_run, summary: {insert, update, unchanged, remove?, reject},
+//     insert: [row], update: [{ key, changes: {field: {from, to}} }], unchanged: [key],
+//     remove?: [row], rejected: [{ index, reason, ... }] }
+function isDryRun(req) {
+  return /^(1|true|yes)$/i.test(String(req.query.dryRun ?? req.query.dry_run ?? ''));
+}
+
+const _rollback = Symbol('dry-run rollback');
+function withRollback(fn) {
+  let out;
+  try {
+    db.transaction(() => { out = fn(); throw _rollback; })();
+  } catch (e) {
+    if (e !== _rollback) throw e;
+  }
+  return out;
+}
+
+function fieldChanges(before, after, fields) {
+  const changes = {};
+  for (const f of fields) {
+    const a = before?.[f] ?? null;
+    const b = after?.[f] ?? null;
+    if (String(a ?? '') !== String(b ?? '')) changes[f] = { from: a, to: b };
+  }
+  return changes;
+}
+
+// entries: [{ key, before, after, index? }] in upload order; a key seen twice reports its last state
+function dryRunResult(entries, fields, rejected, { remove } = {}) {
+  const insert = [], update = [], unchanged = [];
+  const seen = new Map();
+  for (const e of entries) {
+    const first = seen.get(e.key);
+    seen.set(e.key, { ...e, before: first ? first.before : e.before });
+  }
+  for (const e of seen.values()) {
+    if (!e.before) { insert.push(e.after); continue; }
+    const changes = fieldChanges(e.before, e.after, fields);
+    if (Object.keys(changes).length) update.push({ key: e.key, changes });
+    else unchanged.push(e.key);
+  }
+  return {
+    ok: true,
+    dry_run: true,
+    summary: {
+      insert: insert.length, update: update.length, unchanged: unchanged.length,
+      ...(remove ? { remove: remove.length } : {}),
+      reject: new Set(rejected.map(e => e.index)).size,
+    },
+    insert, update, unchanged,
+    ...(remove ? { remove } : {}),
+    rejected,
   };
 }
 
-app.post('/records/import', (req, res) => {
+const RECORD_DRY_RUN_FIELDS = ['date_local', 'mobile_bin', 'sscc_label', 'facility', 'status', 'completed_at'];
+
+// Screen raw upload rows: normalize, require the composite key, apply validation rules and
+// the sealed-bin check (BIN_SEAL_MODE: rejected, or saved with a warning).
+// `index` in rejected / warnings is the row's position in the whole upload (indexBase + i).
+function screenUploadRows(arr, defaultFacility, indexBase = 0) {
+  const payload = [];
+  const rejected = [];
+  const warnings = [];
+
+  arr.forEach((raw, i) => {
+    const index = indexBase + i;
+    const { rec: r, validation } = normalizeUploadRow(raw, defaultFacility);
+    const missing = [];
+    if (!r.date_local) missing.push('date_local');
+    if (!r.po_number) missing.push('po_number');
+    if (!r.sku_code)  missing.push('sku_code');
+    if (!r.uid)       missing.push('uid');
+
+    if (missing.length) {
+      rejected.push({
+        index,
+        po_number: r.po_number,
+        sku_code:  r.sku_code,
+        uid:       r.uid,
+        reason:    'Missing ' + missing.join(', ')
+      });
+    } else if (validation.errors.length) {
+      rejected.push(...validationEntries(index, r, validation.errors));
+    } else {
+      const prevRef = selectByComposite.get(r.po_number, r.sku_code, r.uid);
+      const binCheck = checkBinWrite(prevRef ? selectRecordById.get(prevRef.id) : null, r);
+      if (binCheck.error) {
+        rejected.push({ index, po_number: r.po_number, sku_code: r.sku_code, uid: r.uid, reason: binCheck.error, rule_id: null });
+        return;
+      }
+      warnings.push(...validationEntries(index, r, validation.warnings));
+      warnings.push(...binCheck.warnings.map(w => ({ ...w, index })));
+      // NOTE: mobile_bin is allowed to be empty on import; can be fixed later in intake UI
+      payload.push(r);
+    }
+  });
+  return { payload, rejected, warnings };
+}
+
+// Upsert screened rows in one transaction (a savepoint when nested); callers publish
+// the returned rows with publishImported once it has committed.
+const importRecordRows = db.transaction((req, rows) => {
+  const out = { created: [], updated: [], applied: [], conflicts: 0 };
+  for (const r of rows) {
+    const prevRef = selectByComposite.get(r.po_number, r.sku_code, r.uid);
+    const before = prevRef ? selectRecordById.get(prevRef.id) : null;
+    upsertByComposite.run(r);
+    const after = selectRecordById.get(before ? before.id : r.id);
+    auditRecord(req, before ? 'update' : 'create', before, after);
+    (before ? out.updated : out.created).push(after);
+    if (isNewlyApplied(before, after)) out.applied.push(after);
+    out.conflicts += detectUidConflicts(req, after).length;
+  }
+  return out;
+});
+
+// Dry-run entries for screened rows: upsert each inside a rolled-back transaction
+function previewRecordRows(rows) {
+  return withRollback(() => rows.map(r => {
+    const prevRef = selectByComposite.get(r.po_number, r.sku_code, r.uid);
+    const before = prevRef ? selectRecordById.get(prevRef.id) : null;
+    upsertByComposite.run(r);
+    const after = selectRecordById.get(before ? before.id : r.id);
+    return { key: `${r.po_number}|${r.sku_code}|${r.uid}`, before, after };
+  }));
+}
+
+function publishImported(req, out) {
+  publishRecords(req, 'record.created', out.created);
+  publishRecords(req, 'record.updated', out.updated);
+  publishRecords(req, 'uid.applied', out.applied);
+}
+
+// Synchronous import: fine for a day's scans. Big weekly files go to /records/import/jobs.
+app.post('/records/import', requireRole(ROLES.SCANNER, ROLES.SUPERVISOR), acceptUploadFile('records'), (req, res) => {
   const arr = Array.isArray(req.body) ? req.body : [];
   if (!arr.length) return res.status(400).json({ error: 'array of rows required' });
 
   try {
-    const normalized = arr.map(normalizeUploadRow);
-
-    const payload = [];
-    const rejected = [];
-
-    normalized.forEach((r, index) => {
-      const missing = [];
-      if (!r.date_local) missing.push('date_local');
-      if (!r.po_number) missing.push('po_number');
-      if (!r.sku_code)  missing.push('sku_code');
-      if (!r.uid)       missing.push('uid');
-
-      if (missing.length) {
-        rejected.push({
-          index,
-          po_number: r.po_number,
-          sku_code:  r.sku_code,
-          uid:       r.uid,
-          reason:    'Missing ' + missing.join(', ')
-        });
-      } else {
-        // NOTE: mobile_bin is allowed to be empty on import; can be fixed later in intake UI
-        payload.push(r);
-      }
-    });
+    // ?facility= applies to rows that don't carry their own
+    const { payload, rejected, warnings } = screenUploadRows(arr, normFacility(req.query.facility));
+
+    if (isDryRun(req)) {
+      return res.json({ ...dryRunResult(previewRecordRows(payload), RECORD_DRY_RUN_FIELDS, rejected), total: arr.length, warnings });
+    }
 
     if (!payload.length) {
       return res.json({
         ok:       true,
         inserted: 0,
         total:    arr.length,
-        rejected: rejected.length,
-        errors:   rejected
+        rejected: new Set(rejected.map(e => e.index)).size,
+        errors:   rejected,
+        warnings
       });
     }
 
-    const trx = db.transaction(rows => {
-      for (const r of rows) upsertByComposite.run(r);
-    });
-    trx(payload);
-
-    if (payload.length) {
-      emitScan(new Date(payload[payload.length - 1].completed_at));
-    }
+    const out = importRecordRows(req, payload);
+    publishImported(req, out);
 
     return res.json({
       ok:       true,
       inserted: payload.length,
       total:    arr.length,
-      rejected: rejected.length,
-      errors:   rejected
+      rejected: new Set(rejected.map(e => e.index)).size, // rows; a row can fail several rules
+      errors:   rejected,
+      warnings,
+      conflicts: out.conflicts
     });
   } catch (e) {
     console.error('Import failed:', e);
@@ -481,9 +2598,175 @@ app.post('/records/import', (req, res) => {
   }
 });
 
+// ---- Import jobs (async UID imports) ----
+// POST /records/import/jobs stores the rows and answers 202 with a job id; a single
+// in-process worker then screens + upserts IMPORT_JOB_CHUNK rows per transaction,
+// yielding to the event loop between chunks. Counters are committed with each chunk,
+// so a restart resumes at `processed`. Progress goes out as `import_job.updated` events.
+const IMPORT_JOB_CHUNK = Math.max(50, Number(process.env.IMPORT_JOB_CHUNK || 1000));
+const IMPORT_JOB_STATUSES = ['queued', 'running', 'done', 'failed'];
+// A job preview (?dryRun=1) lists at most this many changed / rejected / warned rows; counts are exact
+const IMPORT_JOB_PREVIEW_MAX = 200;
+
+const importJobGet = db.prepare(`SELECT * FROM import_jobs WHERE id = ?`);
+const importJobRejectInsert = db.prepare(`
+  INSERT INTO import_job_rejects (job_id, row_index, reason, rule_id, raw_json) VALUES (?, ?, ?, ?, ?)
+`);
+const importJobProgress = db.prepare(`
+  UPDATE import_jobs SET
+    processed = @processed, inserted = inserted + @inserted, updated = updated + @updated,
+    rejected = rejected + @rejected, warnings = warnings + @warnings, conflicts = conflicts + @conflicts
+  WHERE id = @id
+`);
+
+function importJobOut(j) {
+  const { rows_json, ...rest } = j;
+  return { ...rest, progress_pct: j.total ? Math.round((j.processed / j.total) * 1000) / 10 : 100 };
+}
+
+function publishImportJob(req, id) {
+  const j = importJobGet.get(id);
+  if (j) publishEvent(req, 'import_job.updated', { facility: j.facility || undefined, job: importJobOut(j) });
+}
+
+const _importJobRows = new Map(); // job id -> uploaded rows while queued (saves re-parsing rows_json)
+let _importJobChain = Promise.resolve();
+
+function queueImportJob(id) {
+  _importJobChain = _importJobChain
+    .then(() => runImportJob(id))
+    .catch(e => console.error(`[import] job ${id} crashed:`, e));
+}
+
+async function runImportJob(id) {
+  const job = importJobGet.get(id);
+  if (!job || !['queued', 'running'].includes(job.status)) return;
+  const rows = _importJobRows.get(id) || safeJsonParse(job.rows_json, []);
+  _importJobRows.delete(id);
+  // audit + events attribute the writes to whoever posted the job
+  const req = { method: 'POST', path: '/records/import/jobs', auth: { name: job.created_by, role: job.created_role } };
+
+  db.prepare(`UPDATE import_jobs SET status = 'running', started_at = COALESCE(started_at, ?) WHERE id = ?`)
+    .run(new Date().toISOString(), id);
+  publishImportJob(req, id);
+
+  try {
+    for (let start = job.processed; start < rows.length; start += IMPORT_JOB_CHUNK) {
+      const chunk = rows.slice(start, start + IMPORT_JOB_CHUNK);
+      const out = db.transaction(() => {
+        const { payload, rejected, warnings } = screenUploadRows(chunk, job.facility, start);
+        for (const e of rejected) {
+          importJobRejectInsert.run(id, e.index, e.reason, e.rule_id ?? null, JSON.stringify(rows[e.index] ?? null));
+        }
+        const o = payload.length ? importRecordRows(req, payload) : { created: [], updated: [], applied: [], conflicts: 0 };
+        importJobProgress.run({
+          id, processed: start + chunk.length,
+          inserted: o.created.length, updated: o.updated.length,
+          rejected: new Set(rejected.map(e => e.index)).size, warnings: warnings.length, conflicts: o.conflicts,
+        });
+        return o;
+      })();
+      publishImported(req, out);
+      publishImportJob(req, id);
+      await new Promise(r => setImmediate(r));
+    }
+    db.prepare(`UPDATE import_jobs SET status = 'done', finished_at = ?, rows_json = NULL WHERE id = ?`)
+      .run(new Date().toISOString(), id);
+  } catch (e) {
+    console.error(`[import] job ${id} failed:`, e);
+    db.prepare(`UPDATE import_jobs SET status = 'failed', finished_at = ?, error = ? WHERE id = ?`)
+      .run(new Date().toISOString(), String(e?.message || e), id);
+  }
+  publishImportJob(req, id);
+}
+
+// Jobs cut off by a restart pick up where their last committed chunk left off.
+for (const j of db.prepare(`SELECT id FROM import_jobs WHERE status IN ('queued', 'running') ORDER BY created_at`).all()) {
+  queueImportJob(j.id);
+}
+
+// POST /records/import/jobs?facility=&dryRun=   body: same rows as /records/import  -> 202 { job }
+// dryRun=1 screens the whole file without queueing a job and answers the usual dry-run summary,
+// with its row lists cut to IMPORT_JOB_PREVIEW_MAX (`truncated: true`; insert/unchanged are counts only).
+app.post('/records/import/jobs', requireRole(ROLES.SCANNER, ROLES.SUPERVISOR), acceptUploadFile('records'), (req, res) => {
+  const arr = Array.isArray(req.body) ? req.body : [];
+  if (!arr.length) return res.status(400).json({ error: 'array of rows required' });
+  if (isDryRun(req)) {
+    const { payload, rejected, warnings } = screenUploadRows(arr, normFacility(req.query.facility));
+    const { insert, unchanged, update, ...result } = dryRunResult(previewRecordRows(payload), RECORD_DRY_RUN_FIELDS, rejected);
+    const cut = (list) => list.slice(0, IMPORT_JOB_PREVIEW_MAX);
+    return res.json({
+      ...result,
+      update: cut(update),
+      rejected: cut(rejected),
+      warnings: cut(warnings),
+      warnings_total: warnings.length,
+      total: arr.length,
+      truncated: [update, rejected, warnings].some(l => l.length > IMPORT_JOB_PREVIEW_MAX),
+    });
+  }
+
+  const id = randomUUID();
+  db.prepare(`
+    INSERT INTO import_jobs (id, status, facility, created_at, created_by, created_role, total, rows_json)
+    VALUES (?, 'queued', ?, ?, ?, ?, ?, ?)
+  `).run(id, normFacility(req.query.facility) || null, new Date().toISOString(),
+    req.auth?.name || null, req.auth?.role || null, arr.length, JSON.stringify(arr));
+  _importJobRows.set(id, arr);
+  queueImportJob(id);
+  return res.status(202).json({ ok: true, job: importJobOut(importJobGet.get(id)) });
+});
+
+// GET /records/import/jobs?status=&limit=   newest first
+app.get('/records/import/jobs', requireRole(ANY_ROLE), (req, res) => {
+  const status = String(req.query.status || '').trim();
+  if (status && !IMPORT_JOB_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${IMPORT_JOB_STATUSES.join(', ')}` });
+  }
+  const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 50));
+  const rows = db.prepare(`
+    SELECT * FROM import_jobs ${status ? 'WHERE status = ?' : ''} ORDER BY created_at DESC LIMIT ${limit}
+  `).all(...(status ? [status] : []));
+  return res.json({ jobs: rows.map(importJobOut) });
+});
+
+app.get('/records/import/jobs/:id', requireRole(ANY_ROLE), (req, res) => {
+  const j = importJobGet.get(String(req.params.id));
+  if (!j) return res.status(404).json({ error: 'import job not found' });
+  return res.json(importJobOut(j));
+});
+
+// GET /records/import/jobs/:id/rejected.csv — one line per rejected row: its reasons, then
+// the columns as uploaded, so the file can be fixed and uploaded again.
+app.get('/records/import/jobs/:id/rejected.csv', requireRole(ANY_ROLE), (req, res) => {
+  const j = importJobGet.get(String(req.params.id));
+  if (!j) return res.status(404).json({ error: 'import job not found' });
+
+  const byRow = new Map();
+  for (const r of db.prepare(`SELECT * FROM import_job_rejects WHERE job_id = ? ORDER BY row_index`).iterate(j.id)) {
+    const e = byRow.get(r.row_index) || { reasons: [], raw: safeJsonParse(r.raw_json, null) || {} };
+    e.reasons.push(r.reason);
+    byRow.set(r.row_index, e);
+  }
+  const cols = [...new Set([...byRow.values()].flatMap(e => Object.keys(e.raw)))];
+  const esc = (v) => {
+    const s = String(v ?? '');
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g,'""')}"` : s;
+  };
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="import_${j.id.slice(0, 8)}_rejected.csv"`);
+  res.write('\ufeff');
+  res.write(['Row', 'Reason', ...cols].map(esc).join(',') + '\r\n');
+  for (const [index, e] of byRow) {
+    res.write([index + 1, e.reasons.join('; '), ...cols.map(c => e.raw[c])].map(esc).join(',') + '\r\n');
+  }
+  return res.end();
+});
+
 
 // --- Fetch records ---
-app.get('/records', (req, res) => {
+app.get('/records', requireRole(ANY_ROLE), (req, res) => {
   // Accept either from/to OR weekStart/weekEnd (we translate weekStart/weekEnd to from/to)
   const weekStart = req.query.weekStart ? String(req.query.weekStart) : '';
   const weekEnd   = req.query.weekEnd   ? String(req.query.weekEnd)   : '';
@@ -498,12 +2781,15 @@ app.get('/records', (req, res) => {
   const to   = toRaw   && toRaw.includes('T')   ? toRaw.slice(0, 10)   : toRaw;
   const status = req.query.status ? String(req.query.status) : '';
   const limit  = req.query.limit  ? Number(req.query.limit)  : undefined;
+  const fac    = facilityFilter(req);
 
   const params = [];
   let sql = 'SELECT * FROM records WHERE 1=1';
   if (from)   { sql += ' AND date_local >= ?'; params.push(from); }
   if (to)     { sql += ' AND date_local <= ?'; params.push(to); }
   if (status) { sql += ' AND status = ?';      params.push(status); }
+  else        { sql += " AND status <> 'voided'"; } // voided rows only when asked for
+  sql += fac.sql; params.push(...fac.params);
   sql += ' ORDER BY completed_at DESC';
   if (limit)  { sql += ' LIMIT ?';             params.push(limit); }
 
@@ -514,7 +2800,7 @@ app.get('/records', (req, res) => {
 
 // --- Paginated records (cursor-based; for drilldowns only) ---
 // Cursor format: "<completed_at>|<id>" (both URL-encoded by the client). Results are ordered DESC.
-app.get('/records/page', (req, res) => {
+app.get('/records/page', requireRole(ANY_ROLE), (req, res) => {
   try {
     const weekStart = req.query.weekStart ? String(req.query.weekStart) : '';
     const weekEnd   = req.query.weekEnd   ? String(req.query.weekEnd)   : '';
@@ -540,11 +2826,14 @@ app.get('/records/page', (req, res) => {
       cursorId = parts[1] || '';
     }
 
+    const fac = facilityFilter(req);
     const params = [];
     let sql = 'SELECT * FROM records WHERE 1=1';
     if (from)   { sql += ' AND date_local >= ?'; params.push(from); }
     if (to)     { sql += ' AND date_local <= ?'; params.push(to); }
     if (status) { sql += ' AND status = ?';      params.push(status); }
+    else        { sql += " AND status <> 'voided'"; }
+    sql += fac.sql; params.push(...fac.params);
 
     // keyset pagination: (completed_at, id) DESC
     if (cursorCompletedAt && cursorId) {
@@ -578,59 +2867,70 @@ app.get('/records/page', (req, res) => {
 
 
 // --- Ops quick stats (tiny payload; safe to call frequently) ---
-app.get('/summary/ops', (req, res) => {
+app.get('/summary/ops', requireRole(ANY_ROLE), (req, res) => {
   try {
     const now = new Date();
     const nowISO = now.toISOString();
     const hourAgoISO = new Date(now.getTime() - 3600e3).toISOString();
     const halfAgoISO = new Date(now.getTime() - 1800e3).toISOString();
     const todayYMD = todayChicagoISO();
+    const fac = facilityFilter(req);
 
     const scansToday = db.prepare(
-      `SELECT COUNT(*) AS n FROM records WHERE status='complete' AND date_local = ?`
-    ).get(todayYMD)?.n || 0;
+      `SELECT COUNT(*) AS n FROM records WHERE status='complete' AND date_local = ?${fac.sql}`
+    ).get(todayYMD, ...fac.params)?.n || 0;
 
     const lastHour = db.prepare(
-      `SELECT COUNT(*) AS n FROM records WHERE status='complete' AND completed_at >= ?`
-    ).get(hourAgoISO)?.n || 0;
+      `SELECT COUNT(*) AS n FROM records WHERE status='complete' AND completed_at >= ?${fac.sql}`
+    ).get(hourAgoISO, ...fac.params)?.n || 0;
 
     const last30 = db.prepare(
-      `SELECT COUNT(*) AS n FROM records WHERE status='complete' AND completed_at >= ?`
-    ).get(halfAgoISO)?.n || 0;
+      `SELECT COUNT(*) AS n FROM records WHERE status='complete' AND completed_at >= ?${fac.sql}`
+    ).get(halfAgoISO, ...fac.params)?.n || 0;
 
     const drafts = db.prepare(
-      `SELECT COUNT(*) AS n FROM records WHERE status <> 'complete'`
-    ).get()?.n || 0;
+      `SELECT COUNT(*) AS n FROM records WHERE status NOT IN ('complete', 'voided')${fac.sql}`
+    ).get(...fac.params)?.n || 0;
 
     // Duplicate pairs among completed rows for today (sku_code + uid)
     const dupeRow = db.prepare(
       `SELECT
         (COUNT(*) - COUNT(DISTINCT COALESCE(TRIM(sku_code),'') || '|' || COALESCE(TRIM(uid),''))) AS dupes
        FROM records
-       WHERE status='complete' AND date_local = ? AND TRIM(COALESCE(sku_code,''))<>'' AND TRIM(COALESCE(uid,''))<>''`
-    ).get(todayYMD);
+       WHERE status='complete' AND date_local = ? AND TRIM(COALESCE(sku_code,''))<>'' AND TRIM(COALESCE(uid,''))<>''${fac.sql}`
+    ).get(todayYMD, ...fac.params);
     const dupes = Math.max(0, Number(dupeRow?.dupes || 0));
 
     const syncRows = db.prepare(
       `SELECT COALESCE(sync_state,'unknown') AS sync_state, COUNT(*) AS n
        FROM records
+       WHERE status <> 'voided'${fac.sql}
        GROUP BY COALESCE(sync_state,'unknown')`
-    ).all();
+    ).all(...fac.params);
     const sync_counts = {};
     for (const r of syncRows) sync_counts[r.sync_state] = Number(r.n || 0);
 
     const lastCompleted = db.prepare(
-      `SELECT MAX(completed_at) AS ts FROM records WHERE status='complete'`
-    ).get()?.ts || null;
+      `SELECT MAX(completed_at) AS ts FROM records WHERE status='complete'${fac.sql}`
+    ).get(...fac.params)?.ts || null;
+
+    // Open cross-PO UID conflicts (either side at this facility when filtered)
+    const conflictsOpen = db.prepare(`
+      SELECT COUNT(*) AS n FROM uid_conflicts c
+      WHERE c.status = 'open'
+        ${fac.facility ? 'AND EXISTS (SELECT 1 FROM records r WHERE r.id IN (c.record_a, c.record_b) AND r.facility = ?)' : ''}
+    `).get(...fac.params)?.n || 0;
 
     return res.json({
       now: nowISO,
       today: todayYMD,
+      facility: fac.facility || null,
       scans_today: Number(scansToday),
       last_hour: Number(lastHour),
       last_30m: Number(last30),
       drafts: Number(drafts),
       dupes: Number(dupes),
+      conflicts_open: Number(conflictsOpen),
       sync_counts,
       last_completed_at: lastCompleted
     });
@@ -643,7 +2943,7 @@ app.get('/summary/ops', (req, res) => {
 
 
 // --- Fetch records summary (totals + trends; avoids pulling huge record sets to client) ---
-app.get('/records/summary', (req, res) => {
+app.get('/records/summary', requireRole(ANY_ROLE), (req, res) => {
   try {
     // Accept either from/to OR weekStart/weekEnd (same pattern as /records)
     const weekStart = req.query.weekStart ? String(req.query.weekStart) : '';
@@ -659,9 +2959,10 @@ app.get('/records/summary', (req, res) => {
     const to   = toRaw   && toRaw.includes('T')   ? toRaw.slice(0, 10)   : toRaw;
 
     const status = req.query.status ? String(req.query.status) : 'complete';
+    const fac = facilityFilter(req);
 
     // cache
-    const key = _summaryKey({ from, to, status });
+    const key = _summaryKey({ from, to, status, facility: fac.facility });
     const cached = _summaryCache.get(key);
     if (cached && (Date.now() - cached.ts) < SUMMARY_TTL_MS) {
       return res.json(cached.data);
@@ -672,6 +2973,7 @@ app.get('/records/summary', (req, res) => {
     if (from)   { where += ' AND date_local >= ?'; params.push(from); }
     if (to)     { where += ' AND date_local <= ?'; params.push(to); }
     if (status) { where += ' AND status = ?';      params.push(status); }
+    where += fac.sql; params.push(...fac.params);
 
     // total units (count of records)
     const totalRow = db.prepare(`
@@ -706,6 +3008,7 @@ app.get('/records/summary', (req, res) => {
       from: from || null,
       to: to || null,
       status,
+      facility: fac.facility || null,
       total_units: Number(totalRow?.total_units || 0),
       by_day: byDayRows.map(r => ({ ymd: r.ymd, units: Number(r.units || 0) })),
       by_po: byPoRows.map(r => ({ po: r.po, units: Number(r.units || 0), cartons_out: Number(r.cartons_out || 0) }))
@@ -721,19 +3024,21 @@ app.get('/records/summary', (req, res) => {
 
 
 // --- Summary: PO+SKU rollup (for discrepancies without pulling raw records) ---
-app.get('/summary/po_sku', (req, res) => {
+app.get('/summary/po_sku', requireRole(ANY_ROLE), (req, res) => {
   try {
     const fromRaw = req.query.from ? String(req.query.from) : '';
     const toRaw   = req.query.to   ? String(req.query.to)   : '';
     const from = fromRaw && fromRaw.includes('T') ? fromRaw.slice(0, 10) : fromRaw;
     const to   = toRaw   && toRaw.includes('T')   ? toRaw.slice(0, 10)   : toRaw;
     const status = req.query.status ? String(req.query.status) : 'complete';
+    const fac = facilityFilter(req);
 
     const params = [];
     let where = 'WHERE 1=1';
     if (from)   { where += ' AND date_local >= ?'; params.push(from); }
     if (to)     { where += ' AND date_local <= ?'; params.push(to); }
     if (status) { where += ' AND status = ?';      params.push(status); }
+    where += fac.sql; params.push(...fac.params);
 
     const rows = db.prepare(`
       SELECT
@@ -748,7 +3053,7 @@ app.get('/summary/po_sku', (req, res) => {
       ORDER BY po_number, sku_code
     `).all(...params);
 
-    return res.json({ from: from || null, to: to || null, status, rows: rows.map(r => ({ po: r.po, sku: r.sku, units: Number(r.units || 0) })) });
+    return res.json({ from: from || null, to: to || null, status, facility: fac.facility || null, rows: rows.map(r => ({ po: r.po, sku: r.sku, units: Number(r.units || 0) })) });
   } catch (e) {
     console.error('GET /summary/po_sku failed:', e);
     return res.status(500).json({ error: String(e?.message || e) });
@@ -756,19 +3061,21 @@ app.get('/summary/po_sku', (req, res) => {
 });
 
 // --- Summary: SKU rollup ---
-app.get('/summary/sku', (req, res) => {
+app.get('/summary/sku', requireRole(ANY_ROLE), (req, res) => {
   try {
     const fromRaw = req.query.from ? String(req.query.from) : '';
     const toRaw   = req.query.to   ? String(req.query.to)   : '';
     const from = fromRaw && fromRaw.includes('T') ? fromRaw.slice(0, 10) : fromRaw;
     const to   = toRaw   && toRaw.includes('T')   ? toRaw.slice(0, 10)   : toRaw;
     const status = req.query.status ? String(req.query.status) : 'complete';
+    const fac = facilityFilter(req);
 
     const params = [];
     let where = 'WHERE 1=1';
     if (from)   { where += ' AND date_local >= ?'; params.push(from); }
     if (to)     { where += ' AND date_local <= ?'; params.push(to); }
     if (status) { where += ' AND status = ?';      params.push(status); }
+    where += fac.sql; params.push(...fac.params);
 
     const rows = db.prepare(`
       SELECT sku_code AS sku, COUNT(*) AS units
@@ -779,7 +3086,7 @@ app.get('/summary/sku', (req, res) => {
       ORDER BY sku_code
     `).all(...params);
 
-    return res.json({ from: from || null, to: to || null, status, rows: rows.map(r => ({ sku: r.sku, units: Number(r.units || 0) })) });
+    return res.json({ from: from || null, to: to || null, status, facility: fac.facility || null, rows: rows.map(r => ({ sku: r.sku, units: Number(r.units || 0) })) });
   } catch (e) {
     console.error('GET /summary/sku failed:', e);
     return res.status(500).json({ error: String(e?.message || e) });
@@ -802,25 +3109,22 @@ function _weekEndISO(ws) {
 }
 
 function _getPlanRowsForWeek(ws) {
-  const row = db.prepare(`SELECT data FROM plans WHERE week_start = ?`).get(ws);
-  if (!row?.data) return [];
-  try {
-    const parsed = JSON.parse(row.data);
-    return Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.rows) ? parsed.rows : []);
-  } catch {
-    return [];
-  }
+  return PlanLines.forWeek(ws).map(planLineOut);
 }
 
+// Shipping volume per mobile bin (m³); bins are one standard size
+const BIN_CBM = 0.046;
+
 function _getBinsForWeek(ws) {
   return db.prepare(`SELECT week_start, mobile_bin, total_units, weight_kg, date_local FROM bins WHERE week_start = ?`).all(ws);
 }
 
-app.get('/summary/shipment_summary', (req, res) => {
+app.get('/summary/shipment_summary', requireRole(ANY_ROLE), (req, res) => {
   try {
     const ws = String(req.query.weekStart || '').slice(0, 10);
     if (!ws) return res.status(400).json({ error: 'weekStart is required (YYYY-MM-DD)' });
     const we = _weekEndISO(ws);
+    const fac = facilityFilter(req);
 
     const plan = _getPlanRowsForWeek(ws);
     const metaByPO = new Map();
@@ -841,9 +3145,9 @@ app.get('/summary/shipment_summary', (req, res) => {
       FROM records
       WHERE status='complete'
         AND date_local >= ? AND date_local <= ?
-        AND TRIM(COALESCE(po_number,'')) <> ''
+        AND TRIM(COALESCE(po_number,'')) <> ''${fac.sql}
       GROUP BY po_number
-    `).all(ws, we);
+    `).all(ws, we, ...fac.params);
 
     // distinct bins by PO (week scoped)
     const poBins = db.prepare(`
@@ -852,9 +3156,9 @@ app.get('/summary/shipment_summary', (req, res) => {
       WHERE status='complete'
         AND date_local >= ? AND date_local <= ?
         AND TRIM(COALESCE(po_number,'')) <> ''
-        AND TRIM(COALESCE(mobile_bin,'')) <> ''
+        AND TRIM(COALESCE(mobile_bin,'')) <> ''${fac.sql}
       GROUP BY po_number, TRIM(mobile_bin)
-    `).all(ws, we);
+    `).all(ws, we, ...fac.params);
 
     const bins = _getBinsForWeek(ws);
     const binWeight = new Map();
@@ -922,7 +3226,7 @@ app.get('/summary/shipment_summary', (req, res) => {
         'Total Units Applied': Number(g['Total Units Applied'] || 0),
         'Total Mobile Bins': binCount,
         'Gross Weight': Math.round((Number(g['Gross Weight'] || 0) + Number.EPSILON) * 100) / 100,
-        'CBM': Math.round((binCount * 0.046 + Number.EPSILON) * 1000) / 1000,
+        'CBM': Math.round((binCount * BIN_CBM + Number.EPSILON) * 1000) / 1000,
       });
     }
 
@@ -940,11 +3244,33 @@ app.get('/summary/shipment_summary', (req, res) => {
   }
 });
 
-app.get('/summary/shipment_detail', (req, res) => {
+// Detail = one row per Supplier / Zendesk / Freight / Facility / PO / Mobile Bin.
+// A bin shared by several POs carries its weight + CBM on its first row only, so each
+// column totals to the week's bins. That is not how shipment_summary splits a bin that
+// holds more than one group's POs: there the weight goes to one group and the CBM to
+// every group, so group rows (and the CBM total) don't add up to the detail.
+// ?format=xlsx streams the same rows as a workbook (default: JSON).
+const SHIPMENT_DETAIL_COLUMNS = [
+  { header: 'Supplier Name', width: 24 },
+  { header: 'Zendesk Ticket #', width: 16 },
+  { header: 'Freight Type', width: 14 },
+  { header: 'Facility Name', width: 16 },
+  { header: 'PO', width: 14 },
+  { header: 'Mobile Bin', width: 16 },
+  { header: 'SSCC Labels', width: 26 },
+  { header: 'Units Applied', width: 14 },
+  { header: 'Bin Weight', width: 12 },
+  { header: 'CBM', width: 10 },
+];
+
+app.get('/summary/shipment_detail', requireRole(ANY_ROLE), async (req, res) => {
   try {
     const ws = String(req.query.weekStart || '').slice(0, 10);
     if (!ws) return res.status(400).json({ error: 'weekStart is required (YYYY-MM-DD)' });
     const we = _weekEndISO(ws);
+    const format = String(req.query.format || 'json').trim().toLowerCase();
+    if (format !== 'json' && format !== 'xlsx') return res.status(400).json({ error: 'format must be json or xlsx' });
+    const fac = facilityFilter(req);
 
     const plan = _getPlanRowsForWeek(ws);
     const metaByPO = new Map();
@@ -959,24 +3285,19 @@ app.get('/summary/shipment_detail', (req, res) => {
       });
     }
 
-    const poUnits = db.prepare(`
-      SELECT po_number AS po, COUNT(*) AS units
-      FROM records
-      WHERE status='complete'
-        AND date_local >= ? AND date_local <= ?
-        AND TRIM(COALESCE(po_number,'')) <> ''
-      GROUP BY po_number
-    `).all(ws, we);
-
-    const poBins = db.prepare(`
-      SELECT po_number AS po, TRIM(mobile_bin) AS mobile_bin
+    // applied units + SSCCs by PO × bin (week scoped)
+    const poBinUnits = db.prepare(`
+      SELECT
+        po_number AS po,
+        TRIM(COALESCE(mobile_bin,'')) AS mobile_bin,
+        COUNT(*) AS units,
+        GROUP_CONCAT(DISTINCT NULLIF(TRIM(sscc_label),'')) AS ssccs
       FROM records
       WHERE status='complete'
         AND date_local >= ? AND date_local <= ?
-        AND TRIM(COALESCE(po_number,'')) <> ''
-        AND TRIM(COALESCE(mobile_bin,'')) <> ''
-      GROUP BY po_number, TRIM(mobile_bin)
-    `).all(ws, we);
+        AND TRIM(COALESCE(po_number,'')) <> ''${fac.sql}
+      GROUP BY po_number, TRIM(COALESCE(mobile_bin,''))
+    `).all(ws, we, ...fac.params);
 
     const bins = _getBinsForWeek(ws);
     const binWeight = new Map();
@@ -986,79 +3307,180 @@ app.get('/summary/shipment_detail', (req, res) => {
       binWeight.set(mb, Number(b?.weight_kg || 0) || 0);
     }
 
-    const binsByPO = new Map();
-    for (const r of poBins) {
+    const out = [];
+    for (const r of poBinUnits) {
       const po = String(r.po || '').trim();
-      const mb = String(r.mobile_bin || '').trim();
-      if (!po || !mb) continue;
-      if (!binsByPO.has(po)) binsByPO.set(po, new Set());
-      binsByPO.get(po).add(mb);
+      if (!po) continue;
+      const m = metaByPO.get(po) || { supplier: '(Unspecified)', zendesk: '(Unspecified)', freight: '(Unspecified)', facility: '(Unspecified)' };
+      const ssccs = String(r.ssccs || '').split(',').map(s => s.trim()).filter(Boolean).sort();
+      out.push({
+        'Supplier Name': m.supplier,
+        'Zendesk Ticket #': m.zendesk,
+        'Freight Type': m.freight,
+        'Facility Name': m.facility,
+        'PO': po,
+        'Mobile Bin': _normStr(r.mobile_bin),
+        'SSCC Labels': ssccs.join(', '),
+        'Units Applied': Number(r.units || 0) || 0,
+        'Bin Weight': 0,
+        'CBM': 0,
+        _bin: String(r.mobile_bin || '').trim(),
+      });
     }
 
-    const groups = new Map();
-    const binAssigned = new Map();
+    out.sort((a, b) =>
+      String(a['Supplier Name']).localeCompare(String(b['Supplier Name'])) ||
+      String(a['Zendesk Ticket #']).localeCompare(String(b['Zendesk Ticket #'])) ||
+      String(a['Freight Type']).localeCompare(String(b['Freight Type'])) ||
+      String(a['Facility Name']).localeCompare(String(b['Facility Name'])) ||
+      String(a['PO']).localeCompare(String(b['PO'])) ||
+      String(a['Mobile Bin']).localeCompare(String(b['Mobile Bin']))
+    );
 
-    for (const r of poUnits) {
-      const po = String(r.po || '').trim();
-      if (!po) continue;
-      const m = metaByPO.get(po) || { supplier: '(Unspecified)', zendesk: '(Unspecified)', freight: '(Unspecified)', facility: '(Unspecified)' };
-      const gkey = `${m.supplier}|||${m.zendesk}|||${m.freight}|||${m.facility}|||${po}`;
+    const binAssigned = new Set();
+    for (const row of out) {
+      const mb = row._bin;
+      delete row._bin;
+      if (!mb || binAssigned.has(mb)) continue;
+      binAssigned.add(mb);
+      row['Bin Weight'] = Math.round(((binWeight.get(mb) || 0) + Number.EPSILON) * 100) / 100;
+      row['CBM'] = BIN_CBM;
+    }
 
-      if (!groups.has(gkey)) {
-        groups.set(gkey, {
-          'Supplier Name': m.supplier,
-          'Zendesk Ticket #': m.zendesk,
-          'Freight Type': m.freight,
-          'Facility Name': m.facility,
-          'PO': po,
-          _binSet: new Set(),
-          'Total Units Applied': 0,
-          'Total Mobile Bins': 0,
-          'Gross Weight': 0,
-          'CBM': 0,
-        });
-      }
+    if (format === 'xlsx') {
+      const wb = new ExcelJS.Workbook();
+      const sheet = wb.addWorksheet('Shipment Detail');
+      sheet.columns = SHIPMENT_DETAIL_COLUMNS.map(c => ({ header: c.header, key: c.header, width: c.width }));
+      out.forEach(r => sheet.addRow(r));
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="shipment_report_detail_${ws}.xlsx"`);
+      await wb.xlsx.write(res);
+      return res.end();
+    }
 
-      const g = groups.get(gkey);
-      g['Total Units Applied'] += Number(r.units || 0) || 0;
+    return res.json({ weekStart: ws, weekEnd: we, rows: out });
+  } catch (e) {
+    console.error('GET /summary/shipment_detail failed:', e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+});
 
-      const poBinSet = binsByPO.get(po) || new Set();
-      for (const mb of poBinSet) {
-        g._binSet.add(mb);
-        if (!binAssigned.has(mb)) {
-          binAssigned.set(mb, gkey);
-          g['Gross Weight'] += binWeight.get(mb) || 0;
-        }
+
+// --- Summary: plan vs applied reconciliation (PO×SKU) ---
+// Replaces the browser-side discrepancy math in exec (computeExecMetrics) so the
+// dashboard doesn't need the week's raw records. Applied = complete records in the week.
+function _variance(planned, applied) {
+  const variance = applied - planned;
+  return {
+    planned,
+    applied,
+    variance,
+    variance_pct: planned > 0 ? Math.round((variance * 1000) / planned) / 10 : null,
+  };
+}
+
+app.get('/summary/reconciliation', requireRole(ANY_ROLE), (req, res) => {
+  try {
+    const raw = String(req.query.weekStart || '').trim();
+    if (!raw) return res.status(400).json({ error: 'weekStart is required (YYYY-MM-DD)' });
+    const ws = mondayOfLoose(raw);
+    if (!ws) return res.status(400).json({ error: 'invalid weekStart' });
+    const we = _weekEndISO(ws);
+    const fac = facilityFilter(req);
+
+    // With ?facility=, both sides are scoped: plan lines by facility_name, records by facility.
+    const plan = PlanLines.forWeek(ws).filter(p => !fac.facility || normFacility(p.facility_name) === fac.facility);
+    const applied = db.prepare(`
+      SELECT po_number AS po, sku_code AS sku, COUNT(*) AS units
+      FROM records
+      WHERE status = 'complete'
+        AND date_local >= ? AND date_local <= ?
+        AND TRIM(COALESCE(po_number,'')) <> ''
+        AND TRIM(COALESCE(sku_code,'')) <> ''${fac.sql}
+      GROUP BY po_number, sku_code
+    `).all(ws, we, ...fac.params);
+
+    const key = (po, sku) => `${po}|||${sku}`;
+    const appliedByKey = new Map(applied.map(a => [key(a.po, a.sku), Number(a.units || 0)]));
+    const supplierByPO = new Map();
+    for (const p of plan) if (p.supplier_name && !supplierByPO.has(p.po_number)) supplierByPO.set(p.po_number, p.supplier_name);
+
+    const lines = plan.map(p => ({
+      po_number: p.po_number,
+      sku_code: p.sku_code,
+      supplier_name: _normStr(p.supplier_name),
+      facility_name: _normStr(p.facility_name),
+      due_date: p.due_date || '',
+      ..._variance(Number(p.target_qty || 0), appliedByKey.get(key(p.po_number, p.sku_code)) || 0),
+    }));
+    const planned = new Set(plan.map(p => key(p.po_number, p.sku_code)));
+    const unplanned = applied
+      .filter(a => !planned.has(key(a.po, a.sku)))
+      .map(a => ({ po_number: a.po, sku_code: a.sku, supplier_name: _normStr(supplierByPO.get(a.po)), applied: Number(a.units || 0) }))
+      .sort((a, b) => b.applied - a.applied);
+    const zeroApplied = lines.filter(l => l.applied === 0 && l.planned > 0);
+
+    // Roll-ups include unplanned applications so PO/supplier "applied" matches what was scanned.
+    function rollup(field) {
+      const m = new Map();
+      const bucket = (k) => {
+        if (!m.has(k)) m.set(k, { [field]: k, planned: 0, applied: 0, unplanned_units: 0, lines: 0, zero_applied_lines: 0 });
+        return m.get(k);
+      };
+      for (const l of lines) {
+        const b = bucket(l[field]);
+        b.planned += l.planned; b.applied += l.applied; b.lines++;
+        if (l.applied === 0 && l.planned > 0) b.zero_applied_lines++;
+      }
+      for (const u of unplanned) {
+        const b = bucket(u[field]);
+        b.applied += u.applied; b.unplanned_units += u.applied;
       }
+      return [...m.values()]
+        .map(b => ({ ...b, ..._variance(b.planned, b.applied) }))
+        .sort((a, b) => Math.abs(b.variance) - Math.abs(a.variance));
     }
-
-    const out = [];
-    for (const g of groups.values()) {
-      const binCount = g._binSet.size;
-      out.push({
-        'Supplier Name': g['Supplier Name'],
-        'Zendesk Ticket #': g['Zendesk Ticket #'],
-        'Freight Type': g['Freight Type'],
-        'Facility Name': g['Facility Name'],
-        'PO': g['PO'],
-        'Total Units Applied': Number(g['Total Units Applied'] || 0),
-        'Total Mobile Bins': binCount,
-        'Gross Weight': Math.round((Number(g['Gross Weight'] || 0) + Number.EPSILON) * 100) / 100,
-        'CBM': Math.round((binCount * 0.046 + Number.EPSILON) * 1000) / 1000,
-      });
+    const byPO = rollup('po_number');
+    for (const r of byPO) r.supplier_name = _normStr(supplierByPO.get(r.po_number));
+    const bySupplier = rollup('supplier_name');
+
+    // Mean |applied - planned| / planned over planned SKUs / POs, as exec shows it.
+    const avgAbsPct = (rows) => {
+      const withPlan = rows.filter(r => r.planned > 0);
+      if (!withPlan.length) return 0;
+      return Math.round(withPlan.reduce((s, r) => s + Math.abs(r.applied - r.planned) / r.planned, 0) / withPlan.length * 100);
+    };
+    const bySku = new Map();
+    for (const r of [...lines, ...unplanned.map(u => ({ ...u, planned: 0 }))]) {
+      const b = bySku.get(r.sku_code) || { planned: 0, applied: 0 };
+      b.planned += r.planned; b.applied += r.applied;
+      bySku.set(r.sku_code, b);
     }
 
-    out.sort((a, b) =>
-      String(a['Supplier Name']).localeCompare(String(b['Supplier Name'])) ||
-      String(a['Zendesk Ticket #']).localeCompare(String(b['Zendesk Ticket #'])) ||
-      String(a['Freight Type']).localeCompare(String(b['Freight Type'])) ||
-      String(a['Facility Name']).localeCompare(String(b['Facility Name'])) ||
-      String(a['PO']).localeCompare(String(b['PO']))
-    );
+    const plannedTotal = lines.reduce((s, l) => s + l.planned, 0);
+    const appliedTotal = applied.reduce((s, a) => s + Number(a.units || 0), 0);
 
-    return res.json({ weekStart: ws, weekEnd: we, rows: out });
+    return res.json({
+      weekStart: ws,
+      weekEnd: we,
+      facility: fac.facility || null,
+      totals: {
+        ..._variance(plannedTotal, appliedTotal),
+        plan_lines: lines.length,
+        unplanned_lines: unplanned.length,
+        unplanned_units: unplanned.reduce((s, u) => s + u.applied, 0),
+        zero_applied_lines: zeroApplied.length,
+        avg_po_discrepancy_pct: avgAbsPct(byPO),
+        avg_sku_discrepancy_pct: avgAbsPct([...bySku.values()]),
+      },
+      lines,
+      unplanned,
+      zero_applied: zeroApplied,
+      by_po: byPO,
+      by_supplier: bySupplier,
+    });
   } catch (e) {
-    console.error('GET /summary/shipment_detail failed:', e);
+    console.error('GET /summary/reconciliation failed:', e);
     return res.status(500).json({ error: String(e?.message || e) });
   }
 });
@@ -1066,26 +3488,28 @@ app.get('/summary/shipment_detail', (req, res) => {
 
 // --- Export: applied UIDs (CSV stream) ---
 // For large weeks, do NOT materialize the full dataset in the browser.
-app.get('/export/applied', (req, res) => {
+app.get('/export/applied', requireRole(ANY_ROLE), (req, res) => {
   try {
     const fromRaw = req.query.from ? String(req.query.from) : '';
     const toRaw   = req.query.to   ? String(req.query.to)   : '';
     const from = fromRaw && fromRaw.includes('T') ? fromRaw.slice(0, 10) : fromRaw;
     const to   = toRaw   && toRaw.includes('T')   ? toRaw.slice(0, 10)   : toRaw;
     if (!from || !to) return res.status(400).send('from and to are required (YYYY-MM-DD)');
+    const fac = facilityFilter(req);
+    const suffix = fac.facility ? `_${fac.facility.replace(/[^\w-]+/g, '_')}` : '';
 
     res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-    res.setHeader('Content-Disposition', `attachment; filename="Applied_UIDs_${from}_to_${to}.csv"`);
+    res.setHeader('Content-Disposition', `attachment; filename="Applied_UIDs_${from}_to_${to}${suffix}.csv"`);
 
     // UTF-8 BOM for Excel compatibility
     res.write('\ufeff');
-    res.write('Date Applied,Mobile Bin,SSCC Label,PO Number,SKU Code,UID\r\n');
+    res.write('Date Applied,Mobile Bin,SSCC Label,PO Number,SKU Code,UID,Facility\r\n');
 
     const stmt = db.prepare(`
-      SELECT date_local, mobile_bin, sscc_label, po_number, sku_code, uid
+      SELECT date_local, mobile_bin, sscc_label, po_number, sku_code, uid, facility
       FROM records
       WHERE status='complete'
-        AND date_local >= ? AND date_local <= ?
+        AND date_local >= ? AND date_local <= ?${fac.sql}
       ORDER BY date_local, po_number, sku_code
     `);
 
@@ -1094,14 +3518,15 @@ app.get('/export/applied', (req, res) => {
       return /[",\n\r]/.test(s) ? `"${s.replace(/"/g,'""')}"` : s;
     };
 
-    for (const r of stmt.iterate(from, to)) {
+    for (const r of stmt.iterate(from, to, ...fac.params)) {
       res.write([
         esc(r.date_local),
         esc(r.mobile_bin),
         esc(r.sscc_label),
         esc(r.po_number),
         esc(r.sku_code),
-        esc(r.uid)
+        esc(r.uid),
+        esc(r.facility)
       ].join(',') + '\r\n');
     }
     return res.end();
@@ -1111,9 +3536,10 @@ app.get('/export/applied', (req, res) => {
   }
 });
 // --- Export XLSX ---
-app.get('/export/xlsx', async (req, res) => {
+app.get('/export/xlsx', requireRole(ANY_ROLE), async (req, res) => {
   const date = String(req.query.date || todayChicagoISO());
-  const rows = db.prepare('SELECT * FROM records WHERE date_local = ? ORDER BY completed_at DESC').all(date);
+  const fac = facilityFilter(req);
+  const rows = db.prepare(`SELECT * FROM records WHERE date_local = ? AND status <> 'voided'${fac.sql} ORDER BY completed_at DESC`).all(date, ...fac.params);
   const wb = new ExcelJS.Workbook();
   const ws = wb.addWorksheet('UIDs');
   ws.columns = [
@@ -1123,6 +3549,7 @@ app.get('/export/xlsx', async (req, res) => {
     { header: 'PO_Number', key: 'po_number', width: 14 },
     { header: 'SKU_Code', key: 'sku_code', width: 14 },
     { header: 'UID', key: 'uid', width: 22 },
+    { header: 'Facility', key: 'facility', width: 12 },
     { header: 'Status', key: 'status', width: 10 },
     { header: 'Completed At', key: 'completed_at', width: 22 },
   ];
@@ -1133,32 +3560,73 @@ app.get('/export/xlsx', async (req, res) => {
   res.end();
 });
 
-// --- Deletions ---
-app.delete('/records', (req, res) => {
+// --- Deletions (soft: rows become status='voided'; see POST /records/restore) ---
+function parseVoidReason(v) {
+  const reason = String(v ?? '').trim();
+  if (!reason) return { reason: DEFAULT_VOID_REASON };
+  if (!VOID_REASONS.includes(reason)) return { error: `reason must be one of: ${VOID_REASONS.join(', ')}` };
+  return { reason };
+}
+
+// Voids every live row matched by uid (+ sku_code when given) -> { deleted, warnings }, or
+// { error, bin } (nothing voided) when a row sits in a bin that isn't open and BIN_SEAL_MODE rejects.
+function voidMatching(req, uid, sku, reason) {
+  const doomed = sku ? selectBySkuUid.all(uid, sku) : selectByUid.all(uid);
+  const warnings = [];
+  for (const r of doomed) {
+    const binCheck = checkBinWrite(r, { ...r, status: 'voided' });
+    if (binCheck.error) return { deleted: 0, error: binCheck.error, bin: binCheck.bin };
+    warnings.push(...binCheck.warnings);
+  }
+  const voidedAt = new Date().toISOString();
+  const voided = [];
+  for (const r of doomed) {
+    if (!voidById.run({ id: r.id, voided_at: voidedAt, voided_by: req.auth?.name || 'anonymous', void_reason: reason }).changes) continue;
+    const after = selectRecordById.get(r.id);
+    auditRecord(req, 'void', r, after);
+    voided.push(after);
+  }
+  if (voided.length) {
+    closeSupersededConflicts(req);
+    publishRecords(req, 'record.deleted', voided);
+  }
+  return { deleted: voided.length, warnings };
+}
+
+app.get('/records/void-reasons', requireRole(ANY_ROLE), (req, res) => {
+  return res.json({ reasons: VOID_REASONS, default: DEFAULT_VOID_REASON });
+});
+
+// DELETE /records?uid=&sku_code=&reason=   (no sku_code -> every live row with this UID)
+app.delete('/records', requireRole(ROLES.SUPERVISOR), (req, res) => {
   const uid = String(req.query.uid || '').trim();
   const sku = String(req.query.sku_code || '').trim();
 
   if (!uid) return res.status(400).json({ error: 'uid required' });
+  const { reason, error } = parseVoidReason(req.query.reason);
+  if (error) return res.status(400).json({ error });
 
-  const info = sku
-    ? deleteBySkuUid.run(uid, sku)  // original behavior
-    : deleteByUid.run(uid);         // NEW: delete all rows with this UID
-
-  return res.json({ ok: true, deleted: info.changes });
+  const out = db.transaction(() => voidMatching(req, uid, sku, reason))();
+  if (out.error) return res.status(409).json({ error: out.error, bin: out.bin });
+  return res.json({ ok: true, deleted: out.deleted, reason, ...(out.warnings.length ? { warnings: out.warnings } : {}) });
 });
 
-app.post('/records/delete', (req, res) => {
+// POST /records/delete?reason=   body: [uid, ...] | [{ uid, sku_code?, reason? }, ...] | { uid, sku_code?, reason? }
+// A UID in a bin that isn't open refuses the whole batch (409 { error, bin, uid, sku_code }).
+app.post('/records/delete', requireRole(ROLES.SUPERVISOR), (req, res) => {
   const input = req.body;
+  const fallback = parseVoidReason(req.query.reason);
+  if (fallback.error) return res.status(400).json({ error: fallback.error });
 
-  // Normalize input to a list of objects with { uid, sku_code? }
+  // Normalize input to a list of objects with { uid, sku_code?, reason? }
   let items = [];
   if (Array.isArray(input)) {
     items = input.map(x => {
-      if (typeof x === 'string') return { uid: String(x).trim(), sku_code: '' };
-      return { uid: String(x?.uid || '').trim(), sku_code: String(x?.sku_code || '').trim() };
+      if (typeof x === 'string') return { uid: String(x).trim(), sku_code: '', reason: '' };
+      return { uid: String(x?.uid || '').trim(), sku_code: String(x?.sku_code || '').trim(), reason: String(x?.reason || '').trim() };
     });
   } else if (input && typeof input === 'object') {
-    items = [{ uid: String(input.uid || '').trim(), sku_code: String(input.sku_code || '').trim() }];
+    items = [{ uid: String(input.uid || '').trim(), sku_code: String(input.sku_code || '').trim(), reason: String(input.reason || '').trim() }];
   }
 
   if (!items.length) {
@@ -1166,6 +3634,7 @@ app.post('/records/delete', (req, res) => {
   }
 
   const results = [];
+  let blocked = null;
   const trx = db.transaction(list => {
     for (const it of list) {
       const uid = it.uid;
@@ -1175,22 +3644,330 @@ app.post('/records/delete', (req, res) => {
         results.push({ uid, sku_code: sku, deleted: 0, error: 'missing uid' });
         continue;
       }
+      const parsed = it.reason ? parseVoidReason(it.reason) : fallback;
+      if (parsed.error) {
+        results.push({ uid, sku_code: sku, deleted: 0, error: parsed.error });
+        continue;
+      }
 
-      const info = sku
-        ? deleteBySkuUid.run(uid, sku) // original precise delete
-        : deleteByUid.run(uid);        // NEW: delete all rows with this UID
-
-      results.push({ uid, sku_code: sku, deleted: info.changes });
+      const out = voidMatching(req, uid, sku, parsed.reason);
+      if (out.error) {
+        blocked = { error: out.error, bin: out.bin, uid, sku_code: sku };
+        throw new Error(out.error); // rolls back the rows voided so far
+      }
+      results.push({ uid, sku_code: sku, deleted: out.deleted, reason: parsed.reason, ...(out.warnings.length ? { warnings: out.warnings } : {}) });
     }
   });
 
   try { trx(items); }
-  catch (e) { return res.status(500).json({ error: String(e?.message || e) }); }
+  catch (e) {
+    if (blocked) return res.status(409).json(blocked);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
 
   const total = results.reduce((s, r) => s + (r.deleted || 0), 0);
   return res.json({ ok: true, total_deleted: total, results });
 });
 
+// GET /records/voided?days=7&limit=500  — "recently deleted" (newest first)
+app.get('/records/voided', requireRole(ANY_ROLE), (req, res) => {
+  try {
+    const daysRaw = Number(req.query.days || 7);
+    const days = Math.max(1, Math.min(90, Number.isFinite(daysRaw) ? daysRaw : 7));
+    const limitRaw = Number(req.query.limit || 500);
+    const limit = Math.max(1, Math.min(5000, Number.isFinite(limitRaw) ? limitRaw : 500));
+    const sinceISO = new Date(Date.now() - days * 86400e3).toISOString();
+    const fac = facilityFilter(req);
+
+    const rows = db.prepare(`
+      SELECT * FROM records
+      WHERE status = 'voided' AND voided_at >= ?${fac.sql}
+      ORDER BY voided_at DESC, id DESC
+      LIMIT ?
+    `).all(sinceISO, ...fac.params, limit);
+    return res.json({ since: sinceISO, records: rows });
+  } catch (e) {
+    console.error('GET /records/voided failed:', e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// POST /records/restore   body: [{ id }, ...] | [id, ...]
+app.post('/records/restore', requireRole(ROLES.SUPERVISOR), (req, res) => {
+  const input = Array.isArray(req.body) ? req.body : (req.body && typeof req.body === 'object' ? [req.body] : []);
+  const ids = input.map(x => String(typeof x === 'string' ? x : (x?.id || '')).trim());
+  if (!ids.length) return res.status(400).json({ error: 'Body must be array of record ids or { id } objects' });
+
+  const results = [];
+  const restored = [];
+  try {
+    db.transaction(() => {
+      for (const id of ids) {
+        const before = id ? selectRecordById.get(id) : null;
+        if (!before || before.status !== 'voided') {
+          results.push({ id, restored: 0, error: before ? 'not voided' : 'not found' });
+          continue;
+        }
+        const status = isComplete(before) ? 'complete' : 'draft';
+        const binCheck = checkBinWrite(null, { ...before, status });
+        if (binCheck.error) {
+          results.push({ id, restored: 0, error: binCheck.error, bin: binCheck.bin });
+          continue;
+        }
+        restoreById.run({ id, status });
+        const after = selectRecordById.get(id);
+        auditRecord(req, 'restore', before, after);
+        restored.push(after);
+        const conflicts = detectUidConflicts(req, after);
+        results.push({ id, restored: 1, status, conflicts, ...(binCheck.warnings.length ? { warnings: binCheck.warnings } : {}) });
+      }
+    })();
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+
+  const total = results.reduce((s, r) => s + (r.restored || 0), 0);
+  publishRecords(req, 'record.updated', restored);
+  return res.json({ ok: true, total_restored: total, results });
+});
+
+// --- Cross-PO UID conflicts ---
+// uniq_po_sku_uid only stops repeats inside one PO/SKU. Any write that leaves a UID
+// complete on two rows (different PO or SKU, any week) queues a conflict here for a
+// supervisor: keep_a / keep_b void the other row, void_both voids both.
+const CONFLICT_ACTIONS = ['keep_a', 'keep_b', 'void_both'];
+const CONFLICT_VOID_REASON = 'duplicate';
+
+const conflictGet = db.prepare('SELECT * FROM uid_conflicts WHERE id = ?');
+const conflictOpenForPair = db.prepare(`
+  SELECT id FROM uid_conflicts
+  WHERE status = 'open' AND ((record_a = ? AND record_b = ?) OR (record_a = ? AND record_b = ?))
+`);
+const conflictInsert = db.prepare(`
+  INSERT INTO uid_conflicts(uid, record_a, record_b, detected_at, detected_by, source, status)
+  VALUES (@uid, @record_a, @record_b, @detected_at, @detected_by, @source, 'open')
+`);
+const liveByUidExcept = db.prepare(`
+  SELECT id FROM records WHERE uid = ? AND id <> ? AND status = 'complete' ORDER BY completed_at, id
+`);
+
+// Returns the open conflict ids involving `rec` (new or already queued).
+function detectUidConflicts(req, rec) {
+  if (!rec || rec.status !== 'complete' || !String(rec.uid ?? '').trim()) return [];
+  const ids = [];
+  for (const other of liveByUidExcept.all(rec.uid, rec.id)) {
+    const open = conflictOpenForPair.get(other.id, rec.id, rec.id, other.id);
+    if (open) { ids.push(open.id); continue; }
+    const info = conflictInsert.run({
+      uid: rec.uid,
+      record_a: other.id,
+      record_b: rec.id,
+      detected_at: new Date().toISOString(),
+      detected_by: req.auth?.name || 'anonymous',
+      source: auditSource(req),
+    });
+    ids.push(Number(info.lastInsertRowid));
+  }
+  return ids;
+}
+
+// Conflicts whose rows were voided some other way (delete, resolution of a sibling conflict).
+function closeSupersededConflicts(req) {
+  return db.prepare(`
+    UPDATE uid_conflicts
+    SET status = 'resolved', resolution = 'superseded', resolved_at = @now, resolved_by = @by
+    WHERE status = 'open'
+      AND EXISTS (
+        SELECT 1 FROM records r
+        WHERE r.id IN (uid_conflicts.record_a, uid_conflicts.record_b) AND r.status <> 'complete'
+      )
+  `).run({ now: new Date().toISOString(), by: req.auth?.name || 'anonymous' }).changes;
+}
+
+function conflictOut(c) {
+  return { ...c, a: selectRecordById.get(c.record_a) || null, b: selectRecordById.get(c.record_b) || null };
+}
+
+// GET /conflicts?status=open|resolved|all&uid=&limit=
+app.get('/conflicts', requireRole(ANY_ROLE), (req, res) => {
+  try {
+    const status = String(req.query.status || 'open').trim();
+    if (!['open', 'resolved', 'all'].includes(status)) return res.status(400).json({ error: 'status must be open, resolved or all' });
+    const uid = req.query.uid != null ? String(req.query.uid) : '';
+    const limitRaw = Number(req.query.limit || 200);
+    const limit = Math.max(1, Math.min(2000, Number.isFinite(limitRaw) ? limitRaw : 200));
+
+    const params = [];
+    let sql = 'SELECT * FROM uid_conflicts WHERE 1=1';
+    if (status !== 'all') { sql += ' AND status = ?'; params.push(status); }
+    if (uid)              { sql += ' AND uid = ?';    params.push(uid); }
+    sql += ' ORDER BY detected_at DESC, id DESC LIMIT ?';
+    params.push(limit);
+
+    const rows = db.prepare(sql).all(...params);
+    const open = db.prepare(`SELECT COUNT(*) AS n FROM uid_conflicts WHERE status = 'open'`).get().n;
+    return res.json({ open_count: Number(open || 0), conflicts: rows.map(conflictOut) });
+  } catch (e) {
+    console.error('GET /conflicts failed:', e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// POST /conflicts/:id/resolve   body: { action: keep_a|keep_b|void_both, note? }
+app.post('/conflicts/:id/resolve', requireRole(ROLES.SUPERVISOR), (req, res) => {
+  const before = conflictGet.get(Number(req.params.id));
+  if (!before) return res.status(404).json({ error: 'conflict not found' });
+  if (before.status !== 'open') return res.status(409).json({ error: `conflict already resolved (${before.resolution})` });
+  const action = String(req.body?.action || '').trim();
+  if (!CONFLICT_ACTIONS.includes(action)) return res.status(400).json({ error: `action must be one of: ${CONFLICT_ACTIONS.join(', ')}` });
+  const note = req.body?.note ? String(req.body.note).trim() : null;
+
+  const doomed = action === 'keep_a' ? [before.record_b]
+    : action === 'keep_b' ? [before.record_a]
+    : [before.record_a, before.record_b];
+  const warnings = [];
+  for (const id of doomed) {
+    const r = selectRecordById.get(id);
+    if (!r) continue;
+    const binCheck = checkBinWrite(r, { ...r, status: 'voided' });
+    if (binCheck.error) return res.status(409).json({ error: binCheck.error, bin: binCheck.bin, record_id: id });
+    warnings.push(...binCheck.warnings);
+  }
+
+  let after, voided = 0, superseded = 0;
+  const voidedRows = [];
+  db.transaction(() => {
+    const now = new Date().toISOString();
+    for (const id of doomed) {
+      const r = selectRecordById.get(id);
+      if (!r) continue;
+      const n = voidById.run({ id, voided_at: now, voided_by: req.auth?.name || 'anonymous', void_reason: CONFLICT_VOID_REASON }).changes;
+      if (n) {
+        voided += n;
+        const row = selectRecordById.get(id);
+        auditRecord(req, 'void', r, row);
+        voidedRows.push(row);
+      }
+    }
+    db.prepare(`
+      UPDATE uid_conflicts SET status = 'resolved', resolution = ?, resolved_at = ?, resolved_by = ?, note = ?
+      WHERE id = ?
+    `).run(action, now, req.auth?.name || 'anonymous', note, before.id);
+    after = conflictGet.get(before.id);
+    audit(req, { action: 'update', entity_type: 'uid_conflict', entity_id: before.id, uid: before.uid, before, after });
+    // e.g. the UID was on three POs: voiding one row can settle its other conflicts too
+    superseded = closeSupersededConflicts(req);
+  })();
+
+  publishRecords(req, 'record.deleted', voidedRows);
+  return res.json({ ok: true, conflict: conflictOut(after), voided, superseded, ...(warnings.length ? { warnings } : {}) });
+});
+
+// POST /conflicts/scan  — queue conflicts for rows written before detection existed
+app.post('/conflicts/scan', requireRole(ROLES.SUPERVISOR), (req, res) => {
+  try {
+    let queued = 0;
+    db.transaction(() => {
+      const uids = db.prepare(`
+        SELECT uid FROM records
+        WHERE status = 'complete' AND TRIM(COALESCE(uid,'')) <> ''
+        GROUP BY uid HAVING COUNT(*) > 1
+      `).all();
+      for (const { uid } of uids) {
+        const rows = db.prepare(`SELECT id FROM records WHERE uid = ? AND status = 'complete' ORDER BY completed_at, id`).all(uid);
+        for (let j = 1; j < rows.length; j++) {
+          for (let i = 0; i < j; i++) {
+            if (conflictOpenForPair.get(rows[i].id, rows[j].id, rows[j].id, rows[i].id)) continue;
+            conflictInsert.run({
+              uid, record_a: rows[i].id, record_b: rows[j].id,
+              detected_at: new Date().toISOString(), detected_by: req.auth?.name || 'anonymous', source: auditSource(req),
+            });
+            queued++;
+          }
+        }
+      }
+    })();
+    return res.json({ ok: true, queued });
+  } catch (e) {
+    console.error('POST /conflicts/scan failed:', e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// --- Audit trail queries ---
+// GET /audit?entity=record|plan|bin|receiving|flow_week&uid=&po=&bin=&week=&actor=&from=&to=&limit=&before_id=
+// from/to are ISO timestamps (YYYY-MM-DD is accepted as a whole day). Newest first;
+// page with before_id=<next_before_id>.
+function _auditRowOut(r) {
+  return {
+    ...r,
+    before: r.before_json ? safeJsonParse(r.before_json, null) : null,
+    after: r.after_json ? safeJsonParse(r.after_json, null) : null,
+    before_json: undefined,
+    after_json: undefined,
+  };
+}
+
+app.get('/audit', requireRole(ANY_ROLE), (req, res) => {
+  try {
+    const q = (k) => String(req.query[k] ?? '').trim();
+    const entity = q('entity');
+    const uid    = req.query.uid != null ? String(req.query.uid) : '';
+    const po     = q('po') || q('po_number');
+    const bin    = q('bin') || q('mobile_bin');
+    const week   = q('week') || q('weekStart');
+    const actor  = q('actor');
+    let from     = q('from');
+    let to       = q('to');
+    if (/^\d{4}-\d{2}-\d{2}$/.test(from)) from = `${from}T00:00:00.000Z`;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to))   to   = `${to}T23:59:59.999Z`;
+
+    const limitRaw = Number(req.query.limit || 500);
+    const limit = Math.max(1, Math.min(5000, Number.isFinite(limitRaw) ? limitRaw : 500));
+    const beforeId = Number(req.query.before_id || 0) || 0;
+
+    const params = [];
+    let sql = 'SELECT * FROM audit_log WHERE 1=1';
+    if (entity)   { sql += ' AND entity_type = ?'; params.push(entity); }
+    if (uid)      { sql += ' AND uid = ?';         params.push(uid); }
+    if (po)       { sql += ' AND po_number = ?';   params.push(po); }
+    if (bin)      { sql += ' AND mobile_bin = ?';  params.push(bin); }
+    if (week)     { sql += ' AND week_start = ?';  params.push(mondayOfLoose(week) || week); }
+    if (actor)    { sql += ' AND actor = ?';       params.push(actor); }
+    if (from)     { sql += ' AND ts >= ?';         params.push(from); }
+    if (to)       { sql += ' AND ts <= ?';         params.push(to); }
+    if (beforeId) { sql += ' AND id < ?';          params.push(beforeId); }
+    sql += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+
+    const rows = db.prepare(sql).all(...params).map(_auditRowOut);
+    const next_before_id = rows.length === limit ? rows[rows.length - 1].id : null;
+    return res.json({ entries: rows, next_before_id });
+  } catch (e) {
+    console.error('GET /audit failed:', e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// GET /audit/uid/:uid  — full history of one UID (all POs/SKUs), oldest first.
+// Follows the record ids, so entries from before/after a UID edit are included too.
+app.get('/audit/uid/:uid', requireRole(ANY_ROLE), (req, res) => {
+  try {
+    const uid = String(req.params.uid ?? '');
+    const rows = db.prepare(`
+      SELECT * FROM audit_log
+      WHERE entity_type = 'record'
+        AND entity_id IN (SELECT DISTINCT entity_id FROM audit_log WHERE entity_type = 'record' AND uid = ?)
+      ORDER BY id ASC
+      LIMIT 1000
+    `).all(uid).map(_auditRowOut);
+    return res.json({ uid, entries: rows });
+  } catch (e) {
+    console.error('GET /audit/uid failed:', e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
 // Simple helper to compute Monday for a given date (kept consistent with your existing mondayOf)
 function mondayOfLoose(ymd) {
   if (!ymd) return '';
@@ -1233,20 +4010,192 @@ const flowWeekAllForWeek = db.prepare(`
   ORDER BY facility
 `);
 
+// ---------- Plan lines DAL (SQLite, inline; table from migration 5) ----------
+// plan_lines is the source of truth for weekly plans. `plans` stays as the per-week
+// header (updated_at for GET /plan/weeks); every plan write also rewrites its `data`
+// column with the week's lines in the old blob shape, for readers of that table.
+const PLAN_LINE_FIELDS = [
+  'start_date', 'due_date', 'target_qty',
+  'supplier_name', 'facility_name', 'freight_type', 'zendesk_ticket',
+  'priority', 'notes',
+];
+
+// Same shape the blob API always returned: empty optional fields are omitted.
+function planLineOut(r, { withWeek = false } = {}) {
+  const opt = (v) => (v == null || v === '' ? undefined : v);
+  return {
+    ...(withWeek ? { week_start: r.week_start } : {}),
+    po_number: r.po_number,
+    sku_code: r.sku_code,
+    start_date: r.start_date || '',
+    due_date: r.due_date || '',
+    target_qty: Number(r.target_qty || 0) || 0,
+    supplier_name: opt(r.supplier_name),
+    facility_name: opt(r.facility_name),
+    freight_type: opt(r.freight_type),
+    zendesk_ticket: opt(r.zendesk_ticket),
+    priority: opt(r.priority),
+    notes: opt(r.notes),
+  };
+}
+
+const planLinesForWeekStmt = db.prepare(`SELECT * FROM plan_lines WHERE week_start = ? ORDER BY line_no, po_number, sku_code`);
+const planLineGetStmt = db.prepare(`SELECT * FROM plan_lines WHERE week_start = ? AND po_number = ? AND sku_code = ?`);
+const planLineUpsertSumStmt = db.prepare(`
+  INSERT INTO plan_lines(week_start, po_number, sku_code, line_no, start_date, due_date, target_qty,
+    supplier_name, facility_name, freight_type, zendesk_ticket, priority, notes, updated_at)
+  VALUES (@week_start, @po_number, @sku_code, @line_no, @start_date, @due_date, @target_qty,
+    @supplier_name, @facility_name, @freight_type, @zendesk_ticket, @priority, @notes, datetime('now'))
+  ON CONFLICT(week_start, po_number, sku_code) DO UPDATE SET
+    target_qty = plan_lines.target_qty + excluded.target_qty
+`);
+const planHeaderTouchStmt = db.prepare(`
+  INSERT INTO plans(week_start, data, updated_at)
+  VALUES(?, ?, datetime('now'))
+  ON CONFLICT(week_start) DO UPDATE SET data=excluded.data, updated_at=excluded.updated_at
+`);
+const planHeaderTouch = (ws) => planHeaderTouchStmt.run(ws, JSON.stringify(_getPlanRowsForWeek(ws)));
+
+function _planLineParams(ws, line, lineNo) {
+  const opt = (v) => (v == null || String(v).trim() === '' ? null : String(v).trim());
+  return {
+    week_start: ws,
+    po_number: line.po_number,
+    sku_code: line.sku_code,
+    line_no: lineNo,
+    start_date: opt(line.start_date),
+    due_date: opt(line.due_date),
+    target_qty: Number(line.target_qty ?? 0) || 0,
+    supplier_name: opt(line.supplier_name),
+    facility_name: opt(line.facility_name),
+    freight_type: opt(line.freight_type),
+    zendesk_ticket: opt(line.zendesk_ticket),
+    priority: opt(line.priority),
+    notes: opt(line.notes),
+  };
+}
+
+const PlanLines = {
+  forWeek: (ws) => planLinesForWeekStmt.all(ws),
+  get: (ws, po, sku) => planLineGetStmt.get(ws, po, sku),
+  // Replaces the whole week. Repeated PO/SKU lines collapse into one with the summed target.
+  replaceWeek: db.transaction((ws, lines) => {
+    db.prepare(`DELETE FROM plan_lines WHERE week_start = ?`).run(ws);
+    lines.forEach((l, i) => planLineUpsertSumStmt.run(_planLineParams(ws, l, i)));
+    planHeaderTouch(ws);
+  }),
+  insert: (ws, line) => {
+    const next = db.prepare(`SELECT COALESCE(MAX(line_no), -1) + 1 AS n FROM plan_lines WHERE week_start = ?`).get(ws).n;
+    db.prepare(`
+      INSERT INTO plan_lines(week_start, po_number, sku_code, line_no, start_date, due_date, target_qty,
+        supplier_name, facility_name, freight_type, zendesk_ticket, priority, notes, updated_at)
+      VALUES (@week_start, @po_number, @sku_code, @line_no, @start_date, @due_date, @target_qty,
+        @supplier_name, @facility_name, @freight_type, @zendesk_ticket, @priority, @notes, datetime('now'))
+    `).run(_planLineParams(ws, line, next));
+    planHeaderTouch(ws);
+  },
+  update: (ws, po, sku, patch) => {
+    const cols = Object.keys(patch);
+    if (!cols.length) return;
+    db.prepare(`
+      UPDATE plan_lines SET ${cols.map(c => `${c} = @${c}`).join(', ')}, updated_at = datetime('now')
+      WHERE week_start = @week_start AND po_number = @po_number AND sku_code = @sku_code
+    `).run({ ...patch, week_start: ws, po_number: po, sku_code: sku });
+    planHeaderTouch(ws);
+  },
+  remove: (ws, po, sku) => {
+    const info = db.prepare(`DELETE FROM plan_lines WHERE week_start = ? AND po_number = ? AND sku_code = ?`).run(ws, po, sku);
+    if (info.changes) planHeaderTouch(ws);
+    return info.changes;
+  },
+};
+
+// ---------- Plan versions (one snapshot per write to a week's plan) ----------
+const planVersionInsertStmt = db.prepare(`
+  INSERT INTO plan_versions(week_start, version_no, created_at, created_by, created_role, source, note, line_count, total_target, lines_json)
+  VALUES (@week_start, @version_no, @created_at, @created_by, @created_role, @source, @note, @line_count, @total_target, @lines_json)
+`);
+const PLAN_VERSION_COLS = `id, week_start, version_no, created_at, created_by, created_role, source, note, line_count, total_target`;
+
+const PlanVersions = {
+  list: (ws) => db.prepare(`SELECT ${PLAN_VERSION_COLS} FROM plan_versions WHERE week_start = ? ORDER BY version_no DESC`).all(ws),
+  get: (ws, v) => db.prepare(`SELECT * FROM plan_versions WHERE week_start = ? AND version_no = ?`).get(ws, v),
+  latestNo: (ws) => db.prepare(`SELECT MAX(version_no) AS v FROM plan_versions WHERE week_start = ?`).get(ws)?.v || 0,
+  // Call inside the same transaction as the write so versions and plan_lines never drift.
+  snapshot: (req, ws, note = null) => {
+    const lines = _getPlanRowsForWeek(ws);
+    const version_no = PlanVersions.latestNo(ws) + 1;
+    planVersionInsertStmt.run({
+      week_start: ws,
+      version_no,
+      created_at: new Date().toISOString(),
+      created_by: req.auth?.name || 'anonymous',
+      created_role: req.auth?.role || null,
+      source: auditSource(req),
+      note,
+      line_count: lines.length,
+      total_target: lines.reduce((a, l) => a + (Number(l.target_qty) || 0), 0),
+      lines_json: JSON.stringify(lines),
+    });
+    return version_no;
+  },
+};
+
+function planVersionOut(v, { withLines = false } = {}) {
+  const { lines_json, ...meta } = v;
+  meta.total_target = Number(meta.total_target || 0);
+  return withLines ? { ...meta, lines: safeJsonParse(lines_json, []) } : meta;
+}
+
+// Line-by-line diff keyed by PO/SKU. `changes` only lists fields whose value differs.
+function diffPlanLines(fromLines, toLines) {
+  const key = (l) => `${l.po_number}|${l.sku_code}`;
+  const norm = (f, v) => (f === 'target_qty' ? Number(v || 0) : (v == null || v === '' ? null : String(v)));
+  const from = new Map(fromLines.map(l => [key(l), l]));
+  const to = new Map(toLines.map(l => [key(l), l]));
+
+  const added = [], removed = [], changed = [];
+  for (const [k, l] of to) if (!from.has(k)) added.push(l);
+  for (const [k, l] of from) if (!to.has(k)) removed.push(l);
+  for (const [k, b] of from) {
+    const a = to.get(k);
+    if (!a) continue;
+    const changes = {};
+    for (const f of PLAN_LINE_FIELDS) {
+      const x = norm(f, b[f]);
+      const y = norm(f, a[f]);
+      if (x !== y) changes[f] = { from: x, to: y };
+    }
+    if (Object.keys(changes).length) changed.push({ po_number: b.po_number, sku_code: b.sku_code, changes });
+  }
+
+  const total = (arr) => arr.reduce((s, l) => s + (Number(l.target_qty) || 0), 0);
+  return {
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      target_qty_from: total(fromLines),
+      target_qty_to: total(toLines),
+      target_qty_delta: total(toLines) - total(fromLines),
+    },
+    added,
+    removed,
+    changed,
+  };
+}
+
 /* ===== BEGIN: /plan?weekStart=YYYY-MM-DD alias =====
    Returns the same payload as GET /plan/weeks/:mondayISO
    (works for /api/plan too thanks to the /api alias above)
 */
-app.get('/plan', (req, res) => {
+app.get('/plan', requireRole(ANY_ROLE), (req, res) => {
   const ws = String(req.query.weekStart || req.query.ws || '').trim();
   if (!ws) return res.status(400).json({ error: 'weekStart required' });
   const monday = mondayOfLoose(ws);
   if (!monday) return res.status(400).json({ error: 'invalid weekStart' });
 
-  const row = db.prepare('SELECT data FROM plans WHERE week_start = ?').get(monday);
-  if (!row) return res.json([]);
-  try { return res.json(JSON.parse(row.data) || []); }
-  catch { return res.json([]); }
+  return res.json(_getPlanRowsForWeek(monday));
 });
 /* ===== END: /plan alias ===== */
 
@@ -1254,11 +4203,12 @@ app.get('/plan', (req, res) => {
 // ---------- Weekly Plan API (kept) ----------
 function normalizePlanArray(body, fallbackStart) {
   if (!Array.isArray(body)) return [];
-const norm = body.map(r => ({
+  const day = (v) => toISODate(v) || String(v ?? '').trim(); // Excel serials / US dates -> ISO
+const norm = body.map(x => aliasRow(x, 'plan')).map(r => ({
   po_number: String(r?.po_number ?? '').trim(),
   sku_code:  String(r?.sku_code  ?? '').trim(),
-  start_date: (String(r?.start_date ?? '').trim()) || fallbackStart || '',
-  due_date:   String(r?.due_date   ?? '').trim(),
+  start_date: day(r?.start_date) || fallbackStart || '',
+  due_date:   day(r?.due_date),
   target_qty: Number(r?.target_qty ?? 0) || 0,
 
   // NEW fields
@@ -1274,111 +4224,631 @@ const norm = body.map(r => ({
   return norm;
 }
 
-app.get('/plan/weeks/:mondayISO', (req, res) => {
+app.get('/plan/weeks/:mondayISO', requireRole(ANY_ROLE), (req, res) => {
   const monday = String(req.params.mondayISO);
-  const row = db.prepare('SELECT data FROM plans WHERE week_start = ?').get(monday);
-  if (!row) return res.json([]);
-  try {
-    return res.json(JSON.parse(row.data) || []);
-  } catch {
-    return res.json([]);
-  }
+  return res.json(_getPlanRowsForWeek(monday));
 });
 
-app.put('/plan/weeks/:mondayISO', (req, res) => {
+// plan.updated carries the whole week: lines are small and clients replace, not merge
+function publishPlan(req, ws) {
+  return publishEvent(req, 'plan.updated', {
+    week_start: ws, version_no: PlanVersions.latestNo(ws), lines: _getPlanRowsForWeek(ws),
+  });
+}
+
+app.put('/plan/weeks/:mondayISO', requireRole(ROLES.PLANNER), acceptUploadFile('plan'), (req, res) => {
   const monday = String(req.params.mondayISO);
   const arr = normalizePlanArray(req.body, monday);
-  db.prepare(`
-    INSERT INTO plans(week_start, data, updated_at)
-    VALUES(?, ?, datetime('now'))
-    ON CONFLICT(week_start) DO UPDATE SET data=excluded.data, updated_at=excluded.updated_at
-  `).run(monday, JSON.stringify(arr));
+
+  if (isDryRun(req)) {
+    // normalizePlanArray drops these silently; the preview names them
+    const rejected = (Array.isArray(req.body) ? req.body : []).map(r => aliasRow(r, 'plan')).flatMap((r, index) => {
+      const missing = ['po_number', 'sku_code', 'due_date'].filter(f => !String(r?.[f] ?? '').trim());
+      return missing.length ? [{ index, po_number: r?.po_number ?? null, sku_code: r?.sku_code ?? null, reason: 'Missing ' + missing.join(', ') }] : [];
+    });
+    const before = _getPlanRowsForWeek(monday);
+    const after = withRollback(() => { PlanLines.replaceWeek(monday, arr); return _getPlanRowsForWeek(monday); });
+    const key = (l) => `${l.po_number}|${l.sku_code}`;
+    const prev = new Map(before.map(l => [key(l), l]));
+    const next = new Set(after.map(key));
+    return res.json(dryRunResult(
+      after.map(l => ({ key: key(l), before: prev.get(key(l)) || null, after: l })),
+      PLAN_LINE_FIELDS, rejected, { remove: before.filter(l => !next.has(key(l))) },
+    ));
+  }
+
+  let saved = [];
+  db.transaction(() => {
+    const existed = db.prepare('SELECT 1 FROM plans WHERE week_start = ?').get(monday);
+    const before = _getPlanRowsForWeek(monday);
+    PlanLines.replaceWeek(monday, arr);
+    saved = _getPlanRowsForWeek(monday);
+    PlanVersions.snapshot(req, monday);
+    audit(req, {
+      action: existed ? 'replace' : 'create', entity_type: 'plan', entity_id: monday, week_start: monday,
+      before: existed ? before : null, after: saved,
+    });
+  })();
+  publishPlan(req, monday);
+  // the normalized rows as sent, like before plan_lines (GET returns the collapsed lines)
   return res.json(arr);
 });
 
-app.post('/plan/weeks/:mondayISO/zero', (req, res) => {
+app.post('/plan/weeks/:mondayISO/zero', requireRole(ROLES.PLANNER), (req, res) => {
   const monday = String(req.params.mondayISO);
-  db.prepare(`
-    INSERT INTO plans(week_start, data, updated_at)
-    VALUES(?, '[]', datetime('now'))
-    ON CONFLICT(week_start) DO UPDATE SET data='[]', updated_at=datetime('now')
-  `).run(monday);
+  db.transaction(() => {
+    const existed = db.prepare('SELECT 1 FROM plans WHERE week_start = ?').get(monday);
+    const before = _getPlanRowsForWeek(monday);
+    PlanLines.replaceWeek(monday, []);
+    PlanVersions.snapshot(req, monday, 'zeroed');
+    audit(req, {
+      action: 'replace', entity_type: 'plan', entity_id: monday, week_start: monday,
+      before: existed ? before : null, after: [],
+    });
+  })();
+  publishPlan(req, monday);
   return res.json({ ok: true, week_start: monday, rows: 0 });
 });
 
-app.get('/plan/weeks', (req, res) => {
-  const rows = db.prepare(`SELECT week_start, updated_at FROM plans ORDER BY week_start DESC LIMIT 52`).all();
+app.get('/plan/weeks', requireRole(ANY_ROLE), (req, res) => {
+  const rows = db.prepare(`
+    SELECT p.week_start, p.updated_at,
+      (SELECT COUNT(*) FROM plan_lines l WHERE l.week_start = p.week_start) AS lines
+    FROM plans p
+    ORDER BY p.week_start DESC
+    LIMIT 52
+  `).all();
   res.json(rows);
 });
 
-// --- bins.routes.js ---
-const binsRouter = express.Router();
-
-// Store: use your DB (SQL/NoSQL). Here we assume a generic DAL with upsertMany/getByWeek.
-// --- Bins DAL (SQLite, inline) ---
-db.exec(`
-CREATE TABLE IF NOT EXISTS bins (
-  week_start  TEXT NOT NULL,
-  mobile_bin  TEXT NOT NULL,
-  total_units INTEGER,
-  weight_kg   REAL,
-  date_local  TEXT,
-  PRIMARY KEY (week_start, mobile_bin)
-);
-CREATE INDEX IF NOT EXISTS idx_bins_week ON bins(week_start);
-`);
-
-const Bins = {
-  upsertMany: db.transaction((rows) => {
-    const stmt = db.prepare(`
-      INSERT INTO bins (week_start, mobile_bin, total_units, weight_kg, date_local)
-      VALUES (@week_start, @mobile_bin, @total_units, @weight_kg, @date_local)
-      ON CONFLICT(week_start, mobile_bin) DO UPDATE SET
-        total_units = excluded.total_units,
-        weight_kg   = excluded.weight_kg,
-        date_local  = excluded.date_local
-    `);
-    let n = 0;
-    for (const r of rows) { stmt.run(r); n++; }
-    return n;
-  }),
-  getByWeek: (ws) => {
-    return db.prepare(`
-      SELECT week_start, mobile_bin, total_units, weight_kg, date_local
-      FROM bins
-      WHERE week_start = ?
-      ORDER BY mobile_bin
-    `).all(ws);
+// ---------- Plan lines API (line-level edits + cross-week queries) ----------
+
+// GET /plan/lines?po=&sku=&supplier=&facility=&from=&to=   (from/to = week_start range)
+app.get('/plan/lines', requireRole(ANY_ROLE), (req, res) => {
+  const q = (k) => String(req.query[k] ?? '').trim();
+  const po = q('po') || q('po_number');
+  const sku = q('sku') || q('sku_code');
+  const supplier = q('supplier') || q('supplier_name');
+  const facility = q('facility') || q('facility_name');
+  const from = q('from');
+  const to = q('to');
+  if (!po && !sku && !supplier && !facility && !from && !to) {
+    return res.status(400).json({ error: 'at least one filter required (po, sku, supplier, facility, from, to)' });
   }
-};
 
-// Helper: Monday anchor computed in business TZ on the server if you store server-side
-function mondayOf(ymd) {
-  const d = new Date(ymd + 'T00:00:00Z');
-  const day = d.getUTCDay();
-  const diff = (day === 0 ? -6 : (1 - day));
-  d.setUTCDate(d.getUTCDate() + diff);
-  return d.toISOString().slice(0,10);
-}
+  const params = [];
+  let sql = 'SELECT * FROM plan_lines WHERE 1=1';
+  if (po)       { sql += ' AND po_number = ?';     params.push(po); }
+  if (sku)      { sql += ' AND sku_code = ?';      params.push(sku); }
+  if (supplier) { sql += ' AND supplier_name = ?'; params.push(supplier); }
+  if (facility) { sql += ' AND facility_name = ?'; params.push(facility); }
+  if (from)     { sql += ' AND week_start >= ?';   params.push(mondayOfLoose(from) || from); }
+  if (to)       { sql += ' AND week_start <= ?';   params.push(to); }
+  sql += ' ORDER BY week_start DESC, line_no LIMIT 20000';
 
-// PUT /bins/weeks/:ws    body: [{mobile_bin, total_units?, weight_kg?, date_local?}, ...]
-binsRouter.put('/weeks/:ws', async (req, res) => {
-  try {
-    const ws = req.params.ws; // YYYY-MM-DD (business Monday from client)
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(ws)) return res.status(400).send('Invalid week start');
+  const rows = db.prepare(sql).all(...params);
+  return res.json({ lines: rows.map(r => planLineOut(r, { withWeek: true })) });
+});
 
-    const rows = Array.isArray(req.body) ? req.body : [];
-    if (!rows.length) return res.json({ ok: true, upserted: 0 });
+// GET /plan/po/:po_number/weeks  — which weeks contain PO X
+app.get('/plan/po/:po_number/weeks', requireRole(ANY_ROLE), (req, res) => {
+  const po = String(req.params.po_number || '').trim();
+  const rows = db.prepare(`
+    SELECT week_start, COUNT(*) AS lines, SUM(target_qty) AS target_qty, MIN(due_date) AS first_due, MAX(due_date) AS last_due
+    FROM plan_lines
+    WHERE po_number = ?
+    GROUP BY week_start
+    ORDER BY week_start DESC
+  `).all(po);
+  return res.json({
+    po_number: po,
+    weeks: rows.map(r => ({ ...r, lines: Number(r.lines || 0), target_qty: Number(r.target_qty || 0) })),
+  });
+});
 
-    const clean = [];
-    const seen = new Set();
-    const errors = [];
+// GET /plan/weeks/:ws/lines  — same rows as GET /plan/weeks/:ws, with week_start on each
+app.get('/plan/weeks/:ws/lines', requireRole(ANY_ROLE), (req, res) => {
+  const ws = String(req.params.ws);
+  return res.json({ week_start: ws, lines: PlanLines.forWeek(ws).map(r => planLineOut(r, { withWeek: true })) });
+});
 
-    for (const r of rows) {
-      const bin = String(r.mobile_bin || '').trim();
-      const units = (r.total_units == null || r.total_units === '') ? null : Number(r.total_units);
-      const weight = (r.weight_kg == null || r.weight_kg === '') ? null : Number(r.weight_kg);
-      const dateLocal = String(r.date_local || ws);
+// POST /plan/weeks/:ws/lines   body: line | [line, ...]   (409 if a PO/SKU already exists)
+app.post('/plan/weeks/:ws/lines', requireRole(ROLES.PLANNER), (req, res) => {
+  const ws = String(req.params.ws);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(ws)) return res.status(400).json({ error: 'invalid week start' });
+  const input = Array.isArray(req.body) ? req.body : [req.body];
+  const lines = normalizePlanArray(input, ws);
+  if (lines.length !== input.length) {
+    return res.status(400).json({ error: 'each line needs po_number, sku_code and due_date' });
+  }
+
+  try {
+    db.transaction(() => {
+      for (const l of lines) {
+        if (PlanLines.get(ws, l.po_number, l.sku_code)) {
+          const err = new Error(`line ${l.po_number}/${l.sku_code} already exists in ${ws}`);
+          err.status = 409;
+          throw err;
+        }
+        PlanLines.insert(ws, l);
+        audit(req, {
+          action: 'create', entity_type: 'plan_line', entity_id: `${ws}|${l.po_number}|${l.sku_code}`,
+          po_number: l.po_number, week_start: ws, before: null, after: planLineOut(PlanLines.get(ws, l.po_number, l.sku_code)),
+        });
+      }
+      PlanVersions.snapshot(req, ws);
+    })();
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: String(e?.message || e) });
+  }
+  publishPlan(req, ws);
+  return res.json({ ok: true, week_start: ws, lines: lines.map(l => planLineOut(PlanLines.get(ws, l.po_number, l.sku_code))) });
+});
+
+// PATCH /plan/weeks/:ws/lines/:po/:sku   body: { target_qty?, due_date?, freight_type?, ... }
+app.patch('/plan/weeks/:ws/lines/:po/:sku', requireRole(ROLES.PLANNER), (req, res) => {
+  const ws = String(req.params.ws);
+  const po = String(req.params.po);
+  const sku = String(req.params.sku);
+  const before = PlanLines.get(ws, po, sku);
+  if (!before) return res.status(404).json({ error: 'plan line not found' });
+
+  const body = (req.body && typeof req.body === 'object') ? req.body : {};
+  const unknown = Object.keys(body).filter(k => !PLAN_LINE_FIELDS.includes(k));
+  if (unknown.length) return res.status(400).json({ error: `not editable: ${unknown.join(', ')} (allowed: ${PLAN_LINE_FIELDS.join(', ')})` });
+
+  const patch = {};
+  for (const [k, v] of Object.entries(body)) {
+    if (k === 'target_qty') {
+      const n = Number(v);
+      if (!Number.isFinite(n) || n < 0) return res.status(400).json({ error: 'invalid target_qty' });
+      patch[k] = n;
+    } else {
+      patch[k] = v == null || String(v).trim() === '' ? null : String(v).trim();
+    }
+  }
+  if ('due_date' in patch && !patch.due_date) return res.status(400).json({ error: 'due_date cannot be empty' });
+
+  db.transaction(() => {
+    PlanLines.update(ws, po, sku, patch);
+    PlanVersions.snapshot(req, ws);
+    audit(req, {
+      action: 'update', entity_type: 'plan_line', entity_id: `${ws}|${po}|${sku}`,
+      po_number: po, week_start: ws, before: planLineOut(before), after: planLineOut(PlanLines.get(ws, po, sku)),
+    });
+  })();
+  publishPlan(req, ws);
+  return res.json({ ok: true, week_start: ws, line: planLineOut(PlanLines.get(ws, po, sku)) });
+});
+
+app.delete('/plan/weeks/:ws/lines/:po/:sku', requireRole(ROLES.PLANNER), (req, res) => {
+  const ws = String(req.params.ws);
+  const po = String(req.params.po);
+  const sku = String(req.params.sku);
+  const before = PlanLines.get(ws, po, sku);
+  if (!before) return res.status(404).json({ error: 'plan line not found' });
+
+  db.transaction(() => {
+    PlanLines.remove(ws, po, sku);
+    PlanVersions.snapshot(req, ws);
+    audit(req, {
+      action: 'delete', entity_type: 'plan_line', entity_id: `${ws}|${po}|${sku}`,
+      po_number: po, week_start: ws, before: planLineOut(before), after: null,
+    });
+  })();
+  publishPlan(req, ws);
+  return res.json({ ok: true, week_start: ws, deleted: 1 });
+});
+
+// ---------- Plan version history ----------
+
+app.get('/plan/weeks/:ws/versions', requireRole(ANY_ROLE), (req, res) => {
+  const ws = String(req.params.ws);
+  return res.json({ week_start: ws, versions: PlanVersions.list(ws).map(v => planVersionOut(v)) });
+});
+
+app.get('/plan/weeks/:ws/versions/:version', requireRole(ANY_ROLE), (req, res) => {
+  const ws = String(req.params.ws);
+  const v = PlanVersions.get(ws, Number(req.params.version));
+  if (!v) return res.status(404).json({ error: 'version not found' });
+  return res.json(planVersionOut(v, { withLines: true }));
+});
+
+// GET /plan/weeks/:ws/diff?from=3&to=5   (defaults: to = latest, from = to - 1)
+app.get('/plan/weeks/:ws/diff', requireRole(ANY_ROLE), (req, res) => {
+  const ws = String(req.params.ws);
+  const latest = PlanVersions.latestNo(ws);
+  if (!latest) return res.status(404).json({ error: 'no versions for this week' });
+
+  const to = req.query.to ? Number(req.query.to) : latest;
+  const from = req.query.from ? Number(req.query.from) : to - 1;
+  if (!Number.isInteger(to) || !Number.isInteger(from)) return res.status(400).json({ error: 'from/to must be version numbers' });
+
+  const vTo = PlanVersions.get(ws, to);
+  if (!vTo) return res.status(404).json({ error: `version ${to} not found` });
+  // from = 0 means "nothing" so the first upload diffs as all-added
+  const vFrom = from === 0 ? null : PlanVersions.get(ws, from);
+  if (from !== 0 && !vFrom) return res.status(404).json({ error: `version ${from} not found` });
+
+  return res.json({
+    week_start: ws,
+    from: vFrom ? planVersionOut(vFrom) : { version_no: 0 },
+    to: planVersionOut(vTo),
+    ...diffPlanLines(vFrom ? safeJsonParse(vFrom.lines_json, []) : [], safeJsonParse(vTo.lines_json, [])),
+  });
+});
+
+// POST /plan/weeks/:ws/versions/:version/restore  — saves the old lines as a new version
+app.post('/plan/weeks/:ws/versions/:version/restore', requireRole(ROLES.PLANNER), (req, res) => {
+  const ws = String(req.params.ws);
+  const v = PlanVersions.get(ws, Number(req.params.version));
+  if (!v) return res.status(404).json({ error: 'version not found' });
+
+  let version_no, saved;
+  db.transaction(() => {
+    const before = _getPlanRowsForWeek(ws);
+    PlanLines.replaceWeek(ws, safeJsonParse(v.lines_json, []));
+    saved = _getPlanRowsForWeek(ws);
+    version_no = PlanVersions.snapshot(req, ws, `restored from version ${v.version_no}`);
+    audit(req, {
+      action: 'restore', entity_type: 'plan', entity_id: ws, week_start: ws,
+      before, after: saved,
+    });
+  })();
+  publishPlan(req, ws);
+  return res.json({ ok: true, week_start: ws, restored_from: v.version_no, version_no, rows: saved.length });
+});
+
+// ---- Purchase-order ingestion (X12 850 or flat CSV / XLSX -> plan lines) ----
+// POST /plan/ingest merges POs into the weekly plans instead of replacing a week: each PO goes
+// to the Monday week (mondayOfLoose) of its earliest line due date; a PO/SKU already in that
+// week takes the new target_qty and any non-blank fields, other lines of the week stay.
+// 850 mapping: BEG03 PO number (BEG01 01 = cancellation, not applied) | N1*SU/VN/SF supplier |
+// N1*ST facility | TD504 freight (A/AE Air, S Sea, else TD505 routing) | DTM due 002/010/038/063,
+// start 037/064 (header level, or inside a PO1 loop for that line) | PO102 qty | SKU from the
+// PO1 product ids (SK, else VN/BP/IN/UP). Everything else is reported back as unmapped.
+const X12_DUE_QUALIFIERS = ['002', '010', '038', '063'];
+const X12_START_QUALIFIERS = ['037', '064'];
+const X12_SKU_QUALIFIERS = ['SK', 'VN', 'BP', 'IN', 'UP'];
+
+function looksLikeX12(text) {
+  return /^\s*(ISA|ST)[^\w\s]/.test(String(text || '').replace(/^\ufeff/, ''));
+}
+
+// -> [[id, el1, el2, ...], ...]; separators come from the ISA header (defaults * and ~)
+function x12Segments(text) {
+  const t = String(text || '').replace(/^\ufeff/, '').trimStart();
+  let el = '*';
+  let seg = '~';
+  if (t.startsWith('ISA') && t.length > 105) { el = t[3]; seg = t[105]; }
+  return t.split(seg).map(s => s.trim()).filter(Boolean).map(s => s.split(el).map(v => v.trim()));
+}
+
+function x12Date(v) {
+  const m = String(v || '').match(/^(\d{4})(\d{2})(\d{2})$/) || String(v || '').match(/^()(\d{2})(\d{2})(\d{2})$/);
+  if (!m) return '';
+  return m[1] ? `${m[1]}-${m[2]}-${m[3]}` : `20${m[2]}-${m[3]}-${m[4]}`;
+}
+
+function x12Freight(code, routing) {
+  const c = String(code || '').toUpperCase();
+  if (c === 'A' || c === 'AE') return 'Air';
+  if (c === 'S') return 'Sea';
+  return String(routing || '').trim() || c;
+}
+
+function parsePurchaseOrders850(text) {
+  const orders = [];
+  const errors = [];
+  const unmapped = new Map(); // "N1*BY" -> { segment, count, po_numbers, example }
+  let txn = '';
+  let skip = false;
+  let po = null;
+  let line = null;
+
+  const miss = (parts) => {
+    const key = ['N1', 'DTM', 'REF'].includes(parts[0]) && parts[1] ? `${parts[0]}*${parts[1]}` : parts[0];
+    if (!unmapped.has(key)) unmapped.set(key, { segment: key, count: 0, po_numbers: new Set(), example: parts.join('*') });
+    const u = unmapped.get(key);
+    u.count += 1;
+    if (po) u.po_numbers.add(po.po_number);
+  };
+
+  for (const parts of x12Segments(text)) {
+    const id = parts[0].toUpperCase();
+    if (['ISA', 'GS', 'GE', 'IEA'].includes(id)) continue;
+    if (id === 'ST') {
+      txn = parts[2] || '';
+      skip = parts[1] !== '850';
+      if (skip) errors.push({ transaction: txn, reason: `transaction set ${parts[1] || '?'} is not an 850` });
+      po = null; line = null;
+      continue;
+    }
+    if (id === 'SE') { po = null; line = null; skip = false; continue; }
+    if (skip) continue;
+    if (id === 'BEG') {
+      po = { transaction: txn, purpose: parts[1] || '', po_number: parts[3] || '', supplier_name: '', facility_name: '', freight_type: '', due_date: '', start_date: '', lines: [] };
+      line = null;
+      if (!po.po_number) errors.push({ transaction: txn, reason: 'BEG without a PO number (BEG03)' });
+      orders.push(po);
+      continue;
+    }
+    if (!po) { miss(parts); continue; }
+    const target = line || po;
+    switch (id) {
+      case 'N1': {
+        const name = parts[2] || parts[4] || '';
+        if (['SU', 'VN', 'SF'].includes(parts[1]) && !po.supplier_name) po.supplier_name = name;
+        else if (parts[1] === 'ST' && !po.facility_name) po.facility_name = name;
+        else miss(parts);
+        break;
+      }
+      case 'TD5': {
+        const freight = x12Freight(parts[4], parts[5]);
+        if (freight) target.freight_type = freight; else miss(parts);
+        break;
+      }
+      case 'DTM': {
+        const d = x12Date(parts[2]);
+        if (d && X12_DUE_QUALIFIERS.includes(parts[1])) {
+          // the first qualifier in X12_DUE_QUALIFIERS order wins when several are sent
+          const rank = X12_DUE_QUALIFIERS.indexOf(parts[1]);
+          if (!target.due_date || rank < (target._due_rank ?? 99)) { target.due_date = d; target._due_rank = rank; }
+        } else if (d && X12_START_QUALIFIERS.includes(parts[1])) {
+          if (!target.start_date) target.start_date = d;
+        } else miss(parts);
+        break;
+      }
+      case 'PO1': {
+        const ids = [];
+        for (let i = 6; i + 1 < parts.length; i += 2) if (parts[i + 1]) ids.push([parts[i], parts[i + 1]]);
+        const pick = X12_SKU_QUALIFIERS.map(q => ids.find(([qual]) => qual === q)).find(Boolean) || ids[0];
+        line = { line_no: parts[1] || '', target_qty: parts[2] ?? '', sku_code: pick ? pick[1] : '', due_date: '', start_date: '', freight_type: '' };
+        po.lines.push(line);
+        break;
+      }
+      case 'CTT': case 'AMT': break;
+      default: miss(parts);
+    }
+  }
+
+  const rows = [];
+  const rejected = [];
+  for (const o of orders) {
+    for (const l of o.lines) {
+      const row = {
+        po_number: o.po_number, sku_code: l.sku_code, target_qty: l.target_qty,
+        due_date: l.due_date || o.due_date, start_date: l.start_date || o.start_date,
+        supplier_name: o.supplier_name, facility_name: o.facility_name, freight_type: l.freight_type || o.freight_type,
+      };
+      if (o.purpose === '01') rejected.push({ po_number: o.po_number, sku_code: l.sku_code, line_no: l.line_no, reason: 'cancellation (BEG01=01) not applied' });
+      else rows.push({ ...row, _ref: `PO1 ${l.line_no || '?'} of ${o.po_number || txn}` });
+    }
+    if (!o.lines.length) errors.push({ transaction: o.transaction, po_number: o.po_number, reason: 'PO has no PO1 lines' });
+  }
+  return {
+    format: 'x12',
+    orders: orders.length,
+    rows,
+    rejected,
+    errors,
+    unmapped: [...unmapped.values()].map(u => ({ ...u, po_numbers: [...u.po_numbers] })),
+  };
+}
+
+// Plan-like rows -> { byWeek: Map(ws -> lines), rejected, warnings }
+function planIngestLines(rows, rejected) {
+  const day = (v) => toISODate(v) || '';
+  const valid = [];
+  rows.forEach((r, index) => {
+    const ref = r._ref ? { line: r._ref } : { index };
+    const l = {
+      po_number: String(r.po_number ?? '').trim(),
+      sku_code: String(r.sku_code ?? '').trim(),
+      due_date: day(r.due_date),
+      start_date: day(r.start_date),
+      target_qty: String(r.target_qty ?? '').trim() === '' ? NaN : Number(String(r.target_qty).replace(/,/g, '')),
+    };
+    for (const f of ['supplier_name', 'facility_name', 'freight_type', 'zendesk_ticket', 'priority', 'notes']) {
+      l[f] = String(r[f] ?? '').trim();
+    }
+    const missing = ['po_number', 'sku_code', 'due_date'].filter(f => !l[f]);
+    if (missing.length) return rejected.push({ ...ref, po_number: l.po_number || null, sku_code: l.sku_code || null, reason: 'Missing ' + missing.join(', ') });
+    if (!Number.isFinite(l.target_qty) || l.target_qty < 0) return rejected.push({ ...ref, po_number: l.po_number, sku_code: l.sku_code, reason: 'invalid target_qty' });
+    valid.push(l);
+  });
+
+  const weekOfPO = new Map();
+  for (const l of valid) if (!weekOfPO.has(l.po_number) || l.due_date < weekOfPO.get(l.po_number)) weekOfPO.set(l.po_number, l.due_date);
+  const byWeek = new Map();
+  for (const l of valid) {
+    const ws = mondayOfLoose(weekOfPO.get(l.po_number));
+    if (!byWeek.has(ws)) byWeek.set(ws, new Map());
+    const lines = byWeek.get(ws);
+    const key = `${l.po_number}|${l.sku_code}`;
+    // repeated PO/SKU lines add up, as in a plan upload
+    if (lines.has(key)) lines.get(key).target_qty += l.target_qty;
+    else lines.set(key, l);
+  }
+
+  const warnings = [];
+  const otherWeeks = db.prepare(`SELECT DISTINCT week_start FROM plan_lines WHERE po_number = ? AND week_start <> ? ORDER BY week_start`);
+  for (const [po, due] of weekOfPO) {
+    const ws = mondayOfLoose(due);
+    const also = otherWeeks.all(po, ws).map(r => r.week_start);
+    if (also.length) warnings.push({ po_number: po, week_start: ws, reason: `PO is also planned in ${also.join(', ')}` });
+  }
+  return { byWeek: new Map([...byWeek].map(([ws, m]) => [ws, [...m.values()]])), warnings };
+}
+
+function mergePlanWeeks(byWeek) {
+  const entries = [];
+  for (const [ws, lines] of byWeek) {
+    for (const l of lines) {
+      const before = PlanLines.get(ws, l.po_number, l.sku_code);
+      if (before) {
+        const patch = { target_qty: l.target_qty };
+        for (const f of PLAN_LINE_FIELDS) if (f !== 'target_qty' && l[f]) patch[f] = l[f];
+        PlanLines.update(ws, l.po_number, l.sku_code, patch);
+      } else {
+        PlanLines.insert(ws, { ...l, start_date: l.start_date || ws });
+      }
+      entries.push({
+        ws, po_number: l.po_number, key: `${ws}|${l.po_number}|${l.sku_code}`,
+        before: before ? planLineOut(before) : null, after: planLineOut(PlanLines.get(ws, l.po_number, l.sku_code)),
+      });
+    }
+  }
+  return entries;
+}
+
+// POST /plan/ingest?format=x12|csv&dryRun=1&template=
+//   body: X12 850 text (text/plain or application/edi-x12), a multipart `file` (.edi / .x12 /
+//   .txt / .csv / .xlsx) or a JSON array of plan rows. Without ?format= X12 is recognised by
+//   its ISA / ST header; CSV / XLSX columns use the plan upload aliases and mapping templates.
+app.post('/plan/ingest', requireRole(ROLES.PLANNER),
+  express.text({ type: ['text/*', 'application/edi-x12', 'application/edi', 'application/x12'], limit: '100mb' }),
+  (req, res, next) => {
+    if (!req.is('multipart/form-data')) return next();
+    _uploadSingle(req, res, (err) => {
+      if (err?.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: `file larger than ${UPLOAD_MAX_MB} MB` });
+      if (err) return res.status(400).json({ error: String(err.message || err) });
+      return next();
+    });
+  },
+  async (req, res) => {
+    try {
+      const format = String(req.query.format || '').trim().toLowerCase();
+      if (format && format !== 'x12' && format !== 'csv') return res.status(400).json({ error: 'format must be x12 or csv' });
+
+      let parsed;
+      if (Array.isArray(req.body) && !req.file) {
+        const mapped = mapUploadRows(req, res, 'plan', req.body, { detect: false });
+        if (!mapped) return;
+        parsed = { format: 'json', rows: mapped.map(r => aliasRow(r, 'plan')), rejected: [], errors: [], unmapped: [] };
+      } else {
+        const file = req.file || (typeof req.body === 'string' && req.body.trim()
+          ? { originalname: 'body.csv', mimetype: 'text/csv', buffer: Buffer.from(req.body, 'utf8') } : null);
+        if (!file) return res.status(400).json({ error: 'send X12 850 text, CSV text, a JSON array or a multipart "file"' });
+        const text = file.buffer.toString('utf8');
+        if (format === 'x12' || (!format && looksLikeX12(text))) {
+          parsed = parsePurchaseOrders850(text);
+          if (!parsed.orders) return res.status(400).json({ error: 'no 850 purchase orders (BEG segments) found', errors: parsed.errors });
+        } else {
+          let rows;
+          try {
+            rows = await parseUploadFile(/\.(edi|x12|txt)$/i.test(file.originalname || '') ? { ...file, originalname: 'file.csv' } : file);
+          } catch (e) {
+            return res.status(400).json({ error: `could not read ${file.originalname || 'file'}: ${e?.message || e}` });
+          }
+          const mapped = mapUploadRows(req, res, 'plan', rows);
+          if (!mapped) return;
+          parsed = { format: 'csv', rows: mapped.map(r => aliasRow(r, 'plan')), rejected: [], errors: [], unmapped: [] };
+        }
+      }
+
+      const rejected = [...parsed.rejected];
+      const { byWeek, warnings } = planIngestLines(parsed.rows, rejected);
+      const report = { format: parsed.format, unmapped: parsed.unmapped, errors: parsed.errors, warnings };
+      if (!byWeek.size) return res.status(400).json({ error: 'no plan lines to ingest', rejected, ...report });
+
+      if (isDryRun(req)) {
+        const entries = withRollback(() => mergePlanWeeks(byWeek));
+        const preview = dryRunResult(entries, PLAN_LINE_FIELDS, rejected);
+        preview.summary.reject = rejected.length; // 850 rejects name a PO1 line, not a row index
+        return res.json({ ...preview, weeks: [...byWeek.keys()].sort(), ...report });
+      }
+
+      const changed = (e) => !e.before || Object.keys(fieldChanges(e.before, e.after, PLAN_LINE_FIELDS)).length > 0;
+      const entries = db.transaction(() => {
+        const out = mergePlanWeeks(byWeek).map(e => ({ ...e, changed: changed(e) }));
+        for (const e of out.filter(x => x.changed)) {
+          audit(req, {
+            action: e.before ? 'update' : 'create', entity_type: 'plan_line', entity_id: e.key,
+            po_number: e.po_number, week_start: e.ws, before: e.before, after: e.after,
+          });
+        }
+        // a version per week the ingest actually changed
+        for (const ws of new Set(out.filter(x => x.changed).map(x => x.ws))) PlanVersions.snapshot(req, ws, `PO ingest (${parsed.format})`);
+        return out;
+      })();
+      for (const ws of new Set(entries.filter(x => x.changed).map(x => x.ws))) publishPlan(req, ws);
+
+      const weeks = [...byWeek.keys()].sort().map(ws => {
+        const mine = entries.filter(e => e.ws === ws);
+        return {
+          week_start: ws,
+          inserted: mine.filter(e => !e.before).length,
+          updated: mine.filter(e => e.before && e.changed).length,
+          lines: mine.length,
+        };
+      });
+      return res.json({ ok: true, weeks, rejected, ...report });
+    } catch (e) {
+      console.error('POST /plan/ingest failed:', e);
+      return res.status(500).json({ error: String(e?.message || e) });
+    }
+  });
+
+// --- bins.routes.js ---
+const binsRouter = express.Router();
+binsRouter.use(requireRole(ANY_ROLE)); // reads: any role; writes narrow further per route
+
+// Store: use your DB (SQL/NoSQL). Here we assume a generic DAL with upsertMany/getByWeek.
+// --- Bins DAL (SQLite, inline; table from migration 1) ---
+const Bins = {
+  upsertMany: db.transaction((rows) => {
+    const stmt = db.prepare(`
+      INSERT INTO bins (week_start, mobile_bin, total_units, weight_kg, date_local)
+      VALUES (@week_start, @mobile_bin, @total_units, @weight_kg, @date_local)
+      ON CONFLICT(week_start, mobile_bin) DO UPDATE SET
+        total_units = excluded.total_units,
+        weight_kg   = excluded.weight_kg,
+        date_local  = excluded.date_local
+    `);
+    let n = 0;
+    for (const r of rows) { stmt.run(r); n++; }
+    return n;
+  }),
+  getByWeek: (ws) => {
+    return db.prepare(`
+      SELECT week_start, mobile_bin, total_units, weight_kg, date_local, state, state_changed_at, state_changed_by
+      FROM bins
+      WHERE week_start = ?
+      ORDER BY mobile_bin
+    `).all(ws);
+  }
+};
+
+// Helper: Monday anchor computed in business TZ on the server if you store server-side
+function mondayOf(ymd) {
+  const d = new Date(ymd + 'T00:00:00Z');
+  const day = d.getUTCDay();
+  const diff = (day === 0 ? -6 : (1 - day));
+  d.setUTCDate(d.getUTCDate() + diff);
+  return d.toISOString().slice(0,10);
+}
+
+// PUT /bins/weeks/:ws    body: [{mobile_bin, total_units?, weight_kg?, date_local?}, ...]
+binsRouter.put('/weeks/:ws', requireRole(ROLES.SUPERVISOR, ROLES.PLANNER), acceptUploadFile('bins'), async (req, res) => {
+  try {
+    const ws = req.params.ws; // YYYY-MM-DD (business Monday from client)
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(ws)) return res.status(400).send('Invalid week start');
+
+    const rows = Array.isArray(req.body) ? req.body : [];
+    if (!rows.length) return res.json({ ok: true, upserted: 0 });
+
+    const clean = [];
+    const seen = new Set();
+    const errors = [];
+
+    const num = (v) => (v == null || String(v).trim() === '') ? null : Number(String(v).replace(/,/g, '').trim());
+    for (const r of rows) {
+      const a = aliasRow(r, 'bins');
+      const bin = String(a.mobile_bin || '').trim();
+      const units = num(a.total_units);
+      const weight = num(a.weight_kg);
+      const dateLocal = toISODate(a.date_local) || String(a.date_local || ws);
 
       if (!bin) { errors.push({row:r, reason:'missing mobile_bin'}); continue; }
       if (units != null && (!Number.isFinite(units) || units < 0)) { errors.push({row:r, reason:'invalid total_units'}); continue; }
@@ -1400,7 +4870,32 @@ binsRouter.put('/weeks/:ws', async (req, res) => {
 
     if (!clean.length) return res.status(400).json({ ok:false, errors });
 
-    const upserted = await Bins.upsertMany(clean); // implement in DAL
+    if (isDryRun(req)) {
+      const prevByBin = new Map(Bins.getByWeek(ws).map(b => [b.mobile_bin, b]));
+      const afterByBin = withRollback(() => { Bins.upsertMany(clean); return new Map(Bins.getByWeek(ws).map(b => [b.mobile_bin, b])); });
+      const rejected = errors.map(e => ({ index: rows.indexOf(e.row), mobile_bin: e.row?.mobile_bin ?? null, reason: e.reason }));
+      return res.json(dryRunResult(
+        clean.map(r => ({ key: r.mobile_bin, before: prevByBin.get(r.mobile_bin) || null, after: afterByBin.get(r.mobile_bin) })),
+        ['total_units', 'weight_kg', 'date_local'], rejected,
+      ));
+    }
+
+    let changed = [];
+    const upserted = db.transaction(() => {
+      const prevByBin = new Map(Bins.getByWeek(ws).map(b => [b.mobile_bin, b]));
+      const n = Bins.upsertMany(clean);
+      const afterByBin = new Map(Bins.getByWeek(ws).map(b => [b.mobile_bin, b]));
+      for (const r of clean) {
+        const before = prevByBin.get(r.mobile_bin) || null;
+        audit(req, {
+          action: before ? 'update' : 'create', entity_type: 'bin', entity_id: `${ws}|${r.mobile_bin}`,
+          mobile_bin: r.mobile_bin, week_start: ws, before, after: afterByBin.get(r.mobile_bin) || null,
+        });
+      }
+      changed = clean.map(r => afterByBin.get(r.mobile_bin)).filter(Boolean);
+      return n;
+    })();
+    publishEvent(req, 'bins.updated', { week_start: ws, bins: changed });
     return res.json({ ok:true, upserted, rejected: errors.length, errors });
   } catch (e) {
     console.error(e);
@@ -1408,6 +4903,492 @@ binsRouter.put('/weeks/:ws', async (req, res) => {
   }
 });
 
+// ---- Bin lifecycle: open -> sealed -> loaded -> shipped ----
+// A bin is (week_start, mobile_bin); records belong to the bin named in mobile_bin for the
+// week of their date_local. Bins without a manifest line are open. Each change stores the
+// UIDs scanned into the bin and its weight in bin_state_events.
+const BIN_ACTIONS = {
+  seal:   { from: 'open',   to: 'sealed',  roles: [ROLES.SCANNER, ROLES.SUPERVISOR] },
+  unseal: { from: 'sealed', to: 'open',    roles: [ROLES.SUPERVISOR] },
+  load:   { from: 'sealed', to: 'loaded',  roles: [ROLES.SCANNER, ROLES.SUPERVISOR] },
+  ship:   { from: 'loaded', to: 'shipped', roles: [ROLES.SCANNER, ROLES.SUPERVISOR] },
+};
+// Record writes into a bin that isn't open: 'reject' (409) or 'warn' (saved with a warning)
+const BIN_SEAL_MODE = process.env.BIN_SEAL_MODE === 'warn' ? 'warn' : 'reject';
+
+const binGet = db.prepare(`SELECT * FROM bins WHERE week_start = ? AND mobile_bin = ?`);
+const binUnitCount = db.prepare(`
+  SELECT COUNT(*) AS n FROM records
+  WHERE mobile_bin = ? AND date_local BETWEEN ? AND ? AND status = 'complete'
+`);
+
+// The bin a record sits in, when that bin is past 'open'; null otherwise
+function closedBinOf(rec) {
+  if (!rec || rec.status === 'voided') return null;
+  const bin = String(rec?.mobile_bin ?? '').trim();
+  const ws = mondayOfLoose(toISODate(rec?.date_local));
+  if (!bin || !ws) return null;
+  const row = binGet.get(ws, bin);
+  return row && row.state !== 'open' ? { week_start: ws, mobile_bin: bin, state: row.state } : null;
+}
+
+// Checks a record write against the bins it leaves (`before`) and enters (`after`).
+// -> { error } in reject mode, else { warnings } (empty when every bin involved is open)
+function checkBinWrite(before, after) {
+  const closed = [closedBinOf(after), closedBinOf(before)].filter(Boolean)
+    .filter((b, i, all) => all.findIndex(x => x.week_start === b.week_start && x.mobile_bin === b.mobile_bin) === i);
+  if (!closed.length) return { warnings: [] };
+  const b = closed[0];
+  const reason = `bin ${b.mobile_bin} (week ${b.week_start}) is ${b.state}`;
+  if (BIN_SEAL_MODE === 'reject') return { error: `${reason}; unseal it before changing its UIDs`, bin: b };
+  return {
+    warnings: closed.map(c => ({
+      index: 0, po_number: after.po_number, sku_code: after.sku_code, uid: after.uid,
+      reason: `bin ${c.mobile_bin} (week ${c.week_start}) is ${c.state}`, rule_id: null,
+    })),
+  };
+}
+
+// POST /bins/weeks/:ws/:bin/seal|unseal|load|ship   body: { weight_kg?, note? } (unseal needs a note)
+binsRouter.post('/weeks/:ws/:bin/:action(seal|unseal|load|ship)', (req, res, next) => {
+  return requireRole(...BIN_ACTIONS[req.params.action].roles)(req, res, next);
+}, (req, res) => {
+  const ws = String(req.params.ws);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(ws)) return res.status(400).json({ error: 'Invalid week start' });
+  const bin = String(req.params.bin).trim();
+  const action = req.params.action;
+  const { from, to } = BIN_ACTIONS[action];
+  const b = req.body || {};
+  const note = b.note ? String(b.note).trim() : null;
+  if (action === 'unseal' && !note) return res.status(400).json({ error: 'note (why the bin is reopened) required' });
+  let weight = null;
+  if (b.weight_kg != null && b.weight_kg !== '') {
+    weight = Number(b.weight_kg);
+    if (!Number.isFinite(weight) || weight < 0) return res.status(400).json({ error: 'invalid weight_kg' });
+  }
+
+  const before = binGet.get(ws, bin) || null;
+  const current = before?.state || 'open';
+  if (current !== from) return res.status(409).json({ error: `bin ${bin} is ${current}; ${action} applies to ${from} bins only` });
+
+  const now = new Date().toISOString();
+  const actor = req.auth?.name || null;
+  const { after, event } = db.transaction(() => {
+    db.prepare(`
+      INSERT INTO bins (week_start, mobile_bin, weight_kg, date_local, state, state_changed_at, state_changed_by)
+      VALUES (@ws, @bin, @weight, @ws, @to, @now, @actor)
+      ON CONFLICT(week_start, mobile_bin) DO UPDATE SET
+        weight_kg        = COALESCE(@weight, weight_kg),
+        state            = @to,
+        state_changed_at = @now,
+        state_changed_by = @actor
+    `).run({ ws, bin, weight, to, now, actor });
+    const after = binGet.get(ws, bin);
+    const units = binUnitCount.get(bin, ws, _weekEndISO(ws)).n;
+    const id = db.prepare(`
+      INSERT INTO bin_state_events (week_start, mobile_bin, from_state, to_state, units, weight_kg, note, actor, at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(ws, bin, from, to, units, after.weight_kg, note, actor, now).lastInsertRowid;
+    audit(req, {
+      action, entity_type: 'bin', entity_id: `${ws}|${bin}`, mobile_bin: bin, week_start: ws,
+      before, after: { ...after, units, note },
+    });
+    return { after, event: db.prepare(`SELECT * FROM bin_state_events WHERE id = ?`).get(id) };
+  })();
+
+  publishEvent(req, 'bins.state_changed', { week_start: ws, mobile_bin: bin, from, to, units: event.units, weight_kg: event.weight_kg, bin: after });
+  return res.json({ ok: true, bin: after, event });
+});
+
+// GET /bins/weeks/:ws/:bin/history  -> state changes, oldest first
+binsRouter.get('/weeks/:ws/:bin/history', (req, res) => {
+  const ws = String(req.params.ws);
+  const bin = String(req.params.bin).trim();
+  const events = db.prepare(`SELECT * FROM bin_state_events WHERE week_start = ? AND mobile_bin = ? ORDER BY id`).all(ws, bin);
+  return res.json({ bin: binGet.get(ws, bin) || { week_start: ws, mobile_bin: bin, state: 'open' }, events });
+});
+
+// ---- SSCC-18 allocation + bin labels (GS1-128, ZPL / PDF) ----
+// SSCC = extension digit + GS1 company prefix + serial reference + check digit (18 digits).
+// Serials come from SSCC_SERIAL_START..SSCC_SERIAL_END in order and are never reissued, even
+// when a bin is relabelled (the old SSCC is kept with replaced_at). Allocating also writes the
+// SSCC into the bin's records that have no sscc_label yet (or still carry the replaced one).
+const GS1_COMPANY_PREFIX = String(process.env.GS1_COMPANY_PREFIX || '').trim();
+const SSCC_EXTENSION_DIGIT = String(process.env.SSCC_EXTENSION_DIGIT ?? '0').trim();
+
+function ssccConfig() {
+  if (!/^\d{6,12}$/.test(GS1_COMPANY_PREFIX)) return { error: 'SSCC allocation needs GS1_COMPANY_PREFIX (6-12 digits)' };
+  if (!/^\d$/.test(SSCC_EXTENSION_DIGIT)) return { error: 'SSCC_EXTENSION_DIGIT must be one digit' };
+  const serialLen = 16 - GS1_COMPANY_PREFIX.length;
+  const max = 10 ** serialLen - 1;
+  const start = Number(process.env.SSCC_SERIAL_START || 0);
+  const end = Number(process.env.SSCC_SERIAL_END || max);
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end > max || start > end) {
+    return { error: `SSCC_SERIAL_START / SSCC_SERIAL_END must be a range within 0..${max}` };
+  }
+  return { prefix: GS1_COMPANY_PREFIX, ext: Number(SSCC_EXTENSION_DIGIT), serialLen, start, end };
+}
+
+const ssccGet = db.prepare(`SELECT * FROM sscc_allocations WHERE sscc = ?`);
+const ssccForBin = db.prepare(`
+  SELECT * FROM sscc_allocations WHERE week_start = ? AND mobile_bin = ? AND replaced_at IS NULL
+  ORDER BY allocated_at DESC LIMIT 1
+`);
+
+// "(00) 0 0614141 123456789 0": extension, company prefix, serial reference, check digit
+function formatSscc(sscc, prefixLen = GS1_COMPANY_PREFIX.length || 7) {
+  return `(00) ${sscc[0]} ${sscc.slice(1, 1 + prefixLen)} ${sscc.slice(1 + prefixLen, 17)} ${sscc[17]}`;
+}
+
+// What goes on a bin label: manifest units / weight from `bins`, POs / SKUs from the records
+function binLabelData(ws, bin) {
+  const row = binGet.get(ws, bin) || null;
+  const contents = db.prepare(`
+    SELECT po_number, sku_code, COUNT(*) AS units FROM records
+    WHERE mobile_bin = ? AND date_local BETWEEN ? AND ? AND status = 'complete'
+    GROUP BY po_number, sku_code ORDER BY po_number, sku_code
+  `).all(bin, ws, _weekEndISO(ws));
+  const scanned = contents.reduce((n, c) => n + c.units, 0);
+  return {
+    week_start: ws,
+    mobile_bin: bin,
+    pos: [...new Set(contents.map(c => c.po_number))],
+    skus: [...new Set(contents.map(c => c.sku_code))],
+    units: row?.total_units ?? scanned, // manifest units; scanned UIDs until a manifest line exists
+    scanned_units: scanned,
+    weight_kg: row?.weight_kg ?? null,
+  };
+}
+
+// "P1, P2, P3 +4 more" within `max` characters
+function labelList(items, max) {
+  let out = '';
+  for (let i = 0; i < items.length; i++) {
+    const next = out ? `${out}, ${items[i]}` : String(items[i]);
+    const rest = items.length - i - 1;
+    if (next.length + (rest ? ` +${rest} more`.length : 0) > max) return `${out || '…'} +${items.length - i} more`;
+    out = next;
+  }
+  return out || '-';
+}
+
+// 4x6" label at 203 dpi. ^BC mode D builds the GS1-128 (FNC1 + AI 00) from "(00)<sscc>".
+function binLabelZpl(alloc, d) {
+  const txt = (v) => String(v ?? '').replace(/[\^~]/g, ' ');
+  const weight = d.weight_kg != null ? `${d.weight_kg} kg` : '-';
+  return [
+    '^XA', '^CI28', '^PW812', '^LL1218',
+    '^FO40,40^A0N,34,34^FDSSCC^FS',
+    `^FO40,84^A0N,48,48^FD${formatSscc(alloc.sscc)}^FS`,
+    '^FO40,150^GB732,3,3^FS',
+    `^FO40,180^A0N,40,40^FDMobile bin: ${txt(d.mobile_bin)}^FS`,
+    `^FO40,232^A0N,30,30^FDWeek of ${txt(d.week_start)}^FS`,
+    `^FO40,292^A0N,34,34^FB732,3,4,L^FDPO: ${txt(labelList(d.pos, 110))}^FS`,
+    `^FO40,430^A0N,34,34^FB732,3,4,L^FDSKU: ${txt(labelList(d.skus, 110))}^FS`,
+    `^FO40,580^A0N,44,44^FDUnits: ${d.units}^FS`,
+    `^FO420,580^A0N,44,44^FDWeight: ${txt(weight)}^FS`,
+    '^FO40,660^GB732,3,3^FS',
+    `^FO172,720^BY3^BCN,300,N,N,N,D^FD(00)${alloc.sscc}^FS`, // 156 modules x 3 dots, centred
+    `^FO40,1050^A0N,44,44^FB732,1,0,C^FD${formatSscc(alloc.sscc)}^FS`,
+    '^XZ',
+    '',
+  ].join('\n');
+}
+
+// Code 128 symbol widths (bar, space, bar, ...) for values 0..106 (106 = stop)
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112',
+];
+
+// GS1-128 for an all-digit element string ("00" + SSCC): Start C, FNC1, digit pairs, check, stop.
+// -> module widths, alternating bar / space, starting with a bar
+function gs1128Modules(digits) {
+  const values = [105, 102];
+  for (let i = 0; i < digits.length; i += 2) values.push(Number(digits.slice(i, i + 2)));
+  let check = values[0];
+  for (let i = 1; i < values.length; i++) check += values[i] * i;
+  values.push(check % 103, 106);
+  return values.flatMap(v => CODE128_PATTERNS[v].split('').map(Number));
+}
+
+// Same layout as the ZPL label, 4x6" (288 x 432 pt), one page
+function binLabelPdf(alloc, d, out) {
+  const doc = new PDFDocument({ size: [288, 432], margin: 0, info: { Title: `SSCC ${alloc.sscc}` } });
+  doc.pipe(out);
+  doc.font('Helvetica').fontSize(10).text('SSCC', 14, 14);
+  doc.font('Helvetica-Bold').fontSize(15).text(formatSscc(alloc.sscc), 14, 28);
+  doc.moveTo(14, 52).lineTo(274, 52).lineWidth(1).stroke();
+  doc.font('Helvetica-Bold').fontSize(13).text(`Mobile bin: ${d.mobile_bin}`, 14, 62);
+  doc.font('Helvetica').fontSize(10).text(`Week of ${d.week_start}`, 14, 80);
+  doc.fontSize(11).text(`PO: ${labelList(d.pos, 110)}`, 14, 100, { width: 260, height: 42, ellipsis: true });
+  doc.text(`SKU: ${labelList(d.skus, 110)}`, 14, 146, { width: 260, height: 42, ellipsis: true });
+  doc.font('Helvetica-Bold').fontSize(14).text(`Units: ${d.units}`, 14, 196);
+  doc.text(`Weight: ${d.weight_kg != null ? `${d.weight_kg} kg` : '-'}`, 150, 196);
+  doc.moveTo(14, 222).lineTo(274, 222).stroke();
+
+  // Quiet zones (10 modules) fit inside the 288 pt width at 1.05 pt per module
+  const modules = gs1128Modules(`00${alloc.sscc}`);
+  const unit = 1.05;
+  let x = (288 - modules.reduce((n, w) => n + w, 0) * unit) / 2;
+  modules.forEach((w, i) => {
+    if (i % 2 === 0) doc.rect(x, 240, w * unit, 110).fill('#000');
+    x += w * unit;
+  });
+  doc.font('Helvetica-Bold').fontSize(13).fillColor('#000').text(formatSscc(alloc.sscc), 0, 360, { width: 288, align: 'center' });
+  doc.end();
+}
+
+// POST /bins/weeks/:ws/:bin/sscc   body: { replace?: true }
+// -> the bin's SSCC (allocated on first call; replace issues a new one, e.g. a damaged label)
+binsRouter.post('/weeks/:ws/:bin/sscc', requireRole(ROLES.SCANNER, ROLES.SUPERVISOR), (req, res) => {
+  const ws = String(req.params.ws);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(ws)) return res.status(400).json({ error: 'Invalid week start' });
+  const bin = String(req.params.bin).trim();
+  const cfg = ssccConfig();
+  if (cfg.error) return res.status(503).json({ error: cfg.error });
+
+  const current = ssccForBin.get(ws, bin);
+  if (current && !req.body?.replace) return res.json({ ok: true, allocated: false, allocation: current, label: formatSscc(current.sscc) });
+
+  const now = new Date().toISOString();
+  const result = db.transaction(() => {
+    const last = db.prepare(`
+      SELECT MAX(serial) AS n FROM sscc_allocations WHERE company_prefix = ? AND extension_digit = ?
+    `).get(cfg.prefix, cfg.ext).n;
+    const serial = last == null ? cfg.start : Math.max(cfg.start, last + 1);
+    if (serial > cfg.end) return { error: `SSCC serial range ${cfg.start}-${cfg.end} is used up` };
+    const data17 = `${cfg.ext}${cfg.prefix}${String(serial).padStart(cfg.serialLen, '0')}`;
+    const sscc = `${data17}${gs1CheckDigit(data17)}`;
+
+    if (current) db.prepare(`UPDATE sscc_allocations SET replaced_at = ? WHERE sscc = ?`).run(now, current.sscc);
+    db.prepare(`
+      INSERT INTO sscc_allocations (sscc, company_prefix, extension_digit, serial, week_start, mobile_bin, allocated_at, allocated_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(sscc, cfg.prefix, cfg.ext, serial, ws, bin, now, req.auth?.name || null);
+    const allocation = ssccGet.get(sscc);
+    audit(req, {
+      action: 'allocate', entity_type: 'sscc', entity_id: sscc, mobile_bin: bin, week_start: ws,
+      before: current || null, after: allocation,
+    });
+
+    const labelled = db.prepare(`
+      SELECT * FROM records
+      WHERE mobile_bin = ? AND date_local BETWEEN ? AND ? AND status = 'complete'
+        AND (TRIM(COALESCE(sscc_label, '')) = '' OR sscc_label = ?)
+    `).all(bin, ws, _weekEndISO(ws), current?.sscc ?? '');
+    const setSscc = db.prepare(`UPDATE records SET sscc_label = ? WHERE id = ?`);
+    const updated = labelled.map(r => {
+      setSscc.run(sscc, r.id);
+      const after = selectRecordById.get(r.id);
+      auditRecord(req, 'update', r, after);
+      return after;
+    });
+    return { allocation, updated };
+  })();
+  if (result.error) return res.status(409).json({ error: result.error });
+
+  if (result.updated.length) publishRecords(req, 'record.updated', result.updated);
+  return res.json({
+    ok: true, allocated: true, allocation: result.allocation, label: formatSscc(result.allocation.sscc),
+    replaced: current?.sscc || null, records_labelled: result.updated.length,
+  });
+});
+
+// GET /bins/weeks/:ws/:bin/label?format=zpl|pdf   (the bin needs an SSCC: POST .../sscc)
+binsRouter.get('/weeks/:ws/:bin/label', (req, res) => {
+  const ws = String(req.params.ws);
+  const bin = String(req.params.bin).trim();
+  const format = String(req.query.format || 'zpl').trim().toLowerCase();
+  if (format !== 'zpl' && format !== 'pdf') return res.status(400).json({ error: 'format must be zpl or pdf' });
+  const alloc = ssccForBin.get(ws, bin);
+  if (!alloc) return res.status(404).json({ error: `bin ${bin} (week ${ws}) has no SSCC yet; POST /bins/weeks/${ws}/${bin}/sscc first` });
+
+  const data = binLabelData(ws, bin);
+  const name = `label_${bin.replace(/[^\w-]+/g, '_')}_${alloc.sscc}`;
+  if (format === 'zpl') {
+    res.setHeader('Content-Type', 'application/zpl; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}.zpl"`);
+    return res.send(binLabelZpl(alloc, data));
+  }
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${name}.pdf"`);
+  return binLabelPdf(alloc, data, res);
+});
+
+// GET /bins/sscc/:sscc  -> the allocation and its bin (scanned labels resolve to a bin)
+binsRouter.get('/sscc/:sscc', (req, res) => {
+  const v = String(req.params.sscc).replace(/[\s()]/g, '');
+  const alloc = ssccGet.get(v.length === 20 && v.startsWith('00') ? v.slice(2) : v);
+  if (!alloc) return res.status(404).json({ error: 'SSCC not issued here' });
+  return res.json({
+    allocation: alloc,
+    label: formatSscc(alloc.sscc, alloc.company_prefix.length),
+    bin: binGet.get(alloc.week_start, alloc.mobile_bin) || { week_start: alloc.week_start, mobile_bin: alloc.mobile_bin, state: 'open' },
+  });
+});
+
+// ---- Bin manifest reconciliation (manifest total_units vs completed records) ----
+// One row per bin in the manifest or in the week's records. status:
+//   ok | short | over      scanned UIDs vs manifest units
+//   no_manifest           records but no manifest line
+//   no_units              manifest line without total_units
+//   no_scans              manifest line but no records
+// Weight per unit (weight_kg / scanned UIDs) is an outlier when it is more than
+// ?outlier_factor= (default 2) times above or below the week's median; the median needs 3+ bins.
+// ?facility= narrows the records; manifest lines have no facility, so manifest-only bins are
+// listed only without it.
+const BIN_RECON_COLUMNS = [
+  { header: 'Mobile Bin', key: 'mobile_bin', width: 16 },
+  { header: 'State', key: 'state', width: 10 },
+  { header: 'Status', key: 'status', width: 13 },
+  { header: 'Manifest Units', key: 'manifest_units', width: 15 },
+  { header: 'Scanned UIDs', key: 'scanned_units', width: 14 },
+  { header: 'Variance', key: 'variance', width: 10 },
+  { header: 'Weight (kg)', key: 'weight_kg', width: 12 },
+  { header: 'Kg / Unit', key: 'kg_per_unit', width: 11 },
+  { header: 'Weight Outlier', key: 'outlier', width: 14 },
+  { header: 'POs', key: 'pos', width: 30 },
+  { header: 'SKUs', key: 'skus', width: 30 },
+];
+
+function binReconciliation(ws, fac, outlierFactor) {
+  const we = _weekEndISO(ws);
+  const contents = db.prepare(`
+    SELECT TRIM(mobile_bin) AS mobile_bin, po_number, sku_code, COUNT(*) AS units
+    FROM records
+    WHERE status = 'complete' AND date_local >= ? AND date_local <= ?
+      AND TRIM(COALESCE(mobile_bin, '')) <> ''${fac.sql}
+    GROUP BY TRIM(mobile_bin), po_number, sku_code
+    ORDER BY TRIM(mobile_bin), po_number, sku_code
+  `).all(ws, we, ...fac.params);
+
+  const byBin = new Map();
+  const entry = (bin) => {
+    if (!byBin.has(bin)) byBin.set(bin, { mobile_bin: bin, manifest: null, scanned_units: 0, contents: [] });
+    return byBin.get(bin);
+  };
+  for (const c of contents) {
+    const e = entry(c.mobile_bin);
+    e.scanned_units += c.units;
+    e.contents.push({ po_number: c.po_number, sku_code: c.sku_code, units: c.units });
+  }
+  for (const b of Bins.getByWeek(ws)) {
+    const bin = String(b.mobile_bin || '').trim();
+    if (!bin || (fac.facility && !byBin.has(bin))) continue;
+    entry(bin).manifest = b;
+  }
+
+  const rows = [...byBin.values()].sort((a, b) => a.mobile_bin.localeCompare(b.mobile_bin)).map(e => {
+    const m = e.manifest;
+    const manifestUnits = m?.total_units ?? null;
+    let status;
+    if (!m) status = 'no_manifest';
+    else if (!e.scanned_units) status = 'no_scans';
+    else if (manifestUnits == null) status = 'no_units';
+    else status = e.scanned_units < manifestUnits ? 'short' : e.scanned_units > manifestUnits ? 'over' : 'ok';
+    const weight = m?.weight_kg ?? null;
+    return {
+      mobile_bin: e.mobile_bin,
+      state: m?.state || 'open',
+      status,
+      manifest_units: manifestUnits,
+      scanned_units: e.scanned_units,
+      variance: manifestUnits == null ? null : e.scanned_units - manifestUnits,
+      weight_kg: weight,
+      kg_per_unit: weight != null && e.scanned_units ? Math.round((weight / e.scanned_units) * 10000) / 10000 : null,
+      outlier: null,
+      pos: [...new Set(e.contents.map(c => c.po_number))],
+      skus: [...new Set(e.contents.map(c => c.sku_code))],
+      contents: e.contents,
+    };
+  });
+
+  const perUnit = rows.map(r => r.kg_per_unit).filter(v => v != null && v > 0).sort((a, b) => a - b);
+  const median = perUnit.length >= 3
+    ? (perUnit.length % 2 ? perUnit[(perUnit.length - 1) / 2] : (perUnit[perUnit.length / 2 - 1] + perUnit[perUnit.length / 2]) / 2)
+    : null;
+  if (median) {
+    for (const r of rows) {
+      if (r.kg_per_unit == null) continue;
+      if (r.kg_per_unit > median * outlierFactor) r.outlier = 'heavy';
+      else if (r.kg_per_unit < median / outlierFactor) r.outlier = 'light';
+    }
+  }
+
+  const count = (st) => rows.filter(r => r.status === st).length;
+  return {
+    week_start: ws,
+    week_end: we,
+    facility: fac.facility || null,
+    median_kg_per_unit: median,
+    outlier_factor: outlierFactor,
+    summary: {
+      bins: rows.length,
+      ok: count('ok'), short: count('short'), over: count('over'),
+      no_manifest: count('no_manifest'), no_units: count('no_units'), no_scans: count('no_scans'),
+      outliers: rows.filter(r => r.outlier).length,
+      manifest_units: rows.reduce((n, r) => n + (r.manifest_units || 0), 0),
+      scanned_units: rows.reduce((n, r) => n + r.scanned_units, 0),
+    },
+    bins: rows,
+  };
+}
+
+// GET /bins/weeks/:ws/reconciliation?facility=&outlier_factor=&format=json|xlsx
+binsRouter.get('/weeks/:ws/reconciliation', async (req, res) => {
+  try {
+    const ws = String(req.params.ws);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(ws)) return res.status(400).json({ error: 'Invalid week start' });
+    const format = String(req.query.format || 'json').trim().toLowerCase();
+    if (format !== 'json' && format !== 'xlsx') return res.status(400).json({ error: 'format must be json or xlsx' });
+    const factor = req.query.outlier_factor == null ? 2 : Number(req.query.outlier_factor);
+    if (!Number.isFinite(factor) || factor <= 1) return res.status(400).json({ error: 'outlier_factor must be a number above 1' });
+
+    const report = binReconciliation(ws, facilityFilter(req), factor);
+    if (format === 'json') return res.json(report);
+
+    const wb = new ExcelJS.Workbook();
+    const sheet = wb.addWorksheet('Reconciliation');
+    sheet.columns = BIN_RECON_COLUMNS;
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    for (const r of report.bins) {
+      const row = sheet.addRow({ ...r, outlier: r.outlier || '', pos: r.pos.join(', '), skus: r.skus.join(', ') });
+      // Anything the packing team has to look at gets a fill: amber for counts, blue for weight
+      if (r.status !== 'ok') row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFDE68A' } };
+      else if (r.outlier) row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFBFDBFE' } };
+    }
+    const contents = wb.addWorksheet('Contents');
+    contents.columns = [
+      { header: 'Mobile Bin', key: 'mobile_bin', width: 16 },
+      { header: 'PO', key: 'po_number', width: 14 },
+      { header: 'SKU', key: 'sku_code', width: 16 },
+      { header: 'Scanned UIDs', key: 'units', width: 14 },
+    ];
+    contents.getRow(1).font = { bold: true };
+    for (const r of report.bins) for (const c of r.contents) contents.addRow({ mobile_bin: r.mobile_bin, ...c });
+
+    const suffix = report.facility ? `_${report.facility.replace(/[^\w-]+/g, '_')}` : '';
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="bin_reconciliation_${ws}${suffix}.xlsx"`);
+    await wb.xlsx.write(res);
+    return res.end();
+  } catch (e) {
+    console.error('GET /bins/weeks/:ws/reconciliation failed:', e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
 // GET /bins/weeks/:ws
 binsRouter.get('/weeks/:ws', async (req, res) => {
   try {
@@ -1424,76 +5405,343 @@ binsRouter.get('/weeks/:ws', async (req, res) => {
 app.use('/bins', binsRouter);
 
 const receivingRouter = express.Router();
+receivingRouter.use(requireRole(ANY_ROLE)); // reads: any role; writes narrow further per route
 
 function normalizeReceivingArray(body, ws) {
   if (!Array.isArray(body)) return [];
-  return body.map(r => ({
+  return body.map(x => aliasRow(x, 'receiving')).map(r => ({
     week_start: ws,
-    po_number: String(r?.po_number ?? r?.po ?? '').trim(),
-    supplier_name: r?.supplier_name ? String(r.supplier_name).trim() : (r?.supplier ? String(r.supplier).trim() : ''),
-    facility_name: r?.facility_name ? String(r.facility_name).trim() : (r?.facility ? String(r.facility).trim() : ''),
-    received_at_utc: r?.received_at_utc ? String(r.received_at_utc).trim() : '',
-    received_at_local: r?.received_at_local ? String(r.received_at_local).trim() : '',
-    received_tz: r?.received_tz ? String(r.received_tz).trim() : '',
-    cartons_received: Number(r?.cartons_received ?? r?.cartons_in ?? 0) || 0,
-    cartons_damaged: Number(r?.cartons_damaged ?? r?.damaged ?? 0) || 0,
-    cartons_noncompliant: Number(r?.cartons_noncompliant ?? r?.noncompliant ?? r?.non_compliant ?? 0) || 0,
-    cartons_replaced: Number(r?.cartons_replaced ?? r?.replaced ?? 0) || 0,
+    po_number: String(r.po_number ?? '').trim(),
+    supplier_name: String(r.supplier_name ?? '').trim(),
+    facility_name: String(r.facility_name ?? '').trim(),
+    received_at_utc: String(r.received_at_utc ?? '').trim(),
+    received_at_local: String(r.received_at_local ?? '').trim(),
+    received_tz: String(r.received_tz ?? '').trim(),
+    cartons_received: Number(r.cartons_received ?? 0) || 0,
+    cartons_damaged: Number(r.cartons_damaged ?? 0) || 0,
+    cartons_noncompliant: Number(r.cartons_noncompliant ?? 0) || 0,
+    cartons_replaced: Number(r.cartons_replaced ?? 0) || 0,
     updated_at: new Date().toISOString(),
   })).filter(x => x.po_number);
 }
 
+// Receiving files update some columns of a PO (e.g. just cartons_in): columns the file
+// lacks keep the stored values, supplier / facility fall back to the week's plan, and a
+// received_at_local without an offset is read as business time (Asia/Shanghai, UTC+8).
+const RECEIVING_FILE_TZ = 'Asia/Shanghai';
+// Asia/Shanghai has no DST: business wall time is UTC+8
+const receivingBusinessLocal = (d) => new Date(d.getTime() + 8 * 3600e3).toISOString().slice(0, 16).replace('T', ' ');
+
+// "YYYY-MM-DD HH:MM", "YYYY-MM-DDTHH:MM[:SS][offset]" or "MM/DD/YYYY HH:MM AM/PM" -> "YYYY-MM-DDTHH:MM[...]"
+function fileLocalDateTime(v) {
+  const s = String(v ?? '').trim();
+  let m = s.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:[zZ]|[+-]\d{2}:?\d{2})?)$/);
+  if (m) return `${m[1]}T${m[2]}`;
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2})\s*(AM|PM)?$/i);
+  if (!m) return '';
+  let hh = Number(m[4]);
+  const ampm = String(m[6] || '').toUpperCase();
+  if (ampm === 'PM' && hh < 12) hh += 12;
+  if (ampm === 'AM' && hh === 12) hh = 0;
+  const p2 = (n) => String(n).padStart(2, '0');
+  return `${m[3]}-${p2(m[1])}-${p2(m[2])}T${p2(hh)}:${m[5]}`;
+}
+function mergeReceivingUpload(req, rows) {
+  const ws = String(req.params.ws);
+  const existingStmt = db.prepare(`SELECT * FROM receiving WHERE week_start = ? AND po_number = ?`);
+  const planStmt = db.prepare(`
+    SELECT supplier_name, facility_name FROM plan_lines WHERE week_start = ? AND po_number = ? LIMIT 1
+  `);
+  return rows.map(r => {
+    const po = String(r.po_number ?? '').trim();
+    if (!po) return r;
+    const existing = existingStmt.get(ws, po) || {};
+    const plan = planStmt.get(ws, po) || {};
+    const out = { ...r };
+    for (const f of RECEIVING_DATA_FIELDS) {
+      if (out[f] == null || String(out[f]).trim() === '') out[f] = existing[f] ?? '';
+    }
+    if (!out.supplier_name) out.supplier_name = plan.supplier_name || '';
+    if (!out.facility_name) out.facility_name = plan.facility_name || '';
+    if (String(r.received_at_local ?? '').trim() && !String(r.received_at_utc ?? '').trim()) {
+      const local = fileLocalDateTime(r.received_at_local);
+      const d = local ? new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(local) ? local : `${local}+08:00`) : null;
+      if (d && !isNaN(d)) {
+        out.received_at_local = receivingBusinessLocal(d);
+        out.received_at_utc = d.toISOString();
+        out.received_tz = RECEIVING_FILE_TZ;
+      }
+    }
+    return out;
+  });
+}
+
+// The columns an upload sets (updated_at always moves on a write, so dry runs skip it)
+const RECEIVING_DATA_FIELDS = [
+  'supplier_name', 'facility_name', 'received_at_utc', 'received_at_local', 'received_tz',
+  'cartons_received', 'cartons_damaged', 'cartons_noncompliant', 'cartons_replaced',
+];
+
+const receivingUpsert = db.prepare(`
+  INSERT INTO receiving(
+    week_start, po_number, supplier_name, facility_name,
+    received_at_utc, received_at_local, received_tz,
+    cartons_received, cartons_damaged, cartons_noncompliant, cartons_replaced,
+    updated_at
+  ) VALUES (
+    @week_start, @po_number, @supplier_name, @facility_name,
+    @received_at_utc, @received_at_local, @received_tz,
+    @cartons_received, @cartons_damaged, @cartons_noncompliant, @cartons_replaced,
+    @updated_at
+  )
+  ON CONFLICT(week_start, po_number) DO UPDATE SET
+    supplier_name=excluded.supplier_name,
+    facility_name=excluded.facility_name,
+    received_at_utc=excluded.received_at_utc,
+    received_at_local=excluded.received_at_local,
+    received_tz=excluded.received_tz,
+    cartons_received=excluded.cartons_received,
+    cartons_damaged=excluded.cartons_damaged,
+    cartons_noncompliant=excluded.cartons_noncompliant,
+    cartons_replaced=excluded.cartons_replaced,
+    updated_at=excluded.updated_at
+`);
+const receivingGet = db.prepare(`SELECT * FROM receiving WHERE week_start=? AND po_number=?`);
+// carton_lines > 0 marks a PO whose counters come from its scanned cartons (read-only on the page)
+const receivingWeekRows = db.prepare(`
+  SELECT r.*,
+         (SELECT COUNT(*) FROM receiving_cartons c WHERE c.week_start = r.week_start AND c.po_number = r.po_number) AS carton_lines
+  FROM receiving r WHERE r.week_start=? ORDER BY r.supplier_name, r.po_number
+`);
+
+// ---- Receiving cartons ----
+// Cartons are scanned in one at a time (migration 17) with a condition and, for exceptions,
+// a reason code. Once a PO has carton lines, its receiving counters and received time are
+// derived from them: a manual or uploaded count for that PO is overwritten on the next write.
+const CARTON_CONDITIONS = ['ok', 'damaged', 'noncompliant', 'replaced'];
+const CARTON_REASON_REQUIRED = ['damaged', 'noncompliant'];
+const receivingReasonList = (name, fallback) => (process.env[name] || fallback)
+  .split(',')
+  .map(s => s.trim().toLowerCase())
+  .filter(Boolean);
+const RECEIVING_REASON_CODES = {
+  damaged: receivingReasonList('RECEIVING_DAMAGED_REASONS', 'crushed,wet,torn,punctured,opened,other'),
+  noncompliant: receivingReasonList('RECEIVING_NONCOMPLIANT_REASONS', 'no_label,wrong_label,wrong_carton_size,overweight,mixed_sku,other'),
+  replaced: receivingReasonList('RECEIVING_REPLACED_REASONS', 'repacked,relabeled,supplier_replacement,other'),
+};
+
+const cartonGet = db.prepare(`SELECT * FROM receiving_cartons WHERE week_start = ? AND po_number = ? AND carton_id = ?`);
+const cartonGetById = db.prepare(`SELECT * FROM receiving_cartons WHERE id = ?`);
+const cartonCounts = db.prepare(`
+  SELECT COUNT(*) AS lines,
+         COALESCE(SUM(condition = 'damaged'), 0)      AS damaged,
+         COALESCE(SUM(condition = 'noncompliant'), 0) AS noncompliant,
+         COALESCE(SUM(condition = 'replaced'), 0)     AS replaced,
+         MAX(received_at) AS last_received_at
+  FROM receiving_cartons WHERE week_start = ? AND po_number = ?
+`);
+const cartonUpsert = db.prepare(`
+  INSERT INTO receiving_cartons (week_start, po_number, carton_id, condition, reason_code, notes, received_at, received_by, updated_at)
+  VALUES (@week_start, @po_number, @carton_id, @condition, @reason_code, @notes, COALESCE(@received_at, @now), @actor, @now)
+  ON CONFLICT(week_start, po_number, carton_id) DO UPDATE SET
+    condition = excluded.condition,
+    reason_code = excluded.reason_code,
+    notes = COALESCE(@notes, receiving_cartons.notes),
+    received_at = COALESCE(@received_at, receiving_cartons.received_at),
+    updated_at = excluded.updated_at
+`);
+const receivingPlanGet = db.prepare(`
+  SELECT supplier_name, facility_name FROM plan_lines WHERE week_start = ? AND po_number = ? LIMIT 1
+`);
+
+// One scanned carton -> { line } | { error }. A re-scan keeps the first received_at unless one is sent.
+function normalizeCartonLine(x) {
+  const po = String(x?.po_number ?? '').trim();
+  const cartonId = String(x?.carton_id ?? '').trim();
+  const condition = String(x?.condition ?? '').trim().toLowerCase() || 'ok';
+  const reason = String(x?.reason_code ?? '').trim().toLowerCase();
+  if (!po) return { error: 'po_number required' };
+  if (!cartonId) return { error: 'carton_id required' };
+  if (!CARTON_CONDITIONS.includes(condition)) return { error: `condition must be one of: ${CARTON_CONDITIONS.join(', ')}` };
+  const codes = RECEIVING_REASON_CODES[condition] || [];
+  if (reason && !codes.length) return { error: `reason_code is not used for ${condition} cartons` };
+  if (reason && !codes.includes(reason)) return { error: `reason_code for ${condition} must be one of: ${codes.join(', ')}` };
+  if (!reason && CARTON_REASON_REQUIRED.includes(condition)) return { error: `reason_code required for ${condition} cartons` };
+  let receivedAt = null;
+  if (String(x?.received_at ?? '').trim()) {
+    const d = new Date(String(x.received_at).trim());
+    if (isNaN(d)) return { error: 'received_at must be an ISO timestamp' };
+    receivedAt = d.toISOString();
+  }
+  const notes = String(x?.notes ?? '').trim();
+  return {
+    line: { po_number: po, carton_id: cartonId, condition, reason_code: reason || null, notes: notes || null, received_at: receivedAt },
+  };
+}
+
+// Recount a PO's receiving row from its carton lines (creating the row from the plan if needed).
+// With no lines left the counters drop to zero and the received time clears.
+function syncReceivingFromCartons(ws, po) {
+  const c = cartonCounts.get(ws, po);
+  const existing = receivingGet.get(ws, po);
+  if (!c.lines && !existing) return null;
+  const plan = receivingPlanGet.get(ws, po) || {};
+  const last = c.last_received_at ? new Date(c.last_received_at) : null;
+  receivingUpsert.run({
+    week_start: ws,
+    po_number: po,
+    supplier_name: existing?.supplier_name || plan.supplier_name || '',
+    facility_name: existing?.facility_name || plan.facility_name || '',
+    received_at_utc: last ? last.toISOString() : '',
+    received_at_local: last ? receivingBusinessLocal(last) : '',
+    received_tz: last ? RECEIVING_FILE_TZ : '',
+    cartons_received: c.lines,
+    cartons_damaged: c.damaged,
+    cartons_noncompliant: c.noncompliant,
+    cartons_replaced: c.replaced,
+    updated_at: new Date().toISOString(),
+  });
+  return receivingGet.get(ws, po);
+}
+
+// GET /receiving/reason-codes
+receivingRouter.get('/reason-codes', (req, res) => {
+  res.json({ conditions: CARTON_CONDITIONS, reasons: RECEIVING_REASON_CODES, required: CARTON_REASON_REQUIRED });
+});
+
 // GET /receiving/weeks/:ws
 receivingRouter.get('/weeks/:ws', (req, res) => {
-  const ws = req.params.ws;
-  const rows = db.prepare(`SELECT * FROM receiving WHERE week_start=? ORDER BY supplier_name, po_number`).all(ws);
-  res.json(rows);
+  res.json(receivingWeekRows.all(req.params.ws));
 });
 
 // PUT /receiving/weeks/:ws  (UPSERT array)
-receivingRouter.put('/weeks/:ws', (req, res) => {
+receivingRouter.put('/weeks/:ws', requireRole(ROLES.SCANNER, ROLES.SUPERVISOR), acceptUploadFile('receiving', mergeReceivingUpload), (req, res) => {
   const ws = req.params.ws;
   const rows = normalizeReceivingArray(req.body, ws);
 
-  const stmt = db.prepare(`
-    INSERT INTO receiving(
-      week_start, po_number, supplier_name, facility_name,
-      received_at_utc, received_at_local, received_tz,
-      cartons_received, cartons_damaged, cartons_noncompliant, cartons_replaced,
-      updated_at
-    ) VALUES (
-      @week_start, @po_number, @supplier_name, @facility_name,
-      @received_at_utc, @received_at_local, @received_tz,
-      @cartons_received, @cartons_damaged, @cartons_noncompliant, @cartons_replaced,
-      @updated_at
-    )
-    ON CONFLICT(week_start, po_number) DO UPDATE SET
-      supplier_name=excluded.supplier_name,
-      facility_name=excluded.facility_name,
-      received_at_utc=excluded.received_at_utc,
-      received_at_local=excluded.received_at_local,
-      received_tz=excluded.received_tz,
-      cartons_received=excluded.cartons_received,
-      cartons_damaged=excluded.cartons_damaged,
-      cartons_noncompliant=excluded.cartons_noncompliant,
-      cartons_replaced=excluded.cartons_replaced,
-      updated_at=excluded.updated_at
-  `);
+  // POs with scanned cartons keep their carton-derived counters
+  const write = (r) => {
+    receivingUpsert.run(r);
+    if (cartonCounts.get(ws, r.po_number).lines) syncReceivingFromCartons(ws, r.po_number);
+  };
 
+  if (isDryRun(req)) {
+    const rejected = (Array.isArray(req.body) ? req.body : []).flatMap((r, index) =>
+      String(aliasRow(r, 'receiving').po_number ?? '').trim() ? [] : [{ index, reason: 'Missing po_number' }]);
+    const entries = withRollback(() => rows.map(r => {
+      const before = receivingGet.get(ws, r.po_number) || null;
+      write(r);
+      return { key: r.po_number, before, after: receivingGet.get(ws, r.po_number) };
+    }));
+    return res.json(dryRunResult(entries, RECEIVING_DATA_FIELDS, rejected));
+  }
+
+  const changed = [];
   const tx = db.transaction((arr) => {
-    for (const r of arr) stmt.run(r);
+    for (const r of arr) {
+      const before = receivingGet.get(ws, r.po_number) || null;
+      write(r);
+      const after = receivingGet.get(ws, r.po_number) || null;
+      audit(req, {
+        action: before ? 'update' : 'create', entity_type: 'receiving', entity_id: `${ws}|${r.po_number}`,
+        po_number: r.po_number, week_start: ws, before, after,
+      });
+      if (after) changed.push(after);
+    }
   });
 
   tx(rows);
+  if (changed.length) publishEvent(req, 'receiving.updated', { week_start: ws, rows: changed });
   res.json({ ok: true, week_start: ws, rows: rows.length });
 });
 
+// GET /receiving/weeks/:ws/cartons?po=
+receivingRouter.get('/weeks/:ws/cartons', (req, res) => {
+  const ws = req.params.ws;
+  const po = String(req.query.po || req.query.po_number || '').trim();
+  const cartons = po
+    ? db.prepare(`SELECT * FROM receiving_cartons WHERE week_start = ? AND po_number = ? ORDER BY received_at, id`).all(ws, po)
+    : db.prepare(`SELECT * FROM receiving_cartons WHERE week_start = ? ORDER BY po_number, received_at, id`).all(ws);
+  res.json({ week_start: ws, po_number: po || null, cartons });
+});
+
+// POST /receiving/weeks/:ws/cartons  { po_number, carton_id, condition?, reason_code?, notes?, received_at? } or an array
+// Scanning a carton again updates its condition / reason. All lines are checked before any is saved.
+receivingRouter.post('/weeks/:ws/cartons', requireRole(ROLES.SCANNER, ROLES.SUPERVISOR), (req, res) => {
+  const ws = req.params.ws;
+  const input = Array.isArray(req.body) ? req.body : [req.body];
+  const lines = [];
+  const errors = [];
+  input.forEach((x, index) => {
+    const n = normalizeCartonLine(x);
+    if (n.error) errors.push({ index, carton_id: x?.carton_id ?? null, reason: n.error });
+    else lines.push(n.line);
+  });
+  if (errors.length) return res.status(400).json({ error: 'invalid carton lines', errors });
+  if (!lines.length) return res.status(400).json({ error: 'carton lines required' });
+
+  const now = new Date().toISOString();
+  const actor = req.auth?.name || null;
+  const result = db.transaction(() => {
+    const cartons = [];
+    const pos = new Map();
+    for (const l of lines) {
+      const before = cartonGet.get(ws, l.po_number, l.carton_id) || null;
+      cartonUpsert.run({ ...l, week_start: ws, now, actor });
+      const after = cartonGet.get(ws, l.po_number, l.carton_id);
+      audit(req, {
+        action: before ? 'update' : 'create', entity_type: 'receiving_carton',
+        entity_id: `${ws}|${l.po_number}|${l.carton_id}`, po_number: l.po_number, week_start: ws, before, after,
+      });
+      cartons.push(after);
+      if (!pos.has(l.po_number)) pos.set(l.po_number, receivingGet.get(ws, l.po_number) || null);
+    }
+    const receiving = [];
+    for (const [po, before] of pos) {
+      const after = syncReceivingFromCartons(ws, po);
+      audit(req, {
+        action: before ? 'update' : 'create', entity_type: 'receiving', entity_id: `${ws}|${po}`,
+        po_number: po, week_start: ws, before, after,
+      });
+      receiving.push(after);
+    }
+    return { cartons, receiving };
+  })();
+
+  publishEvent(req, 'receiving.updated', { week_start: ws, rows: result.receiving });
+  res.json({ ok: true, week_start: ws, ...result });
+});
+
+// DELETE /receiving/weeks/:ws/cartons/:id  (a carton scanned against the wrong PO)
+receivingRouter.delete('/weeks/:ws/cartons/:id', requireRole(ROLES.SCANNER, ROLES.SUPERVISOR), (req, res) => {
+  const ws = req.params.ws;
+  const carton = cartonGetById.get(Number(req.params.id));
+  if (!carton || carton.week_start !== ws) return res.status(404).json({ error: 'carton line not found' });
+
+  const receiving = db.transaction(() => {
+    const before = receivingGet.get(ws, carton.po_number) || null;
+    db.prepare(`DELETE FROM receiving_cartons WHERE id = ?`).run(carton.id);
+    audit(req, {
+      action: 'delete', entity_type: 'receiving_carton', entity_id: `${ws}|${carton.po_number}|${carton.carton_id}`,
+      po_number: carton.po_number, week_start: ws, before: carton, after: null,
+    });
+    const after = syncReceivingFromCartons(ws, carton.po_number);
+    audit(req, {
+      action: 'update', entity_type: 'receiving', entity_id: `${ws}|${carton.po_number}`,
+      po_number: carton.po_number, week_start: ws, before, after,
+    });
+    return after;
+  })();
+
+  if (receiving) publishEvent(req, 'receiving.updated', { week_start: ws, rows: [receiving] });
+  res.json({ ok: true, deleted: carton, receiving });
+});
+
 // Alias GET /receiving?weekStart=YYYY-MM-DD  (like bins/plan)
 receivingRouter.get('/', (req, res) => {
   const ws = String(req.query.weekStart || '').trim();
   if (!ws) return res.status(400).json({ error: 'weekStart required' });
-  const rows = db.prepare(`SELECT * FROM receiving WHERE week_start=? ORDER BY supplier_name, po_number`).all(ws);
-  res.json(rows);
+  res.json(receivingWeekRows.all(ws));
 });
 
 app.use('/receiving', receivingRouter);
@@ -1503,7 +5751,7 @@ app.use('/receiving', receivingRouter);
    Returns the same as GET /bins/weeks/:ws
    (works for /api/bins too thanks to the /api alias above)
 */
-app.get('/bins', (req, res) => {
+app.get('/bins', requireRole(ANY_ROLE), (req, res) => {
   const ws = String(req.query.weekStart || req.query.ws || '').trim();
   if (!ws) return res.status(400).json({ error: 'weekStart required' });
   const monday = mondayOfLoose(ws);
@@ -1523,9 +5771,685 @@ app.get('/bins', (req, res) => {
 
 
 
-// ---- Start ----
-app.listen(PORT, () => {
-  console.log(`UID Ops backend listening on http://localhost:${PORT}`);
-  console.log(`DB file: ${DB_FILE}`);
-  console.log(`CORS origin(s): ${allowList.join(', ')}`);
+// ---- SKU values (declared unit values for commercial invoices; migration 15) ----
+const skuValueGet = db.prepare(`SELECT * FROM sku_values WHERE sku_code = ?`);
+
+// GET /sku-values
+app.get('/sku-values', requireRole(ANY_ROLE), (req, res) => {
+  return res.json({ values: db.prepare(`SELECT * FROM sku_values ORDER BY sku_code`).all() });
+});
+
+// PUT /sku-values   body: [{ sku_code, unit_value, currency?, description?, hs_code?, country_of_origin? }]
+// (or a multipart `file`). Upserts by sku_code; blank optional columns keep the stored value.
+app.put('/sku-values', requireRole(ROLES.SUPERVISOR, ROLES.PLANNER), acceptUploadFile('sku_values'), (req, res) => {
+  const rows = Array.isArray(req.body) ? req.body : [];
+  if (!rows.length) return res.status(400).json({ error: 'array of sku values required' });
+
+  const opt = (v) => (v == null || String(v).trim() === '') ? null : String(v).trim();
+  const clean = new Map();
+  const rejected = [];
+  rows.forEach((r, index) => {
+    const a = aliasRow(r, 'sku_values');
+    const sku = String(a.sku_code ?? '').trim();
+    const value = Number(String(a.unit_value ?? '').replace(/,/g, '').trim());
+    const currency = opt(a.currency)?.toUpperCase() || null;
+    if (!sku) return rejected.push({ index, reason: 'missing sku_code' });
+    if (String(a.unit_value ?? '').trim() === '' || !Number.isFinite(value) || value < 0) {
+      return rejected.push({ index, sku_code: sku, reason: 'invalid unit_value' });
+    }
+    if (currency && !/^[A-Z]{3}$/.test(currency)) return rejected.push({ index, sku_code: sku, reason: 'currency must be a 3-letter ISO code' });
+    clean.set(sku, {
+      sku_code: sku, unit_value: value, currency,
+      description: opt(a.description), hs_code: opt(a.hs_code), country_of_origin: opt(a.country_of_origin),
+    });
+  });
+  if (!clean.size) return res.status(400).json({ error: 'no valid rows', rejected });
+
+  const stmt = db.prepare(`
+    INSERT INTO sku_values (sku_code, unit_value, currency, description, hs_code, country_of_origin, updated_at, updated_by)
+    VALUES (@sku_code, @unit_value, COALESCE(@currency, 'USD'), @description, @hs_code, @country_of_origin, @updated_at, @updated_by)
+    ON CONFLICT(sku_code) DO UPDATE SET
+      unit_value = excluded.unit_value,
+      currency = COALESCE(@currency, sku_values.currency),
+      description = COALESCE(@description, sku_values.description),
+      hs_code = COALESCE(@hs_code, sku_values.hs_code),
+      country_of_origin = COALESCE(@country_of_origin, sku_values.country_of_origin),
+      updated_at = excluded.updated_at,
+      updated_by = excluded.updated_by
+  `);
+  const stamp = { updated_at: new Date().toISOString(), updated_by: req.auth?.name || null };
+  const upsert = () => [...clean.values()].map(r => {
+    const before = skuValueGet.get(r.sku_code) || null;
+    stmt.run({ ...r, ...stamp });
+    return { key: r.sku_code, before, after: skuValueGet.get(r.sku_code) };
+  });
+
+  if (isDryRun(req)) {
+    return res.json(dryRunResult(withRollback(upsert), ['unit_value', 'currency', 'description', 'hs_code', 'country_of_origin'], rejected));
+  }
+  const entries = db.transaction(() => {
+    const out = upsert();
+    for (const e of out) {
+      audit(req, { action: e.before ? 'update' : 'create', entity_type: 'sku_value', entity_id: e.key, before: e.before, after: e.after });
+    }
+    return out;
+  })();
+  return res.json({ ok: true, upserted: entries.length, rejected });
 });
+
+// ---- Lane documents: packing list + commercial invoice ----
+// A lane is what the Flow page tracks per international shipment: supplier + Zendesk ticket +
+// freight type, keyed exactly like the page does ("Supplier||ticket||Sea") so the document
+// can stamp packing_list_ready_at on flow_week.data.intl_lanes[lane]. The lane's POs come
+// from the week's plan; bins, SSCCs and units from its complete records; weight from bins.
+// Plan lines and records are limited to the requested facility, the flow week being stamped.
+// A bin ships whole, so a bin shared with another lane carries its full weight on both.
+const LANE_DOCUMENTS = {
+  'packing-list': 'Packing List',
+  'commercial-invoice': 'Commercial Invoice',
+};
+
+function flowFreightType(v) {
+  const s = String(v ?? '').trim();
+  if (!s) return 'Sea';
+  const low = s.toLowerCase();
+  if (low.includes('sea') || low.includes('ocean')) return 'Sea';
+  if (low.includes('air')) return 'Air';
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+function flowLaneKey(p) {
+  const supplier = String(p?.supplier_name ?? '').trim() || 'Unknown';
+  const ticket = String(p?.zendesk_ticket ?? '').trim() || 'NO_TICKET';
+  return `${supplier}||${ticket}||${flowFreightType(p?.freight_type)}`;
+}
+
+// Plan lines of one lane at one facility
+function lanePlanLines(ws, lane, facility) {
+  return PlanLines.forWeek(ws).map(planLineOut)
+    .filter(p => flowLaneKey(p) === lane && normFacility(p.facility_name) === facility);
+}
+
+function lanePackingList(ws, lane, facility) {
+  const plan = lanePlanLines(ws, lane, facility);
+  if (!plan.length) return null;
+  const [supplier, ticket, freight] = lane.split('||');
+  const pos = [...new Set(plan.map(p => p.po_number))];
+
+  const contents = db.prepare(`
+    SELECT TRIM(mobile_bin) AS mobile_bin, po_number, sku_code, COUNT(*) AS units,
+           GROUP_CONCAT(DISTINCT NULLIF(TRIM(sscc_label), '')) AS ssccs
+    FROM records
+    WHERE status = 'complete' AND date_local >= ? AND date_local <= ? AND facility = ?
+      AND po_number IN (SELECT value FROM json_each(?))
+    GROUP BY TRIM(mobile_bin), po_number, sku_code
+    ORDER BY TRIM(mobile_bin), po_number, sku_code
+  `).all(ws, _weekEndISO(ws), facility, JSON.stringify(pos));
+
+  const manifest = new Map(Bins.getByWeek(ws).map(b => [String(b.mobile_bin || '').trim(), b]));
+  const bins = new Map();
+  for (const c of contents) {
+    if (!bins.has(c.mobile_bin)) {
+      const m = manifest.get(c.mobile_bin);
+      const alloc = ssccForBin.get(ws, c.mobile_bin);
+      bins.set(c.mobile_bin, {
+        mobile_bin: c.mobile_bin,
+        sscc: alloc?.sscc || '',
+        state: m?.state || 'open',
+        units: 0,
+        gross_weight_kg: m?.weight_kg ?? null,
+        cbm: BIN_CBM,
+        _labels: new Set(),
+      });
+    }
+    const b = bins.get(c.mobile_bin);
+    b.units += c.units;
+    String(c.ssccs || '').split(',').map(s => s.trim()).filter(Boolean).forEach(s => b._labels.add(s));
+  }
+  const binRows = [...bins.values()].map(({ _labels, ...b }) => ({ ...b, sscc: b.sscc || [..._labels].sort().join(', ') }));
+  const ssccOf = new Map(binRows.map(b => [b.mobile_bin, b.sscc]));
+  const round = (n, d) => Math.round((n + Number.EPSILON) * 10 ** d) / 10 ** d;
+
+  return {
+    week_start: ws,
+    lane,
+    supplier_name: supplier,
+    zendesk_ticket: ticket === 'NO_TICKET' ? '' : ticket,
+    freight_type: freight,
+    facilities: [...new Set(plan.map(p => p.facility_name).filter(Boolean))],
+    pos,
+    bins: binRows,
+    lines: contents.map(c => ({
+      mobile_bin: c.mobile_bin, sscc: ssccOf.get(c.mobile_bin) || '',
+      po_number: c.po_number, sku_code: c.sku_code, units: c.units,
+    })),
+    totals: {
+      bins: binRows.length,
+      units: binRows.reduce((n, b) => n + b.units, 0),
+      gross_weight_kg: round(binRows.reduce((n, b) => n + (Number(b.gross_weight_kg) || 0), 0), 2),
+      cbm: round(binRows.length * BIN_CBM, 3),
+      bins_without_weight: binRows.filter(b => b.gross_weight_kg == null).length,
+    },
+  };
+}
+
+// Invoice lines are PO × SKU at the SKU's declared value; SKUs without one are listed in missing_values
+function laneCommercialInvoice(pl) {
+  const byKey = new Map();
+  for (const l of pl.lines) {
+    const key = `${l.po_number}|||${l.sku_code}`;
+    if (!byKey.has(key)) byKey.set(key, { po_number: l.po_number, sku_code: l.sku_code, units: 0 });
+    byKey.get(key).units += l.units;
+  }
+  const totals = {};
+  const missing = new Set();
+  const lines = [...byKey.values()].sort((a, b) => a.po_number.localeCompare(b.po_number) || a.sku_code.localeCompare(b.sku_code)).map(l => {
+    const v = skuValueGet.get(l.sku_code);
+    if (!v) missing.add(l.sku_code);
+    const amount = v ? Math.round(l.units * v.unit_value * 100) / 100 : null;
+    if (v) totals[v.currency] = Math.round(((totals[v.currency] || 0) + amount) * 100) / 100;
+    return {
+      ...l,
+      description: v?.description || '',
+      hs_code: v?.hs_code || '',
+      country_of_origin: v?.country_of_origin || '',
+      unit_value: v ? v.unit_value : null,
+      currency: v?.currency || '',
+      amount,
+    };
+  });
+  return { lines, totals_by_currency: totals, missing_values: [...missing].sort() };
+}
+
+const PACKING_LIST_COLUMNS = [
+  { header: 'Mobile Bin', key: 'mobile_bin', width: 16 },
+  { header: 'SSCC', key: 'sscc', width: 22 },
+  { header: 'PO', key: 'po_number', width: 14 },
+  { header: 'SKU', key: 'sku_code', width: 18 },
+  { header: 'Units', key: 'units', width: 9 },
+  { header: 'Gross Weight (kg)', key: 'gross_weight_kg', width: 17 },
+  { header: 'CBM', key: 'cbm', width: 8 },
+];
+const INVOICE_COLUMNS = [
+  { header: 'PO', key: 'po_number', width: 14 },
+  { header: 'SKU', key: 'sku_code', width: 18 },
+  { header: 'Description', key: 'description', width: 30 },
+  { header: 'HS Code', key: 'hs_code', width: 12 },
+  { header: 'Origin', key: 'country_of_origin', width: 8 },
+  { header: 'Units', key: 'units', width: 9 },
+  { header: 'Unit Value', key: 'unit_value', width: 11 },
+  { header: 'Currency', key: 'currency', width: 9 },
+  { header: 'Amount', key: 'amount', width: 12 },
+];
+
+// Packing-list rows: one per bin × PO × SKU, with the bin's weight + CBM on its first row,
+// so the columns total to pl.totals. A bin shared with another lane is on both lists in full.
+function packingListRows(pl) {
+  const byBin = new Map(pl.bins.map(b => [b.mobile_bin, b]));
+  const seen = new Set();
+  return pl.lines.map(l => {
+    const first = !seen.has(l.mobile_bin);
+    seen.add(l.mobile_bin);
+    const b = byBin.get(l.mobile_bin);
+    return { ...l, gross_weight_kg: first ? b.gross_weight_kg : null, cbm: first ? b.cbm : null };
+  });
+}
+
+function laneDocumentHeader(pl, lane) {
+  return [
+    ['Week of', pl.week_start],
+    ['Supplier', pl.supplier_name],
+    ['Zendesk ticket', pl.zendesk_ticket || '-'],
+    ['Freight', pl.freight_type],
+    ['Facility', pl.facilities.join(', ') || '-'],
+    ['Shipment #', lane.shipmentNumber || lane.shipment || '-'],
+    ['HBL / MBL', [lane.hbl, lane.mbl].filter(Boolean).join(' / ') || '-'],
+  ];
+}
+
+async function laneDocumentXlsx(doc, pl, inv, lane, out) {
+  const wb = new ExcelJS.Workbook();
+  const sheet = wb.addWorksheet(LANE_DOCUMENTS[doc]);
+  sheet.addRow([LANE_DOCUMENTS[doc].toUpperCase()]).font = { bold: true, size: 14 };
+  laneDocumentHeader(pl, lane).forEach(([k, v]) => { sheet.addRow([k, v]).getCell(1).font = { bold: true }; });
+  sheet.addRow([]);
+
+  const cols = doc === 'packing-list' ? PACKING_LIST_COLUMNS : INVOICE_COLUMNS;
+  cols.forEach((c, i) => { sheet.getColumn(i + 1).width = c.width; });
+  sheet.addRow(cols.map(c => c.header)).font = { bold: true };
+  const rows = doc === 'packing-list' ? packingListRows(pl) : inv.lines;
+  for (const r of rows) sheet.addRow(cols.map(c => r[c.key] ?? ''));
+  sheet.addRow([]);
+  if (doc === 'packing-list') {
+    const t = pl.totals;
+    sheet.addRow(['Total', `${t.bins} bins`, `${pl.pos.length} POs`, '', t.units, t.gross_weight_kg, t.cbm]).font = { bold: true };
+  } else {
+    sheet.addRow(['Total units', '', '', '', '', inv.lines.reduce((n, l) => n + l.units, 0)]).font = { bold: true };
+    for (const [ccy, amt] of Object.entries(inv.totals_by_currency)) sheet.addRow(['Total value', '', '', '', '', '', '', ccy, amt]).font = { bold: true };
+    if (inv.missing_values.length) sheet.addRow([`No declared value: ${inv.missing_values.join(', ')}`]).font = { color: { argb: 'FFB91C1C' } };
+  }
+
+  if (doc === 'packing-list') {
+    const binSheet = wb.addWorksheet('Bins');
+    binSheet.columns = [
+      { header: 'Mobile Bin', key: 'mobile_bin', width: 16 },
+      { header: 'SSCC', key: 'sscc', width: 22 },
+      { header: 'State', key: 'state', width: 10 },
+      { header: 'Units', key: 'units', width: 9 },
+      { header: 'Gross Weight (kg)', key: 'gross_weight_kg', width: 17 },
+      { header: 'CBM', key: 'cbm', width: 8 },
+    ];
+    binSheet.getRow(1).font = { bold: true };
+    pl.bins.forEach(b => binSheet.addRow(b));
+  }
+  await wb.xlsx.write(out);
+}
+
+function laneDocumentPdf(doc, pl, inv, lane, out) {
+  const pdf = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36, info: { Title: `${LANE_DOCUMENTS[doc]} ${pl.lane}` } });
+  pdf.pipe(out);
+  const left = 36;
+  const right = pdf.page.width - 36;
+  const bottom = pdf.page.height - 36;
+
+  pdf.font('Helvetica-Bold').fontSize(16).text(LANE_DOCUMENTS[doc].toUpperCase(), left, 36);
+  let y = 62;
+  for (const [k, v] of laneDocumentHeader(pl, lane)) {
+    pdf.font('Helvetica-Bold').fontSize(9).text(k, left, y, { width: 90 });
+    pdf.font('Helvetica').text(String(v), left + 90, y, { width: 400 });
+    y += 13;
+  }
+  y += 8;
+
+  const cols = doc === 'packing-list' ? PACKING_LIST_COLUMNS : INVOICE_COLUMNS;
+  const scale = (right - left) / cols.reduce((n, c) => n + c.width, 0);
+  const numeric = new Set(['units', 'gross_weight_kg', 'cbm', 'unit_value', 'amount']);
+  const drawRow = (cells, bold) => {
+    if (y + 14 > bottom) {
+      pdf.addPage();
+      y = 36;
+      if (!bold) drawRow(cols.map(c => c.header), true);
+    }
+    let x = left;
+    pdf.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    cols.forEach((c, i) => {
+      const w = c.width * scale;
+      pdf.text(String(cells[i] ?? ''), x + 2, y + 3, { width: w - 4, height: 10, ellipsis: true, align: numeric.has(c.key) ? 'right' : 'left' });
+      x += w;
+    });
+    y += 14;
+    pdf.moveTo(left, y).lineTo(right, y).lineWidth(bold ? 0.8 : 0.3).stroke();
+  };
+
+  drawRow(cols.map(c => c.header), true);
+  const rows = doc === 'packing-list' ? packingListRows(pl) : inv.lines;
+  for (const r of rows) drawRow(cols.map(c => r[c.key]), false);
+
+  y += 8;
+  const total = (label, value) => {
+    if (y + 14 > bottom) { pdf.addPage(); y = 36; }
+    pdf.font('Helvetica-Bold').fontSize(10).text(`${label}: ${value}`, left, y);
+    y += 14;
+  };
+  if (doc === 'packing-list') {
+    const t = pl.totals;
+    total('Bins', t.bins);
+    total('POs', pl.pos.length);
+    total('Units', t.units);
+    total('Gross weight', `${t.gross_weight_kg} kg${t.bins_without_weight ? ` (${t.bins_without_weight} bins without weight)` : ''}`);
+    total('CBM', t.cbm);
+  } else {
+    total('Units', inv.lines.reduce((n, l) => n + l.units, 0));
+    for (const [ccy, amt] of Object.entries(inv.totals_by_currency)) total(`Total value (${ccy})`, amt.toFixed(2));
+    if (inv.missing_values.length) total('No declared value', inv.missing_values.join(', '));
+  }
+  pdf.end();
+}
+
+// POST /flow/week/:weekStart/lane-documents/:doc(packing-list|commercial-invoice)?facility=&format=pdf|xlsx|json
+//   body: { lane }   (the Flow page's lane key)
+// pdf / xlsx stamp intl_lanes[lane].packing_list_ready_at on the facility's flow week the first
+// time either document is generated; json is a preview and stamps nothing.
+app.post('/flow/week/:weekStart/lane-documents/:doc(packing-list|commercial-invoice)', requireRole(ROLES.SUPERVISOR, ROLES.PLANNER), async (req, res) => {
+  try {
+    const monday = mondayOfLoose(String(req.params.weekStart || '').trim());
+    if (!monday) return res.status(400).json({ error: 'invalid weekStart' });
+    const facility = normFacility(req.query.facility);
+    if (!facility) return res.status(400).json({ error: 'facility required' });
+    const format = String(req.query.format || 'pdf').trim().toLowerCase();
+    if (!['pdf', 'xlsx', 'json'].includes(format)) return res.status(400).json({ error: 'format must be pdf, xlsx or json' });
+    const laneKey = String(req.body?.lane || '').trim();
+    if (!laneKey) return res.status(400).json({ error: 'lane required' });
+
+    const doc = req.params.doc;
+    const pl = lanePackingList(monday, laneKey, facility);
+    if (!pl) return res.status(404).json({ error: `no plan lines for lane '${laneKey}' at ${facility} in week ${monday}` });
+    if (!pl.lines.length) return res.status(409).json({ error: 'lane has no completed records yet' });
+    const inv = doc === 'commercial-invoice' ? laneCommercialInvoice(pl) : null;
+
+    const stored = safeJsonParse(flowWeekGet.get(facility, monday)?.data, {}) || {};
+    const lane = stored.intl_lanes?.[laneKey] || {};
+    if (format === 'json') return res.json({ document: doc, facility, ...pl, ...(inv ? { invoice: inv } : {}), packing_list_ready_at: lane.packing_list_ready_at || null });
+
+    let readyAt = lane.packing_list_ready_at;
+    if (!readyAt) {
+      readyAt = new Date().toISOString();
+      writeFlowWeek(req, facility, monday, { intl_lanes: { [laneKey]: { ...lane, packing_list_ready_at: readyAt } } });
+    }
+    res.setHeader('X-Packing-List-Ready-At', readyAt);
+
+    const name = `${doc.replace('-', '_')}_${monday}_${pl.supplier_name}_${pl.zendesk_ticket || pl.freight_type}`.replace(/[^\w-]+/g, '_');
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${name}.xlsx"`);
+      await laneDocumentXlsx(doc, pl, inv, lane, res);
+      return res.end();
+    }
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}.pdf"`);
+    return laneDocumentPdf(doc, pl, inv, lane, res);
+  } catch (e) {
+    console.error('POST /flow/week/:weekStart/lane-documents failed:', e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+
+// ---- Advance Ship Notice (ASN): container -> bin (SSCC) -> PO -> SKU -> UID ----
+// Containers are the Flow page's week containers (flow_week.data.intl_weekcontainers); the
+// page records which mobile bins went on each one in `mobile_bins` (comma-separated).
+// Scope: `container` (container_uid or container id) covers the POs of the container's lanes,
+// or only its `pos` when those are filled in; `lane` covers the lane's POs on every container
+// carrying that lane. Every complete UID of those POs must sit in a bin that is assigned to a
+// container in scope, sealed (or loaded / shipped) and labelled with one SSCC; otherwise the
+// ASN is refused with the problems listed. A container ASN leaves out bins that sit on another
+// container of the week (a lane split across containers gets one ASN per container).
+// Output is X12 856 (4010) or the same tree as JSON.
+const ASN_SENDER_ID = String(process.env.ASN_SENDER_ID || GS1_COMPANY_PREFIX || 'SENDER').trim();
+const ASN_RECEIVER_ID = String(process.env.ASN_RECEIVER_ID || 'RECEIVER').trim();
+const ASN_BIN_STATES = ['sealed', 'loaded', 'shipped'];
+
+function flowWeekContainers(data) {
+  const wc = data?.intl_weekcontainers;
+  const arr = Array.isArray(wc) ? wc : Array.isArray(wc?.containers) ? wc.containers : [];
+  return arr.filter(c => c && typeof c === 'object');
+}
+
+function splitList(v) {
+  const arr = Array.isArray(v) ? v : String(v ?? '').split(/[,;\s]+/);
+  return [...new Set(arr.map(x => String(x ?? '').trim()).filter(Boolean))];
+}
+
+const containerRef = (c) => String(c.container_id || c.container || '').trim() || String(c.container_uid || '').trim();
+
+function asnScope(ws, facility, data, q) {
+  const containers = flowWeekContainers(data);
+  const lanePOs = (lane) => lanePlanLines(ws, lane, facility).map(p => p.po_number);
+  if (q.container) {
+    const want = String(q.container).trim().toLowerCase();
+    const c = containers.find(x => [x.container_uid, x.container_id, x.container].some(v => String(v || '').trim().toLowerCase() === want));
+    if (!c) return { error: `no container '${q.container}' in week ${ws}` };
+    const lanes = splitList(c.lane_keys);
+    const pos = splitList(c.pos);
+    return {
+      scope: `container:${String(c.container_uid || containerRef(c))}`,
+      kind: 'container',
+      containers: [c], lanes,
+      pos: new Set(pos.length ? pos : lanes.flatMap(lanePOs)),
+      all: containers,
+    };
+  }
+  const lane = String(q.lane || '').trim();
+  if (!lane) return { error: 'container or lane required', status: 400 };
+  const pos = lanePOs(lane);
+  if (!pos.length) return { error: `no plan lines for lane '${lane}' at ${facility} in week ${ws}` };
+  return {
+    scope: `lane:${lane}`,
+    kind: 'lane',
+    containers: containers.filter(c => splitList(c.lane_keys).includes(lane)), lanes: [lane],
+    pos: new Set(pos),
+    all: containers,
+  };
+}
+
+function buildAsn(ws, facility, data, sc) {
+  const records = db.prepare(`
+    SELECT uid, po_number, sku_code, TRIM(mobile_bin) AS mobile_bin, NULLIF(TRIM(sscc_label), '') AS sscc_label
+    FROM records
+    WHERE status = 'complete' AND date_local >= ? AND date_local <= ? AND facility = ?
+      AND po_number IN (SELECT value FROM json_each(?))
+    ORDER BY TRIM(mobile_bin), po_number, sku_code, uid
+  `).all(ws, _weekEndISO(ws), facility, JSON.stringify([...sc.pos]));
+
+  const inScope = new Set(sc.containers);
+  const binHome = new Map(); // bin -> the first container (of the whole week) listing it
+  for (const c of sc.all) for (const b of splitList(c.mobile_bins)) if (!binHome.has(b)) binHome.set(b, c);
+
+  const problems = new Map(); // `${bin}|${reason}` -> { mobile_bin, reason, uids }
+  const problem = (bin, reason, uid) => {
+    const k = `${bin}|${reason}`;
+    if (!problems.has(k)) problems.set(k, { mobile_bin: bin, reason, uids: [] });
+    if (uid) problems.get(k).uids.push(uid);
+  };
+
+  const bins = new Map();
+  for (const r of records) {
+    const home = binHome.get(r.mobile_bin);
+    if (!home) { problem(r.mobile_bin, 'bin is not assigned to a container', r.uid); continue; }
+    if (!inScope.has(home)) {
+      // that container's own ASN covers it
+      if (sc.kind === 'container') continue;
+      problem(r.mobile_bin, `bin is on container ${containerRef(home)}`, r.uid);
+      continue;
+    }
+    if (!bins.has(r.mobile_bin)) {
+      const m = binGet.get(ws, r.mobile_bin);
+      bins.set(r.mobile_bin, { container: home, state: m?.state || 'open', weight_kg: m?.weight_kg ?? null, labels: new Set(), records: [] });
+    }
+    const b = bins.get(r.mobile_bin);
+    if (!ASN_BIN_STATES.includes(b.state)) problem(r.mobile_bin, `bin is ${b.state}, not sealed`, r.uid);
+    if (r.sscc_label) b.labels.add(r.sscc_label);
+    b.records.push(r);
+  }
+
+  const warnings = [];
+  const outContainers = sc.containers.map(c => ({
+    container_uid: String(c.container_uid || ''),
+    container_id: String(c.container_id || c.container || ''),
+    size_ft: String(c.size_ft || ''),
+    vessel: String(c.vessel || ''),
+    bins: [],
+  }));
+  const outByContainer = new Map(sc.containers.map((c, i) => [c, outContainers[i]]));
+
+  for (const [bin, b] of [...bins.entries()].sort((x, y) => x[0].localeCompare(y[0]))) {
+    const sscc = ssccForBin.get(ws, bin)?.sscc || (b.labels.size === 1 ? [...b.labels][0] : '');
+    if (!sscc) problem(bin, b.labels.size > 1 ? `bin has ${b.labels.size} different SSCC labels` : 'bin has no SSCC');
+    const orders = new Map();
+    for (const r of b.records) {
+      if (!orders.has(r.po_number)) orders.set(r.po_number, new Map());
+      const items = orders.get(r.po_number);
+      if (!items.has(r.sku_code)) items.set(r.sku_code, []);
+      items.get(r.sku_code).push(r.uid);
+    }
+    outByContainer.get(b.container).bins.push({
+      mobile_bin: bin,
+      sscc,
+      state: b.state,
+      gross_weight_kg: b.weight_kg,
+      units: b.records.length,
+      orders: [...orders.entries()].map(([po, items]) => ({
+        po_number: po,
+        items: [...items.entries()].map(([sku, uids]) => ({ sku_code: sku, quantity: uids.length, uids })),
+      })),
+    });
+  }
+  for (const c of sc.containers) {
+    for (const bin of splitList(c.mobile_bins)) {
+      if (binHome.get(bin) === c && !bins.has(bin)) warnings.push({ mobile_bin: bin, reason: `no complete records of these POs in bin (container ${containerRef(c)})` });
+    }
+  }
+  if (!records.length) problem('', 'no complete records for these POs');
+  else if (!bins.size && !problems.size) problem('', 'no complete records for these POs on this container');
+
+  // Shipment references come from the lanes' Flow inputs (first lane that has each one)
+  const laneData = sc.lanes.map(l => data?.intl_lanes?.[l] || {});
+  const firstOf = (...keys) => laneData.map(d => keys.map(k => d[k]).find(v => String(v ?? '').trim())).find(Boolean) || '';
+  const suppliers = [...new Set(sc.lanes.map(l => l.split('||')[0]).filter(Boolean))];
+  const freights = [...new Set(sc.lanes.map(l => l.split('||')[2]).filter(Boolean))];
+  const departed = String(firstOf('departed_at', 'departed'));
+  const allBins = outContainers.flatMap(c => c.bins);
+  return {
+    problems: [...problems.values()],
+    warnings,
+    asn: {
+      week_start: ws,
+      facility,
+      scope: sc.scope,
+      shipment: {
+        lanes: sc.lanes,
+        suppliers,
+        freight_type: freights.length === 1 ? freights[0] : freights.join(', '),
+        shipment_number: String(firstOf('shipmentNumber', 'shipment')),
+        house_bill: String(firstOf('hbl')),
+        master_bill: String(firstOf('mbl')),
+        ship_date: /^\d{4}-\d{2}-\d{2}/.test(departed) ? departed.slice(0, 10) : (toISODate(departed) || null),
+      },
+      totals: {
+        containers: outContainers.length,
+        bins: allBins.length,
+        units: allBins.reduce((n, b) => n + b.units, 0),
+        gross_weight_kg: Math.round(allBins.reduce((n, b) => n + (Number(b.gross_weight_kg) || 0), 0) * 100) / 100,
+      },
+      containers: outContainers,
+    },
+  };
+}
+
+// X12 856 (version 4010), hierarchy S (shipment) > E (container) > T (bin, MAN*GM = SSCC) >
+// O (PO) > I (SKU, one REF*SE per UID). Separators: * element, ~ segment, > component.
+function asnX12(asn, controlNo, now = new Date()) {
+  const el = (v) => String(v ?? '').replace(/[*~>\r\n]+/g, ' ').trim();
+  const pad = (v, n) => el(v).slice(0, n).padEnd(n, ' ');
+  const ymd = now.toISOString().slice(0, 10).replace(/-/g, '');
+  const hm = now.toISOString().slice(11, 16).replace(':', '');
+  const ctl = String(controlNo).padStart(9, '0');
+  const seg = [];
+  const add = (...parts) => seg.push(parts.map(el).join('*').replace(/\*+$/, ''));
+
+  let hl = 0;
+  const openHl = (parent, code) => { hl += 1; add('HL', hl, parent || '', code); return hl; };
+
+  const s = asn.shipment;
+  const air = /air/i.test(s.freight_type);
+  add('ST', '856', '0001');
+  add('BSN', '00', asn.asn_number, ymd, hm, '0001');
+  const shipHl = openHl(0, 'S');
+  if (asn.totals.gross_weight_kg) add('TD1', 'CTN25', asn.totals.bins, '', '', '', 'G', asn.totals.gross_weight_kg, 'KG');
+  else add('TD1', 'CTN25', asn.totals.bins);
+  add('TD5', '', '', '', air ? 'A' : 'S');
+  if (s.house_bill) add('REF', 'BM', s.house_bill);
+  if (s.master_bill) add('REF', 'MB', s.master_bill);
+  if (s.shipment_number) add('REF', 'SI', s.shipment_number);
+  add('DTM', '011', (s.ship_date || now.toISOString().slice(0, 10)).replace(/-/g, ''));
+  for (const sup of s.suppliers) add('N1', 'SF', sup);
+  add('N1', 'ST', asn.facility);
+
+  for (const c of asn.containers) {
+    const eHl = openHl(shipHl, 'E');
+    const id = c.container_id.replace(/\s+/g, '').toUpperCase();
+    const iso = id.match(/^([A-Z]{4})(\d{6,7})$/);
+    if (air) add('REF', 'AW', c.container_id);
+    else add('TD3', c.size_ft === '20' ? '20' : c.size_ft === '40' ? '40' : 'CN', iso ? iso[1] : '', iso ? iso[2] : id);
+    if (c.vessel) add('TD5', '', '', '', air ? 'A' : 'S', c.vessel);
+    for (const b of c.bins) {
+      const tHl = openHl(eHl, 'T');
+      add('MAN', 'GM', b.sscc);
+      if (b.gross_weight_kg != null) add('MEA', 'PD', 'G', b.gross_weight_kg, 'KG');
+      add('REF', 'ZZ', b.mobile_bin);
+      for (const o of b.orders) {
+        const oHl = openHl(tHl, 'O');
+        add('PRF', o.po_number);
+        for (const it of o.items) {
+          openHl(oHl, 'I');
+          add('LIN', '', 'SK', it.sku_code);
+          add('SN1', '', it.quantity, 'EA');
+          for (const uid of it.uids) add('REF', 'SE', uid);
+        }
+      }
+    }
+  }
+  add('CTT', hl);
+  add('SE', seg.length + 1, '0001');
+
+  const head = [
+    `ISA*00*${pad('', 10)}*00*${pad('', 10)}*ZZ*${pad(ASN_SENDER_ID, 15)}*ZZ*${pad(ASN_RECEIVER_ID, 15)}*${ymd.slice(2)}*${hm}*U*00401*${ctl}*0*P*>`,
+    `GS*SH*${el(ASN_SENDER_ID)}*${el(ASN_RECEIVER_ID)}*${ymd}*${hm}*${controlNo}*X*004010`,
+  ];
+  const tail = [`GE*1*${controlNo}`, `IEA*1*${ctl}`];
+  return [...head, ...seg, ...tail].map(x => `${x}~`).join('\n') + '\n';
+}
+
+// POST /flow/week/:weekStart/asn?facility=&format=x12|json   body: { container } or { lane }
+// -> 409 { error, problems: [{ mobile_bin, reason, uids }] } when the UIDs don't all sit in
+//    sealed, labelled bins on the container(s); each ASN produced is logged in asn_exports
+app.post('/flow/week/:weekStart/asn', requireRole(ANY_ROLE), (req, res) => {
+  const monday = mondayOfLoose(String(req.params.weekStart || '').trim());
+  if (!monday) return res.status(400).json({ error: 'invalid weekStart' });
+  const facility = normFacility(req.query.facility);
+  if (!facility) return res.status(400).json({ error: 'facility required' });
+  const format = String(req.query.format || 'x12').trim().toLowerCase();
+  if (format !== 'x12' && format !== 'json') return res.status(400).json({ error: 'format must be x12 or json' });
+
+  const data = safeJsonParse(flowWeekGet.get(facility, monday)?.data, {}) || {};
+  const sc = asnScope(monday, facility, data, req.body || {});
+  if (sc.error) return res.status(sc.status || 404).json({ error: sc.error });
+  if (!sc.containers.length) return res.status(404).json({ error: `no containers carry lane '${sc.lanes[0]}' in week ${monday}` });
+
+  const { problems, warnings, asn } = buildAsn(monday, facility, data, sc);
+  if (problems.length) return res.status(409).json({ error: 'ASN validation failed', problems, warnings });
+
+  const now = new Date();
+  const id = Number(db.prepare(`
+    INSERT INTO asn_exports (week_start, facility, scope, format, bins, units, created_at, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(monday, facility, sc.scope, format, asn.totals.bins, asn.totals.units, now.toISOString(), req.auth?.name || null).lastInsertRowid);
+  asn.asn_number = `ASN${monday.replace(/-/g, '')}${String(id).padStart(5, '0')}`;
+  asn.created_at = now.toISOString();
+
+  const name = `${asn.asn_number}_${sc.scope.replace(/[^\w-]+/g, '_')}`.slice(0, 120);
+  if (format === 'json') {
+    res.setHeader('Content-Disposition', `attachment; filename="${name}.json"`);
+    return res.json({ asn, warnings });
+  }
+  res.setHeader('Content-Type', 'application/edi-x12; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${name}.edi"`);
+  return res.send(asnX12(asn, id, now));
+});
+
+
+// ---- Start ----
+// `node server.js` listens; require('./server') (the tests) gets the app and helpers without a listener.
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`UID Ops backend listening on http://localhost:${PORT}`);
+    console.log(`DB file: ${DB_FILE}`);
+    console.log(`CORS origin(s): ${allowList.join(', ')}`);
+    console.log(`Auth: ${AUTH_DISABLED ? 'DISABLED (AUTH_DISABLED set)' : 'enforced'}`);
+  });
+}
+
+module.exports = {
+  app,
+  db,
+  MIGRATIONS,
+  runMigrations,
+  gs1CheckDigit,
+  gs1SsccCheck,
+  fileLocalDateTime,
+  gs1128Modules,
+  asnX12,
+  x12Segments,
+  parsePurchaseOrders850,
+  normalizeCartonLine,
+};
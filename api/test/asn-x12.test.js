@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers');
+
+const { asnX12 } = loadServer();
+
+const bin = (mobile_bin, sscc, orders) => ({ mobile_bin, sscc, gross_weight_kg: 100, orders });
+const ASN = {
+  asn_number: 'ASN2026101200042',
+  week_start: '2026-10-12',
+  facility: 'Dallas',
+  shipment: {
+    lanes: ['Acme|Dallas|Sea'], suppliers: ['Acme*Ltd'], freight_type: 'Sea',
+    shipment_number: 'SH1', house_bill: 'HBL1', master_bill: '', ship_date: '2026-10-14',
+  },
+  totals: { containers: 1, bins: 2, units: 3, gross_weight_kg: 200 },
+  containers: [{
+    container_id: 'MSCU 1234567', size_ft: '40', vessel: 'EVER GIVEN',
+    bins: [
+      bin('B1', '006141411234567890', [
+        { po_number: 'PO1', items: [{ sku_code: 'SKU1', quantity: 2, uids: ['U1', 'U2~x'] }] },
+      ]),
+      bin('B2', '006141411234567906', [
+        { po_number: 'PO2', items: [{ sku_code: 'SKU2', quantity: 1, uids: ['U3'] }] },
+      ]),
+    ],
+  }],
+};
+const NOW = new Date('2026-10-15T09:30:00Z');
+const segments = (text) => text.trim().split('\n').map(s => s.replace(/~$/, '').split('*'));
+
+test('asnX12 wraps one 856 in ISA/GS envelopes with matching control numbers', () => {
+  const text = asnX12(ASN, 42, NOW);
+  const lines = text.trim().split('\n');
+  assert.ok(lines.every(l => l.endsWith('~')));
+  assert.equal(lines[0].length, 106); // fixed-width ISA including the terminator
+  const segs = segments(text);
+  const [isa, gs] = segs;
+  const [ge, iea] = segs.slice(-2);
+  assert.equal(isa[13], '000000042');
+  assert.equal(isa[9], '261015');
+  assert.equal(isa[10], '0930');
+  assert.equal(gs[1], 'SH');
+  assert.equal(gs[6], '42');
+  assert.deepEqual(ge, ['GE', '1', '42']);
+  assert.deepEqual(iea, ['IEA', '1', '000000042']);
+});
+
+test('asnX12 SE01 counts ST..SE and CTT01 counts the HL loops', () => {
+  const segs = segments(asnX12(ASN, 42, NOW));
+  const st = segs.findIndex(s => s[0] === 'ST');
+  const se = segs.findIndex(s => s[0] === 'SE');
+  assert.deepEqual(segs[st], ['ST', '856', '0001']);
+  assert.equal(Number(segs[se][1]), se - st + 1);
+  assert.equal(segs[se][2], '0001');
+
+  const hls = segs.filter(s => s[0] === 'HL');
+  // S, E, then per bin T > O > I
+  assert.deepEqual(hls.map(h => h[3]), ['S', 'E', 'T', 'O', 'I', 'T', 'O', 'I']);
+  assert.deepEqual(hls.map(h => h[2] || ''), ['', '1', '2', '3', '4', '2', '6', '7']);
+  assert.deepEqual(segs.find(s => s[0] === 'CTT'), ['CTT', String(hls.length)]);
+});
+
+test('asnX12 maps bins, POs, SKUs and UIDs and strips separators from values', () => {
+  const segs = segments(asnX12(ASN, 42, NOW));
+  assert.deepEqual(segs.filter(s => s[0] === 'MAN').map(s => s[2]), ['006141411234567890', '006141411234567906']);
+  assert.deepEqual(segs.filter(s => s[0] === 'PRF').map(s => s[1]), ['PO1', 'PO2']);
+  assert.deepEqual(segs.filter(s => s[0] === 'REF' && s[1] === 'SE').map(s => s[2]), ['U1', 'U2 x', 'U3']);
+  assert.deepEqual(segs.find(s => s[0] === 'TD3'), ['TD3', '40', 'MSCU', '1234567']);
+  assert.deepEqual(segs.find(s => s[0] === 'N1' && s[1] === 'SF'), ['N1', 'SF', 'Acme Ltd']);
+  assert.deepEqual(segs.find(s => s[0] === 'DTM'), ['DTM', '011', '20261014']);
+  assert.ok(!segs.some(s => s[0] === 'REF' && s[1] === 'MB')); // blank master bill is left out
+});
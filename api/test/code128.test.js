@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers');
+
+const { gs1128Modules } = loadServer();
+
+// Split module widths into 6-element symbols (the stop symbol has 7).
+function symbols(modules) {
+  const out = [];
+  for (let i = 0; i < modules.length - 7; i += 6) out.push(modules.slice(i, i + 6).join(''));
+  out.push(modules.slice(-7).join(''));
+  return out;
+}
+
+test('gs1128Modules encodes "00" + SSCC as Start C, FNC1, digit pairs, check, stop', () => {
+  const syms = symbols(gs1128Modules('00006141411234567890'));
+  assert.equal(syms.length, 14); // start, FNC1, 10 pairs, check, stop
+  assert.equal(syms[0], '211232'); // Start C (105)
+  assert.equal(syms[1], '411131'); // FNC1 (102)
+  assert.equal(syms[2], '212222'); // "00"
+  assert.equal(syms[3], '212222'); // "00"
+  assert.equal(syms[4], '221411'); // "61"
+  assert.equal(syms[11], '214121'); // "90"
+  // (105 + 102*1 + 0*2 + 0*3 + 61*4 + 41*5 + 41*6 + 12*7 + 34*8 + 56*9 + 78*10 + 90*11) % 103 = 30
+  assert.equal(syms[12], '212123');
+  assert.equal(syms[13], '2331112'); // stop
+});
+
+test('every Code 128 symbol is 11 modules wide and the stop is 13', () => {
+  const modules = gs1128Modules('00006141411234567890');
+  assert.equal(modules.reduce((n, w) => n + w, 0), 13 * 11 + 13);
+  for (const s of symbols(modules).slice(0, -1)) assert.equal([...s].reduce((n, w) => n + Number(w), 0), 11);
+});
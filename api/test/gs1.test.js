@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers');
+
+const { gs1CheckDigit, gs1SsccCheck } = loadServer();
+
+// GS1 General Specifications example SSCC: 0 0614141 123456789 + check digit 0
+const SSCC = '006141411234567890';
+
+test('gs1CheckDigit computes the mod-10 check digit of 17 data digits', () => {
+  assert.equal(gs1CheckDigit(SSCC.slice(0, 17)), 0);
+  assert.equal(gs1CheckDigit('00000000000000001'), 7);
+  assert.equal(gs1CheckDigit('00000000000000000'), 0);
+  assert.equal(gs1CheckDigit('12345678901234567'), 5);
+});
+
+test('gs1SsccCheck accepts a valid SSCC with or without the (00) prefix', () => {
+  assert.equal(gs1SsccCheck(SSCC), null);
+  assert.equal(gs1SsccCheck(`00${SSCC}`), null);
+  assert.equal(gs1SsccCheck(`(00) ${SSCC.slice(0, 9)} ${SSCC.slice(9)}`), null);
+});
+
+test('gs1SsccCheck reports the expected check digit or a bad length', () => {
+  assert.equal(gs1SsccCheck('006141411234567891'), 'GS1 check digit is 1, expected 0');
+  assert.equal(gs1SsccCheck('12345'), 'must be 18 digits (SSCC-18)');
+  assert.equal(gs1SsccCheck('00614141123456789X'), 'must be 18 digits (SSCC-18)');
+});
@@ -0,0 +1,26 @@
+// Shared test setup: server.js opens (and migrates) its database on require, so point it at
+// a throwaway directory first. Each test file runs in its own process and gets its own DB.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function tempDir(prefix = 'uid-ops-test-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+let server = null;
+function loadServer() {
+  if (!server) {
+    const dir = tempDir();
+    process.env.DB_DIR = dir;
+    process.env.DB_FILE = path.join(dir, 'test.sqlite');
+    const log = console.log;
+    console.log = () => {}; // migration progress lines
+    try { server = require('../server'); } finally { console.log = log; }
+  }
+  return server;
+}
+
+module.exports = { tempDir, loadServer };
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const Database = require('better-sqlite3');
+const { tempDir, loadServer } = require('./helpers');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const { MIGRATIONS, runMigrations } = loadServer();
+
+function runServer(dir, flag) {
+  const env = { ...process.env, DB_DIR: dir, DB_FILE: path.join(dir, 'smoke.sqlite') };
+  const r = spawnSync(process.execPath, [SERVER, flag], { env, encoding: 'utf8', timeout: 30000 });
+  assert.equal(r.status, 0, `${flag} exited ${r.status}: ${r.stderr}`);
+  return r.stdout;
+}
+
+test('MIGRATIONS are numbered 1..n in order', () => {
+  assert.deepEqual(MIGRATIONS.map(m => m.version), MIGRATIONS.map((_, i) => i + 1));
+});
+
+test('--migrate-only builds a fresh database and a second run applies nothing', () => {
+  const dir = tempDir();
+  const first = runServer(dir, '--migrate-only');
+  assert.match(first, new RegExp(`schema v0 -> v${MIGRATIONS.length}`));
+
+  const dbh = new Database(path.join(dir, 'smoke.sqlite'), { readonly: true });
+  try {
+    const versions = dbh.prepare('SELECT version FROM schema_version ORDER BY version').all().map(r => r.version);
+    assert.deepEqual(versions, MIGRATIONS.map(m => m.version));
+    const tables = new Set(dbh.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`).all().map(r => r.name));
+    for (const t of ['records', 'audit_log', 'plan_lines', 'uid_conflicts', 'bins', 'sscc_allocations', 'asn_exports', 'receiving_cartons']) {
+      assert.ok(tables.has(t), `missing table ${t}`);
+    }
+    const recordCols = dbh.prepare('PRAGMA table_info(records)').all().map(c => c.name);
+    assert.ok(recordCols.includes('facility'));
+    assert.ok(recordCols.includes('voided_at'));
+  } finally {
+    dbh.close();
+  }
+
+  const second = runServer(dir, '--migrate-only');
+  assert.doesNotMatch(second, /applied/);
+});
+
+test('--migrate-dry-run leaves an empty database untouched', () => {
+  const dir = tempDir();
+  const out = runServer(dir, '--migrate-dry-run');
+  assert.match(out, new RegExp(`${MIGRATIONS.length} pending, nothing written`));
+  const dbh = new Database(path.join(dir, 'smoke.sqlite'), { readonly: true });
+  try {
+    assert.equal(dbh.prepare(`SELECT COUNT(*) AS n FROM sqlite_master WHERE type = 'table'`).get().n, 0);
+  } finally {
+    dbh.close();
+  }
+});
+
+test('runMigrations refuses a schema newer than this build', () => {
+  const dbh = new Database(':memory:');
+  runMigrations(dbh, { log: () => {} });
+  dbh.prepare(`INSERT INTO schema_version(version, name, applied_at) VALUES (?, 'future', '')`).run(MIGRATIONS.length + 1);
+  assert.throws(() => runMigrations(dbh, { log: () => {} }), /newer than this build/);
+  dbh.close();
+});
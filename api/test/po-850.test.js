@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers');
+
+const { x12Segments, parsePurchaseOrders850 } = loadServer();
+
+const isa = (el, seg) => ['ISA', '00', '          ', '00', '          ', 'ZZ', 'BUYER          ', 'ZZ',
+  'SELLER         ', '261001', '1200', 'U', '00401', '000000001', '0', 'P', '>'].join(el) + seg;
+
+const PO_850 = [
+  isa('*', '~'),
+  'GS*PO*BUYER*SELLER*20261001*1200*1*X*004010~',
+  'ST*850*0001~',
+  'BEG*00*SA*PO100**20261001~',
+  'N1*SU*Acme Ltd~',
+  'N1*ST*Dallas~',
+  'N1*BY*Buyer Corp~',
+  'TD5****A~',
+  'DTM*010*20261020~',
+  'DTM*002*20261024~',
+  'DTM*037*20261012~',
+  'PO1*1*120*EA***VN*V-1*SK*SKU-1~',
+  'PO1*2*60*EA***UP*012345678905~',
+  'DTM*002*20261031~',
+  'CTT*2~',
+  'SE*14*0001~',
+  'ST*850*0002~',
+  'BEG*01*SA*PO200**20261001~',
+  'PO1*1*5*EA***SK*SKU-9~',
+  'SE*4*0002~',
+  'ST*855*0003~',
+  'BAK*00*AD*PO300~',
+  'SE*3*0003~',
+  'GE*3*1~',
+  'IEA*1*000000001~',
+].join('\n');
+
+test('x12Segments takes the element and segment separators from the ISA header', () => {
+  const text = `${isa('|', '!')}GS|PO|A|B!ST|850|0001!BEG|00|SA|PO1!`;
+  const segs = x12Segments(text);
+  assert.deepEqual(segs.slice(1).map(s => s[0]), ['GS', 'ST', 'BEG']);
+  assert.deepEqual(segs[3], ['BEG', '00', 'SA', 'PO1']);
+  assert.deepEqual(x12Segments('\ufeffST*850*1~BEG*00*SA*P~'), [['ST', '850', '1'], ['BEG', '00', 'SA', 'P']]);
+});
+
+test('parsePurchaseOrders850 maps BEG, N1, TD5, DTM and PO1 onto plan rows', () => {
+  const r = parsePurchaseOrders850(PO_850);
+  assert.equal(r.format, 'x12');
+  assert.equal(r.orders, 2);
+  const rows = r.rows.map(({ _ref, ...row }) => row);
+  assert.deepEqual(rows, [
+    {
+      po_number: 'PO100', sku_code: 'SKU-1', target_qty: '120', due_date: '2026-10-24', start_date: '2026-10-12',
+      supplier_name: 'Acme Ltd', facility_name: 'Dallas', freight_type: 'Air',
+    },
+    {
+      // a DTM inside the PO1 loop overrides the header date for that line; UP when there is no SK
+      po_number: 'PO100', sku_code: '012345678905', target_qty: '60', due_date: '2026-10-31', start_date: '2026-10-12',
+      supplier_name: 'Acme Ltd', facility_name: 'Dallas', freight_type: 'Air',
+    },
+  ]);
+  assert.equal(r.rows[0]._ref, 'PO1 1 of PO100');
+});
+
+test('parsePurchaseOrders850 rejects cancellations, flags other transaction sets and lists unmapped segments', () => {
+  const r = parsePurchaseOrders850(PO_850);
+  assert.deepEqual(r.rejected, [{ po_number: 'PO200', sku_code: 'SKU-9', line_no: '1', reason: 'cancellation (BEG01=01) not applied' }]);
+  assert.deepEqual(r.errors, [{ transaction: '0003', reason: 'transaction set 855 is not an 850' }]);
+  assert.deepEqual(r.unmapped, [{ segment: 'N1*BY', count: 1, po_numbers: ['PO100'], example: 'N1*BY*Buyer Corp' }]);
+});
+
+test('parsePurchaseOrders850 reports a PO without lines or a PO number', () => {
+  const r = parsePurchaseOrders850('ST*850*0001~BEG*00*SA~N1*SU*Acme~SE*3*0001~');
+  assert.deepEqual(r.rows, []);
+  assert.deepEqual(r.errors, [
+    { transaction: '0001', reason: 'BEG without a PO number (BEG03)' },
+    { transaction: '0001', po_number: '', reason: 'PO has no PO1 lines' },
+  ]);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers');
+
+const { normalizeCartonLine } = loadServer();
+
+test('normalizeCartonLine trims fields and defaults the condition to ok', () => {
+  assert.deepEqual(normalizeCartonLine({ po_number: ' PO1 ', carton_id: ' C-01 ', notes: '  ' }), {
+    line: { po_number: 'PO1', carton_id: 'C-01', condition: 'ok', reason_code: null, notes: null, received_at: null },
+  });
+});
+
+test('normalizeCartonLine lower-cases condition and reason code and normalizes received_at to UTC', () => {
+  const { line } = normalizeCartonLine({
+    po_number: 'PO1', carton_id: 'C-02', condition: 'Damaged', reason_code: 'WET',
+    notes: 'corner soaked', received_at: '2026-10-15T08:00:00+08:00',
+  });
+  assert.deepEqual(line, {
+    po_number: 'PO1', carton_id: 'C-02', condition: 'damaged', reason_code: 'wet',
+    notes: 'corner soaked', received_at: '2026-10-15T00:00:00.000Z',
+  });
+  assert.equal(normalizeCartonLine({ po_number: 'PO1', carton_id: 'C-03', condition: 'replaced' }).line.reason_code, null);
+});
+
+test('normalizeCartonLine rejects missing keys, unknown conditions and bad reason codes', () => {
+  const err = (x) => normalizeCartonLine(x).error;
+  assert.equal(err({ carton_id: 'C' }), 'po_number required');
+  assert.equal(err({ po_number: 'PO1' }), 'carton_id required');
+  assert.match(err({ po_number: 'PO1', carton_id: 'C', condition: 'lost' }), /^condition must be one of: ok, damaged/);
+  assert.equal(err({ po_number: 'PO1', carton_id: 'C', condition: 'noncompliant' }), 'reason_code required for noncompliant cartons');
+  assert.equal(err({ po_number: 'PO1', carton_id: 'C', reason_code: 'wet' }), 'reason_code is not used for ok cartons');
+  assert.match(err({ po_number: 'PO1', carton_id: 'C', condition: 'damaged', reason_code: 'no_label' }), /^reason_code for damaged must be one of: /);
+  assert.equal(err({ po_number: 'PO1', carton_id: 'C', received_at: 'yesterday' }), 'received_at must be an ISO timestamp');
+});
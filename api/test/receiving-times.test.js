@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers');
+
+const { fileLocalDateTime } = loadServer();
+
+test('fileLocalDateTime keeps ISO-style date times, including seconds and offsets', () => {
+  assert.equal(fileLocalDateTime('2026-03-05 14:30'), '2026-03-05T14:30');
+  assert.equal(fileLocalDateTime(' 2026-03-05T14:30:15 '), '2026-03-05T14:30:15');
+  assert.equal(fileLocalDateTime('2026-03-05T14:30:15.250+08:00'), '2026-03-05T14:30:15.250+08:00');
+  assert.equal(fileLocalDateTime('2026-03-05 06:30Z'), '2026-03-05T06:30Z');
+});
+
+test('fileLocalDateTime converts US month/day/year times with AM/PM', () => {
+  assert.equal(fileLocalDateTime('3/5/2026 2:30 PM'), '2026-03-05T14:30');
+  assert.equal(fileLocalDateTime('12/01/2026 12:05 AM'), '2026-12-01T00:05');
+  assert.equal(fileLocalDateTime('12/01/2026 12:05pm'), '2026-12-01T12:05');
+  assert.equal(fileLocalDateTime('3/5/2026 14:30'), '2026-03-05T14:30');
+});
+
+test('fileLocalDateTime returns an empty string for anything else', () => {
+  assert.equal(fileLocalDateTime(''), '');
+  assert.equal(fileLocalDateTime(null), '');
+  assert.equal(fileLocalDateTime('2026-03-05'), '');
+  assert.equal(fileLocalDateTime('5 March 2026 14:30'), '');
+});
@@ -0,0 +1,44 @@
+// webhook-receiver.js — local stand-in for a customer webhook endpoint (dev / testing)
+//
+//   WEBHOOK_SECRET=<secret from POST /webhooks> node webhook-receiver.js
+//
+// Logs each delivery, checks X-Webhook-Signature and answers 200 (401 on a bad signature).
+//   PORT=4600          listen port
+//   FAIL_FIRST=3       answer 500 to the first N deliveries (exercise retries / dead letters)
+//   MAX_SKEW_S=300     reject timestamps further than this from now (replay protection)
+
+const http = require('http');
+const { createHmac, timingSafeEqual } = require('crypto');
+
+const PORT = Number(process.env.PORT || 4600);
+const SECRET = String(process.env.WEBHOOK_SECRET || '');
+let failFirst = Number(process.env.FAIL_FIRST || 0);
+const MAX_SKEW_S = Number(process.env.MAX_SKEW_S || 300);
+
+function verify(req, body) {
+  if (!SECRET) return 'unchecked (no WEBHOOK_SECRET)';
+  const ts = String(req.headers['x-webhook-timestamp'] || '');
+  const sig = String(req.headers['x-webhook-signature'] || '');
+  if (Math.abs(Date.now() / 1000 - Number(ts)) > MAX_SKEW_S) return null;
+  const want = 'sha256=' + createHmac('sha256', SECRET).update(`${ts}.${body}`).digest('hex');
+  const a = Buffer.from(sig);
+  const b = Buffer.from(want);
+  return a.length === b.length && timingSafeEqual(a, b) ? 'ok' : null;
+}
+
+http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', c => chunks.push(c));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const check = verify(req, body);
+    let evt = null;
+    try { evt = JSON.parse(body); } catch {}
+    const status = !check ? 401 : failFirst > 0 ? 500 : 200;
+    if (status === 500) failFirst--;
+    console.log(`${new Date().toISOString()} #${req.headers['x-webhook-id']} ${req.headers['x-webhook-event']}`
+      + ` signature=${check || 'BAD'} -> ${status}`, evt && evt.count != null ? `count=${evt.count}` : '');
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: status === 200 }));
+  });
+}).listen(PORT, () => console.log(`webhook receiver on http://localhost:${PORT}`));
@@ -22,15 +22,18 @@ const API_BASE = (() => {
   return b ? (b + '/api') : '/api';                     // append /api or default
 })();
 
+// Credentials come from the main script's window.vzAuth (bearer token + sign-in on 401).
+const authFetch = (url, init) => (window.vzAuth ? window.vzAuth.fetch(url, init) : fetch(url, init));
+
 const g = (path) =>
-  fetch(`${API_BASE}/${path}`, { headers: { 'Content-Type': 'application/json' } })
+  authFetch(`${API_BASE}/${path}`, { headers: { 'Content-Type': 'application/json' } })
     .then(r => r.ok ? r.json() : Promise.reject(new Error(`HTTP ${r.status}`)));
 
 // --- Robust fetchers with endpoint fallback -------------------
 async function tryFetchJson(urls) {
   for (const u of urls) {
     try {
-      const r = await fetch(u, { headers: { 'Content-Type': 'application/json' } });
+      const r = await authFetch(u, { headers: { 'Content-Type': 'application/json' } });
       if (r.ok) return r.json();
     } catch (_) {}
   }
@@ -59,6 +62,16 @@ return tryFetchJson([
 
 }
 
+// Server-side plan vs applied (PO×SKU); see computeExecMetrics
+async function fetchReconciliationForWeek(ws) {
+  const base = trimBase(API_BASE);
+return tryFetchJson([
+  `${base}/summary/reconciliation?weekStart=${ws}`,
+  `${base.replace(/\/api$/,'')}/summary/reconciliation?weekStart=${ws}`
+]);
+
+}
+
 async function fetchRecordsForWeek(ws, we) {
   const base = trimBase(API_BASE);
 return tryFetchJson([
@@ -141,16 +154,16 @@ let ws = window.state?.weekStart;
   });
 
   // Planned total (sum plan.target_qty)
-  const plannedTotal = plan.reduce((s, p) => s + (window.toNum ? toNum(p.target_qty) : Number(p.target_qty || 0)), 0);
+  let plannedTotal = plan.reduce((s, p) => s + (window.toNum ? toNum(p.target_qty) : Number(p.target_qty || 0)), 0);
 
   // Applied total (sum qty/quantity if present, else 1 per record)
-  const appliedTotal = wkRecords.reduce((s, r) => {
+  let appliedTotal = wkRecords.reduce((s, r) => {
     const q = Number(r.qty ?? r.quantity ?? 1);
     return s + (Number.isFinite(q) && q > 0 ? q : 0);
   }, 0);
 
   const pct = (num, den) => den > 0 ? Math.round((num * 100) / den) : (num > 0 ? 100 : 0);
-  const completionPct = pct(appliedTotal, plannedTotal);
+  let completionPct = pct(appliedTotal, plannedTotal);
 
   // Aggregates (if helper exists)
   const agg = (typeof window.aggregate === 'function') ? window.aggregate(wkRecords) : { byPO:new Map(), bySKU:new Map() };
@@ -167,7 +180,7 @@ let ws = window.state?.weekStart;
     const applied = agg.bySKU.get(sku) || 0;
     if (planned > 0) { skuPctSum += Math.abs(applied - planned) / planned; skuCnt++; }
   }
-  const avgSkuDiscPct = Math.round((skuCnt ? (skuPctSum / skuCnt) : 0) * 100);
+  let avgSkuDiscPct = Math.round((skuCnt ? (skuPctSum / skuCnt) : 0) * 100);
 
   // Discrepancy % (PO) + earliest due per PO
   const planByPO = new Map();
@@ -184,7 +197,7 @@ let ws = window.state?.weekStart;
     const applied = agg.byPO.get(po) || 0;
     if (planned > 0) { poPctSum += Math.abs(applied - planned) / planned; poCnt++; }
   }
-  const avgPoDiscPct = Math.round((poCnt ? (poPctSum / poCnt) : 0) * 100);
+  let avgPoDiscPct = Math.round((poCnt ? (poPctSum / poCnt) : 0) * 100);
 
   // Duplicate UIDs (same SKU+UID >1)
   const pairCounts = new Map();
@@ -248,11 +261,28 @@ let ws = window.state?.weekStart;
     if (gap !== 0) gaps.push({ k, gap, planned, applied });
   }
   gaps.sort((a,b) => Math.abs(b.gap) - Math.abs(a.gap));
-  const topGap = gaps.slice(0, 5).map(g => {
+  let topGap = gaps.slice(0, 5).map(g => {
     const [po, sku] = g.k.split('|||');
     return { po, sku, gap: g.gap, planned: g.planned, applied: g.applied };
   });
 
+  // Prefer the server's reconciliation for the same week: it counts every applied
+  // record, not just the ones loaded into window.state.records (Exec skips that fetch
+  // when the reconciliation loads; dup / heavy-bin / late metrics then need Ops' records).
+  const recon = window.state?.reconciliation;
+  if (recon && recon.weekStart === ws && recon.totals) {
+    plannedTotal  = Number(recon.totals.planned || 0);
+    appliedTotal  = Number(recon.totals.applied || 0);
+    completionPct = pct(appliedTotal, plannedTotal);
+    avgSkuDiscPct = Number(recon.totals.avg_sku_discrepancy_pct || 0);
+    avgPoDiscPct  = Number(recon.totals.avg_po_discrepancy_pct || 0);
+    topGap = (recon.lines || [])
+      .filter(l => l.variance !== 0)
+      .sort((a,b) => Math.abs(b.variance) - Math.abs(a.variance))
+      .slice(0, 5)
+      .map(l => ({ po: l.po_number, sku: l.sku_code, gap: -l.variance, planned: l.planned, applied: l.applied }));
+  }
+
   return {
     ws, we,
     plannedTotal, appliedTotal, completionPct,
@@ -2158,18 +2188,24 @@ if (!Array.isArray(s.bins))    s.bins = [];
 
 
   const needPlan    = !Array.isArray(s.plan)    || s.plan.length === 0;
-  const needRecords = !Array.isArray(s.records) || s.records.length === 0;
   const needBins    = !Array.isArray(s.bins);
 
-  const [plan, records, bins] = await Promise.all([
+  const needRecon   = s.reconciliation?.weekStart !== ws || s.reconciliation?.stale;
+
+  const [plan, bins, recon] = await Promise.all([
     needPlan    ? fetchPlanForWeek(ws).catch(()=>[])         : Promise.resolve(s.plan),
-    needRecords ? fetchRecordsForWeek(ws, we).then(x => x.records || []).catch(()=>[]) : Promise.resolve(s.records),
     needBins    ? fetchBinsForWeek(ws).catch(()=>[])         : Promise.resolve(s.bins),
+    needRecon   ? fetchReconciliationForWeek(ws).catch(()=>null) : Promise.resolve(s.reconciliation),
   ]);
 
   s.plan    = Array.isArray(plan)    ? plan    : (s.plan || []);
-  s.records = Array.isArray(records) ? records : (s.records || []);
   s.bins    = Array.isArray(bins)    ? bins    : (s.bins || []);
+  s.reconciliation = recon || null;
+
+  // The week's raw records only when the reconciliation is unavailable
+  const needRecords = !s.reconciliation && (!Array.isArray(s.records) || s.records.length === 0);
+  if (needRecords) s.records = await fetchRecordsForWeek(ws, we).then(x => x.records || []).catch(()=>[]);
+  if (!Array.isArray(s.records)) s.records = [];
 }
 
 
@@ -2182,22 +2218,48 @@ async function _execEnsureStateLoaded(ws) {
   const we = (window.weekEndISO || (w => { const d=new Date(w); d.setDate(d.getDate()+6); return d.toISOString().slice(0,10); }))(s.weekStart);
 
   const needPlan    = !Array.isArray(s.plan)    || s.plan.length === 0;
-  const needRecords = !Array.isArray(s.records) || s.records.length === 0;
   const needBins    = !Array.isArray(s.bins)    || s.bins.length === 0;
+  const needRecon   = s.reconciliation?.weekStart !== s.weekStart || s.reconciliation?.stale;
 
-  if (!(needPlan || needRecords || needBins)) return;
+  if (needPlan || needBins || needRecon) {
+    const [plan, bins, recon] = await Promise.all([
+      needPlan    ? fetchPlanForWeek(s.weekStart).catch(() => [])             : Promise.resolve(s.plan),
+      needBins    ? fetchBinsForWeek(s.weekStart).catch(() => [])             : Promise.resolve(s.bins),
+      needRecon   ? fetchReconciliationForWeek(s.weekStart).catch(() => null) : Promise.resolve(s.reconciliation),
+    ]);
 
-  const [plan, records, bins] = await Promise.all([
-    needPlan    ? fetchPlanForWeek(s.weekStart).catch(() => [])                                : Promise.resolve(s.plan),
-    needRecords ? fetchRecordsForWeek(s.weekStart, we).then(x => x.records || []).catch(() => []) : Promise.resolve(s.records),
-    needBins    ? fetchBinsForWeek(s.weekStart).catch(() => [])                                : Promise.resolve(s.bins),
-  ]);
+    s.plan    = Array.isArray(plan)    ? plan    : (s.plan || []);
+    s.bins    = Array.isArray(bins)    ? bins    : (s.bins || []);
+    s.reconciliation = recon || null;
+  }
 
-  s.plan    = Array.isArray(plan)    ? plan    : (s.plan || []);
-  s.records = Array.isArray(records) ? records : (s.records || []);
-  s.bins    = Array.isArray(bins)    ? bins    : (s.bins || []);
+  // Applied counts come from the reconciliation; pull the week's raw records only without it
+  const needRecords = !s.reconciliation && (!Array.isArray(s.records) || s.records.length === 0);
+  if (needRecords) s.records = await fetchRecordsForWeek(s.weekStart, we).then(x => x.records || []).catch(() => []);
+  if (!Array.isArray(s.records)) s.records = [];
 }
 
+// The reconciliation is one small summary call (no /records pull), so Exec loads it even
+// with EXEC_USE_NETWORK off; a failed fetch leaves null and the metrics use Ops' records.
+async function _execEnsureReconciliation(ws) {
+  const s = window.state || (window.state = {});
+  if (s.reconciliation?.weekStart === ws && !s.reconciliation.stale) return;
+  s.reconciliation = await fetchReconciliationForWeek(ws).catch(() => null);
+}
+
+// Scans and plan edits move the variances: mark the cached reconciliation stale and, while
+// Exec is open, refetch + re-render (debounced; intake.js re-dispatches the SSE stream).
+let _execReconTimer = null;
+window.addEventListener('sse:event', (e) => {
+  const type = String(e.detail?.type || '');
+  if (!(type === 'reset' || type === 'plan.updated' || type.startsWith('record.'))) return;
+  const s = window.state;
+  if (s?.reconciliation) s.reconciliation.stale = true;
+  if (location.hash !== '#exec') return;
+  clearTimeout(_execReconTimer);
+  _execReconTimer = setTimeout(() => { try { _execTryRender(); } catch {} }, 2000);
+});
+
 
 let _execBootTimer = null;
 
@@ -2272,10 +2334,12 @@ async function _execTryRender() {
 if (EXEC_USE_NETWORK) { 
 
 await _execEnsureStateLoaded(s.weekStart); 
-} 
+} else {
+  await _execEnsureReconciliation(s.weekStart);
+}
 
 const hasPlan = Array.isArray(s.plan) && s.plan.length > 0; 
-const hasRecs = Array.isArray(s.records) && s.records.length > 0; 
+const hasRecs = (Array.isArray(s.records) && s.records.length > 0) || !!s.reconciliation; 
 
 if (!(hasPlan || hasRecs)) {
   if (EXEC_USE_NETWORK) {
@@ -337,7 +337,8 @@ function iconContainer() {
   async function api(path, opts) {
     const base = getApiBase();
     const url = `${base}${path}`;
-    const res = await fetch(url, opts);
+    // Credentials come from the main script's window.vzAuth (bearer token + sign-in on 401).
+    const res = window.vzAuth ? await window.vzAuth.fetch(url, opts || {}) : await fetch(url, opts);
     if (!res.ok) throw new Error(await res.text());
     const ct = res.headers.get('content-type') || '';
     if (ct.includes('application/json')) return res.json();
@@ -1490,6 +1491,29 @@ function computeManualNodeStatuses(ws, tz) {
     root.setAttribute('aria-hidden', 'true');
   }
 
+  // Server-built lane files (packing list, invoice, ASN): fetch with credentials, save under the
+  // server's filename. A 409 from the ASN lists its problems; they come back in the error message.
+  async function downloadServerFile(path, opts, fallbackName) {
+    const res = window.vzAuth ? await window.vzAuth.fetch(`${getApiBase()}${path}`, opts || {}) : await fetch(`${getApiBase()}${path}`, opts || {});
+    if (!res.ok) {
+      let j = null;
+      try { j = await res.json(); } catch {}
+      const detail = (j?.problems || []).slice(0, 5).map(p => `${p.mobile_bin || '—'}: ${p.reason}${p.uids?.length ? ` (${p.uids.length} UIDs)` : ''}`);
+      throw new Error([j?.error || `HTTP ${res.status}`, ...detail].join('\n'));
+    }
+    const blob = await res.blob();
+    const name = (/filename="([^"]+)"/.exec(res.headers.get('content-disposition') || '') || [])[1] || fallbackName;
+    const href = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = href;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(href), 2000);
+    return name;
+  }
+
   function openLaneModal(ws, tz, laneKey) {
     const ctx = window.__FLOW_INTL_CTX__ || null;
     if (!ctx || !ctx.lanes || !ctx.weekContainers) return;
@@ -1620,6 +1644,18 @@ function computeManualNodeStatuses(ws, tz) {
             <button id="flow-lane-modal-save" class="px-3 py-1.5 rounded-lg text-sm border bg-white hover:bg-gray-50">Save lane</button>
           </div>
           <div id="flow-lane-modal-msg" class="text-xs text-gray-500 mt-2"></div>
+
+          <div class="border-t mt-3 pt-3">
+            <div class="text-xs text-gray-500 mb-1">Documents (generating one marks the packing list ready)</div>
+            <div class="flex flex-wrap items-center gap-2">
+              <button data-lm-doc="packing-list" data-lm-format="pdf" class="px-3 py-1.5 rounded-lg text-sm border bg-white hover:bg-gray-50">Packing list PDF</button>
+              <button data-lm-doc="packing-list" data-lm-format="xlsx" class="px-3 py-1.5 rounded-lg text-sm border bg-white hover:bg-gray-50">Packing list XLSX</button>
+              <button data-lm-doc="commercial-invoice" data-lm-format="pdf" class="px-3 py-1.5 rounded-lg text-sm border bg-white hover:bg-gray-50">Commercial invoice PDF</button>
+              <button data-lm-doc="commercial-invoice" data-lm-format="xlsx" class="px-3 py-1.5 rounded-lg text-sm border bg-white hover:bg-gray-50">Commercial invoice XLSX</button>
+              <button data-lm-asn="x12" class="px-3 py-1.5 rounded-lg text-sm border bg-white hover:bg-gray-50">ASN (EDI 856)</button>
+              <button data-lm-asn="json" class="px-3 py-1.5 rounded-lg text-sm border bg-white hover:bg-gray-50">ASN (JSON)</button>
+            </div>
+          </div>
         </div>
 
         <div class="flex flex-col gap-3">
@@ -1669,6 +1705,51 @@ function computeManualNodeStatuses(ws, tz) {
 
     if (saveBtn) saveBtn.onclick = (e) => { e.preventDefault(); e.stopPropagation(); doSave(); };
 
+    // Lane documents are built server-side from records / bins / plan; the server stamps
+    // packing_list_ready_at on the lane, which the re-prime below pulls into this page.
+    body.querySelectorAll('[data-lm-doc]').forEach(btn => {
+      btn.onclick = async (e) => {
+        e.preventDefault(); e.stopPropagation();
+        const doc = btn.getAttribute('data-lm-doc');
+        const format = btn.getAttribute('data-lm-format');
+        const f = getFacility();
+        if (!f) { if (msg) msg.textContent = 'Select a facility first.'; return; }
+        if (msg) msg.textContent = 'Generating…';
+        try {
+          const name = await downloadServerFile(
+            `/flow/week/${encodeURIComponent(ws)}/lane-documents/${doc}?facility=${encodeURIComponent(f)}&format=${format}`,
+            { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ lane: laneKey }) },
+            `${doc}.${format}`,
+          );
+          if (msg) msg.textContent = `Downloaded ${name}.`;
+          await primeFlowWeekFromBackend(ws);
+          refresh();
+        } catch (err) {
+          if (msg) msg.textContent = 'Document failed: ' + (err?.message || err);
+        }
+      };
+    });
+
+    // ASN for every container carrying this lane (bins must be sealed and on those containers)
+    body.querySelectorAll('[data-lm-asn]').forEach(btn => {
+      btn.onclick = async (e) => {
+        e.preventDefault(); e.stopPropagation();
+        const format = btn.getAttribute('data-lm-asn');
+        const f = getFacility();
+        if (!f) { if (msg) msg.textContent = 'Select a facility first.'; return; }
+        try {
+          const name = await downloadServerFile(
+            `/flow/week/${encodeURIComponent(ws)}/asn?facility=${encodeURIComponent(f)}&format=${format}`,
+            { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ lane: laneKey }) },
+            `asn.${format === 'json' ? 'json' : 'edi'}`,
+          );
+          if (msg) msg.textContent = `Downloaded ${name}.`;
+        } catch (err) {
+          if (msg) msg.textContent = 'ASN failed: ' + (err?.message || err);
+        }
+      };
+    });
+
     // Background persist for IDs only (blur/Enter)
     const idKeys = new Set(['shipmentNumber','hbl','mbl']);
     body.querySelectorAll('[data-lm-field]').forEach(el => {
@@ -4199,6 +4280,7 @@ detail.innerHTML = [
       const size_ft = String(c.size_ft || '').trim() || '40';
       const vessel = String(c.vessel || '').trim();
       const pos = String(c.pos || '').trim();
+      const mobile_bins = String(c.mobile_bins || '').trim();
       const lane_keys = Array.isArray(c.lane_keys) ? c.lane_keys : [];
 
       return `
@@ -4237,7 +4319,14 @@ detail.innerHTML = [
             <input class="flow-wc-pos w-full px-2 py-1.5 border rounded-lg" value="${escapeAttr(pos)}" placeholder="WADA002089, WAAE002227"/>
           </label>
 
-          <div class="col-span-12 flex justify-end">
+          <label class="col-span-12 text-xs">
+            <div class="text-[11px] text-gray-500 mb-1">Mobile bins loaded (comma-separated; used by the ASN)</div>
+            <input class="flow-wc-bins w-full px-2 py-1.5 border rounded-lg" value="${escapeAttr(mobile_bins)}" placeholder="MB-0012, MB-0013"/>
+          </label>
+
+          <div class="col-span-12 flex justify-end gap-2">
+            <button class="flow-wc-asn text-xs px-2 py-1 border rounded-lg bg-white hover:bg-gray-50" data-format="x12">ASN (EDI 856)</button>
+            <button class="flow-wc-asn text-xs px-2 py-1 border rounded-lg bg-white hover:bg-gray-50" data-format="json">ASN (JSON)</button>
             <button class="flow-wc-remove text-xs px-2 py-1 border rounded-lg bg-white hover:bg-gray-50">Remove</button>
           </div>
         </div>
@@ -4571,6 +4660,30 @@ detail.innerHTML = [
       });
     });
 
+    // ASN per saved container (the server reads the container from the week store, so save first)
+    detail.querySelectorAll('.flow-wc-asn').forEach(btn => {
+      if (btn.dataset.bound) return;
+      btn.dataset.bound = '1';
+      btn.addEventListener('click', async (e) => {
+        e.preventDefault();
+        const uid = String(btn.closest('.flow-wc-row')?.dataset.uid || '').trim();
+        const msg = detail.querySelector('#flow-wc-save-msg');
+        const f = getFacility();
+        if (!uid || !f) { if (msg) msg.textContent = 'Select a facility first.'; return; }
+        const format = btn.dataset.format;
+        try {
+          const name = await downloadServerFile(
+            `/flow/week/${encodeURIComponent(ws)}/asn?facility=${encodeURIComponent(f)}&format=${format}`,
+            { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ container: uid }) },
+            `asn.${format === 'json' ? 'json' : 'edi'}`,
+          );
+          if (msg) msg.textContent = `Downloaded ${name}`;
+        } catch (err) {
+          alert('ASN failed: ' + (err?.message || err));
+        }
+      });
+    });
+
     const wcSave = detail.querySelector('#flow-wc-save');
     if (wcSave && !wcSave.dataset.bound) {
       wcSave.dataset.bound = '1';
@@ -4582,6 +4695,7 @@ detail.innerHTML = [
           const size_ft = String(row.querySelector('.flow-wc-size')?.value || '').trim();
           const vessel = String(row.querySelector('.flow-wc-vessel')?.value || '').trim();
           const pos = String(row.querySelector('.flow-wc-pos')?.value || '').trim();
+          const mobile_bins = String(row.querySelector('.flow-wc-bins')?.value || '').trim();
           const sel = row.querySelector('.flow-wc-lanes');
           const lane_keys = sel && sel.options
             ? uniqNonEmpty(Array.from(sel.options).filter(o => o.selected).map(o => o.value))
@@ -4593,9 +4707,10 @@ detail.innerHTML = [
             size_ft,
             vessel,
             pos,
+            mobile_bins,
             lane_keys,
           };
-	        }).filter(c => c.container_id || c.vessel || (c.lane_keys && c.lane_keys.length) || c.pos);
+	        }).filter(c => c.container_id || c.vessel || (c.lane_keys && c.lane_keys.length) || c.pos || c.mobile_bins);
 
 	        // Merge updates into prior week containers to avoid accidental overwrites.
 	        const prior = (state && Array.isArray(state.containers)) ? state.containers.slice() : [];
@@ -6,7 +6,9 @@
 // EXPECTS these globals from the main <script> block:
 //   BRAND, apiBase, $, iso, fmtInt, toNum, toUI,
 //   BUSINESS_TZ, ymdInTZ, todayInTZ, dayOfWeekInTZ, mondayOfInTZ,
-//   createHeart, state, toISODate, todayISO
+//   createHeart, state, toISODate, todayISO,
+//   authFetch, withAuthQuery, confirmDryRun,
+//   chooseUploadTemplate, withUploadTemplate, mappingTemplateNote
 // =============================================================================
 (function intakeModule() {
   'use strict';
@@ -19,7 +21,7 @@
 
   // ---- Private api() helper (mirrors the main script's closure-local api()) ----
   async function api(path, opts = {}) {
-    const r = await fetch(`${apiBase}${path}`, {
+    const r = await authFetch(`${apiBase}${path}`, {
       method: opts.method || 'GET',
       headers: { 'Content-Type': 'application/json' },
       body: opts.body ? JSON.stringify(opts.body) : undefined
@@ -29,6 +31,16 @@
     return ct.includes('json') ? r.json() : r.text();
   }
 
+  // Facility currently selected on the Flow page (window.state.facility); '' = none.
+  // Stamped on every record we send and used to scope the Ops stats to this site.
+  function currentFacility() {
+    try { return String(window.state?.facility || '').trim(); } catch { return ''; }
+  }
+  function facilityQuery(prefix = '?') {
+    const f = currentFacility();
+    return f ? `${prefix}facility=${encodeURIComponent(f)}` : '';
+  }
+
   // ====================================================================
   // Intake row model
   // ====================================================================
@@ -55,6 +67,7 @@
   }
 
   function syncClass(s) {
+    if (s === 'rejected') return 'bg-red-500';
     return s === 'synced' ? 'ops-bar-planned' : (s === 'pending' ? 'bg-amber-500' : 'bg-gray-400');
   }
 
@@ -74,6 +87,59 @@
     };
   }
 
+  // ====================================================================
+  // Bin states (open / sealed / loaded / shipped) from GET /bins/weeks/:ws
+  // ====================================================================
+  // "<week>|<bin>" -> state; a bin without a manifest line is open. The server refuses (or
+  // flags) scans into a bin that isn't open, so the state sits next to the Bin field.
+  const binStates = new Map();
+  const binWeeksLoaded = new Set();
+
+  function binWeek(dateLocal) {
+    const d = toISODate(dateLocal);
+    return d ? mondayOfInTZ(d) : '';
+  }
+  function binStateOf(r) {
+    if (!r.mobile_bin) return '';
+    return binStates.get(`${binWeek(r.date_local)}|${r.mobile_bin}`) || 'open';
+  }
+  function binStateBadge(state) {
+    if (!state || state === 'open') return '';
+    const cls = state === 'sealed' ? 'text-amber-700' : 'text-gray-500';
+    return `<div class="text-[11px] ${cls}" title="Bin is ${state}: new UIDs are refused until a supervisor unseals it">${state}</div>`;
+  }
+
+  async function loadBinStates() {
+    if (!apiBase) return;
+    const weeks = [...new Set(intakeRows.filter(r => r.mobile_bin).map(r => binWeek(r.date_local)))]
+      .filter(ws => ws && !binWeeksLoaded.has(ws));
+    if (!weeks.length) return;
+    // Marked before fetching: a failed week stays unknown (shown open) until the next SSE reset
+    weeks.forEach(ws => binWeeksLoaded.add(ws));
+    let got = false;
+    for (const ws of weeks) {
+      try {
+        for (const b of await api(`/bins/weeks/${ws}`)) binStates.set(`${ws}|${b.mobile_bin}`, b.state || 'open');
+        got = true;
+      } catch (e) { console.warn('[intake] bin states', ws, e); }
+    }
+    if (got) renderIntake();
+  }
+
+  window.addEventListener('sse:event', (e) => {
+    const { type, data } = e.detail || {};
+    if (type === 'bins.state_changed' && data) {
+      binStates.set(`${data.week_start}|${data.mobile_bin}`, data.to);
+      renderIntake();
+    } else if (type === 'bins.updated' && Array.isArray(data?.bins)) {
+      for (const b of data.bins) binStates.set(`${b.week_start}|${b.mobile_bin}`, b.state || 'open');
+      renderIntake();
+    } else if (type === 'reset') {
+      binWeeksLoaded.clear();
+      loadBinStates();
+    }
+  });
+
   // ====================================================================
   // Render the intake table
   // ====================================================================
@@ -91,12 +157,14 @@
       tr.innerHTML = `
         <td class="border px-2 py-2"><input type="checkbox" ${r.selected ? 'checked' : ''} data-id="${r.id}" data-role="sel"/></td>
         <td class="border px-2 py-2"><input class="cell" value="${toUI(r.date_local)}" data-id="${r.id}" data-f="date_local"/></td>
-        <td class="border px-2 py-2"><input class="cell" value="${r.mobile_bin}" data-id="${r.id}" data-f="mobile_bin"/></td>
+        <td class="border px-2 py-2"><input class="cell" value="${r.mobile_bin}" data-id="${r.id}" data-f="mobile_bin"/>${binStateBadge(binStateOf(r))}</td>
         <td class="border px-2 py-2"><input class="cell" value="${r.sscc_label}" data-id="${r.id}" data-f="sscc_label" placeholder="(optional)"/></td>
         <td class="border px-2 py-2"><input class="cell" value="${r.po_number}" data-id="${r.id}" data-f="po_number"/></td>
         <td class="border px-2 py-2"><input class="cell" value="${r.sku_code}" data-id="${r.id}" data-f="sku_code"/></td>
         <td class="border px-2 py-2"><input class="cell" value="${r.uid}" data-id="${r.id}" data-f="uid" data-last="1"/></td>
-        <td class="border px-2 py-2 text-center"><span class="dot ${syncClass(r.sync)}"></span></td>`;
+        <td class="border px-2 py-2 text-xs text-gray-600">${r.status}${r.issue ? `<div class="${r.sync === 'rejected' ? 'text-red-600' : 'text-amber-600'}" title="${escHtml(r.issue)}">${r.sync === 'rejected' ? 'rejected' : 'warning'}</div>` : ''}</td>
+        <td class="border px-2 py-2 text-center"><span class="dot ${syncClass(r.sync)}"></span></td>
+        <td class="border px-2 py-2"><button class="px-2 py-1 rounded border text-xs" data-id="${r.id}" data-role="history" ${r.uid ? '' : 'disabled'}>History</button></td>`;
       tb.appendChild(tr);
     });
 
@@ -110,6 +178,14 @@
       });
     });
 
+    // Wire history buttons
+    tb.querySelectorAll('button[data-role="history"]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const row = intakeRows.find(x => x.id === btn.dataset.id);
+        if (row && row.uid) openUidHistory(row.uid);
+      });
+    });
+
     // Wire field input / change handlers
     tb.querySelectorAll('input[data-f]').forEach(inp => {
       const id = inp.dataset.id, f = inp.dataset.f;
@@ -143,16 +219,25 @@
         const row = intakeRows.find(x => x.id === id); if (!row) return;
         if (!apiBase || !requiredFilled(row)) { renderIntake(); return; }
         try {
-          const res = await fetch(`${apiBase}/records`, {
+          const res = await authFetch(`${apiBase}/records`, {
             method: 'POST', headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
               id: row.id, date_local: row.date_local, mobile_bin: row.mobile_bin,
               sscc_label: row.sscc_label, po_number: row.po_number,
-              sku_code: row.sku_code, uid: row.uid
+              sku_code: row.sku_code, uid: row.uid,
+              facility: currentFacility() || undefined
             })
           });
           const j = await res.json().catch(() => ({}));
-          if (res.ok && j.ok) { row.status = 'complete'; row.sync = 'synced'; }
+          // Validation rules: 422 + errors[] on reject, warnings[] on a saved row
+          const reasons = (list) => (Array.isArray(list) ? list.map(e => e.reason).join('; ') : '');
+          if (res.ok && j.ok) {
+            row.status = 'complete'; row.sync = 'synced';
+            const dup = Array.isArray(j.conflicts) && j.conflicts.length ? 'UID already applied under another PO/SKU (conflict queued)' : '';
+            row.issue = [reasons(j.warnings), dup].filter(Boolean).join('; ');
+          }
+          else if (res.status === 422) { row.sync = 'rejected'; row.issue = reasons(j.errors); }
+          else if (res.status === 409 && j.bin) { row.sync = 'rejected'; row.issue = j.error; binStates.set(`${j.bin.week_start}|${j.bin.mobile_bin}`, j.bin.state); }
           else { row.sync = 'pending'; }
         } catch { row.sync = 'pending'; }
         renderIntake();
@@ -161,6 +246,8 @@
       });
     });
 
+    loadBinStates();
+
     // ribbon quick badges (guarded: these elements may not exist on every page)
     const elDrafts = $('#ops-drafts');
     if (elDrafts) elDrafts.textContent = drafts;
@@ -187,21 +274,42 @@
   const __btnAddRow = $('#btn-add-row');
   if (__btnAddRow) __btnAddRow.onclick = () => { intakeRows.push(newRow()); renderIntake(); };
 
+  // Reason code for deletions (server list from /records/void-reasons)
+  function deleteReason() {
+    return document.getElementById('delete-reason')?.value || '';
+  }
+
+  async function loadVoidReasons() {
+    const sel = document.getElementById('delete-reason');
+    if (!sel || !apiBase) return;
+    try {
+      const j = await api('/records/void-reasons');
+      const reasons = Array.isArray(j?.reasons) ? j.reasons : [];
+      sel.innerHTML = reasons.map(r => `<option value="${r}">${r.replace(/_/g, ' ')}</option>`).join('');
+    } catch (e) { console.warn('[intake] void reasons load failed', e); }
+  }
+
   // Delete Selected
   const __btnDelSel = $('#btn-delete-selected');
   if (__btnDelSel) __btnDelSel.onclick = async () => {
     const selected = intakeRows.filter(r => r.selected);
     if (!selected.length) return alert('Select at least one row.');
-    if (!confirm(`Delete ${selected.length} row(s)?`)) return;
+    if (!confirm(`Delete ${selected.length} row(s)? (reason: ${deleteReason() || 'unspecified'})`)) return;
 
     if (apiBase) {
-      const pairs = selected.filter(r => r.uid && r.sku_code).map(r => ({ uid: r.uid, sku_code: r.sku_code }));
+      const reason = deleteReason();
+      const pairs = selected.filter(r => r.uid && r.sku_code).map(r => ({ uid: r.uid, sku_code: r.sku_code, reason }));
       if (pairs.length) {
         try {
-          await fetch(`${apiBase}/records/delete`, {
+          const res = await authFetch(`${apiBase}/records/delete`, {
             method: 'POST', headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(pairs)
           });
+          // 409: a UID sits in a sealed / loaded / shipped bin; nothing was deleted
+          if (res.status === 409) {
+            const j = await res.json().catch(() => ({}));
+            return alert('Not deleted: ' + (j.uid ? `${j.uid}: ` : '') + (j.error || 'bin is not open'));
+          }
         } catch (e) { console.warn('Server delete error', e); }
       }
     }
@@ -212,6 +320,7 @@
     renderIntake();
     await loadOpsMetrics();
     await safeRefreshDashboard();
+    await loadVoided();
   };
 
   // Export XLSX
@@ -219,12 +328,93 @@
   if (__btnExportDay) __btnExportDay.onclick = () => {
     if (!apiBase) return;
     const d = iso(new Date());
-    window.location = `${apiBase}/export/xlsx?date=${d}`;
+    window.location = withAuthQuery(`${apiBase}/export/xlsx?date=${d}${facilityQuery('&')}`);
+  };
+
+  // Print a bin's SSCC label: the first print allocates the SSCC, reprints reuse it. PDF opens
+  // for the browser's print dialog, ZPL downloads for a Zebra printer.
+  const __btnPrintLabel = $('#btn-print-label');
+  if (__btnPrintLabel) __btnPrintLabel.onclick = async () => {
+    if (!apiBase) return alert('API not configured');
+    const pick = intakeRows.find(r => r.selected && r.mobile_bin) || [...intakeRows].reverse().find(r => r.mobile_bin);
+    const bin = (prompt('Mobile bin to label:', pick?.mobile_bin || '') || '').trim();
+    if (!bin) return;
+    const ws = binWeek(pick && pick.mobile_bin === bin ? pick.date_local : iso(new Date()));
+    let format = '';
+    try { format = localStorage.getItem('vz_label_format') || 'pdf'; } catch {}
+    format = (prompt('Label format: pdf (print from browser) or zpl (Zebra printer)', format) || '').trim().toLowerCase();
+    if (format !== 'pdf' && format !== 'zpl') return;
+    try { localStorage.setItem('vz_label_format', format); } catch {}
+
+    const path = `/bins/weeks/${ws}/${encodeURIComponent(bin)}`;
+    try {
+      const j = await api(`${path}/sscc`, { method: 'POST', body: {} });
+      const url = withAuthQuery(`${apiBase}${path}/label?format=${format}`);
+      if (format === 'pdf') window.open(url, '_blank'); else window.location = url;
+      // The server wrote the SSCC into the bin's records that had none; mirror it in the grid
+      if (j.records_labelled) {
+        intakeRows.filter(r => r.mobile_bin === bin && binWeek(r.date_local) === ws && !r.sscc_label)
+          .forEach(r => { r.sscc_label = j.allocation.sscc; });
+        renderIntake();
+      }
+    } catch (e) {
+      alert('Label failed: ' + (e?.message || e));
+    }
+  };
+
+  // Bin reconciliation for the selected week (manifest units vs scanned UIDs, weight outliers)
+  const __btnBinRecon = $('#btn-bin-recon');
+  if (__btnBinRecon) __btnBinRecon.onclick = () => {
+    if (!apiBase || !state.weekStart) return;
+    window.location = withAuthQuery(`${apiBase}/bins/weeks/${state.weekStart}/reconciliation?format=xlsx${facilityQuery('&')}`);
   };
 
   // ====================================================================
-  // Upload UIDs (XLSX / CSV → intake table → POST /records/import)
+  // Upload UIDs (XLSX / CSV file → POST /records/import; the server parses it)
   // ====================================================================
+  // Files above this size (~2000 rows) run as a background import job (POST /records/import/jobs),
+  // after the same preview + confirm as smaller files
+  const IMPORT_JOB_MIN_BYTES = 200 * 1024;
+
+  function fileForm(f) {
+    const fd = new FormData();
+    fd.append('file', f, f.name);
+    return fd;
+  }
+
+  async function runImportJob(btn, f, tpl) {
+    const label = btn.textContent;
+    const res = await authFetch(withUploadTemplate(`${apiBase}/records/import/jobs${facilityQuery()}`, tpl), {
+      method: 'POST',
+      body: fileForm(f)
+    });
+    const j = await res.json().catch(() => ({}));
+    if (!res.ok || !j.job) throw new Error(j.error || `HTTP ${res.status}`);
+
+    btn.disabled = true;
+    let job = j.job;
+    try {
+      while (job.status === 'queued' || job.status === 'running') {
+        btn.textContent = `Importing ${Math.floor(job.progress_pct || 0)}%`;
+        await new Promise(r => setTimeout(r, 1500));
+        const r = await authFetch(`${apiBase}/records/import/jobs/${encodeURIComponent(job.id)}`);
+        if (r.ok) job = await r.json();
+      }
+    } finally {
+      btn.disabled = false;
+      btn.textContent = label;
+    }
+
+    if (job.status === 'failed') return alert(`Import failed after ${job.processed} of ${job.total} rows: ${job.error || 'unknown error'}`);
+    const summary = `Import finished.\nInserted: ${job.inserted}\nUpdated: ${job.updated}\nRejected: ${job.rejected}`
+      + (job.warnings ? `\nWarnings: ${job.warnings}` : '') + (job.conflicts ? `\nUID conflicts: ${job.conflicts}` : '');
+    if (job.rejected && confirm(`${summary}\n\nDownload the rejected rows as CSV?`)) {
+      window.location = withAuthQuery(`${apiBase}/records/import/jobs/${encodeURIComponent(job.id)}/rejected.csv`);
+    } else if (!job.rejected) {
+      alert(summary);
+    }
+  }
+
   (function wireUploadUIDs() {
     const btn = $('#btn-upload-applied'), file = $('#file-upload-applied');
     if (!btn || !file) return;
@@ -232,110 +422,45 @@
 
     file.addEventListener('change', async (e) => {
       const f = e.target.files?.[0]; e.target.value = ''; if (!f) return;
+      if (!apiBase) return alert('API not configured');
       try {
-        let rows = [];
-        if (/\.xlsx?$/i.test(f.name)) {
-          const buf = await f.arrayBuffer();
-          const wb = XLSX.read(buf, { type: 'array' });
-          const ws = XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { defval: '' });
-          rows = ws;
-        } else {
-          const text = await f.text();
-          const lines = text.split(/\r?\n/).filter(Boolean);
-          const hdr = lines.shift().split(',').map(s => s.trim());
-          rows = lines.map(l => l.split(',')).map(c => {
-            const o = {}; hdr.forEach((h, i) => o[h] = c[i] ?? ''); return o;
-          });
-        }
-
-        const normRow = (r) => {
-          const n = {};
-          for (const k in r) {
-            const key = k.trim().toLowerCase().replace(/\s+/g, '_');
-            n[key] = r[k];
-          }
-          const pick = (...a) => {
-            for (const x of a) { const v = n[x]; if (v != null && String(v).trim() !== '') return String(v).trim(); }
-            return '';
-          };
-          const pickRaw = (...a) => {
-            for (const x of a) { if (x in n) return String(n[x] ?? ''); }
-            return '';
-          };
-          return {
-            date_local: toISODate(pick('date_local', 'date')),
-            mobile_bin: pick('mobile_bin', 'mobile_bin_(box)', 'mobile_bin (box)'),
-            sscc_label: pick('sscc_label', 'sscc', 'sscc_label (box)'),
-            po_number:  pick('po_number', 'po', 'po#'),
-            sku_code:   pick('sku_code', 'sku'),
-            uid:        pickRaw('uid', 'u_id', 'u id')
-          };
-        };
-
-        const items = rows.map(normRow).filter(r => r.po_number && r.sku_code && (r.uid !== ''));
-        if (!items.length) return alert('No valid rows found (need PO_Number, SKU_Code, UID).');
-
-        const payload = [];
-        for (const r of items) {
-          const ui = newRow();
-          ui.date_local  = r.date_local || iso(new Date());
-          ui.mobile_bin  = r.mobile_bin || '';
-          ui.sscc_label  = r.sscc_label || '';
-          ui.po_number   = r.po_number;
-          ui.sku_code    = r.sku_code;
-          ui.uid         = r.uid;
-          ui.status      = requiredFilled(ui) ? 'complete' : 'draft';
-          ui.sync        = 'pending';
-          intakeRows.push(ui);
-
-          payload.push({
-            date_local: ui.date_local,
-            mobile_bin: ui.mobile_bin,
-            sscc_label: ui.sscc_label,
-            po_number:  ui.po_number,
-            sku_code:   ui.sku_code,
-            uid:        ui.uid
-          });
+        const tpl = await chooseUploadTemplate('records');
+        if (tpl == null) return;
+        // Big files preview through the jobs route too: same screening, row lists capped
+        const asJob = f.size > IMPORT_JOB_MIN_BYTES;
+        const label = btn.textContent;
+        btn.disabled = true;
+        btn.textContent = 'Checking…';
+        let pre, pj;
+        try {
+          pre = await authFetch(withUploadTemplate(`${apiBase}/records/import${asJob ? '/jobs' : ''}?dryRun=1${facilityQuery('&')}`, tpl), { method: 'POST', body: fileForm(f) });
+          pj = await pre.json().catch(() => ({}));
+        } finally {
+          btn.disabled = false;
+          btn.textContent = label;
         }
+        if (!pre.ok) return alert('Preview failed: ' + (pj.error || pre.status));
+        if (!pj.total) return alert('No rows found (need PO_Number, SKU_Code, UID).');
+        const note = [mappingTemplateNote(pre), pj.truncated ? 'Large file: only the first rows of each list are shown.' : ''].filter(Boolean).join('\n');
+        if (!confirmDryRun(`UIDs (${f.name})`, pj, note)) return;
 
-        if (apiBase && payload.length) {
-          try {
-            const res = await fetch(`${apiBase}/records/import`, {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify(payload)
-            });
-            const j = await res.json().catch(() => ({}));
-
-            if (res.ok && j.ok) {
-              const insertedCount = j.inserted ?? payload.length;
-              const rejectedCount = j.rejected ?? 0;
-              const newlyAdded = intakeRows.slice(-items.length);
-
-              for (const ui of newlyAdded) {
-                if (requiredFilled(ui)) {
-                  ui.sync   = 'synced';
-                  ui.status = 'complete';
-                }
-              }
-
-              if (rejectedCount) {
-                console.warn('Some rows were rejected by the server', j.errors || []);
-                alert(`Upload finished.\nInserted: ${insertedCount}\nRejected: ${rejectedCount}`);
-              }
-            } else {
-              alert('Upload failed on server.');
-            }
-          } catch (err) {
-            console.error(err);
-            alert('Upload failed: ' + (err?.message || err));
-          }
+        if (asJob) {
+          await runImportJob(btn, f, tpl);
+        } else {
+          const res = await authFetch(withUploadTemplate(`${apiBase}/records/import${facilityQuery()}`, tpl), { method: 'POST', body: fileForm(f) });
+          const j = await res.json().catch(() => ({}));
+          if (!res.ok || !j.ok) return alert('Upload failed on server' + (j.error ? `: ${j.error}` : '.'));
+
+          // errors[] / warnings[] carry the file row (0-based, header excluded) they belong to
+          const sample = (list) => (list || []).slice(0, 5).map(e => `row ${e.index + 2} ${e.uid || ''}: ${e.reason}`).join('\n');
+          alert(`Upload finished.\nSaved: ${j.inserted}\nRejected: ${j.rejected}`
+            + (j.warnings?.length ? `\nWarnings: ${j.warnings.length}` : '')
+            + (j.conflicts ? `\nUID conflicts: ${j.conflicts}` : '')
+            + (j.errors?.length ? `\n\n${sample(j.errors)}` : j.warnings?.length ? `\n\n${sample(j.warnings)}` : ''));
         }
 
-        renderIntake();
         await loadOpsMetrics();
         await safeRefreshDashboard();
-
       } catch (err) { console.error(err); alert('Upload failed: ' + (err?.message || err)); }
     });
   })();
@@ -350,45 +475,9 @@
 
     btn.onclick = () => file.click();
 
-    function toNumberOrNull(v) {
-      const n = Number(String(v ?? '').toString().replace(/,/g, '').trim());
-      return Number.isFinite(n) ? n : null;
-    }
-
-    function normalizeRow(r) {
-      const n = {};
-      for (const k in r) n[k.toLowerCase().replace(/\s+/g, '_')] = r[k];
-      const pick = (...keys) => {
-        for (const k of keys) {
-          const v = n[k];
-          if (v != null && String(v).trim() !== '') return String(v).trim();
-        }
-        return '';
-      };
-      const id       = pick('mobile_bin', 'bin_id', 'bin', 'bin_no', 'bin_number');
-      const unitsRaw = pick('total_units', 'units', 'qty', 'quantity');
-      const weightRaw= pick('weight_kg', 'weight', 'kg');
-      const dateRaw  = pick('date', 'date_local', 'created_at');
-
-      return {
-        mobile_bin:  id,
-        total_units: toNumberOrNull(unitsRaw),
-        weight_kg:   toNumberOrNull(weightRaw),
-        date_local:  toISODate(dateRaw) || todayInTZ()
-      };
-    }
-
-    function validateBin(b) {
-      const errs = [];
-      if (!b.mobile_bin) errs.push('Missing mobile_bin');
-      if (b.total_units != null && b.total_units < 0) errs.push('total_units < 0');
-      if (b.weight_kg  != null && b.weight_kg  < 0) errs.push('weight_kg < 0');
-      if (b.total_units != null && b.weight_kg != null) {
-        const perUnit = b.weight_kg / Math.max(1, b.total_units);
-        if (perUnit < 0.001 || perUnit > 10) b._suspicious = true;
-      }
-      return errs;
-    }
+    // The server parses the file and applies the shared header aliases
+    // (mobile_bin / bin_id / bin, total_units / qty, weight_kg / kg, date).
+    const form = (f) => { const fd = new FormData(); fd.append('file', f, f.name); return fd; };
 
     file.addEventListener('change', async (e) => {
       const f = e.target.files?.[0];
@@ -396,48 +485,28 @@
       if (!f || !apiBase) return;
 
       try {
-        let rows = [];
-        if (/\.xlsx?$/i.test(f.name)) {
-          const buf = await f.arrayBuffer();
-          const wb  = XLSX.read(buf, { type: 'array' });
-          rows = XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { defval: '' });
-        } else {
-          const buf = await f.arrayBuffer();
-          const wb  = XLSX.read(new Uint8Array(buf), { type: 'array' });
-          rows = XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { defval: '' });
-        }
-
-        if (!rows.length) { alert('No rows found in manifest.'); return; }
-
         const ws = state.weekStart;
-        const items = rows.map(normalizeRow).filter(r => r.mobile_bin);
-
-        const rejected = [];
-        for (const it of items) {
-          const errs = validateBin(it);
-          if (errs.length) rejected.push({ it, errs });
+        const tpl = await chooseUploadTemplate('bins');
+        if (tpl == null) return;
+        const pre = await authFetch(withUploadTemplate(`${apiBase}/bins/weeks/${ws}?dryRun=1`, tpl), { method: 'PUT', body: form(f) });
+        if (!pre.ok) { alert(await pre.text().catch(() => 'Preview failed')); return; }
+        const preview = await pre.json();
+        if (!preview.summary?.insert && !preview.summary?.update && !preview.summary?.unchanged) {
+          alert('No valid bin rows to upload.'); return;
         }
-        const valid = items.filter(it => !rejected.find(x => x.it === it));
+        if (!confirmDryRun(`Bin manifest ${ws}`, preview, mappingTemplateNote(pre))) return;
 
-        if (!valid.length) { alert('No valid bin rows to upload.'); return; }
-
-        const resp = await fetch(`${apiBase}/bins/weeks/${ws}`, {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(valid)
-        });
+        const resp = await authFetch(withUploadTemplate(`${apiBase}/bins/weeks/${ws}`, tpl), { method: 'PUT', body: form(f) });
         if (!resp.ok) {
           const msg = await resp.text().catch(() => 'Upload failed');
           alert(msg);
           return;
         }
 
-        const summary = await resp.json().catch(() => ({}));
-        const ok = summary?.ok ?? true;
-        alert(ok
-          ? `Bin manifest uploaded: ${valid.length} row(s).${rejected.length ? `  Rejected: ${rejected.length}` : ''}`
-          : `Upload finished with warnings. Accepted: ${valid.length}${rejected.length ? `, Rejected: ${rejected.length}` : ''}`
-        );
+        // Counts come from the write itself, not the preview (the week can change in between).
+        const j = await resp.json().catch(() => ({}));
+        const rejected = Number(j.rejected) || 0;
+        alert(`Bin manifest uploaded: ${Number(j.upserted) || 0} row(s).${rejected ? `  Rejected: ${rejected}` : ''}`);
 
         // Refresh week so bin QA & insights update
         await safeSetWeek();
@@ -465,10 +534,10 @@
     status.textContent = 'Deleting...';
 
     try {
-      const res = await fetch(`${apiBase}/records/delete`, {
+      const res = await authFetch(`${apiBase}/records/delete`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(list.map(uid => ({ uid })))
+        body: JSON.stringify(list.map(uid => ({ uid, reason: deleteReason() })))
       });
 
       if (!res.ok) throw new Error(await res.text());
@@ -486,6 +555,7 @@
       await loadOpsMetrics();
       await safeSetWeek();
       await safeRefreshDashboard();
+      await loadVoided();
     } catch (e) {
       console.error(e);
       status.textContent = 'Error deleting: ' + (e.message || e);
@@ -494,18 +564,193 @@
 
   document.getElementById('btn-delete-uids')?.addEventListener('click', deleteUIDs);
 
+  // ====================================================================
+  // Recently Deleted — voided records from the last 7 days, restorable
+  // ====================================================================
+  async function loadVoided() {
+    const body = document.getElementById('voided-body');
+    if (!body || !apiBase) return;
+    try {
+      const j = await api(`/records/voided?days=7${facilityQuery('&')}`);
+      const rows = Array.isArray(j?.records) ? j.records : [];
+      body.innerHTML = rows.length
+        ? `<table class="w-full border-collapse">
+             <thead><tr class="text-left text-gray-500">
+               <th class="py-1 pr-2 w-6"></th><th class="py-1 pr-3">UID</th><th class="py-1 pr-3">PO</th><th class="py-1 pr-3">SKU</th>
+               <th class="py-1 pr-3">Bin</th><th class="py-1 pr-3">Reason</th><th class="py-1 pr-3">By</th><th class="py-1">Deleted</th>
+             </tr></thead>
+             <tbody>${rows.map(r => `
+               <tr class="border-t">
+                 <td class="py-1 pr-2"><input type="checkbox" data-role="voided-sel" data-id="${escHtml(r.id)}"/></td>
+                 <td class="py-1 pr-3 font-mono">${escHtml(r.uid)}</td>
+                 <td class="py-1 pr-3">${escHtml(r.po_number)}</td>
+                 <td class="py-1 pr-3">${escHtml(r.sku_code)}</td>
+                 <td class="py-1 pr-3">${escHtml(r.mobile_bin)}</td>
+                 <td class="py-1 pr-3">${escHtml(r.void_reason)}</td>
+                 <td class="py-1 pr-3">${escHtml(r.voided_by)}</td>
+                 <td class="py-1 whitespace-nowrap">${escHtml(r.voided_at ? new Date(r.voided_at).toLocaleString() : '')}</td>
+               </tr>`).join('')}
+             </tbody>
+           </table>`
+        : '<div class="text-gray-400">Nothing deleted in the last 7 days.</div>';
+    } catch (e) {
+      body.textContent = 'Failed to load deleted records: ' + (e?.message || e);
+    }
+  }
+
+  async function restoreSelectedVoided() {
+    const status = document.getElementById('voided-status');
+    const ids = Array.from(document.querySelectorAll('input[data-role="voided-sel"]:checked')).map(x => x.dataset.id);
+    if (!ids.length) return alert('Select at least one deleted record.');
+    if (!confirm(`Restore ${ids.length} record(s)?`)) return;
+    try {
+      const j = await api('/records/restore', { method: 'POST', body: ids.map(id => ({ id })) });
+      if (status) status.textContent = `Restored ${Number(j?.total_restored || 0)} record(s).`;
+      await loadVoided();
+      await loadOpsMetrics();
+      await safeSetWeek();
+    } catch (e) {
+      if (status) status.textContent = 'Restore failed: ' + (e?.message || e);
+    }
+  }
+
+  document.getElementById('btn-voided-refresh')?.addEventListener('click', loadVoided);
+  document.getElementById('btn-voided-restore')?.addEventListener('click', restoreSelectedVoided);
+
+  // ====================================================================
+  // UID Conflicts — same UID complete under two POs/SKUs (GET /conflicts)
+  // ====================================================================
+  function conflictSide(r) {
+    if (!r) return '<span class="text-gray-400">(missing)</span>';
+    return `PO ${escHtml(r.po_number)} / SKU ${escHtml(r.sku_code)} / bin ${escHtml(r.mobile_bin) || '—'}`
+      + `<div class="text-gray-400">${escHtml(r.date_local)}${r.facility ? ` • ${escHtml(r.facility)}` : ''} • ${escHtml(r.status)}</div>`;
+  }
+
+  async function loadConflicts() {
+    const body = document.getElementById('conflicts-body');
+    if (!body || !apiBase) return;
+    try {
+      const j = await api('/conflicts?status=open');
+      const rows = Array.isArray(j?.conflicts) ? j.conflicts : [];
+      body.innerHTML = rows.length
+        ? `<table class="w-full border-collapse">
+             <thead><tr class="text-left text-gray-500">
+               <th class="py-1 pr-3">UID</th><th class="py-1 pr-3">A (first)</th><th class="py-1 pr-3">B (later)</th>
+               <th class="py-1 pr-3">Detected</th><th class="py-1">Resolve</th>
+             </tr></thead>
+             <tbody>${rows.map(c => `
+               <tr class="border-t align-top">
+                 <td class="py-1 pr-3 font-mono">${escHtml(c.uid)}</td>
+                 <td class="py-1 pr-3">${conflictSide(c.a)}</td>
+                 <td class="py-1 pr-3">${conflictSide(c.b)}</td>
+                 <td class="py-1 pr-3 whitespace-nowrap">${escHtml(new Date(c.detected_at).toLocaleString())}<div class="text-gray-400">${escHtml(c.detected_by)}</div></td>
+                 <td class="py-1 whitespace-nowrap">
+                   <button class="px-2 py-1 rounded border text-xs" data-conflict="${c.id}" data-action="keep_a">Keep A</button>
+                   <button class="px-2 py-1 rounded border text-xs" data-conflict="${c.id}" data-action="keep_b">Keep B</button>
+                   <button class="px-2 py-1 rounded border border-rose-700 text-rose-700 text-xs" data-conflict="${c.id}" data-action="void_both">Void both</button>
+                 </td>
+               </tr>`).join('')}
+             </tbody>
+           </table>`
+        : '<div class="text-gray-400">No open conflicts.</div>';
+      body.querySelectorAll('button[data-conflict]').forEach(btn => {
+        btn.addEventListener('click', () => resolveConflict(btn.dataset.conflict, btn.dataset.action));
+      });
+    } catch (e) {
+      body.textContent = 'Failed to load conflicts: ' + (e?.message || e);
+    }
+  }
+
+  async function resolveConflict(id, action) {
+    const status = document.getElementById('conflicts-status');
+    const label = { keep_a: 'keep A (void B)', keep_b: 'keep B (void A)', void_both: 'void both rows' }[action] || action;
+    if (!confirm(`Resolve conflict #${id}: ${label}?`)) return;
+    try {
+      const j = await api(`/conflicts/${encodeURIComponent(id)}/resolve`, { method: 'POST', body: { action } });
+      if (status) status.textContent = `Conflict #${id} resolved; ${Number(j?.voided || 0)} row(s) voided.`;
+      await loadConflicts();
+      await loadOpsMetrics();
+      await loadVoided();
+      await safeSetWeek();
+    } catch (e) {
+      if (status) status.textContent = 'Resolve failed: ' + (e?.message || e);
+    }
+  }
+
+  document.getElementById('btn-conflicts')?.addEventListener('click', () => {
+    document.getElementById('conflicts-panel')?.classList.remove('hidden');
+    loadConflicts();
+  });
+  document.getElementById('btn-conflicts-refresh')?.addEventListener('click', loadConflicts);
+  document.getElementById('btn-conflicts-close')?.addEventListener('click', () => {
+    document.getElementById('conflicts-panel')?.classList.add('hidden');
+  });
+
+  // ====================================================================
+  // UID History — audit trail for one UID (GET /audit/uid/:uid)
+  // ====================================================================
+  function escHtml(v) {
+    return String(v ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  function describeChange(e) {
+    const b = e.before || {}, a = e.after || {};
+    if (e.action === 'create') return `created in PO ${escHtml(a.po_number)} / SKU ${escHtml(a.sku_code)} / bin ${escHtml(a.mobile_bin) || '—'}`;
+    if (e.action === 'delete') return `deleted from PO ${escHtml(b.po_number)} / SKU ${escHtml(b.sku_code)} / bin ${escHtml(b.mobile_bin) || '—'}`;
+    const fields = ['date_local', 'mobile_bin', 'sscc_label', 'po_number', 'sku_code', 'uid', 'status'];
+    const diffs = fields
+      .filter(f => String(b[f] ?? '') !== String(a[f] ?? ''))
+      .map(f => `${f}: ${escHtml(b[f]) || '∅'} → ${escHtml(a[f]) || '∅'}`);
+    return diffs.length ? diffs.join('; ') : 'no field changes';
+  }
+
+  async function openUidHistory(uid) {
+    const panel = document.getElementById('uid-history');
+    const body = document.getElementById('uid-history-body');
+    if (!panel || !body || !apiBase) return;
+    document.getElementById('uid-history-uid').textContent = uid;
+    body.textContent = 'Loading…';
+    panel.classList.remove('hidden');
+    try {
+      const j = await api(`/audit/uid/${encodeURIComponent(uid)}`);
+      const entries = Array.isArray(j?.entries) ? j.entries : [];
+      body.innerHTML = entries.length
+        ? `<table class="w-full border-collapse">
+             <thead><tr class="text-left text-gray-500">
+               <th class="py-1 pr-3">When</th><th class="py-1 pr-3">Who</th><th class="py-1 pr-3">Source</th><th class="py-1">Change</th>
+             </tr></thead>
+             <tbody>${entries.map(e => `
+               <tr class="border-t">
+                 <td class="py-1 pr-3 whitespace-nowrap">${escHtml(new Date(e.ts).toLocaleString())}</td>
+                 <td class="py-1 pr-3">${escHtml(e.actor)}${e.actor_role ? ` <span class="text-gray-400">(${escHtml(e.actor_role)})</span>` : ''}</td>
+                 <td class="py-1 pr-3 font-mono">${escHtml(e.source)}</td>
+                 <td class="py-1">${describeChange(e)}</td>
+               </tr>`).join('')}
+             </tbody>
+           </table>`
+        : '<div class="text-gray-400">No history recorded for this UID.</div>';
+    } catch (e) {
+      body.textContent = 'Failed to load history: ' + (e?.message || e);
+    }
+  }
+
+  document.getElementById('btn-uid-history-close')?.addEventListener('click', () => {
+    document.getElementById('uid-history')?.classList.add('hidden');
+  });
+
   // ====================================================================
   // Ops metrics & Ops Pulse — uses /summary/ops server endpoint
   // ====================================================================
   async function loadOpsMetrics() {
     if (!apiBase) return;
     try {
-      const stats = await api('/summary/ops');
+      const stats = await api(`/summary/ops${facilityQuery()}`);
       const scansToday = Number(stats?.scans_today || 0);
       const lastHour   = Number(stats?.last_hour || 0);
       const rate30m    = Number(stats?.last_30m || 0);
       const drafts     = Number(stats?.drafts || 0);
       const dupes      = Number(stats?.dupes || 0);
+      const conflicts  = Number(stats?.conflicts_open || 0);
       const syncCounts = (stats && typeof stats.sync_counts === 'object' && stats.sync_counts) ? stats.sync_counts : {};
 
       const __el_ops_today = document.getElementById('ops-today'); if (__el_ops_today) __el_ops_today.textContent = scansToday.toLocaleString();
@@ -513,6 +758,12 @@
       const __el_ops_rate = document.getElementById('ops-rate'); if (__el_ops_rate) __el_ops_rate.textContent = (rate30m * 2).toLocaleString();
       const __el_ops_drafts = document.getElementById('ops-drafts'); if (__el_ops_drafts) __el_ops_drafts.textContent = drafts.toLocaleString();
       const __el_ops_dupes = document.getElementById('ops-dupes'); if (__el_ops_dupes) __el_ops_dupes.textContent = dupes.toLocaleString();
+      const __el_ops_conflicts = document.getElementById('ops-conflicts');
+      if (__el_ops_conflicts) {
+        __el_ops_conflicts.textContent = conflicts.toLocaleString();
+        __el_ops_conflicts.classList.toggle('bg-rose-50', conflicts > 0);
+        __el_ops_conflicts.classList.toggle('text-rose-700', conflicts > 0);
+      }
       const __el_ops_last_updated = document.getElementById('ops-last-updated'); if (__el_ops_last_updated) __el_ops_last_updated.textContent = new Date().toLocaleTimeString();
 
       const bpm = Math.max(40, Math.min(200, rate30m * 2));
@@ -615,21 +866,67 @@
     }
   }
 
+  // Typed events (record.*, plan.updated, bins.updated, ...). We reconnect by hand, so the
+  // last seen id goes on the query string; the server replays what we missed or sends `reset`.
+  const SSE_TYPES = [
+    'record.created', 'record.updated', 'record.deleted',
+    'plan.updated', 'bins.updated', 'receiving.updated', 'flow_week.updated',
+    'bins.state_changed',
+  ];
+  let __sseLastId = null;
+  let __sseVisibilityBound = false;
+  let __sseSource = null;
+  let __sseFacility = '';
+
+  // Station name shown in the supervisor's live-clients list; set once with ?station=Dock-3.
+  function stationName() {
+    try {
+      const fromUrl = new URLSearchParams(location.search).get('station');
+      if (fromUrl) localStorage.setItem('vz_station', fromUrl.trim());
+      return localStorage.getItem('vz_station') || '';
+    } catch { return ''; }
+  }
+
+  function onSSE(type, e) {
+    if (e.lastEventId) __sseLastId = e.lastEventId;
+    let detail = null;
+    try { detail = JSON.parse(e.data); } catch {}
+    if (type === 'reset' && detail?.last_event_id) __sseLastId = String(detail.last_event_id);
+    // other pages listen on window ('sse:event') instead of opening their own stream
+    window.dispatchEvent(new CustomEvent('sse:event', { detail: { type, data: detail } }));
+    if (type === 'reset' || type.startsWith('record.')) scheduleOpsRefresh();
+  }
+
   function startSSE() {
     if (!apiBase) return;
     try {
-      const ev = new EventSource(`${apiBase}/events/scan`);
+      try { __sseSource?.close(); } catch {}
+      __sseFacility = currentFacility();
+      const q = new URLSearchParams();
+      if (__sseFacility) q.set('facility', __sseFacility);
+      if (stationName()) q.set('station', stationName());
+      if (__sseLastId) q.set('last_event_id', __sseLastId);
+      const qs = q.toString();
+      const ev = new EventSource(withAuthQuery(`${apiBase}/events/scan${qs ? `?${qs}` : ''}`));
+      __sseSource = ev;
       $('#ops-dot')?.classList.replace('bg-gray-300', 'ops-bar-planned');
-      ev.onmessage = () => { scheduleOpsRefresh(); };
+      for (const t of [...SSE_TYPES, 'reset']) ev.addEventListener(t, (e) => onSSE(t, e));
       ev.onerror = () => {
         try { ev.close(); } catch {}
+        if (__sseSource !== ev) return;
         $('#ops-dot')?.classList.replace('ops-bar-planned', 'bg-amber-500');
         setTimeout(startSSE, 3000);
       };
 
-      document.addEventListener('visibilitychange', () => {
-        if (!document.hidden) scheduleOpsRefresh();
-      });
+      if (!__sseVisibilityBound) {
+        __sseVisibilityBound = true;
+        document.addEventListener('visibilitychange', () => {
+          if (document.hidden) return;
+          // stream is filtered by facility; reopen it if the Flow page switched sites
+          if (currentFacility() !== __sseFacility) startSSE();
+          scheduleOpsRefresh();
+        });
+      }
     } catch (e) { console.error('[OPS refreshDashboardTotals] week totals error', e); }
   }
 
@@ -639,6 +936,7 @@
   window.renderIntake    = renderIntake;
   window.loadOpsMetrics  = loadOpsMetrics;
   window.startSSE        = startSSE;
+  window.openUidHistory  = openUidHistory;
   window.intakeRows      = intakeRows;
 
   // ====================================================================
@@ -658,6 +956,8 @@
   if (_ohs) _ohs.appendChild(createHeart(18, BRAND, 40));
 
   loadOpsMetrics();
+  loadVoidReasons();
+  loadVoided();
   startSSE();
 
   console.log('[intake] intake.js loaded ✓');
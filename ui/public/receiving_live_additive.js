@@ -3,6 +3,7 @@
    - Binds to global week selector (#week-start / window.state.weekStart)
    - Loads plan + receiving rows for selected week
    - Allows per-PO edits and saves to backend (/receiving/weeks/:ws)
+   - Carton-by-carton scan-in per PO (/receiving/weeks/:ws/cartons); those POs' counts are derived
    - Displays viewer-local time; SLA cutoff uses Asia/Shanghai Monday 12:00 (UTC+8)
 */
 
@@ -19,9 +20,14 @@
       .replace(/'/g, '&#39;');
   }
 
+  // Credentials come from the main script's window.vzAuth (bearer token + sign-in on 401).
+  function authFetch(url, init) {
+    return window.vzAuth ? window.vzAuth.fetch(url, init) : fetch(url, init);
+  }
+
   async function api(path, opts) {
     const url = API_BASE + path;
-    const r = await fetch(url, Object.assign({
+    const r = await authFetch(url, Object.assign({
       headers: { 'Content-Type': 'application/json' }
     }, opts || {}));
     if (!r.ok) throw new Error(`API ${r.status}: ${await r.text()}`);
@@ -154,171 +160,6 @@ function computeCartonsOutByPOFromRecords(records) {
     return `${yyyy}-${mm}-${dd} ${hh}:${mi}`;
   }
 
-  // -------------------- CSV parsing & date normalization (upload) --------------------
-  function stripBOM(s) {
-    return (s && s.charCodeAt(0) === 0xFEFF) ? s.slice(1) : s;
-  }
-
-  // Minimal RFC4180-ish CSV parser (handles quotes, commas, newlines)
-  function parseCSV(text) {
-    const out = [];
-    const rows = [];
-    let i = 0;
-    let field = '';
-    let row = [];
-    let inQuotes = false;
-
-    const pushField = () => {
-      row.push(field);
-      field = '';
-    };
-    const pushRow = () => {
-      // trim trailing empty line
-      if (row.length === 1 && row[0] === '' && rows.length === 0) return;
-      rows.push(row);
-      row = [];
-    };
-
-    while (i < text.length) {
-      const c = text[i];
-
-      if (inQuotes) {
-        if (c === '"') {
-          const next = text[i + 1];
-          if (next === '"') {
-            field += '"';
-            i += 2;
-            continue;
-          }
-          inQuotes = false;
-          i += 1;
-          continue;
-        }
-        field += c;
-        i += 1;
-        continue;
-      }
-
-      if (c === '"') {
-        inQuotes = true;
-        i += 1;
-        continue;
-      }
-      if (c === ',') {
-        pushField();
-        i += 1;
-        continue;
-      }
-      if (c === '\n') {
-        pushField();
-        pushRow();
-        i += 1;
-        continue;
-      }
-      if (c === '\r') {
-        // ignore CR (handle CRLF)
-        i += 1;
-        continue;
-      }
-      field += c;
-      i += 1;
-    }
-    pushField();
-    pushRow();
-
-    if (!rows.length) return [];
-    const header = rows[0].map(h => stripBOM(String(h || '').trim()).toLowerCase());
-    for (let r = 1; r < rows.length; r += 1) {
-      const obj = {};
-      for (let c = 0; c < header.length; c += 1) {
-        const key = header[c] || '';
-        if (!key) continue;
-        obj[key] = (rows[r][c] ?? '').toString().trim();
-      }
-      // skip completely empty rows
-      if (Object.values(obj).every(v => String(v || '').trim() === '')) continue;
-      out.push(obj);
-    }
-    return out;
-  }
-
-  function normalizeISODateYMD(d) {
-    const yyyy = d.getFullYear();
-    const mm = String(d.getMonth() + 1).padStart(2, '0');
-    const dd = String(d.getDate()).padStart(2, '0');
-    return `${yyyy}-${mm}-${dd}`;
-  }
-
-  // Accept week_start formats like:
-  //  - YYYY-MM-DD
-  //  - M/D/YYYY or MM/DD/YYYY
-  //  - YYYY/M/D
-  function parseWeekStartToISO(s) {
-    const v = String(s || '').trim();
-    if (!v) return '';
-    const m1 = v.match(/^\d{4}-\d{2}-\d{2}$/);
-    if (m1) return v;
-
-    const m2 = v.match(/^\s*(\d{1,2})\/(\d{1,2})\/(\d{4})\s*$/);
-    if (m2) {
-      const mm = m2[1].padStart(2, '0');
-      const dd = m2[2].padStart(2, '0');
-      return `${m2[3]}-${mm}-${dd}`;
-    }
-
-    const m3 = v.match(/^\s*(\d{4})\/(\d{1,2})\/(\d{1,2})\s*$/);
-    if (m3) {
-      const mm = m3[2].padStart(2, '0');
-      const dd = m3[3].padStart(2, '0');
-      return `${m3[1]}-${mm}-${dd}`;
-    }
-
-    // last resort Date parse
-    const d = new Date(v);
-    if (!Number.isNaN(d.getTime())) return normalizeISODateYMD(d);
-    return '';
-  }
-
-  // Parse received_at_local values that users will type in Excel.
-  // Accepted:
-  //  - YYYY-MM-DD HH:MM
-  //  - YYYY-MM-DDTHH:MM
-  //  - MM/DD/YYYY HH:MM AM/PM
-  function parseLocalDateTimeToDate(s) {
-    const v = String(s || '').trim();
-    if (!v) return null;
-
-    // YYYY-MM-DD HH:MM
-    let m = v.match(/^(\d{4})-(\d{2})-(\d{2})\s+(\d{2}):(\d{2})$/);
-    if (m) {
-      const [_, Y, M, D, hh, mi] = m;
-      return new Date(Number(Y), Number(M) - 1, Number(D), Number(hh), Number(mi), 0, 0);
-    }
-
-    // YYYY-MM-DDTHH:MM (datetime-local)
-    m = v.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/);
-    if (m) {
-      const [_, Y, M, D, hh, mi] = m;
-      return new Date(Number(Y), Number(M) - 1, Number(D), Number(hh), Number(mi), 0, 0);
-    }
-
-    // MM/DD/YYYY HH:MM AM/PM
-    m = v.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
-    if (m) {
-      let hh = Number(m[4]);
-      const mi = Number(m[5]);
-      const ampm = String(m[6] || '').toUpperCase();
-      if (ampm === 'PM' && hh < 12) hh += 12;
-      if (ampm === 'AM' && hh === 12) hh = 0;
-      return new Date(Number(m[3]), Number(m[1]) - 1, Number(m[2]), hh, mi, 0, 0);
-    }
-
-    // Fall back to Date parsing (may vary by browser/locale)
-    const d = new Date(v);
-    if (!Number.isNaN(d.getTime())) return d;
-    return null;
-  }
-
   function uniq(arr) { return Array.from(new Set(arr)); }
 
   // -------------------- Exports (week-level, all suppliers) --------------------
@@ -475,7 +316,7 @@ function computeCartonsOutByPOFromRecords(records) {
     Receive Selected
   </button>
 
-  <input id="recv-ul-week-csv-input" type="file" accept=".csv,text/csv" style="display:none" />
+  <input id="recv-ul-week-csv-input" type="file" accept=".csv,text/csv,.xlsx" style="display:none" />
 </div>
               <div class="text-sm text-gray-500">
                 POs: <span class="font-semibold tabular-nums" id="recv-po-count">0</span>
@@ -938,6 +779,9 @@ function computeSummaryAll(planRows, receivingRows) {
       const r = receivingByPO.get(x.po) || {};
       const facility = String(r.facility_name || x.planFacility || '').trim();
       const receivedAtLocalInput = toDateTimeLocalValue(r.received_at_utc);
+      // Scanned cartons own the counters: the server derives them, so the inputs go read-only
+      const lines = Number(r.carton_lines || 0) || 0;
+      const derived = lines ? 'readonly tabindex="-1" title="From scanned cartons" style="background:#f9fafb"' : '';
       const cartonsOut = (M.cartonsOutByPO && M.cartonsOutByPO.has(x.po)) ? (Number(M.cartonsOutByPO.get(x.po)) || 0)
         : (Number(r.cartons_out || r.mobile_bin_count || r.mobile_bin_counts || r.mobile_bins || r.mobile_bins_count || r.mobile_bin_total || r.mobile_bin_total_count || 0) || 0);
 
@@ -946,7 +790,12 @@ function computeSummaryAll(planRows, receivingRows) {
   <td class="py-2 px-2">
     <input class="recv-row-check" type="checkbox" data-po="${esc(x.po)}" />
   </td>
-  <td class="py-2 px-2 font-semibold">${esc(x.po)}</td>
+  <td class="py-2 px-2 font-semibold whitespace-nowrap">
+    ${esc(x.po)}
+    <button class="recv-scan ml-1 px-1.5 py-0.5 rounded border text-xs font-normal"
+            style="border-color:#e8b3c6;color:#990033"
+            data-po="${esc(x.po)}" title="Scan cartons in one by one">Cartons${lines ? ` (${lines})` : ''}</button>
+  </td>
   <td class="py-2 px-2">
     <input class="recv-facility border rounded px-2 py-1 text-sm w-[120px]"
            data-po="${esc(x.po)}"
@@ -955,7 +804,7 @@ function computeSummaryAll(planRows, receivingRows) {
 
   <td class="py-2 px-2 text-right">
     <input class="recv-num border rounded px-2 py-1 text-sm w-[70px] text-right"
-           data-field="cartons_received" data-po="${esc(x.po)}"
+           data-field="cartons_received" data-po="${esc(x.po)}" ${derived}
            value="${Number(r.cartons_received || 0)}" />
   </td>
   <td class="py-2 px-2 text-right">
@@ -967,17 +816,17 @@ function computeSummaryAll(planRows, receivingRows) {
   </td>
   <td class="py-2 px-2 text-right">
     <input class="recv-num border rounded px-2 py-1 text-sm w-[70px] text-right"
-           data-field="cartons_damaged" data-po="${esc(x.po)}"
+           data-field="cartons_damaged" data-po="${esc(x.po)}" ${derived}
            value="${Number(r.cartons_damaged || 0)}" />
   </td>
   <td class="py-2 px-2 text-right">
     <input class="recv-num border rounded px-2 py-1 text-sm w-[85px] text-right"
-           data-field="cartons_noncompliant" data-po="${esc(x.po)}"
+           data-field="cartons_noncompliant" data-po="${esc(x.po)}" ${derived}
            value="${Number(r.cartons_noncompliant || 0)}" />
   </td>
   <td class="py-2 px-2 text-right">
     <input class="recv-num border rounded px-2 py-1 text-sm w-[70px] text-right"
-           data-field="cartons_replaced" data-po="${esc(x.po)}"
+           data-field="cartons_replaced" data-po="${esc(x.po)}" ${derived}
            value="${Number(r.cartons_replaced || 0)}" />
   </td>
 
@@ -993,6 +842,244 @@ function computeSummaryAll(planRows, receivingRows) {
       const existing = receivingByPO.get(x.po) || null;
       wireRowInputs(M.ws, supplier, x.po, x.planFacility, existing);
     }
+    tbody.querySelectorAll('.recv-scan').forEach(btn => {
+      btn.onclick = () => openCartonScan(btn.getAttribute('data-po'), supplier);
+    });
+  }
+
+  // ------------------------- Carton scan-in (per PO) -------------------------
+  // One line per carton: scan (or type) the carton ID, pick its condition and, for exceptions,
+  // a reason code from the server's list. Enter saves and clears the field for the next carton;
+  // scanning an ID already on the PO updates its condition instead of adding a line.
+  const CARTON_CONDITION_LABELS = { ok: 'OK', damaged: 'Damaged', noncompliant: 'Non-compliant', replaced: 'Replaced' };
+  const scan = { ws: '', po: '', supplier: '', cartons: [], codes: null };
+
+  function apiErrorText(e) {
+    const m = String(e?.message || e).match(/^API \d+: ([\s\S]*)$/);
+    if (!m) return 'Save failed. Check connection / server logs.';
+    try {
+      const j = JSON.parse(m[1]);
+      return (Array.isArray(j.errors) && j.errors[0]?.reason) || j.error || m[1];
+    } catch { return m[1]; }
+  }
+
+  function ensureCartonModal() {
+    let root = document.getElementById('recv-carton-modal');
+    if (root) return root;
+
+    root = document.createElement('div');
+    root.id = 'recv-carton-modal';
+    root.className = 'fixed inset-0 z-[9999] hidden';
+    root.innerHTML = `
+      <div class="absolute inset-0 bg-black/40" data-recv-carton-close="1"></div>
+      <div class="absolute inset-3 md:inset-x-[12%] md:inset-y-8 bg-white rounded-2xl shadow-xl border overflow-hidden flex flex-col" style="border-color:#990033">
+        <div class="p-3 border-b flex items-center justify-between gap-3">
+          <div>
+            <div id="recv-carton-title" class="text-base font-semibold text-gray-800"></div>
+            <div id="recv-carton-sub" class="text-xs text-gray-500 mt-0.5"></div>
+          </div>
+          <div class="flex items-center gap-3">
+            <div id="recv-carton-counts" class="text-sm text-gray-600 tabular-nums"></div>
+            <button class="px-2.5 py-1.5 rounded-lg border bg-white hover:bg-gray-50 text-sm" data-recv-carton-close="1">Close</button>
+          </div>
+        </div>
+        <form id="recv-carton-form" class="p-3 border-b flex items-center gap-2 flex-wrap">
+          <input id="recv-carton-id" class="border rounded-md px-2 py-1 text-sm min-w-[220px]"
+                 placeholder="Scan carton ID" autocomplete="off" aria-label="Carton ID" />
+          <select id="recv-carton-condition" class="border rounded-md px-2 py-1 text-sm" aria-label="Condition">
+            ${Object.entries(CARTON_CONDITION_LABELS).map(([v, l]) => `<option value="${v}">${l}</option>`).join('')}
+          </select>
+          <select id="recv-carton-reason" class="border rounded-md px-2 py-1 text-sm min-w-[160px]" aria-label="Reason code"></select>
+          <input id="recv-carton-notes" class="border rounded-md px-2 py-1 text-sm flex-1 min-w-[160px]"
+                 placeholder="Notes (optional)" autocomplete="off" aria-label="Notes" />
+          <button type="submit" class="cmd cmd--ghost" style="border:1px solid #990033;color:#990033">Add carton</button>
+          <div id="recv-carton-msg" class="w-full text-xs text-gray-500"></div>
+        </form>
+        <div class="p-3 overflow-auto flex-1">
+          <table class="w-full text-sm">
+            <thead class="bg-gray-50">
+              <tr class="text-gray-500">
+                <th class="text-left py-2 px-2">Carton</th>
+                <th class="text-left py-2 px-2">Condition</th>
+                <th class="text-left py-2 px-2">Reason</th>
+                <th class="text-left py-2 px-2">Notes</th>
+                <th class="text-left py-2 px-2">Received</th>
+                <th class="py-2 px-2 w-[40px]"></th>
+              </tr>
+            </thead>
+            <tbody id="recv-carton-body"></tbody>
+          </table>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(root);
+
+    root.querySelectorAll('[data-recv-carton-close]').forEach(el => {
+      el.addEventListener('click', (e) => { e.preventDefault(); closeCartonModal(); });
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !root.classList.contains('hidden')) closeCartonModal();
+    });
+    root.querySelector('#recv-carton-condition').onchange = () => renderReasonOptions();
+    root.querySelector('#recv-carton-form').onsubmit = submitCartonScan;
+    root.querySelector('#recv-carton-body').onclick = (e) => {
+      const btn = e.target.closest('[data-del-id]');
+      if (btn) deleteCartonLine(Number(btn.getAttribute('data-del-id')));
+    };
+    return root;
+  }
+
+  function closeCartonModal() {
+    const root = document.getElementById('recv-carton-modal');
+    if (root) root.classList.add('hidden');
+  }
+
+  function cartonMsg(text, isError) {
+    const el = document.getElementById('recv-carton-msg');
+    if (!el) return;
+    el.textContent = text || '';
+    el.className = `w-full text-xs ${isError ? 'text-red-700' : 'text-gray-500'}`;
+  }
+
+  function renderReasonOptions() {
+    const cond = document.getElementById('recv-carton-condition')?.value || 'ok';
+    const sel = document.getElementById('recv-carton-reason');
+    if (!sel) return;
+    const codes = (scan.codes?.reasons || {})[cond] || [];
+    const required = (scan.codes?.required || []).includes(cond);
+    sel.disabled = !codes.length;
+    sel.innerHTML = !codes.length
+      ? '<option value="">—</option>'
+      : `<option value="">${required ? 'Reason…' : '(no reason)'}</option>`
+        + codes.map(c => `<option value="${esc(c)}">${esc(c.replace(/_/g, ' '))}</option>`).join('');
+  }
+
+  function renderCartonList() {
+    const tbody = document.getElementById('recv-carton-body');
+    if (!tbody) return;
+    const rows = scan.cartons.slice().sort((a, b) =>
+      String(b.received_at).localeCompare(String(a.received_at)) || (b.id - a.id));
+    tbody.innerHTML = rows.length ? rows.map(c => `
+      <tr class="border-t">
+        <td class="py-1.5 px-2 font-semibold">${esc(c.carton_id)}</td>
+        <td class="py-1.5 px-2 ${c.condition === 'ok' ? 'text-gray-700' : 'text-red-700 font-semibold'}">${esc(CARTON_CONDITION_LABELS[c.condition] || c.condition)}</td>
+        <td class="py-1.5 px-2">${esc(String(c.reason_code || '').replace(/_/g, ' '))}</td>
+        <td class="py-1.5 px-2 text-gray-600">${esc(c.notes || '')}</td>
+        <td class="py-1.5 px-2 text-gray-600">${esc(fmtLocalFromUtc(c.received_at))}</td>
+        <td class="py-1.5 px-2 text-right">
+          <button class="text-xs px-1.5 py-0.5 rounded border text-gray-500 hover:text-red-700" data-del-id="${c.id}" title="Remove this carton line">✕</button>
+        </td>
+      </tr>
+    `).join('') : `<tr><td colspan="6" class="text-center text-xs text-gray-400 py-6">No cartons scanned for this PO yet.</td></tr>`;
+  }
+
+  function renderCartonCounts(row) {
+    const el = document.getElementById('recv-carton-counts');
+    if (!el) return;
+    const r = row || {};
+    el.innerHTML = `In: <b>${Number(r.cartons_received || 0)}</b>`
+      + ` • Damaged: <b>${Number(r.cartons_damaged || 0)}</b>`
+      + ` • Non-compliant: <b>${Number(r.cartons_noncompliant || 0)}</b>`
+      + ` • Replaced: <b>${Number(r.cartons_replaced || 0)}</b>`;
+  }
+
+  // Put the server's recounted PO row into the page cache and redraw the table behind the modal
+  function applyCartonReceivingRow(row) {
+    if (!row || scan.ws !== M.ws) return;
+    const merged = Object.assign({}, row, { carton_lines: scan.cartons.length });
+    const idx = M.receivingRows.findIndex(r => String(r.po_number || '').trim() === scan.po);
+    if (idx >= 0) M.receivingRows[idx] = merged;
+    else M.receivingRows.push(merged);
+    renderCartonCounts(merged);
+    renderCurrentSupplierView();
+  }
+
+  async function openCartonScan(po, supplier) {
+    if (!po || !M.ws) return;
+    const root = ensureCartonModal();
+    Object.assign(scan, { ws: M.ws, po, supplier, cartons: [] });
+    document.getElementById('recv-carton-title').textContent = `Scan cartons — PO ${po}`;
+    document.getElementById('recv-carton-sub').textContent = `${supplier || '—'} • Week ${M.ws}`;
+    document.getElementById('recv-carton-condition').value = 'ok';
+    document.getElementById('recv-carton-notes').value = '';
+    renderCartonCounts(getReceivingByPO(M.receivingRows).get(po));
+    renderCartonList();
+    cartonMsg('Loading…');
+    root.classList.remove('hidden');
+
+    try {
+      const [codes, j] = await Promise.all([
+        scan.codes ? scan.codes : api('/receiving/reason-codes'),
+        api(`/receiving/weeks/${encodeURIComponent(scan.ws)}/cartons?po=${encodeURIComponent(po)}`)
+      ]);
+      scan.codes = codes;
+      scan.cartons = Array.isArray(j?.cartons) ? j.cartons : [];
+      cartonMsg('');
+    } catch (e) {
+      console.warn('[receiving] carton load error', e);
+      cartonMsg('Could not load cartons for this PO.', true);
+    }
+    renderReasonOptions();
+    renderCartonList();
+    const idEl = document.getElementById('recv-carton-id');
+    idEl.value = '';
+    idEl.focus();
+  }
+
+  async function submitCartonScan(e) {
+    e.preventDefault();
+    const idEl = document.getElementById('recv-carton-id');
+    const condEl = document.getElementById('recv-carton-condition');
+    const notesEl = document.getElementById('recv-carton-notes');
+    const cartonId = String(idEl.value || '').trim();
+    if (!cartonId) { idEl.focus(); return; }
+
+    const body = {
+      po_number: scan.po,
+      carton_id: cartonId,
+      condition: condEl.value,
+      reason_code: document.getElementById('recv-carton-reason').value || null,
+      notes: String(notesEl.value || '').trim() || null
+    };
+    try {
+      const j = await api(`/receiving/weeks/${encodeURIComponent(scan.ws)}/cartons`, {
+        method: 'POST',
+        body: JSON.stringify(body)
+      });
+      const saved = j.cartons[0];
+      const idx = scan.cartons.findIndex(c => c.id === saved.id);
+      if (idx >= 0) scan.cartons[idx] = saved;
+      else scan.cartons.push(saved);
+      cartonMsg(`${idx >= 0 ? 'Updated' : 'Received'} carton ${cartonId} (${CARTON_CONDITION_LABELS[saved.condition] || saved.condition})`);
+      renderCartonList();
+      applyCartonReceivingRow(j.receiving[0]);
+
+      // ready for the next carton: exceptions are the unusual case, so fall back to OK
+      idEl.value = '';
+      notesEl.value = '';
+      condEl.value = 'ok';
+      renderReasonOptions();
+    } catch (err) {
+      console.warn('[receiving] carton save error', err);
+      cartonMsg(apiErrorText(err), true);
+      idEl.select();
+    }
+    idEl.focus();
+  }
+
+  async function deleteCartonLine(id) {
+    const c = scan.cartons.find(x => x.id === id);
+    if (!c || !confirm(`Remove carton ${c.carton_id} from PO ${scan.po}?`)) return;
+    try {
+      const j = await api(`/receiving/weeks/${encodeURIComponent(scan.ws)}/cartons/${id}`, { method: 'DELETE' });
+      scan.cartons = scan.cartons.filter(x => x.id !== id);
+      cartonMsg(`Removed carton ${c.carton_id}`);
+      renderCartonList();
+      applyCartonReceivingRow(j.receiving);
+    } catch (err) {
+      console.warn('[receiving] carton delete error', err);
+      cartonMsg(apiErrorText(err), true);
+    }
   }
 
   function renderCurrentSupplierView() {
@@ -1191,121 +1278,42 @@ if (checkAll) {
 	      return;
 	    }
 
-	    let text = '';
+	    // The server parses the CSV / XLSX, fills columns the file lacks from the stored
+	    // receiving row (or the week's plan) and reads received_at_local as business time.
+	    const form = () => { const fd = new FormData(); fd.append('file', file, file.name); return fd; };
+	    const tpl = await chooseUploadTemplate('receiving');
+	    if (tpl == null) return;
+	    let templateNote = '';
+	    const upload = async (qs) => {
+	      const r = await authFetch(withUploadTemplate(`${API_BASE}/receiving/weeks/${encodeURIComponent(wsSelected)}${qs}`, tpl), {
+	        method: 'PUT',
+	        body: form()
+	      });
+	      if (!r.ok) throw new Error(`API ${r.status}: ${await r.text()}`);
+	      templateNote = mappingTemplateNote(r);
+	      return r.json();
+	    };
+
+	    // Preview (server dry run) and confirm before applying
+	    let preview;
 	    try {
-	      text = await file.text();
+	      preview = await upload('?dryRun=1');
 	    } catch (e) {
 	      console.warn(e);
-	      alert('Could not read CSV file.');
+	      alert(/API 4\d\d/.test(e.message) ? `Upload blocked (fix file):\n\n${e.message}` : 'Preview failed. Check connection / server logs.');
 	      return;
 	    }
-
-	    const rows = parseCSV(text);
-	    if (!rows.length) {
-	      alert('CSV appears empty.');
+	    const count = preview.summary.insert + preview.summary.update + preview.summary.unchanged;
+	    if (!count) {
+	      alert('File has no rows with a po_number.');
 	      return;
 	    }
-
-	    // Build lookup sources
-	    const poIndex = buildWeekPOIndex(M.planRows);
-	    const recvByPO = getReceivingByPO(M.receivingRows);
-	
-	    const errors = [];
-	    let weekMismatchCount = 0;
-	    const payload = [];
-	
-	    const pick = (obj, keys) => {
-	      for (const k of keys) {
-	        const v = obj[k];
-	        if (v !== undefined && String(v).trim() !== '') return String(v).trim();
-	      }
-	      return '';
-	    };
-	
-	    const pickNum = (obj, keys, fallback) => {
-	      const raw = pick(obj, keys);
-	      if (raw === '') return fallback;
-	      const n = Number(raw);
-	      return Number.isFinite(n) ? n : fallback;
-	    };
-
-	    for (let i = 0; i < rows.length; i += 1) {
-	      const r = rows[i] || {};
-	      const rowNum = i + 2; // header is row 1
-	
-	      const po = pick(r, ['po_number', 'po']);
-	      if (!po) {
-	        errors.push(`Row ${rowNum}: missing po_number`);
-	        continue;
-	      }
-	
-	      const wsRaw = pick(r, ['week_start', 'week']);
-	      const wsCSV = wsRaw ? parseWeekStartToISO(wsRaw) : '';
-	      if (wsCSV && wsCSV !== wsSelected) weekMismatchCount += 1;
-
-	      const plan = poIndex.get(po) || {};
-	      const existing = recvByPO.get(po) || {};
-
-	      const supplier = pick(r, ['supplier_name', 'supplier']) || String(existing.supplier_name || plan.supplier || '').trim();
-	      const facility = pick(r, ['facility_name', 'facility']) || String(existing.facility_name || plan.planFacility || '').trim();
-
-	      const cartons_received = pickNum(r, ['cartons_in', 'cartons_received', 'cartons'], Number(existing.cartons_received || 0) || 0);
-	      const cartons_damaged = pickNum(r, ['damaged', 'cartons_damaged'], Number(existing.cartons_damaged || 0) || 0);
-	      const cartons_noncompliant = pickNum(r, ['non_compliant', 'non-compliant', 'cartons_noncompliant', 'noncompliant'], Number(existing.cartons_noncompliant || 0) || 0);
-	      const cartons_replaced = pickNum(r, ['replaced', 'cartons_replaced'], Number(existing.cartons_replaced || 0) || 0);
-
-	      const receivedLocal = pick(r, ['received_at_local', 'received_at', 'last_received_local']);
-	      let received_at_local = String(existing.received_at_local || '').trim();
-	      let received_at_utc = String(existing.received_at_utc || '').trim();
-
-	      if (receivedLocal) {
-	        const d = parseLocalDateTimeToDate(receivedLocal);
-	        if (!d) {
-	          errors.push(`Row ${rowNum}: invalid received_at_local "${receivedLocal}"`);
-	        } else {
-	          // store local string as provided, but normalize output in payload
-	          received_at_local = fmtLocalYMDHMFromUtc(d.toISOString());
-	          received_at_utc = d.toISOString();
-	        }
-	      }
-
-	      payload.push({
-	        po_number: po,
-	        supplier_name: supplier,
-	        facility_name: facility,
-	        received_at_local: received_at_local,
-	        received_at_utc: received_at_utc,
-	        received_tz: 'viewer-local',
-	        cartons_received,
-	        cartons_damaged,
-	        cartons_noncompliant,
-	        cartons_replaced
-	      });
-	    }
-
-	    if (errors.length) {
-	      alert(`Upload blocked (fix CSV):\n\n${errors.slice(0, 8).join('\n')}${errors.length > 8 ? `\n… (+${errors.length - 8} more)` : ''}`);
-	      return;
-	    }
-
-	    // Confirm before applying
-	    const msg = [
-	      `Apply CSV upload?`,
-	      `\nFile: ${file.name}`,
-	      `Week selected: ${wsSelected}`,
-	      `Rows: ${payload.length}`,
-	      weekMismatchCount ? `\nNote: ${weekMismatchCount} row(s) had week_start not matching the selected week. They will still be applied to the selected week.` : ''
-	    ].join('\n');
-	
-	    if (!window.confirm(msg)) return;
+	    if (!confirmDryRun(`Receiving ${wsSelected} (${file.name})`, preview, templateNote)) return;
 
 	    try {
-	      await api(`/receiving/weeks/${encodeURIComponent(wsSelected)}`, {
-	        method: 'PUT',
-	        body: JSON.stringify(payload)
-	      });
+	      await upload('');
 
-	      alert(`Upload applied: ${payload.length} row(s) updated.`);
+	      alert(`Upload applied: ${count} row(s) updated.`);
 	      // Refresh immediately so UI reflects updates (no manual refresh)
 	      await loadWeek(wsSelected);
 	    } catch (e) {
@@ -1,20 +1,42 @@
-import { useEffect, useMemo, useState } from 'react';
-import { Records, IntakeRow, connectScanEvents, formatISO } from './services';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Records, IntakeRow, RecordEvent, connectScanEvents, formatISO } from './services';
 
 type Filter = { from?: string; to?: string; status?: string; limit?: number };
 
+function matchesFilter(r: IntakeRow, f: Filter) {
+  if (f.from && r.date_local < f.from) return false;
+  if (f.to && r.date_local > f.to) return false;
+  if (f.status && r.status !== f.status) return false;
+  return true;
+}
+
+// Patch the list in place from a record.* event; deleted (voided) rows drop out.
+function applyRecordEvent(rows: IntakeRow[], ev: RecordEvent, f: Filter) {
+  const byId = new Map((ev.records || []).map(r => [r.id, r]));
+  const kept = rows
+    .filter(r => !(ev.type === 'record.deleted' && byId.has(r.id)))
+    .map(r => (ev.type !== 'record.deleted' && byId.get(r.id)) || r);
+  if (ev.type === 'record.deleted') return kept;
+  const seen = new Set(kept.map(r => r.id));
+  const added = [...byId.values()].filter(r => !seen.has(r.id) && matchesFilter(r, f));
+  return [...added, ...kept];
+}
+
 export default function IntakePage() {
   const today = formatISO(new Date());
   const [filter, setFilter] = useState<Filter>({ from: today, to: today, limit: 200 });
   const [rows, setRows] = useState<IntakeRow[]>([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string>();
+  // The SSE handlers outlive renders; they read the current filter through this ref
+  const filterRef = useRef(filter);
+  filterRef.current = filter;
 
   async function load() {
     setLoading(true);
     setError(undefined);
     try {
-      const { records } = await Records.list(filter);
+      const { records } = await Records.list(filterRef.current);
       setRows(records);
     } catch (e: any) {
       setError(e.message || 'Failed to load records');
@@ -25,7 +47,13 @@ export default function IntakePage() {
 
   useEffect(() => { load(); }, []); // initial
   useEffect(() => {
-    const off = connectScanEvents(() => { load(); });
+    const off = connectScanEvents({
+      record: (ev) => {
+        if (ev.truncated) { load(); return; }
+        setRows(prev => applyRecordEvent(prev, ev, filterRef.current));
+      },
+      reset: () => { load(); },
+    }, { topics: ['record'] });
     return off;
   }, []); // SSE
 
@@ -1,9 +1,21 @@
 const API_BASE = (import.meta as any).env?.VITE_API_BASE || 'http://localhost:3000';
 
+// Same storage key as the static dashboard, so one sign-in covers both.
+const AUTH_TOKEN_KEY = 'vz_auth_token';
+
+function authToken(): string {
+  try { return localStorage.getItem(AUTH_TOKEN_KEY) || ''; } catch { return ''; }
+}
+
 async function req<T>(path: string, init?: RequestInit): Promise<T> {
+  const token = authToken();
   const res = await fetch(`${API_BASE}${path}`, {
-    headers: { 'Content-Type': 'application/json', ...(init?.headers || {}) },
-    ...init
+    ...init,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...((init?.headers as Record<string, string>) || {})
+    }
   });
   if (!res.ok) {
     const text = await res.text().catch(() => '');
@@ -14,6 +26,24 @@ async function req<T>(path: string, init?: RequestInit): Promise<T> {
   return res.json() as Promise<T>;
 }
 
+// Auth
+export type Role = 'scanner' | 'supervisor' | 'planner' | 'exec' | 'admin';
+
+export const Auth = {
+  login: async (username: string, password: string) => {
+    const r = await req<{ token: string; username: string; role: Role; expires_at: string }>('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ username, password })
+    });
+    localStorage.setItem(AUTH_TOKEN_KEY, r.token);
+    return r;
+  },
+  logout: async () => {
+    try { await req('/auth/logout', { method: 'POST' }); } finally { localStorage.removeItem(AUTH_TOKEN_KEY); }
+  },
+  me: () => req<{ name: string; role: Role; kind: string }>('/auth/me')
+};
+
 // Records (Intake)
 export type IntakeRow = {
   id: string;
@@ -23,13 +53,15 @@ export type IntakeRow = {
   po_number: string;
   sku_code: string;
   uid: string;
+  facility?: string | null;
   status: 'draft' | 'complete';
   sync_state: 'unknown' | 'pending' | 'synced';
 };
 
 export const Records = {
-  list: async (params: { from?: string; to?: string; status?: string; limit?: number } = {}) => {
+  list: async (params: { from?: string; to?: string; status?: string; limit?: number; facility?: string } = {}) => {
     const q = new URLSearchParams();
+    if (params.facility) q.set('facility', params.facility);
     if (params.from) q.set('from', params.from);
     if (params.to) q.set('to', params.to);
     if (params.status) q.set('status', params.status);
@@ -53,13 +85,49 @@ export const Plan = {
     req(`/plan/weeks/${weekStartISO}`, { method: 'PUT', body: JSON.stringify(plan) })
 };
 
-// SSE
-export function connectScanEvents(onMessage: (data: any) => void) {
-  const url = `${API_BASE}/events/scan`;
-  const es = new EventSource(url);
-  es.onmessage = (ev) => {
-    try { onMessage(JSON.parse(ev.data)); } catch {}
+// SSE — typed events; the browser's own reconnect sends Last-Event-ID so the server
+// replays anything missed, or sends `reset` when it can't (then reload from REST).
+export type RecordEvent = {
+  id: number; type: 'record.created' | 'record.updated' | 'record.deleted'; ts: string; actor: string | null;
+  count: number; records?: IntakeRow[]; truncated?: boolean;
+};
+export type ScanEventHandlers = {
+  record?: (ev: RecordEvent) => void;
+  plan?: (ev: { week_start: string; version_no: number; lines: any[] }) => void;
+  bins?: (ev: { week_start: string; bins: any[] }) => void;
+  receiving?: (ev: { week_start: string; rows: any[] }) => void;
+  flowWeek?: (ev: { facility: string; week_start: string; data: any }) => void;
+  reset?: () => void;
+};
+
+// Server-side filters; topics are event types or prefixes ('record' = record.*).
+export type ScanEventFilter = { facility?: string; week?: string; topics?: string[]; station?: string };
+
+export function connectScanEvents(handlers: ScanEventHandlers, filter: ScanEventFilter = {}) {
+  const q = new URLSearchParams();
+  if (filter.facility) q.set('facility', filter.facility);
+  if (filter.week) q.set('week', filter.week);
+  if (filter.topics?.length) q.set('topics', filter.topics.join(','));
+  if (filter.station) q.set('station', filter.station);
+  // EventSource cannot send headers; the API also accepts ?access_token=
+  const token = authToken();
+  if (token) q.set('access_token', token);
+  const qs = q.toString();
+  const es = new EventSource(`${API_BASE}/events/scan${qs ? `?${qs}` : ''}`);
+  const on = (type: string, fn?: (data: any) => void) => {
+    if (!fn) return;
+    es.addEventListener(type, (ev) => {
+      try { fn(JSON.parse((ev as MessageEvent).data)); } catch {}
+    });
   };
+  on('record.created', handlers.record);
+  on('record.updated', handlers.record);
+  on('record.deleted', handlers.record);
+  on('plan.updated', handlers.plan);
+  on('bins.updated', handlers.bins);
+  on('receiving.updated', handlers.receiving);
+  on('flow_week.updated', handlers.flowWeek);
+  on('reset', handlers.reset && (() => handlers.reset!()));
   return () => es.close();
 }
 